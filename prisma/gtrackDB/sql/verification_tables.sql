@@ -0,0 +1,118 @@
+-- Tables added to GTRACKDB for product verification, batch jobs, reminders and webhooks.
+-- schema.prisma is introspected from the existing database, so these tables are not created
+-- by `prisma migrate`. Run this script once per database (it skips tables that exist):
+--
+--   npm run db:tables
+--
+-- Keep it in step with the matching models in schema.prisma.
+
+-- Stored verification results (src/services/verificationStore.js)
+IF OBJECT_ID(N'dbo.product_verification_results', N'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.product_verification_results (
+    id                  INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_product_verification_results PRIMARY KEY,
+    product_id          NVARCHAR(50)  NOT NULL,
+    barcode             NVARCHAR(50)  NULL,
+    member_id           NVARCHAR(50)  NULL,
+    verification_score  INT           NOT NULL,
+    verification_status VARCHAR(20)   NOT NULL,
+    is_valid            BIT           NOT NULL,
+    issues              NVARCHAR(MAX) NULL,
+    suggestions         NVARCHAR(MAX) NULL,
+    missing_fields      NVARCHAR(MAX) NULL,
+    issue_fields        NVARCHAR(MAX) NULL,
+    details             NVARCHAR(MAX) NULL,
+    rule_versions       NVARCHAR(MAX) NULL,
+    product_updated_at  DATETIME      NULL,
+    verified_at         DATETIME      NOT NULL CONSTRAINT DF_product_verification_results_verified_at DEFAULT GETDATE()
+  );
+  CREATE INDEX product_verification_results_product_index ON dbo.product_verification_results (product_id, verified_at);
+  CREATE INDEX product_verification_results_barcode_index ON dbo.product_verification_results (barcode);
+END;
+
+-- Batch verification jobs (src/jobs/batchVerification.js)
+IF OBJECT_ID(N'dbo.verification_jobs', N'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.verification_jobs (
+    id              INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_verification_jobs PRIMARY KEY,
+    status          VARCHAR(20)   NOT NULL CONSTRAINT DF_verification_jobs_status DEFAULT 'pending',
+    chunk_size      INT           NOT NULL CONSTRAINT DF_verification_jobs_chunk_size DEFAULT 50,
+    force_refresh   BIT           NOT NULL CONSTRAINT DF_verification_jobs_force_refresh DEFAULT 0,
+    total_products  INT           NOT NULL CONSTRAINT DF_verification_jobs_total_products DEFAULT 0,
+    processed       INT           NOT NULL CONSTRAINT DF_verification_jobs_processed DEFAULT 0,
+    verified        INT           NOT NULL CONSTRAINT DF_verification_jobs_verified DEFAULT 0,
+    unverified      INT           NOT NULL CONSTRAINT DF_verification_jobs_unverified DEFAULT 0,
+    failed          INT           NOT NULL CONSTRAINT DF_verification_jobs_failed DEFAULT 0,
+    last_product_id NVARCHAR(50)  NULL,
+    elapsed_ms      FLOAT         NOT NULL CONSTRAINT DF_verification_jobs_elapsed_ms DEFAULT 0,
+    failures        NVARCHAR(MAX) NULL,
+    last_error      NVARCHAR(MAX) NULL,
+    created_at      DATETIME      NOT NULL CONSTRAINT DF_verification_jobs_created_at DEFAULT GETDATE(),
+    started_at      DATETIME      NULL,
+    updated_at      DATETIME      NULL,
+    finished_at     DATETIME      NULL
+  );
+END;
+
+-- Reminder campaign state per member (src/jobs/reminderCampaign.js)
+IF OBJECT_ID(N'dbo.member_email_reminders', N'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.member_email_reminders (
+    id              BIGINT IDENTITY(1,1) NOT NULL CONSTRAINT PK_member_email_reminders PRIMARY KEY,
+    member_id       NVARCHAR(50)  NOT NULL CONSTRAINT member_email_reminders_member_id_unique UNIQUE,
+    email           NVARCHAR(255) NULL,
+    reminder_count  INT           NOT NULL CONSTRAINT DF_member_email_reminders_reminder_count DEFAULT 0,
+    product_count   INT           NOT NULL CONSTRAINT DF_member_email_reminders_product_count DEFAULT 0,
+    subject         NVARCHAR(MAX) NULL,
+    message         NVARCHAR(MAX) NULL,
+    escalated       BIT           NOT NULL CONSTRAINT DF_member_email_reminders_escalated DEFAULT 0,
+    unsubscribed    BIT           NOT NULL CONSTRAINT DF_member_email_reminders_unsubscribed DEFAULT 0,
+    unsubscribed_at DATETIME      NULL,
+    last_sent_at    DATETIME      NULL,
+    created_at      DATETIME      NULL,
+    updated_at      DATETIME      NULL
+  );
+END;
+
+-- Webhook endpoints (src/services/webhooks.js)
+IF OBJECT_ID(N'dbo.verification_webhooks', N'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.verification_webhooks (
+    id          INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_verification_webhooks PRIMARY KEY,
+    member_id   NVARCHAR(50)   NULL,
+    url         NVARCHAR(2048) NOT NULL,
+    secret      NVARCHAR(255)  NOT NULL,
+    events      NVARCHAR(255)  NOT NULL CONSTRAINT DF_verification_webhooks_events DEFAULT 'product.verified,product.unverified',
+    description NVARCHAR(MAX)  NULL,
+    created_by  VARCHAR(20)    NOT NULL CONSTRAINT DF_verification_webhooks_created_by DEFAULT 'member',
+    active      BIT            NOT NULL CONSTRAINT DF_verification_webhooks_active DEFAULT 1,
+    created_at  DATETIME       NOT NULL CONSTRAINT DF_verification_webhooks_created_at DEFAULT GETDATE(),
+    updated_at  DATETIME       NULL
+  );
+  CREATE INDEX verification_webhooks_member_index ON dbo.verification_webhooks (member_id);
+END;
+
+-- Webhook deliveries, including dead letters (src/services/webhooks.js)
+IF OBJECT_ID(N'dbo.webhook_deliveries', N'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.webhook_deliveries (
+    id               INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_webhook_deliveries PRIMARY KEY,
+    webhook_id       INT           NOT NULL,
+    event            VARCHAR(50)   NOT NULL,
+    event_id         VARCHAR(36)   NOT NULL,
+    product_id       NVARCHAR(50)  NULL,
+    barcode          NVARCHAR(50)  NULL,
+    payload          NVARCHAR(MAX) NOT NULL,
+    status           VARCHAR(20)   NOT NULL CONSTRAINT DF_webhook_deliveries_status DEFAULT 'pending',
+    attempts         INT           NOT NULL CONSTRAINT DF_webhook_deliveries_attempts DEFAULT 0,
+    next_attempt_at  DATETIME      NULL,
+    last_attempt_at  DATETIME      NULL,
+    last_status_code INT           NULL,
+    last_error       NVARCHAR(MAX) NULL,
+    delivered_at     DATETIME      NULL,
+    created_at       DATETIME      NOT NULL CONSTRAINT DF_webhook_deliveries_created_at DEFAULT GETDATE(),
+    updated_at       DATETIME      NULL
+  );
+  CREATE INDEX webhook_deliveries_due_index ON dbo.webhook_deliveries (status, next_attempt_at);
+  CREATE INDEX webhook_deliveries_webhook_index ON dbo.webhook_deliveries (webhook_id, created_at);
+END;
@@ -0,0 +1,69 @@
+/**
+ * Local webhook receiver for testing
+ * Prints every delivery and whether its signature checks out.
+ *
+ *   WEBHOOK_SECRET=<secret> npm run webhook:receiver
+ *
+ * Run the app with WEBHOOK_ALLOW_PRIVATE_URLS=true, register http://localhost:4040/ (or
+ * RECEIVER_PORT) with POST /api/webhooks and the X-Admin-Key header, and use the returned
+ * secret. RECEIVER_FAIL=true answers every delivery with HTTP 500 to try out
+ * retries and dead letters.
+ *
+ * The signature check is written out here, without the app's modules, so partners can
+ * copy it into their own receivers.
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.RECEIVER_PORT) || 4040;
+const SECRET = process.env.WEBHOOK_SECRET;
+const FAIL = process.env.RECEIVER_FAIL === 'true';
+
+/**
+ * Check X-GTrack-Signature: sha256 HMAC of "<X-GTrack-Timestamp>.<raw body>" with the secret
+ * @param {Object} headers - Request headers
+ * @param {string} body - Raw request body
+ * @returns {boolean}
+ */
+function isSignatureValid(headers, body) {
+  const timestamp = headers['x-gtrack-timestamp'];
+  const signature = headers['x-gtrack-signature'] || '';
+  // Reject stale deliveries so a captured request can't be replayed
+  if (!timestamp || Math.abs(Date.now() / 1000 - Number(timestamp)) > 300) return false;
+
+  const expected = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+  return expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+}
+
+if (!SECRET) {
+  console.warn('WEBHOOK_SECRET is not set - signatures will not be checked');
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const signature = SECRET
+      ? (isSignatureValid(req.headers, body) ? 'valid' : 'INVALID')
+      : 'not checked';
+
+    console.log(`\n${new Date().toISOString()} ${req.method} ${req.url}`);
+    console.log(`  event: ${req.headers['x-gtrack-event']}  delivery: ${req.headers['x-gtrack-delivery']}  signature: ${signature}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body);
+    }
+
+    // A bad signature is rejected like a real receiver would
+    const status = FAIL ? 500 : (signature === 'INVALID' ? 401 : 200);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: status === 200 }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}/${FAIL ? ' (failing every delivery)' : ''}`);
+});
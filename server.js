@@ -11,6 +11,13 @@ dotenv.config();
 const productRoutes = require('./src/routes/productRoutes');
 const testRoutes = require('./src/routes/testRoutes');
 const emailsendRoutes = require('./src/routes/emailsendRoute');
+const verificationRoutes = require('./src/routes/verificationRoutes');
+const gpcRoutes = require('./src/routes/gpcRoutes');
+const unitRoutes = require('./src/routes/unitRoutes');
+const webhookRoutes = require('./src/routes/webhookRoutes');
+const { resumeInterruptedJobs } = require('./src/jobs/batchVerification');
+const { startReminderScheduler } = require('./src/jobs/reminderCampaign');
+const { startWebhookDispatcher } = require('./src/services/webhooks');
 
 // Create Express app
 const app = express();
@@ -20,7 +27,7 @@ const PORT = process.env.PORT || 3000;
 const corsOptions = {
   origin: ['*','https://gtrack.online', "http://localhost:3072","http://localhost:5073", 'https://printpack.gtrack.online'], // Allow all origins
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Admin-Key'],
   credentials: true,
   maxAge: 86400 // 24 hours
 };
@@ -41,6 +48,10 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.use('/api/products', productRoutes);
 app.use('/api/test', testRoutes);
 app.use('/api/emailsend', emailsendRoutes);
+app.use('/api/verification', verificationRoutes);
+app.use('/api/gpc', gpcRoutes);
+app.use('/api/units', unitRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -50,6 +61,17 @@ app.get('/', (req, res) => {
 // Start the server
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+
+  // Pick up batch verification jobs that were interrupted by a restart
+  resumeInterruptedJobs().catch(error => {
+    console.error('Error resuming verification jobs:', error.message);
+  });
+
+  // Schedule reminder campaigns (REMINDERS_ENABLED=true)
+  startReminderScheduler();
+
+  // Send queued webhook deliveries and retries
+  startWebhookDispatcher();
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Where product images are stored, per environment (NODE_ENV)
+ * - baseUrls: hosts serving uploaded images, tried in order for relative image paths
+ * - localRoots: directories holding the uploads (e.g. a mounted uploads volume),
+ *   checked before any base URL
+ *
+ * Overrides can also be supplied without touching this file:
+ * - IMAGE_BASE_URLS: comma-separated base URLs (IMAGE_BASE_URL for a single one)
+ * - IMAGE_LOCAL_ROOTS: comma-separated local directories (IMAGE_LOCAL_ROOT for a single one)
+ * - IMAGE_SOURCES_CONFIG: path to a JSON file with the same shape as `environments`
+ */
+const environments = {
+  production: {
+    baseUrls: ['https://backend.gtrack.online/'],
+    localRoots: []
+  },
+  development: {
+    baseUrls: ['https://backend.gtrack.online/'],
+    localRoots: []
+  },
+  test: {
+    baseUrls: [],
+    localRoots: []
+  }
+};
+
+/**
+ * Split a comma-separated environment variable into a list
+ * @param {string} value
+ * @returns {Array|null} - List, or null when the variable is not set
+ */
+function parseList(value) {
+  if (!value) return null;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Load environment overrides from the JSON file named by IMAGE_SOURCES_CONFIG
+ * @returns {Object} - Sources keyed by environment (empty when not configured)
+ */
+function loadFileOverrides() {
+  const configPath = process.env.IMAGE_SOURCES_CONFIG;
+  if (!configPath) return {};
+
+  try {
+    const resolvedPath = path.resolve(process.cwd(), configPath);
+    return JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  } catch (error) {
+    console.error(`Failed to load image sources config from ${configPath}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Build the image sources for the current environment
+ * @returns {Object} - { environment, baseUrls, localRoots }
+ */
+function getImageSources() {
+  const environment = process.env.NODE_ENV || 'development';
+  const fileOverrides = loadFileOverrides();
+  const sources = {
+    baseUrls: [],
+    localRoots: [],
+    ...(environments[environment] || environments.development),
+    ...(fileOverrides[environment] || {})
+  };
+
+  const baseUrls = parseList(process.env.IMAGE_BASE_URLS) || parseList(process.env.IMAGE_BASE_URL);
+  const localRoots = parseList(process.env.IMAGE_LOCAL_ROOTS) || parseList(process.env.IMAGE_LOCAL_ROOT);
+
+  return {
+    environment,
+    baseUrls: (baseUrls || sources.baseUrls).map(url => url.endsWith('/') ? url : `${url}/`),
+    localRoots: (localRoots || sources.localRoots).map(root => path.resolve(process.cwd(), root))
+  };
+}
+
+module.exports = {
+  environments,
+  getImageSources
+};
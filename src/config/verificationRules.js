@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Verification rule configuration
+ * Entries are keyed by rule id and may set `enabled`, `severity` and `weight`.
+ * Rules without an entry run with the defaults declared in their own module.
+ *
+ * Overrides can also be supplied without touching this file:
+ * - VERIFICATION_RULES_DISABLED: comma-separated rule ids to switch off
+ * - VERIFICATION_RULES_CONFIG: path to a JSON file with the same shape as `rules`
+ */
+const rules = {
+  // Example: 'brand-name-format': { enabled: true, severity: 'medium', weight: 5 }
+};
+
+/**
+ * Load rule overrides from the JSON file named by VERIFICATION_RULES_CONFIG
+ * @returns {Object} - Overrides keyed by rule id (empty when not configured)
+ */
+function loadFileOverrides() {
+  const configPath = process.env.VERIFICATION_RULES_CONFIG;
+  if (!configPath) return {};
+
+  try {
+    const resolvedPath = path.resolve(process.cwd(), configPath);
+    return JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  } catch (error) {
+    console.error(`Failed to load verification rule config from ${configPath}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Build the effective rule configuration from this file, the JSON overrides and the environment
+ * @returns {Object} - Configuration keyed by rule id
+ */
+function getRuleConfig() {
+  const fileOverrides = loadFileOverrides();
+  const config = {};
+
+  for (const [ruleId, settings] of Object.entries({ ...rules, ...fileOverrides })) {
+    config[ruleId] = { ...(rules[ruleId] || {}), ...settings };
+  }
+
+  const disabled = (process.env.VERIFICATION_RULES_DISABLED || '')
+    .split(',')
+    .map(ruleId => ruleId.trim())
+    .filter(Boolean);
+
+  disabled.forEach(ruleId => {
+    config[ruleId] = { ...(config[ruleId] || {}), enabled: false };
+  });
+
+  return config;
+}
+
+module.exports = {
+  rules,
+  getRuleConfig
+};
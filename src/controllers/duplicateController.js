@@ -0,0 +1,33 @@
+const { loadReportIndex, buildDuplicateReport } = require('../services/duplicateDetection');
+
+/**
+ * Report duplicate products
+ * Query params:
+ * - member_id: only duplicates involving this member's products
+ * - limit: max entries per section (default 100, max 1000)
+ * Returns barcode collisions (across and within members), near duplicates within a
+ * member and foreign_gtins entries that collide with local products.
+ */
+exports.getDuplicates = async (req, res) => {
+  try {
+    const memberId = req.query.member_id ? String(req.query.member_id).trim() : null;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+    const index = await loadReportIndex({ memberId });
+    const report = buildDuplicateReport(index, { memberId, limit });
+
+    res.json({
+      success: true,
+      member_id: memberId,
+      summary: report.summary,
+      data: {
+        barcodeCollisions: report.barcodeCollisions,
+        nearDuplicates: report.nearDuplicates,
+        foreignCollisions: report.foreignCollisions
+      }
+    });
+  } catch (error) {
+    console.error('Error building duplicate report:', error);
+    res.status(500).json({ success: false, message: error.message, error: 'Server error' });
+  }
+};
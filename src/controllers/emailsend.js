@@ -1,92 +1,105 @@
-const axios = require('axios');
 const { gtrackDB } = require('../models');
+const { safeDbQuery } = require('../utils/db');
+const { streamUnverifiedProducts } = require('../services/verificationService');
+
+/**
+ * Load the members owning a set of GS1 Company Prefixes
+ * @param {Array} prefixes - gcpGLNID values
+ * @returns {Promise<Array>} - Member records
+ */
+async function findMembersByPrefix(prefixes) {
+  if (!(gtrackDB && gtrackDB.Member) || prefixes.length === 0) return [];
+  return safeDbQuery(() => gtrackDB.Member.findMany({
+    where: { gs1CompanyPrefix: { in: prefixes } },
+    select: {
+      id: true,
+      email: true,
+      gs1CompanyPrefix: true,
+      companyNameEnglish: true,
+      companyNameArabic: true
+    }
+  }));
+}
 
 /**
  * Fetches unverified products and matches member details based on gcpGLNID
+ * Walks the whole catalogue through the verification service and loads the members
+ * of every chunk in one query by gs1CompanyPrefix.
+ * @param {Object} options - { memberId, chunkSize, forceRefresh, onChunk } (see streamUnverifiedProducts)
+ * @returns {Promise<Array|null>} - Products grouped by member, or null when there are none
  */
-async function fetchUnverifiedProductsAndMembers() {
+async function fetchUnverifiedProductsAndMembers(options = {}) {
   try {
-    // Fetch products from API
-    const response = await axios.get('http://localhost:3000/api/products');
-    const products = response.data.data;
-    
-    // Filter for unverified products
-    const unverifiedProducts = products.filter(product => 
-      product.verification && 
-      product.verification.verificationStatus === "unverified"
-    );
-    
-    if (unverifiedProducts.length === 0) {
-      console.log('No unverified products found');
-      return null;
-    }
-    
     const memberProductsMap = new Map();
-    
-    // Extract gcpGLNID values and product details
-    for (const product of unverifiedProducts) {
-      const gcpGLNID = product.gcpGLNID;
-      
-      if (gcpGLNID) {
-        // Find matching member in database using gtrackDB
-        const member = await gtrackDB.Member.findFirst({
-          where: {
-            gs1CompanyPrefix: gcpGLNID
-          }
-        });
-        
-        if (member) {
-          const productInfo = {
-            productDetails: {
-              id: product.id,
-              productnameenglish: product.productnameenglish,
-              productnamearabic: product.productnamearabic,
-              BrandName: product.BrandName,
-              gpc: product.gpc,
-              unit: product.unit,
-              barcode: product.barcode,
-              PackagingType: product.PackagingType,
-              size: product.size
-            },
-            verificationIssues: product.verification.issues,
-            aiSuggestions: product.verification.aiSuggestions,
-            verificationScore: product.verification.verificationScore,
-            confidenceLevel: product.verification.confidenceLevel
-          };
-          
-          // Group products by member email
-          const memberKey = `${member.email}_${gcpGLNID}`;
-          if (!memberProductsMap.has(memberKey)) {
-            memberProductsMap.set(memberKey, {
-              memberEmail: member.email,
-              gcpGLNID: gcpGLNID,
-              products: []
-            });
-          }
-          
-          memberProductsMap.get(memberKey).products.push(productInfo);
-          
-          console.log(`Found member email for gcpGLNID ${gcpGLNID}: ${member.email}`);
-          console.log(`Product: ${product.productnameenglish} (${product.productnamearabic})`);
-          console.log(`Brand: ${product.BrandName}`);
-          console.log(`GPC: ${product.gpc}`);
-          console.log(`Unit: ${product.unit}`);
-          console.log(`Issues Count: ${product.verification.issues.length}`);
-          console.log(`AI Suggestions Count: ${product.verification.aiSuggestions.length}`);
-          console.log('---');
+    // Members already looked up, by prefix (null when no member owns the prefix)
+    const membersByPrefix = new Map();
+    let unverifiedCount = 0;
+
+    for await (const chunk of streamUnverifiedProducts(options)) {
+      unverifiedCount += chunk.length;
+
+      const newPrefixes = [...new Set(chunk
+        .map(({ product }) => product.gcpGLNID ? product.gcpGLNID.trim() : null)
+        .filter(prefix => prefix && !membersByPrefix.has(prefix)))];
+      newPrefixes.forEach(prefix => membersByPrefix.set(prefix, null));
+      (await findMembersByPrefix(newPrefixes)).forEach(member => {
+        membersByPrefix.set(member.gs1CompanyPrefix.trim(), member);
+      });
+
+      for (const { product, verification } of chunk) {
+        const gcpGLNID = product.gcpGLNID ? product.gcpGLNID.trim() : null;
+        const member = gcpGLNID ? membersByPrefix.get(gcpGLNID) : null;
+        if (!member) continue;
+
+        const productInfo = {
+          productDetails: {
+            id: product.id,
+            productnameenglish: product.productnameenglish,
+            productnamearabic: product.productnamearabic,
+            BrandName: product.BrandName,
+            gpc: product.gpc,
+            unit: product.unit,
+            barcode: product.barcode,
+            PackagingType: product.PackagingType,
+            size: product.size
+          },
+          verificationIssues: verification.issues,
+          aiSuggestions: verification.aiSuggestions,
+          verificationScore: verification.verificationScore,
+          confidenceLevel: verification.confidenceLevel
+        };
+
+        // Group products by member email
+        const memberKey = `${member.email}_${gcpGLNID}`;
+        if (!memberProductsMap.has(memberKey)) {
+          memberProductsMap.set(memberKey, {
+            memberId: member.id,
+            memberEmail: member.email,
+            companyName: member.companyNameEnglish || null,
+            companyNameArabic: member.companyNameArabic || null,
+            gcpGLNID: gcpGLNID,
+            products: []
+          });
         }
+
+        memberProductsMap.get(memberKey).products.push(productInfo);
       }
     }
-    
+
+    if (unverifiedCount === 0) {
+      console.log('No unverified products found');
+      return null;
+    }
+
     if (memberProductsMap.size === 0) {
       console.log('No matching members found for unverified products');
       return null;
     }
-    
-    // Convert map to array
+
     const results = Array.from(memberProductsMap.values());
+    console.log(`Found ${unverifiedCount} unverified products, ${results.length} member(s) to notify`);
     return results;
-    
+
   } catch (error) {
     console.error('Error fetching products or member data:', error.message);
     throw error;
@@ -0,0 +1,52 @@
+const { suggestGpcBricks } = require('../services/gpcSuggestions');
+
+/**
+ * Suggest GPC bricks while a member is typing a product
+ * Query params: name (required), brand, unit, limit (default 5, max 20)
+ * Returns ranked bricks with their segment > family > class path and a confidence (0-1)
+ * relative to the best match.
+ */
+exports.suggestBricks = async (req, res) => {
+  try {
+    const name = (req.query.name || '').trim();
+    const brand = (req.query.brand || '').trim();
+    const unit = (req.query.unit || '').trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
+
+    if (name.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Query parameter "name" is required (at least 2 characters)'
+      });
+    }
+
+    const result = await suggestGpcBricks({ name, brand, unit }, { limit });
+
+    if (!result.available) {
+      return res.status(503).json({
+        success: false,
+        message: 'GPC bricks are not available. Please check your database connection settings.',
+        error: 'Database connection error'
+      });
+    }
+
+    res.json({
+      success: true,
+      query: { name, brand: brand || null, unit: unit || null, unitType: result.unitType },
+      count: result.suggestions.length,
+      data: result.suggestions.map(suggestion => ({
+        code: suggestion.code,
+        title: suggestion.title,
+        gpc: `${suggestion.code}-${suggestion.title}`,
+        confidence: suggestion.confidence,
+        score: suggestion.score,
+        unitCompatible: suggestion.unitCompatible,
+        path: suggestion.path,
+        matchedTerms: suggestion.matchedTerms
+      }))
+    });
+  } catch (error) {
+    console.error('Error suggesting GPC bricks:', error);
+    res.status(500).json({ success: false, message: error.message, error: 'Server error' });
+  }
+};
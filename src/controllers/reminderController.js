@@ -0,0 +1,175 @@
+const {
+  isReminderStoreAvailable,
+  runReminderCampaign,
+  getReminderStatus,
+  getReminderStates,
+  setUnsubscribed
+} = require('../jobs/reminderCampaign');
+const { verifyUnsubscribeToken } = require('../services/unsubscribeLinks');
+
+// Response when the reminder state table can't be used
+const unavailableResponse = {
+  success: false,
+  message: 'Reminder campaigns are not available. Please check your database connection settings.',
+  error: 'Database connection error'
+};
+
+/**
+ * Check whether the caller may change a member's reminder subscription
+ * @param {Object} req - Request authenticated by requireAuth
+ * @returns {boolean} - True for admins and for the member themselves
+ */
+function canManageMember(req) {
+  return req.auth.role === 'admin' || req.auth.memberId === req.params.memberId;
+}
+
+/**
+ * Scheduler configuration and the last campaign run on this instance
+ */
+exports.getReminderStatus = async (req, res) => {
+  try {
+    res.json({ success: true, data: getReminderStatus() });
+  } catch (error) {
+    console.error('Error fetching reminder status:', error);
+    res.status(500).json({ success: false, message: error.message, error: 'Server error' });
+  }
+};
+
+/**
+ * Run a reminder campaign now
+ * Query/body: dryRun=true renders the reminders that are due without sending them
+ */
+exports.runReminderCampaign = async (req, res) => {
+  try {
+    if (!isReminderStoreAvailable()) {
+      return res.status(500).json(unavailableResponse);
+    }
+
+    const body = req.body || {};
+    const flag = req.query.dryRun !== undefined ? req.query.dryRun : body.dryRun;
+    const result = await runReminderCampaign({ dryRun: flag === true || flag === 'true', trigger: 'manual' });
+
+    if (result.status === 'locked') {
+      return res.status(409).json({ success: false, message: 'A reminder campaign is already running' });
+    }
+    if (result.status === 'lock_lost') {
+      return res.status(409).json({ success: false, message: 'Another instance took the reminder campaign over before it finished', data: result });
+    }
+
+    res.json({ success: result.failed === 0, data: result });
+  } catch (error) {
+    console.error('Error running reminder campaign:', error);
+    res.status(500).json({ success: false, message: error.message, error: 'Server error' });
+  }
+};
+
+/**
+ * Reminder state of members, most recently updated first
+ * Query params: member_id, limit (default 100)
+ */
+exports.getReminderStates = async (req, res) => {
+  try {
+    if (!isReminderStoreAvailable()) {
+      return res.status(500).json(unavailableResponse);
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const states = await getReminderStates({ memberId: req.query.member_id, limit });
+
+    res.json({ success: true, count: states.length, data: states });
+  } catch (error) {
+    console.error('Error fetching reminder states:', error);
+    res.status(500).json({ success: false, message: error.message, error: 'Server error' });
+  }
+};
+
+/**
+ * Stop sending reminders to a member
+ * Admins can unsubscribe any member, members only themselves
+ */
+exports.unsubscribeMember = async (req, res) => {
+  try {
+    if (!canManageMember(req)) {
+      return res.status(403).json({ success: false, message: 'Members can only change their own reminders' });
+    }
+    if (!isReminderStoreAvailable()) {
+      return res.status(500).json(unavailableResponse);
+    }
+
+    const state = await setUnsubscribed(req.params.memberId, true);
+    if (!state) {
+      return res.status(500).json({ success: false, message: `Could not unsubscribe member ${req.params.memberId}` });
+    }
+
+    res.json({ success: true, message: `Member ${req.params.memberId} will not receive reminders`, data: state });
+  } catch (error) {
+    console.error('Error unsubscribing member:', error);
+    res.status(500).json({ success: false, message: error.message, error: 'Server error' });
+  }
+};
+
+/**
+ * Send reminders to a member again
+ * Admins can resubscribe any member, members only themselves
+ */
+exports.resubscribeMember = async (req, res) => {
+  try {
+    if (!canManageMember(req)) {
+      return res.status(403).json({ success: false, message: 'Members can only change their own reminders' });
+    }
+    if (!isReminderStoreAvailable()) {
+      return res.status(500).json(unavailableResponse);
+    }
+
+    const state = await setUnsubscribed(req.params.memberId, false);
+    if (!state) {
+      return res.status(500).json({ success: false, message: `Could not resubscribe member ${req.params.memberId}` });
+    }
+
+    res.json({ success: true, message: `Member ${req.params.memberId} will receive reminders again`, data: state });
+  } catch (error) {
+    console.error('Error resubscribing member:', error);
+    res.status(500).json({ success: false, message: error.message, error: 'Server error' });
+  }
+};
+
+/**
+ * Page behind the unsubscribe link of a digest
+ * Only asks for confirmation: mail scanners open links, and a GET must not unsubscribe anyone.
+ * Query params: token, lang (en or ar)
+ */
+exports.showUnsubscribePage = (req, res) => {
+  const lang = req.query.lang === 'ar' ? 'ar' : 'en';
+  const token = req.query.token;
+  const valid = Boolean(verifyUnsubscribeToken(token));
+
+  res.status(valid ? 200 : 400).render('unsubscribe', { lang, token: valid ? token : '', state: valid ? 'confirm' : 'invalid' });
+};
+
+/**
+ * Unsubscribe the member of an unsubscribe link
+ * The signed token is the authentication. Used by the confirmation page and by mail
+ * clients' one-click unsubscribe (List-Unsubscribe-Post), which post to the link itself.
+ * Query/body: token, lang
+ */
+exports.unsubscribeWithToken = async (req, res) => {
+  const body = req.body || {};
+  const lang = (req.query.lang || body.lang) === 'ar' ? 'ar' : 'en';
+
+  try {
+    const memberId = verifyUnsubscribeToken(req.query.token || body.token);
+    if (!memberId) {
+      return res.status(400).render('unsubscribe', { lang, token: '', state: 'invalid' });
+    }
+
+    const state = isReminderStoreAvailable() ? await setUnsubscribed(memberId, true) : null;
+    if (!state) {
+      return res.status(500).render('unsubscribe', { lang, token: '', state: 'error' });
+    }
+
+    res.render('unsubscribe', { lang, token: '', state: 'done' });
+  } catch (error) {
+    console.error('Error unsubscribing member by link:', error);
+    res.status(500).render('unsubscribe', { lang, token: '', state: 'error' });
+  }
+};
@@ -0,0 +1,42 @@
+const { getUnitRegistry, resolveUnit } = require('../services/unitResolver');
+
+/**
+ * Resolve a free-text unit to its UN/ECE Rec 20 code
+ * Query params: q (required), e.g. "Litre", "ltrs" or "لتر"
+ * Returns the Rec 20 unit, the matching gtrackDB Units / GS1DB units records and,
+ * for unknown units, the closest Rec 20 units.
+ */
+exports.resolveUnit = async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+
+    if (!q) {
+      return res.status(400).json({
+        success: false,
+        message: 'Query parameter "q" is required'
+      });
+    }
+
+    const registry = await getUnitRegistry();
+    const resolution = resolveUnit(q, registry);
+
+    res.json({
+      success: true,
+      query: q,
+      resolved: resolution.status === 'resolved',
+      data: {
+        status: resolution.status,
+        code: resolution.code,
+        name: resolution.name,
+        symbol: resolution.symbol,
+        type: resolution.type,
+        canonical: resolution.canonical,
+        masterData: resolution.masterData,
+        suggestions: resolution.suggestions
+      }
+    });
+  } catch (error) {
+    console.error('Error resolving unit:', error);
+    res.status(500).json({ success: false, message: error.message, error: 'Server error' });
+  }
+};
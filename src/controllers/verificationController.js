@@ -0,0 +1,150 @@
+const { isStoreAvailable, getHistory } = require('../services/verificationStore');
+const {
+  isJobStoreAvailable,
+  createJob,
+  getJob,
+  startJob,
+  resumeJob,
+  pauseJob,
+  getJobProgress
+} = require('../jobs/batchVerification');
+
+/**
+ * Get the verification history of a product
+ * Shows how the product's score and status changed over time, newest first.
+ * Query params: limit (default 50)
+ */
+exports.getVerificationHistory = async (req, res) => {
+  try {
+    const { barcode } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    if (!isStoreAvailable()) {
+      return res.status(500).json({
+        success: false,
+        message: 'Verification results store is not available. Please check your database connection settings.',
+        error: 'Database connection error'
+      });
+    }
+
+    const history = await getHistory(barcode, { limit });
+
+    if (history.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No verification history found for barcode ${barcode}`
+      });
+    }
+
+    res.json({
+      success: true,
+      barcode,
+      currentStatus: history[0].verificationStatus,
+      count: history.length,
+      data: history
+    });
+  } catch (error) {
+    console.error('Error fetching verification history:', error);
+    res.status(500).json({ success: false, message: error.message, error: 'Server error' });
+  }
+};
+
+/**
+ * Start a background job that verifies every product
+ * Body: { chunkSize, forceRefresh }
+ */
+exports.startVerificationJob = async (req, res) => {
+  try {
+    if (!isJobStoreAvailable()) {
+      return res.status(500).json({
+        success: false,
+        message: 'Verification jobs are not available. Please check your database connection settings.',
+        error: 'Database connection error'
+      });
+    }
+
+    const body = req.body || {};
+    const job = await createJob({
+      chunkSize: body.chunkSize,
+      forceRefresh: body.forceRefresh === true || body.forceRefresh === 'true'
+    });
+
+    if (!job) {
+      return res.status(500).json({ success: false, message: 'Could not create verification job' });
+    }
+
+    startJob(job.id);
+
+    res.status(202).json({
+      success: true,
+      message: `Verification job ${job.id} started`,
+      data: getJobProgress(job)
+    });
+  } catch (error) {
+    console.error('Error starting verification job:', error);
+    res.status(500).json({ success: false, message: error.message, error: 'Server error' });
+  }
+};
+
+/**
+ * Get progress, throughput and failures of a verification job
+ */
+exports.getVerificationJob = async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+    const job = Number.isNaN(jobId) ? null : await getJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({ success: false, message: `Verification job ${req.params.id} not found` });
+    }
+
+    res.json({ success: true, data: getJobProgress(job) });
+  } catch (error) {
+    console.error('Error fetching verification job:', error);
+    res.status(500).json({ success: false, message: error.message, error: 'Server error' });
+  }
+};
+
+/**
+ * Resume a paused, failed or interrupted job from its checkpoint
+ */
+exports.resumeVerificationJob = async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+    const job = Number.isNaN(jobId) ? null : await resumeJob(jobId);
+
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        message: `Verification job ${req.params.id} cannot be resumed (not found, completed or already running)`
+      });
+    }
+
+    res.status(202).json({ success: true, message: `Verification job ${job.id} resumed`, data: getJobProgress(job) });
+  } catch (error) {
+    console.error('Error resuming verification job:', error);
+    res.status(500).json({ success: false, message: error.message, error: 'Server error' });
+  }
+};
+
+/**
+ * Pause a job - it stops after the chunk it is currently verifying
+ */
+exports.pauseVerificationJob = async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+    const job = Number.isNaN(jobId) ? null : await pauseJob(jobId);
+
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        message: `Verification job ${req.params.id} cannot be paused (not found or not running)`
+      });
+    }
+
+    res.json({ success: true, message: `Verification job ${job.id} will pause after its current chunk`, data: getJobProgress(job) });
+  } catch (error) {
+    console.error('Error pausing verification job:', error);
+    res.status(500).json({ success: false, message: error.message, error: 'Server error' });
+  }
+};
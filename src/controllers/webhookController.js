@@ -0,0 +1,204 @@
+const {
+  isWebhookStoreAvailable,
+  registerWebhook,
+  listWebhooks,
+  getWebhook,
+  deleteWebhook,
+  sendTestEvent,
+  getDeliveries,
+  retryDelivery
+} = require('../services/webhooks');
+
+// Delivery statuses accepted by the delivery log filter
+const DELIVERY_STATUSES = ['pending', 'sending', 'retrying', 'delivered', 'dead'];
+
+/**
+ * Member whose webhooks the caller may see or change
+ * Members only reach their own; admins pick one with member_id, or see every member's
+ * @param {Object} req - Request authenticated by requireAuth
+ * @returns {string|null}
+ */
+function scopedMemberId(req) {
+  return req.auth.role === 'admin' ? req.query.member_id || null : req.auth.memberId;
+}
+
+// Response when the webhook tables can't be used
+const unavailableResponse = {
+  success: false,
+  message: 'Webhooks are not available. Please check your database connection settings.',
+  error: 'Database connection error'
+};
+
+/**
+ * Register a webhook endpoint
+ * Body: url, events (default both status events), description
+ * A member registers a webhook for their own products. An admin registers an admin webhook,
+ * for the member in member_id or - without member_id - for every member's events.
+ * The response is the only time the signing secret is returned.
+ */
+exports.registerWebhook = async (req, res) => {
+  try {
+    if (!isWebhookStoreAvailable()) {
+      return res.status(500).json(unavailableResponse);
+    }
+
+    const body = req.body || {};
+    if (!body.url) {
+      return res.status(400).json({ success: false, message: 'url is required' });
+    }
+
+    let webhook;
+    try {
+      const isAdmin = req.auth.role === 'admin';
+      webhook = await registerWebhook({
+        url: body.url,
+        memberId: isAdmin ? body.member_id : req.auth.memberId,
+        events: body.events,
+        description: body.description,
+        secret: body.secret,
+        createdBy: isAdmin ? 'admin' : 'member'
+      });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, message: validationError.message });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook registered. Store the secret - it is used to sign every delivery and is not shown again.',
+      data: webhook
+    });
+  } catch (error) {
+    console.error('Error registering webhook:', error);
+    res.status(500).json({ success: false, message: error.message, error: 'Server error' });
+  }
+};
+
+/**
+ * List webhooks
+ * Query params: member_id (admins)
+ */
+exports.listWebhooks = async (req, res) => {
+  try {
+    if (!isWebhookStoreAvailable()) {
+      return res.status(500).json(unavailableResponse);
+    }
+
+    const webhooks = await listWebhooks({ memberId: scopedMemberId(req) });
+    res.json({ success: true, count: webhooks.length, data: webhooks });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({ success: false, message: error.message, error: 'Server error' });
+  }
+};
+
+/**
+ * Delete (deactivate) a webhook
+ */
+exports.deleteWebhook = async (req, res) => {
+  try {
+    if (!isWebhookStoreAvailable()) {
+      return res.status(500).json(unavailableResponse);
+    }
+
+    const id = parseInt(req.params.id);
+    if (!id || !await deleteWebhook(id, { memberId: scopedMemberId(req) })) {
+      return res.status(404).json({ success: false, message: `Webhook ${req.params.id} not found` });
+    }
+
+    res.json({ success: true, message: `Webhook ${id} deleted` });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ success: false, message: error.message, error: 'Server error' });
+  }
+};
+
+/**
+ * Send a webhook.ping event to a webhook
+ */
+exports.testWebhook = async (req, res) => {
+  try {
+    if (!isWebhookStoreAvailable()) {
+      return res.status(500).json(unavailableResponse);
+    }
+
+    const id = parseInt(req.params.id);
+    const webhook = id ? await getWebhook(id) : null;
+    const memberId = scopedMemberId(req);
+    if (!webhook || !webhook.active || (memberId && webhook.member_id !== memberId)) {
+      return res.status(404).json({ success: false, message: `Webhook ${req.params.id} not found` });
+    }
+
+    const delivery = await sendTestEvent(webhook);
+    if (!delivery) {
+      return res.status(500).json({ success: false, message: 'Could not queue the test event' });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Test event queued - check the delivery log for the outcome',
+      data: { deliveryId: delivery.id, eventId: delivery.event_id }
+    });
+  } catch (error) {
+    console.error('Error sending test webhook:', error);
+    res.status(500).json({ success: false, message: error.message, error: 'Server error' });
+  }
+};
+
+/**
+ * Delivery log, newest first
+ * Query params: webhook_id, member_id (admins), status (pending, sending, retrying, delivered, dead), limit (default 100)
+ * status=dead lists the dead letters.
+ */
+exports.getDeliveries = async (req, res) => {
+  try {
+    if (!isWebhookStoreAvailable()) {
+      return res.status(500).json(unavailableResponse);
+    }
+
+    const { status } = req.query;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const deliveries = await getDeliveries({
+      webhookId: parseInt(req.query.webhook_id) || null,
+      memberId: scopedMemberId(req),
+      status,
+      limit
+    });
+
+    res.json({ success: true, count: deliveries.length, data: deliveries });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ success: false, message: error.message, error: 'Server error' });
+  }
+};
+
+/**
+ * Queue a delivery again with a fresh set of attempts
+ */
+exports.retryDelivery = async (req, res) => {
+  try {
+    if (!isWebhookStoreAvailable()) {
+      return res.status(500).json(unavailableResponse);
+    }
+
+    const id = parseInt(req.params.id);
+    const delivery = id ? await retryDelivery(id, { memberId: scopedMemberId(req) }) : null;
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: `Delivery ${req.params.id} not found` });
+    }
+    if (delivery.status === 'delivered') {
+      return res.status(409).json({ success: false, message: `Delivery ${id} was already delivered` });
+    }
+    if (delivery.status === 'sending') {
+      return res.status(409).json({ success: false, message: `Delivery ${id} is being sent` });
+    }
+
+    res.status(202).json({ success: true, message: `Delivery ${id} queued again`, data: delivery });
+  } catch (error) {
+    console.error('Error retrying webhook delivery:', error);
+    res.status(500).json({ success: false, message: error.message, error: 'Server error' });
+  }
+};
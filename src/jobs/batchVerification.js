@@ -0,0 +1,341 @@
+const { gtrackDB } = require('../models');
+const { safeDbQuery } = require('../utils/db');
+const { verifyProducts, findProductChunk } = require('../services/verificationService');
+const { acquireLock, renewLock, releaseLock, isLocked } = require('../services/distributedLock');
+
+/**
+ * Background batch verification
+ * Walks every non-deleted product in GTRACKDB in chunks (ordered by id) and verifies
+ * it with the V5 rule engine. After every chunk the job row in `verification_jobs`
+ * records the last product id, so an interrupted job resumes where it stopped.
+ * Each job is guarded by a DistributedLock row so only one server instance runs it.
+ */
+
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.VERIFICATION_JOB_CHUNK_SIZE) || 50;
+const LOCK_TTL_MS = parseInt(process.env.VERIFICATION_JOB_LOCK_TTL_MS) || 5 * 60 * 1000;
+
+// Only the most recent failures are kept on the job row
+const MAX_STORED_FAILURES = 100;
+
+// Jobs currently running on this instance
+const activeRuns = new Set();
+
+/**
+ * Name of the DistributedLock row guarding a job
+ * @param {number} jobId - Job id
+ * @returns {string}
+ */
+function getLockName(jobId) {
+  return `verification-job:${jobId}`;
+}
+
+/**
+ * Check whether the job table is available
+ * @returns {boolean}
+ */
+function isJobStoreAvailable() {
+  return Boolean(gtrackDB && gtrackDB.verification_jobs && gtrackDB.products);
+}
+
+/**
+ * Parse the stored failures list
+ * @param {string} value - JSON string from the job row
+ * @returns {Array}
+ */
+function parseFailures(value) {
+  if (!value) return [];
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Verify one chunk of products
+ * If the chunk as a whole throws, products are retried one by one so a single
+ * bad record only fails itself.
+ * @param {Array} products - Product records
+ * @param {boolean} forceRefresh - Re-verify even when a stored result is current
+ * @returns {Promise<Object>} - { verified, unverified, failures }
+ */
+async function verifyChunk(products, forceRefresh) {
+  const outcome = { verified: 0, unverified: 0, failures: [] };
+
+  const countResult = result => {
+    if (result.verification.verificationStatus === 'verified') {
+      outcome.verified++;
+    } else {
+      outcome.unverified++;
+    }
+  };
+
+  try {
+    const results = await verifyProducts(products, { forceRefresh });
+    results.forEach(countResult);
+    return outcome;
+  } catch (chunkError) {
+    console.error('Verification chunk failed, retrying products one by one:', chunkError.message);
+  }
+
+  for (const product of products) {
+    try {
+      const [result] = await verifyProducts([product], { forceRefresh });
+      countResult(result);
+    } catch (error) {
+      outcome.failures.push({
+        productId: product.id,
+        barcode: product.barcode,
+        error: error.message,
+        failedAt: new Date()
+      });
+    }
+  }
+
+  return outcome;
+}
+
+/**
+ * Create a new batch verification job
+ * @param {Object} options - { chunkSize, forceRefresh }
+ * @returns {Promise<Object|null>} - Job row or null when the job table is not available
+ */
+async function createJob(options = {}) {
+  if (!isJobStoreAvailable()) return null;
+
+  const chunkSize = Math.min(Math.max(parseInt(options.chunkSize) || DEFAULT_CHUNK_SIZE, 1), 500);
+
+  return safeDbQuery(() => gtrackDB.verification_jobs.create({
+    data: {
+      status: 'pending',
+      chunk_size: chunkSize,
+      force_refresh: options.forceRefresh === true
+    }
+  }), null);
+}
+
+/**
+ * Get a job row
+ * Database errors are thrown rather than read as a missing job, so a running job
+ * that can't read its row is marked failed instead of being left as running.
+ * @param {number} jobId - Job id
+ * @returns {Promise<Object|null>} - Null when there is no such job
+ */
+async function getJob(jobId) {
+  if (!isJobStoreAvailable()) return null;
+
+  return gtrackDB.verification_jobs.findUnique({
+    where: { id: jobId }
+  });
+}
+
+/**
+ * Run (or resume) a job until every product has been verified
+ * Returns false without doing anything when another instance holds the job's lock.
+ * @param {number} jobId - Job id
+ * @returns {Promise<boolean>} - True when this instance ran the job
+ */
+async function runJob(jobId) {
+  const lockName = getLockName(jobId);
+  const lockToken = await acquireLock(lockName, LOCK_TTL_MS);
+
+  if (!lockToken) {
+    console.log(`Verification job ${jobId} is already running on another instance`);
+    return false;
+  }
+
+  activeRuns.add(jobId);
+
+  try {
+    let job = await getJob(jobId);
+    if (!job || ['completed', 'paused'].includes(job.status)) return true;
+
+    const totalProducts = await safeDbQuery(() => gtrackDB.products.count({
+      where: { deleted_at: null }
+    }), 0);
+
+    job = await gtrackDB.verification_jobs.update({
+      where: { id: jobId },
+      data: {
+        status: 'running',
+        total_products: totalProducts,
+        started_at: job.started_at || new Date(),
+        updated_at: new Date()
+      }
+    });
+
+    console.log(`Verification job ${jobId} running from checkpoint ${job.last_product_id || '(start)'}`);
+
+    while (true) {
+      // Stop when the job was paused through the API
+      const current = await getJob(jobId);
+      if (!current || current.status !== 'running') {
+        console.log(`Verification job ${jobId} stopped with status ${current ? current.status : 'missing'}`);
+        return true;
+      }
+
+      const products = await findProductChunk(current.last_product_id, current.chunk_size);
+
+      if (products.length === 0) {
+        await gtrackDB.verification_jobs.update({
+          where: { id: jobId },
+          data: { status: 'completed', finished_at: new Date(), updated_at: new Date() }
+        });
+        console.log(`Verification job ${jobId} completed: ${current.processed} products processed`);
+        return true;
+      }
+
+      const chunkStartedAt = Date.now();
+      const outcome = await verifyChunk(products, current.force_refresh);
+
+      // Keep the lock while we are still working. If another instance took it over (e.g. the
+      // chunk ran past the lock's expiry) it is running the job now: leave the checkpoint to it.
+      if (!await renewLock(lockName, lockToken, LOCK_TTL_MS)) {
+        console.error(`Verification job ${jobId} lost its lock - stopping on this instance`);
+        return true;
+      }
+
+      const failures = [...parseFailures(current.failures), ...outcome.failures].slice(-MAX_STORED_FAILURES);
+
+      // Save the checkpoint only after the whole chunk has been handled
+      await gtrackDB.verification_jobs.update({
+        where: { id: jobId },
+        data: {
+          processed: current.processed + products.length,
+          verified: current.verified + outcome.verified,
+          unverified: current.unverified + outcome.unverified,
+          failed: current.failed + outcome.failures.length,
+          failures: JSON.stringify(failures),
+          last_product_id: products[products.length - 1].id,
+          elapsed_ms: current.elapsed_ms + (Date.now() - chunkStartedAt),
+          updated_at: new Date()
+        }
+      });
+    }
+  } catch (error) {
+    console.error(`Verification job ${jobId} failed:`, error.message);
+    await safeDbQuery(() => gtrackDB.verification_jobs.update({
+      where: { id: jobId },
+      data: { status: 'failed', last_error: error.message, updated_at: new Date() }
+    }), null);
+    return true;
+  } finally {
+    activeRuns.delete(jobId);
+    await releaseLock(lockName, lockToken);
+  }
+}
+
+/**
+ * Start a job in the background
+ * @param {number} jobId - Job id
+ */
+function startJob(jobId) {
+  runJob(jobId).catch(error => {
+    console.error(`Verification job ${jobId} crashed:`, error.message);
+  });
+}
+
+/**
+ * Mark a job as running again and resume it from its checkpoint
+ * @param {number} jobId - Job id
+ * @returns {Promise<Object|null>} - Updated job row, or null when it can't be resumed
+ */
+async function resumeJob(jobId) {
+  const job = await getJob(jobId);
+  if (!job || job.status === 'completed') return null;
+  if (await isLocked(getLockName(jobId))) return null;
+
+  const updated = await safeDbQuery(() => gtrackDB.verification_jobs.update({
+    where: { id: jobId },
+    data: { status: 'running', last_error: null, updated_at: new Date() }
+  }), null);
+
+  if (updated) startJob(jobId);
+  return updated;
+}
+
+/**
+ * Ask a running job to stop after its current chunk
+ * @param {number} jobId - Job id
+ * @returns {Promise<Object|null>} - Updated job row
+ */
+async function pauseJob(jobId) {
+  const job = await getJob(jobId);
+  if (!job || !['pending', 'running'].includes(job.status)) return null;
+
+  return safeDbQuery(() => gtrackDB.verification_jobs.update({
+    where: { id: jobId },
+    data: { status: 'paused', updated_at: new Date() }
+  }), null);
+}
+
+/**
+ * Resume jobs that were interrupted (e.g. by a restart) while running
+ * Called on server start - the lock makes sure only one instance picks each job up.
+ */
+async function resumeInterruptedJobs() {
+  if (!isJobStoreAvailable()) return;
+
+  const jobs = await safeDbQuery(() => gtrackDB.verification_jobs.findMany({
+    where: { status: 'running' }
+  }));
+
+  for (const job of jobs) {
+    if (!await isLocked(getLockName(job.id))) {
+      console.log(`Resuming interrupted verification job ${job.id}`);
+      startJob(job.id);
+    }
+  }
+}
+
+/**
+ * Build the progress report returned by the jobs endpoint
+ * @param {Object} job - Job row
+ * @returns {Object}
+ */
+function getJobProgress(job) {
+  const elapsedSeconds = job.elapsed_ms / 1000;
+  const throughput = elapsedSeconds > 0 ? job.processed / elapsedSeconds : 0;
+  const remaining = Math.max(job.total_products - job.processed, 0);
+
+  return {
+    id: job.id,
+    status: job.status,
+    runningOnThisInstance: activeRuns.has(job.id),
+    chunkSize: job.chunk_size,
+    forceRefresh: job.force_refresh,
+    progress: {
+      totalProducts: job.total_products,
+      processed: job.processed,
+      remaining,
+      percent: job.total_products > 0 ? Math.round((job.processed / job.total_products) * 10000) / 100 : 0,
+      verified: job.verified,
+      unverified: job.unverified,
+      failed: job.failed
+    },
+    throughput: {
+      productsPerSecond: Math.round(throughput * 100) / 100,
+      elapsedSeconds: Math.round(elapsedSeconds),
+      estimatedSecondsRemaining: throughput > 0 && job.status === 'running' ? Math.round(remaining / throughput) : null
+    },
+    checkpoint: job.last_product_id,
+    recentFailures: parseFailures(job.failures),
+    lastError: job.last_error,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    updatedAt: job.updated_at,
+    finishedAt: job.finished_at
+  };
+}
+
+module.exports = {
+  isJobStoreAvailable,
+  createJob,
+  getJob,
+  runJob,
+  startJob,
+  resumeJob,
+  pauseJob,
+  resumeInterruptedJobs,
+  getJobProgress
+};
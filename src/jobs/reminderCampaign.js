@@ -0,0 +1,327 @@
+const cron = require('node-cron');
+const { gtrackDB } = require('../models');
+const { safeDbQuery, chunk } = require('../utils/db');
+const { fetchUnverifiedProductsAndMembers } = require('../controllers/emailsend');
+const { sendDigests } = require('../services/emailDelivery');
+const { isProductsAvailable } = require('../services/verificationService');
+const { acquireLock, renewLock, releaseLock } = require('../services/distributedLock');
+
+/**
+ * Reminder campaigns
+ * On a cron schedule (weekly by default) every member with unverified products gets the
+ * verification digest again. After REMINDER_ESCALATE_AFTER reminders the digest is CC'd to
+ * the admins in REMINDER_ESCALATION_CC. Members are skipped while they are in their
+ * cooldown or unsubscribed, and their reminder count starts over once all their products
+ * are verified. Per-member state lives in the GTRACKDB `member_email_reminders` table and
+ * a DistributedLock row makes sure a campaign runs on one server instance only.
+ */
+
+const LOCK_NAME = 'reminder-campaign';
+const LOCK_TTL_MS = parseInt(process.env.REMINDER_LOCK_TTL_MS) || 30 * 60 * 1000;
+
+const SCHEDULE = process.env.REMINDER_SCHEDULE || '0 9 * * 1';
+const TIMEZONE = process.env.REMINDER_TIMEZONE || 'Asia/Riyadh';
+const COOLDOWN_MS = (parseFloat(process.env.REMINDER_COOLDOWN_DAYS) || 6) * 24 * 60 * 60 * 1000;
+const ESCALATE_AFTER = parseInt(process.env.REMINDER_ESCALATE_AFTER) || 3;
+
+let scheduledTask = null;
+let running = false;
+let lastRun = null;
+
+/**
+ * Check whether the reminder state table is available
+ * @returns {boolean}
+ */
+function isReminderStoreAvailable() {
+  return Boolean(gtrackDB && gtrackDB.member_email_reminders && isProductsAvailable());
+}
+
+/**
+ * Admin addresses CC'd on escalated reminders
+ * @returns {Array}
+ */
+function getEscalationCc() {
+  return (process.env.REMINDER_ESCALATION_CC || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Load the reminder state of a set of members
+ * @param {Array} memberIds
+ * @returns {Promise<Map>} - member id -> member_email_reminders row
+ */
+async function loadReminderStates(memberIds) {
+  const states = new Map();
+  for (const ids of chunk(memberIds)) {
+    const rows = await safeDbQuery(() => gtrackDB.member_email_reminders.findMany({
+      where: { member_id: { in: ids } }
+    }));
+    rows.forEach(row => states.set(row.member_id, row));
+  }
+  return states;
+}
+
+/**
+ * Decide whether a member gets a reminder in this campaign
+ * @param {Object} state - member_email_reminders row (or undefined for a member never reminded)
+ * @param {Date} now
+ * @returns {string|null} - Reason to skip the member, or null when a reminder is due
+ */
+function getSkipReason(state, now) {
+  if (!state) return null;
+  if (state.unsubscribed) return 'unsubscribed';
+  if (state.last_sent_at && now - new Date(state.last_sent_at) < COOLDOWN_MS) return 'cooldown';
+  return null;
+}
+
+/**
+ * Record a sent reminder
+ * @param {Object} group - Digest group that was sent (with escalate)
+ * @param {Object} email - The sent email { subject, text }
+ * @param {Object} state - Previous state row, if any
+ * @param {Date} now
+ */
+async function recordReminder(group, email, state, now) {
+  const data = {
+    email: group.memberEmail,
+    reminder_count: (state ? state.reminder_count : 0) + 1,
+    product_count: group.products.length,
+    subject: email.subject,
+    message: email.text,
+    escalated: group.escalate,
+    last_sent_at: now,
+    updated_at: now
+  };
+
+  await safeDbQuery(() => gtrackDB.member_email_reminders.upsert({
+    where: { member_id: group.memberId },
+    create: { member_id: group.memberId, ...data, created_at: now },
+    update: data
+  }), null);
+}
+
+/**
+ * Start the reminder count over for members whose products are all verified now
+ * @param {Set} pendingMemberIds - Members that still have unverified products
+ * @returns {Promise<number>} - Number of members reset
+ */
+async function resetCompletedMembers(pendingMemberIds) {
+  const reminded = await safeDbQuery(() => gtrackDB.member_email_reminders.findMany({
+    where: { reminder_count: { gt: 0 } },
+    select: { id: true, member_id: true }
+  }));
+  const completedIds = reminded.filter(row => !pendingMemberIds.has(row.member_id)).map(row => row.id);
+
+  for (const ids of chunk(completedIds)) {
+    await safeDbQuery(() => gtrackDB.member_email_reminders.updateMany({
+      where: { id: { in: ids } },
+      data: { reminder_count: 0, escalated: false, updated_at: new Date() }
+    }), null);
+  }
+  return completedIds.length;
+}
+
+/**
+ * Run one reminder campaign
+ * @param {Object} options - { dryRun, trigger: 'schedule' | 'manual' }
+ * @returns {Promise<Object>} - Campaign summary; status is 'completed', 'locked', 'lock_lost' or 'unavailable'
+ */
+async function runReminderCampaign(options = {}) {
+  const dryRun = options.dryRun === true;
+  const trigger = options.trigger || 'manual';
+
+  if (!isReminderStoreAvailable()) {
+    console.error('Reminder campaign skipped: member_email_reminders or products table is not available');
+    return { status: 'unavailable' };
+  }
+
+  const lockToken = await acquireLock(LOCK_NAME, LOCK_TTL_MS);
+  if (!lockToken) {
+    console.log('Reminder campaign is already running on another instance');
+    return { status: 'locked' };
+  }
+
+  running = true;
+  const startedAt = new Date();
+
+  // Renewed after every verified chunk and before every email. A failed renewal means another
+  // instance has taken the campaign over (this one ran past the lock's expiry), so stop here.
+  let lockLost = false;
+  const keepLock = async () => {
+    if (!lockLost && !await renewLock(LOCK_NAME, lockToken, LOCK_TTL_MS)) {
+      lockLost = true;
+      console.error('Reminder campaign lost its lock - stopping on this instance');
+    }
+    return !lockLost;
+  };
+
+  try {
+    const groups = (await fetchUnverifiedProductsAndMembers({ onChunk: keepLock })) || [];
+    if (lockLost) {
+      lastRun = { status: 'lock_lost', trigger, dryRun, startedAt, finishedAt: new Date() };
+      return lastRun;
+    }
+
+    const states = await loadReminderStates(groups.map(group => group.memberId));
+    const escalationCc = getEscalationCc();
+    const skipped = { unsubscribed: 0, cooldown: 0 };
+    const due = [];
+
+    groups.forEach(group => {
+      const state = states.get(group.memberId);
+      const reason = getSkipReason(state, startedAt);
+      if (reason) {
+        skipped[reason]++;
+        return;
+      }
+
+      // The reminder after the ESCALATE_AFTER-th goes to the admins too
+      const escalate = (state ? state.reminder_count : 0) >= ESCALATE_AFTER;
+      due.push({ ...group, escalate, ...(escalate && { cc: escalationCc }) });
+    });
+
+    if (due.some(group => group.escalate) && escalationCc.length === 0) {
+      console.warn('Reminders are due for escalation but REMINDER_ESCALATION_CC is not set');
+    }
+
+    // State is recorded right after each send, so a crash mid-campaign doesn't remind anyone twice
+    const delivery = due.length > 0
+      ? await sendDigests(due, {
+        dryRun,
+        beforeSend: keepLock,
+        onSent: (group, email) => recordReminder(group, email, states.get(group.memberId), startedAt)
+      })
+      : { dryRun, transport: null, sent: 0, failed: 0, results: [] };
+
+    let reset = 0;
+    if (!dryRun && await keepLock()) {
+      reset = await resetCompletedMembers(new Set(groups.map(group => group.memberId)));
+    }
+
+    lastRun = {
+      status: lockLost ? 'lock_lost' : 'completed',
+      trigger,
+      dryRun,
+      startedAt,
+      finishedAt: new Date(),
+      membersWithUnverifiedProducts: groups.length,
+      reminded: dryRun ? 0 : delivery.sent,
+      escalated: due.filter(group => group.escalate).length,
+      failed: delivery.failed,
+      skipped,
+      reset
+    };
+    console.log(`Reminder campaign (${trigger}${dryRun ? ', dry run' : ''}): ${due.length} due, ${delivery.sent} sent, ${delivery.failed} failed, ${skipped.cooldown} in cooldown, ${skipped.unsubscribed} unsubscribed`);
+
+    return { ...lastRun, results: delivery.results };
+  } catch (error) {
+    console.error('Reminder campaign failed:', error.message);
+    lastRun = { status: 'failed', trigger, dryRun, startedAt, finishedAt: new Date(), error: error.message };
+    throw error;
+  } finally {
+    running = false;
+    await releaseLock(LOCK_NAME, lockToken);
+  }
+}
+
+/**
+ * Start the cron schedule on this instance (REMINDERS_ENABLED=true)
+ * Every instance schedules the campaign; the lock lets one of them run it.
+ * @returns {boolean} - True when the scheduler was started
+ */
+function startReminderScheduler() {
+  if (process.env.REMINDERS_ENABLED !== 'true' || scheduledTask) return false;
+
+  if (!cron.validate(SCHEDULE)) {
+    console.error(`Invalid REMINDER_SCHEDULE "${SCHEDULE}" - reminder campaigns are disabled`);
+    return false;
+  }
+
+  scheduledTask = cron.schedule(SCHEDULE, () => {
+    runReminderCampaign({ trigger: 'schedule' }).catch(error => {
+      console.error('Scheduled reminder campaign crashed:', error.message);
+    });
+  }, { timezone: TIMEZONE, name: LOCK_NAME, noOverlap: true });
+
+  console.log(`Reminder campaigns scheduled: "${SCHEDULE}" (${TIMEZONE})`);
+  return true;
+}
+
+/**
+ * Stop the cron schedule on this instance
+ */
+function stopReminderScheduler() {
+  if (!scheduledTask) return;
+  scheduledTask.stop();
+  scheduledTask = null;
+}
+
+/**
+ * Scheduler configuration and the outcome of the last campaign on this instance
+ * @returns {Object}
+ */
+function getReminderStatus() {
+  return {
+    enabled: Boolean(scheduledTask),
+    schedule: SCHEDULE,
+    timezone: TIMEZONE,
+    cooldownDays: COOLDOWN_MS / (24 * 60 * 60 * 1000),
+    escalateAfter: ESCALATE_AFTER,
+    escalationCc: getEscalationCc(),
+    runningOnThisInstance: running,
+    lastRun
+  };
+}
+
+/**
+ * Get the reminder state of members
+ * @param {Object} options - { memberId, limit }
+ * @returns {Promise<Array>}
+ */
+function getReminderStates(options = {}) {
+  return safeDbQuery(() => gtrackDB.member_email_reminders.findMany({
+    where: options.memberId ? { member_id: options.memberId } : {},
+    orderBy: { updated_at: 'desc' },
+    take: options.limit || 100,
+    select: {
+      member_id: true,
+      email: true,
+      reminder_count: true,
+      product_count: true,
+      escalated: true,
+      unsubscribed: true,
+      unsubscribed_at: true,
+      last_sent_at: true,
+      updated_at: true
+    }
+  }));
+}
+
+/**
+ * Turn reminders of a member off or back on
+ * @param {string} memberId - gtrackDB Member id
+ * @param {boolean} unsubscribed
+ * @returns {Promise<Object|null>} - Updated state row
+ */
+function setUnsubscribed(memberId, unsubscribed) {
+  const now = new Date();
+  const data = { unsubscribed, unsubscribed_at: unsubscribed ? now : null, updated_at: now };
+
+  return safeDbQuery(() => gtrackDB.member_email_reminders.upsert({
+    where: { member_id: memberId },
+    create: { member_id: memberId, ...data, created_at: now },
+    update: data
+  }), null);
+}
+
+module.exports = {
+  isReminderStoreAvailable,
+  runReminderCampaign,
+  startReminderScheduler,
+  stopReminderScheduler,
+  getReminderStatus,
+  getReminderStates,
+  setUnsubscribed
+};
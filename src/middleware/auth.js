@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { gtrackDB } = require('../models');
+const { safeDbQuery } = require('../utils/db');
+
+/**
+ * Caller authentication
+ * - Admins send ADMIN_API_KEY in the X-Admin-Key header
+ * - Members send the session token the GTrack backend issued them as
+ *   "Authorization: Bearer <token>" - a JWT signed with MEMBER_TOKEN_SECRET whose
+ *   MEMBER_TOKEN_CLAIM (default `id`) is the gtrackDB Member id
+ * The caller ends up in req.auth: { role: 'admin' } or { role: 'member', memberId }.
+ */
+
+const MEMBER_TOKEN_CLAIM = process.env.MEMBER_TOKEN_CLAIM || 'id';
+
+/**
+ * Compare a presented key with the configured one in constant time
+ * @param {string} presented
+ * @param {string} expected
+ * @returns {boolean}
+ */
+function isSameKey(presented, expected) {
+  if (!presented || !expected) return false;
+  const a = crypto.createHash('sha256').update(String(presented)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Identify the caller of a request
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - { role: 'admin' } or { role: 'member', memberId }, or null
+ */
+async function identifyCaller(req) {
+  if (isSameKey(req.get('X-Admin-Key'), process.env.ADMIN_API_KEY)) {
+    return { role: 'admin' };
+  }
+
+  const header = req.get('Authorization') || '';
+  const secret = process.env.MEMBER_TOKEN_SECRET;
+  if (!secret || !header.startsWith('Bearer ')) return null;
+
+  let claims;
+  try {
+    claims = jwt.verify(header.slice('Bearer '.length).trim(), secret, { algorithms: ['HS256'] });
+  } catch (error) {
+    return null;
+  }
+
+  const memberId = claims && claims[MEMBER_TOKEN_CLAIM] ? String(claims[MEMBER_TOKEN_CLAIM]) : null;
+  if (!memberId || !gtrackDB || !gtrackDB.Member) return null;
+
+  // The member must still exist; a token outlives a deleted account
+  const member = await safeDbQuery(() => gtrackDB.Member.findUnique({
+    where: { id: memberId },
+    select: { id: true }
+  }), null);
+  return member ? { role: 'member', memberId: member.id } : null;
+}
+
+/**
+ * Require an admin or an authenticated member
+ */
+async function requireAuth(req, res, next) {
+  try {
+    req.auth = await identifyCaller(req);
+    if (!req.auth) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Require the admin API key
+ */
+async function requireAdmin(req, res, next) {
+  try {
+    req.auth = await identifyCaller(req);
+    if (!req.auth) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+    if (req.auth.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Admin access required' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  identifyCaller,
+  requireAuth,
+  requireAdmin
+};
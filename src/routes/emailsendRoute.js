@@ -1,14 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const { fetchUnverifiedProductsAndMembers } = require('../controllers/emailsend');
+const { isDryRunConfigured, sendDigests } = require('../services/emailDelivery');
+const reminderController = require('../controllers/reminderController');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+
+/**
+ * Member whose digest the caller may see or send
+ * Members only reach their own; admins pick one with member_id
+ * @param {Object} req - Request authenticated by requireAuth
+ * @param {string} requested - member_id of the request
+ * @returns {string|null}
+ */
+function scopedMemberId(req, requested) {
+  return req.auth.role === 'admin' ? requested || null : req.auth.memberId;
+}
 
 /**
  * GET /api/emailsend/unverified-products
  * Fetches unverified products and returns matching member details with product information
+ * Query: member_id limits the scan to one member's products (admins; members get their own)
  */
-router.get('/unverified-products', async (req, res) => {
+router.get('/unverified-products', requireAuth, async (req, res) => {
   try {
-    const results = await fetchUnverifiedProductsAndMembers();
+    const results = await fetchUnverifiedProductsAndMembers({ memberId: scopedMemberId(req, req.query.member_id) });
     
     if (results && results.length > 0) {
       const totalProducts = results.reduce((sum, member) => sum + member.products.length, 0);
@@ -38,4 +53,86 @@ router.get('/unverified-products', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/emailsend/unverified-products/send
+ * Emails a member a digest of their unverified products
+ * Query/body: member_id (required for admins; members get their own digest), dryRun=true returns
+ * the rendered email without sending it,
+ * language=en|ar sends the digest in that language instead of the member's
+ * The whole catalogue is too much for one request; the reminder campaign emails every member.
+ */
+router.post('/unverified-products/send', requireAuth, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const memberId = scopedMemberId(req, req.query.member_id || body.member_id);
+    if (!memberId) {
+      return res.status(400).json({
+        success: false,
+        message: 'member_id is required. Use POST /api/emailsend/reminders/run to email every member.'
+      });
+    }
+
+    const flag = req.query.dryRun !== undefined ? req.query.dryRun : body.dryRun;
+    const dryRun = flag !== undefined ? flag === true || flag === 'true' : isDryRunConfigured();
+
+    const results = await fetchUnverifiedProductsAndMembers({ memberId });
+
+    if (!results || results.length === 0) {
+      return res.json({
+        success: true,
+        message: 'No unverified products found with matching member details',
+        dryRun,
+        memberCount: 0,
+        sent: 0,
+        failed: 0,
+        data: []
+      });
+    }
+
+    const language = req.query.language || body.language;
+    const summary = await sendDigests(results, { dryRun, language });
+
+    res.json({
+      success: summary.failed === 0,
+      message: dryRun
+        ? `Rendered ${summary.results.length} digest(s) without sending`
+        : `Sent ${summary.sent} of ${results.length} digest(s) via ${summary.transport}`,
+      dryRun,
+      transport: summary.transport,
+      memberCount: results.length,
+      sent: summary.sent,
+      failed: summary.failed,
+      data: summary.results
+    });
+  } catch (error) {
+    console.error('Error in unverified-products send endpoint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/emailsend/reminders - Reminder schedule and the last campaign
+router.get('/reminders', requireAdmin, reminderController.getReminderStatus);
+
+// POST /api/emailsend/reminders/run - Run a reminder campaign now
+router.post('/reminders/run', requireAdmin, reminderController.runReminderCampaign);
+
+// GET /api/emailsend/reminders/members - Reminder state of members
+router.get('/reminders/members', requireAdmin, reminderController.getReminderStates);
+
+// GET /api/emailsend/reminders/unsubscribe?token=&lang= - Confirmation page of a digest's unsubscribe link
+router.get('/reminders/unsubscribe', reminderController.showUnsubscribePage);
+
+// POST /api/emailsend/reminders/unsubscribe?token= - Unsubscribe with a digest's signed token (no login)
+router.post('/reminders/unsubscribe', reminderController.unsubscribeWithToken);
+
+// POST /api/emailsend/reminders/members/:memberId/unsubscribe - Stop reminding a member (admins, or the member)
+router.post('/reminders/members/:memberId/unsubscribe', requireAuth, reminderController.unsubscribeMember);
+
+// POST /api/emailsend/reminders/members/:memberId/subscribe - Remind a member again (admins, or the member)
+router.post('/reminders/members/:memberId/subscribe', requireAuth, reminderController.resubscribeMember);
+
 module.exports = router;
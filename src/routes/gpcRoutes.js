@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const gpcController = require('../controllers/gpcController');
+
+// GET /api/gpc/suggest?name=&brand=&unit= - Ranked GPC bricks for a product being entered
+router.get('/suggest', gpcController.suggestBricks);
+
+module.exports = router;
@@ -1,9 +1,17 @@
 const express = require('express');
 const productController = require('../controllers/productControllerV4');
 const productControllerV5 = require('../controllers/productControllerV5');
+const verificationController = require('../controllers/verificationController');
+const duplicateController = require('../controllers/duplicateController');
 const router = express.Router();
 
 // GET /api/products - Get all products for testing
 router.get('/', productController.getAllProducts);
 router.get('/v5', productControllerV5.getAllProducts);
+
+// GET /api/products/duplicates - Barcode collisions, near duplicates and foreign GTIN collisions
+router.get('/duplicates', duplicateController.getDuplicates);
+
+// GET /api/products/:barcode/verification/history - Stored verification results of a product
+router.get('/:barcode/verification/history', verificationController.getVerificationHistory);
 module.exports = router;
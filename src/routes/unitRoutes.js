@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const unitController = require('../controllers/unitController');
+
+// GET /api/units/resolve?q= - Map a free-text unit to its UN/ECE Rec 20 code
+router.get('/resolve', unitController.resolveUnit);
+
+module.exports = router;
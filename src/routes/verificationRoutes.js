@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const verificationController = require('../controllers/verificationController');
+const { requireAdmin } = require('../middleware/auth');
+
+// Jobs verify the whole catalogue, so only admins (X-Admin-Key) start or steer them
+router.use(requireAdmin);
+
+// POST /api/verification/jobs - Start verifying every product in the background
+router.post('/jobs', verificationController.startVerificationJob);
+
+// GET /api/verification/jobs/:id - Progress, throughput and failures of a job
+router.get('/jobs/:id', verificationController.getVerificationJob);
+
+// POST /api/verification/jobs/:id/resume - Resume a job from its checkpoint
+router.post('/jobs/:id/resume', verificationController.resumeVerificationJob);
+
+// POST /api/verification/jobs/:id/pause - Stop a job after its current chunk
+router.post('/jobs/:id/pause', verificationController.pauseVerificationJob);
+
+module.exports = router;
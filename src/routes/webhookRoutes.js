@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { requireAuth } = require('../middleware/auth');
+
+// Admins (X-Admin-Key) or members (their bearer token); members only reach their own webhooks
+router.use(requireAuth);
+
+// GET /api/webhooks/deliveries?webhook_id=&member_id=&status=&limit= - Delivery log (status=dead for dead letters)
+router.get('/deliveries', webhookController.getDeliveries);
+
+// POST /api/webhooks/deliveries/:id/retry - Queue a delivery again
+router.post('/deliveries/:id/retry', webhookController.retryDelivery);
+
+// GET /api/webhooks?member_id= - Registered webhooks
+router.get('/', webhookController.listWebhooks);
+
+// POST /api/webhooks - Register a webhook endpoint
+router.post('/', webhookController.registerWebhook);
+
+// DELETE /api/webhooks/:id - Delete a webhook
+router.delete('/:id', webhookController.deleteWebhook);
+
+// POST /api/webhooks/:id/test - Send a test event
+router.post('/:id/test', webhookController.testWebhook);
+
+module.exports = router;
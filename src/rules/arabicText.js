@@ -0,0 +1,118 @@
+const { validateArabicField, compareTransliteration, containsArabic } = require('../services/arabicText');
+
+// Below this the Arabic brand doesn't read like a transliteration of the English one
+const MIN_TRANSLITERATION_SIMILARITY = 0.5;
+
+// Arabic fields and the English field each one is compared with
+const ARABIC_FIELDS = [
+  { field: 'productnamearabic', englishField: 'productnameenglish', label: 'Arabic product name', required: true },
+  { field: 'BrandNameAr', englishField: 'BrandName', label: 'Arabic brand name', required: false }
+];
+
+/**
+ * Arabic Name & Brand
+ * The Arabic product name is required and, like the optional Arabic brand name, must be
+ * written in Arabic script - not English copied across, and not placeholder or test text.
+ * BrandNameAr should also read like a transliteration of BrandName.
+ */
+module.exports = {
+  id: 'arabic-text',
+  name: 'Arabic Name & Brand',
+  version: '1.0.0',
+  severity: 'high',
+  weight: 10,
+  fields: ['productnamearabic', 'BrandNameAr', 'productnameenglish', 'BrandName'],
+
+  evaluate(product, context, report) {
+    const arabicValidation = {};
+
+    ARABIC_FIELDS.forEach(({ field, englishField, label, required }) => {
+      const value = product[field] ? String(product[field]).trim() : '';
+
+      if (!value) {
+        if (!required) return;
+
+        report.missing(field);
+        report.fail({
+          message: `Product must have an ${label}`,
+          field
+        });
+        report.flagField(field, {
+          reason: 'Missing required field'
+        });
+        report.suggest({
+          field,
+          suggestion: `Add the ${label} exactly as it is printed on the Arabic label of the pack.`,
+          importance: 'High'
+        });
+        return;
+      }
+
+      const validation = validateArabicField(value, { englishValue: product[englishField] });
+      arabicValidation[field] = {
+        valid: validation.valid,
+        arabicShare: validation.script.arabicShare,
+        problems: validation.problems.map(problem => problem.code)
+      };
+
+      validation.problems.forEach(problem => {
+        if (problem.blocking) {
+          report.fail({
+            message: `${label} ${problem.message}`,
+            field,
+            code: problem.code
+          });
+          report.flagField(field, {
+            reason: `${label} ${problem.message}`,
+            details: {
+              code: problem.code,
+              arabicShare: validation.script.arabicShare
+            }
+          });
+        }
+
+        report.suggest({
+          field,
+          suggestion: problem.suggestion,
+          importance: problem.blocking ? 'High' : 'Medium',
+          originalValue: value
+        });
+      });
+
+      if (validation.problems.length === 0) {
+        report.pass({
+          message: `${label} is written in Arabic`
+        });
+      }
+    });
+
+    // Transliteration check - only meaningful for a Latin BrandName and a valid Arabic BrandNameAr
+    const brandNameAr = arabicValidation.BrandNameAr;
+    if (product.BrandName && brandNameAr && brandNameAr.valid && !containsArabic(product.BrandName)) {
+      const comparison = compareTransliteration(product.BrandName, product.BrandNameAr);
+
+      if (comparison) {
+        const consistent = comparison.similarity >= MIN_TRANSLITERATION_SIMILARITY;
+        arabicValidation.brandTransliteration = { ...comparison, consistent };
+
+        if (consistent) {
+          report.pass({
+            message: 'Arabic brand name matches the English brand name',
+            score: Math.round(comparison.similarity * 100)
+          });
+        } else {
+          // Brands may be translated rather than transliterated, so this is a review hint only
+          report.suggest({
+            field: 'BrandNameAr',
+            suggestion: `The Arabic brand name "${product.BrandNameAr}" does not sound like "${product.BrandName}". Check that both fields name the same brand.`,
+            importance: 'Medium',
+            originalValue: product.BrandNameAr,
+            validationDetails: arabicValidation.brandTransliteration
+          });
+        }
+      }
+    }
+
+    report.attach('arabicValidation', arabicValidation);
+  }
+};
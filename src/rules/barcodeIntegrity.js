@@ -0,0 +1,70 @@
+const { validateBarcode } = require('../services/productAnalysis');
+
+/**
+ * Barcode Integrity
+ * Validates the barcode as a GS1 GTIN: length, mod-10 check digit and GS1 prefix.
+ * Restricted circulation numbers (020-029, 040-049, 2xx) are rejected for trade items.
+ */
+module.exports = {
+  id: 'barcode-integrity',
+  name: 'Barcode Integrity',
+  version: '1.0.0',
+  severity: 'critical',
+  weight: 25,
+  fields: ['barcode'],
+
+  evaluate(product, context, report) {
+    const barcodeValidation = validateBarcode(product.barcode);
+
+    report.attach('barcodeValidation', {
+      valid: barcodeValidation.valid,
+      format: barcodeValidation.format || null,
+      gs1Prefix: barcodeValidation.gs1Prefix || null,
+      restrictedCirculation: barcodeValidation.restrictedCirculation || false,
+      checkDigit: barcodeValidation.checkDigit || null
+    });
+
+    if (barcodeValidation.valid) {
+      report.pass({
+        message: barcodeValidation.message
+      });
+      return;
+    }
+
+    if (!product.barcode) {
+      report.missing('barcode');
+    }
+
+    barcodeValidation.problems.forEach(problem => report.fail({
+      severity: problem.severity,
+      message: problem.message,
+      code: problem.code
+    }));
+
+    report.flagField('barcode', {
+      severity: barcodeValidation.problems[0].severity,
+      reason: barcodeValidation.message,
+      details: {
+        format: barcodeValidation.format,
+        checkDigit: barcodeValidation.checkDigit,
+        gs1Prefix: barcodeValidation.gs1Prefix
+      }
+    });
+
+    barcodeValidation.problems.forEach(problem => {
+      const suggestion = {
+        field: 'barcode',
+        suggestion: problem.suggestion,
+        importance: problem.severity === 'critical' ? 'Critical' : 'High'
+      };
+
+      // Offer the barcode with the corrected check digit
+      if (problem.code === 'invalid_check_digit') {
+        suggestion.correctedBarcode = barcodeValidation.correctedBarcode;
+        suggestion.originalValue = product.barcode;
+      }
+
+      report.suggest(suggestion);
+    });
+  }
+};
@@ -0,0 +1,58 @@
+const { validateBrandName, formatBrandNameSuggestion } = require('../services/productAnalysis');
+
+/**
+ * Brand Name Format
+ * Checks that the brand name follows proper formatting and naming conventions.
+ */
+module.exports = {
+  id: 'brand-name-format',
+  name: 'Brand Name Format',
+  version: '1.0.1',
+  severity: 'high',
+  weight: 10,
+  fields: ['BrandName'],
+
+  evaluate(product, context, report) {
+    if (!product.BrandName) return;
+
+    const brandValidation = validateBrandName(product.BrandName);
+
+    // Get formatted brand name suggestion
+    const brandSuggestion = formatBrandNameSuggestion(product.BrandName);
+
+    if (brandValidation.valid) {
+      report.pass({
+        message: 'Brand name is properly formatted',
+        score: brandValidation.score
+      });
+      return;
+    }
+
+    report.fail({
+      message: brandValidation.issues.join('. ')
+    });
+
+    report.flagField('BrandName', {
+      reason: 'Brand name format issues',
+      details: {
+        score: brandValidation.score,
+        analysis: brandValidation.analysis,
+        suggestedFormat: brandSuggestion
+      }
+    });
+
+    report.suggest({
+      field: 'BrandName',
+      suggestion: brandValidation.suggestions.join(' '),
+      importance: 'High',
+      validationDetails: {
+        properNoun: brandValidation.analysis.properNoun,
+        wellFormatted: !brandValidation.analysis.hasSpecialCharacters,
+        containsTestData: brandValidation.analysis.containsTestData,
+        score: brandValidation.score
+      },
+      formattedSuggestion: brandSuggestion,
+      originalValue: product.BrandName
+    });
+  }
+};
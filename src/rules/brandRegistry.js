@@ -0,0 +1,123 @@
+/**
+ * Describe a brand entry for messages
+ */
+function describe(brand) {
+  return brand.nameAr && brand.name ? `${brand.name} (${brand.nameAr})` : (brand.name || brand.nameAr);
+}
+
+/**
+ * Brand Registry
+ * BrandName must be a brand the member registered - in gtrackDB `brands` or in GS1DB
+ * `brands` under the member's GS1 account - and the registration must be active.
+ * Brands registered to another company and misspellings of the member's own brands
+ * are reported with the brand to use instead.
+ */
+module.exports = {
+  id: 'brand-registry',
+  name: 'Brand Registry',
+  version: '1.0.0',
+  severity: 'high',
+  weight: 15,
+  fields: ['BrandName'],
+  // A brand being registered, suspended or expiring changes the outcome
+  cacheable: false,
+
+  evaluate(product, context, report) {
+    // Missing brand is reported by Required Brand; brandMatch is null when no brand table is available
+    const match = context.brandMatch;
+    if (!product.BrandName || !match) return;
+
+    report.attach('brandRegistry', {
+      status: match.status,
+      brand: match.brand ? {
+        source: match.brand.source,
+        id: match.brand.id,
+        name: match.brand.name,
+        nameAr: match.brand.nameAr,
+        status: match.brand.status,
+        hasCertificate: Boolean(match.brand.certificate)
+      } : null,
+      otherCompanies: match.otherCompanies.length,
+      suggestions: match.suggestions.map(brand => brand.name)
+    });
+
+    if (match.status === 'other_company') {
+      report.fail({
+        message: `Brand "${product.BrandName}" is registered to a different company`,
+        code: 'brand_other_company'
+      });
+      report.flagField('BrandName', {
+        reason: 'Brand registered to a different company',
+        details: { registrations: match.otherCompanies.length }
+      });
+      report.suggest({
+        field: 'BrandName',
+        suggestion: match.suggestions.length > 0
+          ? `"${product.BrandName}" belongs to another company. Did you mean your brand ${describe(match.suggestions[0])}? If you distribute this brand, ask the brand owner to register the product.`
+          : `"${product.BrandName}" belongs to another company. Use one of your own registered brands, or ask the brand owner to register the product if you distribute it.`,
+        importance: 'High',
+        originalValue: product.BrandName,
+        ...(match.suggestions.length > 0 && { suggestedValue: match.suggestions[0].name })
+      });
+      return;
+    }
+
+    if (match.status === 'unregistered') {
+      const closest = match.suggestions[0];
+      report.fail({
+        message: `Brand "${product.BrandName}" is not registered for this member`,
+        code: 'unregistered_brand'
+      });
+      report.flagField('BrandName', {
+        reason: closest ? 'Brand not registered - possible typo' : 'Brand not registered',
+        details: { suggestions: match.suggestions.map(brand => brand.name) }
+      });
+      report.suggest({
+        field: 'BrandName',
+        suggestion: closest
+          ? `"${product.BrandName}" is not one of your registered brands. Did you mean ${describe(closest)}?`
+          : `"${product.BrandName}" is not one of your registered brands. Register the brand with GS1 before using it on products.`,
+        importance: 'High',
+        originalValue: product.BrandName,
+        ...(closest && { suggestedValue: closest.name })
+      });
+      return;
+    }
+
+    if (match.status === 'inactive') {
+      report.fail({
+        severity: 'medium',
+        message: `Brand "${product.BrandName}" is registered but its status is ${match.brand.status || 'not set'}`,
+        code: 'inactive_brand'
+      });
+      report.flagField('BrandName', {
+        severity: 'medium',
+        reason: 'Brand registration not active',
+        details: { status: match.brand.status, source: match.brand.source }
+      });
+      report.suggest({
+        field: 'BrandName',
+        suggestion: match.brand.certificate
+          ? `The registration of "${describe(match.brand)}" is not active yet. Follow up with GS1 on the brand approval.`
+          : `The registration of "${describe(match.brand)}" is not active. Upload the brand certificate (trademark registration) so GS1 can approve the brand.`,
+        importance: 'Medium',
+        originalValue: product.BrandName
+      });
+      return;
+    }
+
+    // Registered and active; a missing certificate doesn't fail the product
+    if (!match.brand.certificate) {
+      report.suggest({
+        field: 'BrandName',
+        suggestion: `Brand "${describe(match.brand)}" has no brand certificate on file. Upload the trademark certificate to keep the registration complete.`,
+        importance: 'Low',
+        originalValue: product.BrandName
+      });
+    }
+
+    report.pass({
+      message: `Brand "${product.BrandName}" is registered to this member and active`
+    });
+  }
+};
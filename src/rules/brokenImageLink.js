@@ -0,0 +1,69 @@
+const { checkImageExists } = require('../services/imageLoader');
+const { PRODUCT_IMAGE_FIELDS, loadProductImages, getProductImageSlots } = require('../services/productImages');
+
+/**
+ * Broken Image Link
+ * Every image path on the product (and every extra image in GS1DB product_images) must
+ * point to a file that exists in the configured image store (local roots or base URLs).
+ */
+module.exports = {
+  id: 'broken-image-link',
+  name: 'Broken Image Link',
+  version: '1.2.0',
+  severity: 'high',
+  weight: 15,
+  fields: [...PRODUCT_IMAGE_FIELDS, 'product_images'],
+
+  // Load the GS1DB product_images rows for the whole batch at once
+  prepare(products) {
+    return loadProductImages(products);
+  },
+
+  async evaluate(product, context, report) {
+    const extraImages = context.prepared ? (context.prepared[String(product.id)] || []) : [];
+    const slots = getProductImageSlots(product, extraImages);
+
+    const checks = await Promise.all(slots.map(async slot => ({
+      field: slot.field,
+      slot: slot.slot,
+      imagePath: slot.imagePath,
+      result: await checkImageExists(slot.imagePath)
+    })));
+
+    checks.forEach(({ field, slot, imagePath, result }) => {
+      // Only report links we know are broken - unreachable hosts prove nothing
+      if (!result.broken) return;
+
+      report.fail({
+        message: `Broken image link: ${slot} "${imagePath}" was not found`,
+        field,
+        image: slot,
+        checkedLocations: result.checked.map(entry => entry.location)
+      });
+
+      report.flagField(field, {
+        reason: 'Broken image link',
+        details: {
+          image: slot,
+          imagePath,
+          checked: result.checked
+        }
+      });
+
+      report.suggest({
+        field,
+        image: slot,
+        suggestion: `The image file for ${slot} is missing from the image store. Please upload the image again.`,
+        importance: field === 'front_image' ? 'Critical' : 'High',
+        originalValue: imagePath
+      });
+    });
+
+    const workingLinks = checks.filter(check => check.result.exists);
+    if (workingLinks.length > 0 && workingLinks.length === checks.length) {
+      report.pass({
+        message: `All ${workingLinks.length} image link(s) resolve to existing files`
+      });
+    }
+  }
+};
@@ -0,0 +1,121 @@
+const { getBrickIndex, classifyProduct } = require('../services/brickClassifier');
+const { parseGpcValue } = require('../services/gpcHierarchy');
+
+// Candidates reported with every result
+const TOP_N = 5;
+
+// The product's brick passes when it ranks among this many candidates
+const ACCEPTED_RANK = 10;
+
+// Below this share of the best candidate's score the brick doesn't describe the product
+const MIN_BRICK_CONFIDENCE = 0.3;
+
+// The best candidate needs at least this score before a mismatch is reported,
+// otherwise the product name says too little to judge
+const MIN_EVIDENCE_SCORE = 1.5;
+
+/**
+ * Category Match
+ * Ranks the GPC bricks for the product name and brand with the brick classifier, which
+ * scores them against the official brick definitions (includes/excludes), and checks that
+ * the product's own brick is among the likely ones.
+ */
+module.exports = {
+  id: 'category-match',
+  name: 'Category Match',
+  version: '2.0.0',
+  severity: 'high',
+  weight: 15,
+  fields: ['productnameenglish', 'BrandName', 'gpc'],
+
+  // Build (or reuse) the brick index once for the batch
+  async prepare() {
+    return { index: await getBrickIndex() };
+  },
+
+  async evaluate(product, context, report) {
+    if (!product.gpc || !product.productnameenglish) return;
+    if (!context.prepared || !context.prepared.index) return;
+
+    // Malformed or unknown bricks are reported by GPC Validation
+    const gpc = parseGpcValue(product.gpc);
+    if (!gpc.validFormat) return;
+
+    const result = await classifyProduct({
+      name: product.productnameenglish,
+      brand: product.BrandName
+    }, { index: context.prepared.index, topN: TOP_N, brickCode: gpc.code });
+
+    const candidates = result.candidates.map(candidate => ({
+      code: candidate.code,
+      title: candidate.title,
+      score: candidate.score,
+      confidence: candidate.confidence
+    }));
+    const brick = result.brick;
+
+    report.attach('categoryMatch', {
+      brick: brick ? {
+        code: brick.code,
+        title: brick.title,
+        score: brick.score,
+        confidence: brick.confidence,
+        rank: brick.rank,
+        matchedTerms: brick.matchedTerms,
+        excludedTerms: brick.excludedTerms
+      } : null,
+      candidates,
+      terms: result.terms
+    });
+
+    if (!brick || candidates.length === 0) return;
+
+    if (brick.rank && brick.rank <= ACCEPTED_RANK && brick.confidence >= MIN_BRICK_CONFIDENCE) {
+      report.pass({
+        message: `GPC brick "${brick.title}" matches the product name (rank ${brick.rank} of the brick candidates)`,
+        score: Math.round(brick.confidence * 100)
+      });
+      return;
+    }
+
+    const best = result.candidates[0];
+    const excludedByBrick = brick.excludedTerms.length > 0 && brick.score <= 0;
+    if (!excludedByBrick && best.score < MIN_EVIDENCE_SCORE) return;
+    if (!excludedByBrick && brick.confidence >= MIN_BRICK_CONFIDENCE) return;
+
+    // Words the brick's exclusions name but its inclusions don't
+    const exclusionWords = brick.excludedTerms.filter(term => !brick.matchedTerms.includes(term));
+    const message = excludedByBrick
+      ? `GPC brick "${brick.title}" explicitly excludes products described as "${(exclusionWords.length > 0 ? exclusionWords : brick.excludedTerms).join(', ')}"`
+      : `Product "${product.productnameenglish}" does not match GPC brick "${brick.title}"`;
+
+    report.fail({
+      message,
+      code: excludedByBrick ? 'excluded_by_brick' : 'category_mismatch'
+    });
+
+    report.flagField('gpc', {
+      reason: 'Category mismatch',
+      details: {
+        brick: { code: brick.code, title: brick.title, rank: brick.rank, confidence: brick.confidence },
+        candidates: candidates.slice(0, 3)
+      }
+    });
+
+    const suggestedBricks = candidates.slice(0, 3)
+      .map(candidate => `${candidate.code}-${candidate.title}`)
+      .join('", "');
+
+    report.suggest({
+      field: 'gpc',
+      suggestion: `Based on the official GPC brick definitions, "${product.productnameenglish}" fits best under "${suggestedBricks}". Please check the GPC brick of this product.`,
+      importance: 'High',
+      confidence: Math.round((1 - brick.confidence) * 100) + '%',
+      nlp_analysis: {
+        detection_method: 'bm25_brick_definitions',
+        matched_terms: best.matchedTerms,
+        recommended_gpc_titles: candidates.slice(0, 3)
+      }
+    });
+  }
+};
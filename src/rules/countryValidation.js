@@ -0,0 +1,101 @@
+const { summarizeCountry } = require('../services/countryResolver');
+
+// Free-text country fields and how they are named in messages
+const COUNTRY_FIELDS = [
+  { field: 'Origin', label: 'Country of origin', contextKey: 'originResolution' },
+  { field: 'countrySale', label: 'Country of sale', contextKey: 'countryOfSaleResolution' }
+];
+
+/**
+ * Country Validation
+ * `Origin` and `countrySale` must name countries that resolve to an ISO 3166 code, by
+ * English or Arabic name, alpha-2/alpha-3 code or through GS1DB `countries` /
+ * `country_of_sales`. Small misspellings are accepted with a hint to correct them.
+ */
+module.exports = {
+  id: 'country-validation',
+  name: 'Country Validation',
+  version: '1.0.0',
+  severity: 'medium',
+  weight: 5,
+  fields: ['Origin', 'countrySale'],
+
+  evaluate(product, context, report) {
+    const fields = COUNTRY_FIELDS
+      .filter(({ field, contextKey }) => product[field] && context[contextKey] && context[contextKey].length > 0)
+      .map(entry => ({ ...entry, resolutions: context[entry.contextKey] }));
+    // Both fields are optional
+    if (fields.length === 0) return;
+
+    report.attach('countryResolution', {
+      origin: (context.originResolution || []).map(summarizeCountry),
+      countryOfSale: (context.countryOfSaleResolution || []).map(summarizeCountry)
+    });
+
+    fields.forEach(({ field, label, resolutions }) => {
+      resolutions.forEach(resolution => {
+        if (resolution.status === 'unknown') {
+          const closest = resolution.suggestions.map(country => `${country.name} (${country.alpha2})`).join(', ');
+
+          report.fail({
+            message: `${label} "${resolution.input}" is not a recognised country`,
+            code: 'unknown_country',
+            field
+          });
+          report.flagField(field, {
+            reason: 'Unknown country',
+            details: { value: resolution.input, suggestions: resolution.suggestions }
+          });
+          report.suggest({
+            field,
+            suggestion: closest
+              ? `${label} "${resolution.input}" is not recognised. Did you mean ${closest}?`
+              : `${label} "${resolution.input}" is not recognised. Enter the country's English or Arabic name or its ISO 3166 code (e.g. SA or SAU for Saudi Arabia).`,
+            importance: 'Medium',
+            originalValue: product[field]
+          });
+          return;
+        }
+
+        if (resolution.status === 'unmapped') {
+          report.fail({
+            message: `${label} "${resolution.input}" exists in the country master data but has no ISO 3166 code`,
+            code: 'unmapped_country',
+            field
+          });
+          report.flagField(field, {
+            reason: 'Country without an ISO 3166 code',
+            details: { value: resolution.input }
+          });
+          report.suggest({
+            field,
+            suggestion: `Use a country with an ISO 3166 code instead of "${resolution.input}" so trading partners can read it.`,
+            importance: 'Medium',
+            originalValue: product[field]
+          });
+          return;
+        }
+
+        // Misspellings with a single close match ("Saudi Arabai") pass with a hint
+        if (resolution.match === 'fuzzy') {
+          report.suggest({
+            field,
+            suggestion: `${label} "${resolution.input}" was read as ${resolution.name} (${resolution.alpha2}). Correct the spelling to keep country data consistent.`,
+            importance: 'Low',
+            originalValue: product[field],
+            suggestedValue: resolution.name
+          });
+        }
+      });
+    });
+
+    const resolved = fields.filter(({ resolutions }) => resolutions.every(resolution => resolution.status === 'resolved'));
+    if (resolved.length === fields.length) {
+      report.pass({
+        message: resolved
+          .map(({ label, resolutions }) => `${label}: ${resolutions.map(resolution => `${resolution.name} (${resolution.alpha2})`).join(', ')}`)
+          .join('; ')
+      });
+    }
+  }
+};
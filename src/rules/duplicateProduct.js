@@ -0,0 +1,140 @@
+const { loadDuplicateIndex, findProductDuplicates } = require('../services/duplicateDetection');
+
+// How many matching products are listed in an issue
+const MAX_LISTED = 5;
+
+/**
+ * Describe a product for messages
+ */
+function describe(product) {
+  return `"${product.productnameenglish || product.productnamearabic || product.barcode}" (${product.barcode})`;
+}
+
+/**
+ * Possible Duplicate
+ * A GTIN identifies exactly one trade item, so it must not be registered twice - not by
+ * another member, not by the same member and not as a foreign GTIN. A member registering
+ * the same item again under another GTIN (same brand and size, nearly the same name)
+ * is reported too.
+ */
+module.exports = {
+  id: 'duplicate-product',
+  name: 'Possible Duplicate',
+  version: '1.0.0',
+  severity: 'medium',
+  weight: 10,
+  fields: ['barcode', 'productnameenglish', 'productnamearabic', 'BrandName', 'size'],
+  // Another product registering the same GTIN changes the outcome
+  cacheable: false,
+
+  // Products sharing the batch's GTINs and the members' other products are loaded once per batch
+  prepare(products) {
+    return loadDuplicateIndex(products);
+  },
+
+  evaluate(product, context, report) {
+    const index = context.prepared;
+    if (!index) return;
+
+    const { sameBarcode, foreignGtins, nearDuplicates } = findProductDuplicates(product, index);
+    const otherMembers = sameBarcode.filter(match => !match.sameMember);
+    const sameMember = sameBarcode.filter(match => match.sameMember);
+
+    report.attach('duplicates', {
+      sameBarcode: sameBarcode.slice(0, MAX_LISTED),
+      foreignGtins: foreignGtins.slice(0, MAX_LISTED).map(record => ({
+        id: record.id,
+        barcode: record.barcode,
+        BrandName: record.BrandName,
+        productnameenglish: record.productnameenglish,
+        moName: record.moName || null
+      })),
+      nearDuplicates: nearDuplicates.slice(0, MAX_LISTED)
+    });
+
+    if (otherMembers.length > 0) {
+      const members = [...new Set(otherMembers.map(match => match.product.member_id))];
+      report.fail({
+        severity: 'high',
+        message: `Barcode ${product.barcode} is also registered by ${members.length === 1 ? 'another member' : `${members.length} other members`}`,
+        code: 'duplicate_barcode',
+        field: 'barcode'
+      });
+      report.flagField('barcode', {
+        severity: 'high',
+        reason: 'Barcode registered by another member',
+        details: { products: otherMembers.slice(0, MAX_LISTED).map(match => match.product) }
+      });
+      report.suggest({
+        field: 'barcode',
+        suggestion: `The same GTIN is registered by another member for ${describe(otherMembers[0].product)}. A GTIN identifies one trade item - check that this barcode was allocated from your own GS1 Company Prefix.`,
+        importance: 'High',
+        originalValue: product.barcode
+      });
+    }
+
+    if (sameMember.length > 0) {
+      report.fail({
+        message: `Barcode ${product.barcode} is registered ${sameMember.length + 1} times by this member`,
+        code: 'duplicate_barcode_same_member',
+        field: 'barcode'
+      });
+      report.flagField('barcode', {
+        reason: 'Barcode registered more than once',
+        details: { products: sameMember.slice(0, MAX_LISTED).map(match => match.product) }
+      });
+      report.suggest({
+        field: 'barcode',
+        suggestion: `This GTIN is also used for ${describe(sameMember[0].product)}. Delete the duplicate product or give it its own GTIN.`,
+        importance: 'Medium',
+        originalValue: product.barcode
+      });
+    }
+
+    if (foreignGtins.length > 0) {
+      const foreign = foreignGtins[0];
+      report.fail({
+        severity: 'high',
+        message: `Barcode ${product.barcode} is registered as a foreign GTIN${foreign.moName ? ` (${foreign.moName})` : ''}`,
+        code: 'foreign_gtin_collision',
+        field: 'barcode'
+      });
+      report.flagField('barcode', {
+        severity: 'high',
+        reason: 'Barcode registered as a foreign GTIN',
+        details: { foreignGtins: foreignGtins.slice(0, MAX_LISTED).map(record => record.id) }
+      });
+      report.suggest({
+        field: 'barcode',
+        suggestion: `This GTIN is registered as a foreign product "${foreign.productnameenglish}" (${foreign.BrandName}). Foreign GTINs are allocated by another GS1 Member Organisation and can't be registered as a local product.`,
+        importance: 'High',
+        originalValue: product.barcode
+      });
+    }
+
+    if (nearDuplicates.length > 0) {
+      const closest = nearDuplicates[0];
+      report.fail({
+        message: `Looks like the same item as ${describe(closest.product)} - same brand and size, ${Math.round(closest.similarity * 100)}% similar name`,
+        code: 'near_duplicate',
+        field: 'productnameenglish'
+      });
+      report.flagField('productnameenglish', {
+        reason: 'Possible duplicate of another product',
+        details: { products: nearDuplicates.slice(0, MAX_LISTED) }
+      });
+      report.suggest({
+        field: 'productnameenglish',
+        suggestion: `${describe(closest.product)} has the same brand and size and nearly the same name. If it is the same item, keep one of the two; if not, make the names show what differs (flavour, variant, pack).`,
+        importance: 'Medium',
+        originalValue: product.productnameenglish
+      });
+    }
+
+    if (sameBarcode.length === 0 && foreignGtins.length === 0 && nearDuplicates.length === 0 && product.barcode) {
+      report.pass({
+        message: `No other product uses barcode ${product.barcode}`
+      });
+    }
+  }
+};
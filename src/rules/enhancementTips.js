@@ -0,0 +1,37 @@
+/**
+ * Enhancement Tips
+ * Adds industry-specific tips for products that have passed the checks so far.
+ * Never fails a product.
+ */
+module.exports = {
+  id: 'enhancement-tips',
+  name: 'Enhancement Tips',
+  version: '1.0.0',
+  severity: 'info',
+  weight: 0,
+  fields: ['productnameenglish'],
+
+  evaluate(product, context, report) {
+    if (!product.productnameenglish || !context.verification.isValid) return;
+
+    const productNameLower = product.productnameenglish.toLowerCase();
+
+    // For oil products
+    if (productNameLower.includes('oil')) {
+      report.suggest({
+        field: 'enhancementTip',
+        suggestion: 'Consider adding technical specifications such as viscosity grade and API certification in the product description to provide more valuable information to potential customers.',
+        importance: 'Low'
+      });
+    }
+
+    // For food products
+    if (productNameLower.includes('food')) {
+      report.suggest({
+        field: 'enhancementTip',
+        suggestion: 'Consider adding nutritional information and allergen details in the product description to enhance consumer trust and meet regulatory requirements.',
+        importance: 'Low'
+      });
+    }
+  }
+};
@@ -0,0 +1,112 @@
+const { validateGtin } = require('../services/gtin');
+const {
+  getGcpKey,
+  loadPrefixOwnership,
+  getMemberPrefixes,
+  getInactiveMemberPrefixes,
+  findPrefixOwner
+} = require('../services/gcpService');
+
+/**
+ * GCP Ownership
+ * Checks that the GTIN was issued from a GS1 Company Prefix registered to the product's member.
+ */
+
+/**
+ * Report a product whose member only holds deactivated prefixes
+ * @param {Object} product - Product record
+ * @param {Array} inactivePrefixes - The member's deactivated prefixes
+ * @param {Object} report - Rule reporter
+ */
+function reportInactivePrefixes(product, inactivePrefixes, report) {
+  const prefixList = inactivePrefixes.join(', ');
+
+  report.fail({
+    message: `Barcode ${product.barcode} was issued under an inactive/deactivated GS1 Company Prefix (${prefixList}); the member has no active prefix`,
+    inactivePrefixes
+  });
+
+  report.flagField('barcode', {
+    reason: 'The member\'s GS1 Company Prefix is inactive/deactivated',
+    details: { inactivePrefixes }
+  });
+
+  report.suggest({
+    field: 'barcode',
+    suggestion: `Your GS1 Company Prefix (${prefixList}) is no longer active. Renew the prefix with GS1, or replace this barcode with one from an active prefix.`,
+    importance: 'High',
+    originalValue: product.barcode
+  });
+}
+
+module.exports = {
+  id: 'gcp-ownership',
+  name: 'GCP Ownership',
+  version: '1.1.0',
+  severity: 'high',
+  weight: 20,
+  fields: ['barcode', 'gcpGLNID'],
+  // Prefixes are licensed, transferred and deactivated independently of the product
+  cacheable: false,
+
+  // Load member prefixes and GS1 prefix registry entries for the whole batch at once
+  prepare(products) {
+    return loadPrefixOwnership(products);
+  },
+
+  evaluate(product, context, report) {
+    const ownership = context.prepared;
+    if (!ownership || !product.barcode) return;
+
+    // Malformed barcodes are reported by Barcode Integrity, and GTIN-8 has no company prefix
+    const gtinResult = validateGtin(product.barcode);
+    if (!gtinResult.valid || !getGcpKey(gtinResult.gtin)) return;
+
+    const memberPrefixes = getMemberPrefixes(product, ownership);
+
+    if (memberPrefixes.length === 0) {
+      // Every prefix of the member was deactivated - none of its GTINs may be used any more
+      const inactivePrefixes = getInactiveMemberPrefixes(product, ownership);
+      if (inactivePrefixes.length > 0) reportInactivePrefixes(product, inactivePrefixes, report);
+
+      // Otherwise there is nothing to compare against - the member has no prefix on record
+      return;
+    }
+
+    const gcpKey = getGcpKey(gtinResult.gtin);
+    const matchedPrefix = memberPrefixes.find(prefix => gcpKey.startsWith(prefix));
+
+    if (matchedPrefix) {
+      report.pass({
+        message: `Barcode belongs to the member's GS1 Company Prefix ${matchedPrefix}`
+      });
+      return;
+    }
+
+    const actualOwner = findPrefixOwner(gtinResult.gtin, ownership);
+    const ownerText = actualOwner
+      ? `GS1 Company Prefix ${actualOwner.prefix}${actualOwner.companyName ? ` (${actualOwner.companyName})` : ''}`
+      : 'a GS1 Company Prefix that is not registered in our records';
+
+    report.fail({
+      message: `Barcode ${product.barcode} belongs to ${ownerText}, not to the member's prefix ${memberPrefixes.join(', ')}`,
+      expectedPrefixes: memberPrefixes,
+      actualOwner
+    });
+
+    report.flagField('barcode', {
+      reason: 'Barcode is outside the member\'s GS1 Company Prefix',
+      details: {
+        expectedPrefixes: memberPrefixes,
+        actualOwner
+      }
+    });
+
+    report.suggest({
+      field: 'barcode',
+      suggestion: `Only GTINs allocated from your own GS1 Company Prefix (${memberPrefixes.join(', ')}) may be used. Please replace this barcode with one generated from your prefix.`,
+      importance: 'High',
+      originalValue: product.barcode
+    });
+  }
+};
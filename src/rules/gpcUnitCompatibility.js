@@ -0,0 +1,46 @@
+const { checkBrickUnitCompatibility } = require('../services/productAnalysis');
+
+/**
+ * GPC-Unit Compatibility
+ * Flags a unit of measurement that does not suit the product's brick classification.
+ */
+module.exports = {
+  id: 'gpc-unit-compatibility',
+  name: 'GPC-Unit Compatibility',
+  version: '1.0.0',
+  severity: 'high',
+  weight: 15,
+  fields: ['gpc', 'unit'],
+
+  evaluate(product, context, report) {
+    const { parsedUnit } = context;
+    if (!product.gpc || !product.unit || !parsedUnit || !parsedUnit.type) return;
+
+    const compatibilityResult = checkBrickUnitCompatibility(
+      product.gpc,
+      product.unit,
+      parsedUnit.type
+    );
+
+    if (compatibilityResult.compatible) return;
+
+    report.fail({
+      message: compatibilityResult.reason
+    });
+
+    // Both GPC and unit have issues
+    report.flagField('gpc', {
+      reason: 'Incompatible with unit'
+    });
+
+    report.flagField('unit', {
+      reason: 'Incompatible with GPC'
+    });
+
+    report.suggest({
+      field: 'unit',
+      suggestion: `Your product with GPC "${product.gpc}" requires a different unit of measurement. ${compatibilityResult.reason}`,
+      importance: 'High'
+    });
+  }
+};
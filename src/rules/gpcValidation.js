@@ -0,0 +1,74 @@
+const { loadGpcHierarchy, validateGpc } = require('../services/gpcHierarchy');
+
+/**
+ * GPC Validation
+ * The gpc value must name a real GPC brick: an 8-digit code that exists in GS1DB `bricks`
+ * (not a segment, family, class or attribute code), followed by that brick's title.
+ * gpc_code, when filled in, must name the same brick.
+ */
+module.exports = {
+  id: 'gpc-validation',
+  name: 'GPC Validation',
+  version: '1.0.0',
+  severity: 'high',
+  weight: 20,
+  fields: ['gpc', 'gpc_code'],
+
+  // Load bricks, their hierarchy and attribute codes for the whole batch at once
+  prepare(products) {
+    return loadGpcHierarchy(products);
+  },
+
+  evaluate(product, context, report) {
+    // Missing GPC is reported by Required GPC; without GS1DB nothing can be checked
+    if (!product.gpc || !context.prepared) return;
+
+    const validation = validateGpc(product, context.prepared);
+
+    report.attach('gpcValidation', {
+      code: validation.code,
+      title: validation.title,
+      brickTitle: validation.brickTitle,
+      chain: validation.chain,
+      titleSimilarity: validation.titleSimilarity,
+      problems: validation.problems.map(problem => problem.code)
+    });
+
+    validation.problems.forEach(problem => {
+      const field = problem.code === 'gpc_code_mismatch' ? 'gpc_code' : 'gpc';
+
+      report.fail({
+        severity: problem.severity,
+        message: problem.message,
+        code: problem.code,
+        field
+      });
+
+      report.flagField(field, {
+        severity: problem.severity,
+        reason: problem.message,
+        details: {
+          code: validation.code,
+          brickTitle: validation.brickTitle,
+          chain: validation.chain
+        }
+      });
+
+      report.suggest({
+        field,
+        suggestion: problem.suggestion,
+        importance: problem.severity === 'medium' ? 'Medium' : 'High',
+        originalValue: product[field]
+      });
+    });
+
+    if (validation.problems.length === 0) {
+      const chain = validation.chain;
+      report.pass({
+        message: chain
+          ? `GPC brick ${validation.code} "${validation.brickTitle}" (${chain.segment.title} > ${chain.family.title} > ${chain.class.title})`
+          : `GPC brick ${validation.code} "${validation.brickTitle}" exists`
+      });
+    }
+  }
+};
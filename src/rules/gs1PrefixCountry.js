@@ -0,0 +1,92 @@
+const { validateGtin } = require('../services/gtin');
+const { getCountryRegistry, resolveCountryReference } = require('../services/countryResolver');
+const { loadMemberAccounts, getMemberAccount } = require('../services/memberAccounts');
+
+/**
+ * GS1 Prefix Country
+ * The GS1 prefix of a GTIN (628 = GS1 Saudi Arabia) says which Member Organisation
+ * licensed the number. It usually matches the country of origin or the country the
+ * member registered with GS1. Imported and contract-manufactured goods legitimately
+ * differ, so a mismatch is only a soft warning and never fails the product.
+ */
+module.exports = {
+  id: 'gs1-prefix-country',
+  name: 'GS1 Prefix Country',
+  version: '1.0.0',
+  severity: 'low',
+  weight: 0,
+  fields: ['barcode', 'Origin'],
+
+  // Member countries come from GS1DB users, matched by company prefix, for the whole batch
+  async prepare(products) {
+    return {
+      registry: await getCountryRegistry(),
+      accounts: await loadMemberAccounts(products)
+    };
+  },
+
+  evaluate(product, context, report) {
+    if (!product.barcode) return;
+
+    // Malformed barcodes are reported by Barcode Integrity; restricted and coupon ranges have no country
+    const gtinResult = validateGtin(product.barcode);
+    const gs1Prefix = gtinResult.valid ? gtinResult.gs1Prefix : null;
+    if (!gs1Prefix || gs1Prefix.type !== 'member' || !gs1Prefix.countryCode) return;
+
+    const { registry, accounts } = context.prepared || {};
+
+    const origins = (context.originResolution || []).filter(resolution => resolution.status === 'resolved');
+    const account = getMemberAccount(product, accounts);
+    const memberCountry = account && account.country ? resolveCountryReference(account.country, registry) : null;
+    const memberAlpha2 = memberCountry && memberCountry.status === 'resolved' ? memberCountry.alpha2 : null;
+
+    // Nothing to compare the prefix with
+    if (origins.length === 0 && !memberAlpha2) return;
+
+    const consistent = origins.some(origin => origin.alpha2 === gs1Prefix.countryCode)
+      || memberAlpha2 === gs1Prefix.countryCode;
+
+    report.attach('gs1PrefixCountry', {
+      prefix: gs1Prefix.prefix,
+      prefixName: gs1Prefix.name,
+      alpha2: gs1Prefix.countryCode,
+      origin: origins.map(origin => origin.alpha2),
+      memberCountry: memberAlpha2,
+      status: consistent ? 'consistent' : 'inconsistent'
+    });
+
+    const prefixLabel = `${gs1Prefix.prefix} (${gs1Prefix.name})`;
+    if (consistent) {
+      report.pass({
+        message: `GS1 prefix ${prefixLabel} matches the ${origins.some(origin => origin.alpha2 === gs1Prefix.countryCode) ? 'country of origin' : "member's country"}`
+      });
+      return;
+    }
+
+    const compared = [
+      origins.length > 0 ? `the country of origin is ${origins.map(origin => origin.name).join(', ')}` : null,
+      memberAlpha2 ? `the member is registered in ${memberCountry.name}` : null
+    ].filter(Boolean).join(' and ');
+
+    // Flag the origin when there is one - it is more often wrong than the barcode
+    const field = origins.length > 0 ? 'Origin' : 'barcode';
+    report.flagField(field, {
+      severity: 'low',
+      reason: origins.length > 0
+        ? 'GS1 prefix country differs from the country of origin'
+        : "GS1 prefix country differs from the member's country",
+      details: {
+        prefix: gs1Prefix.prefix,
+        prefixCountry: gs1Prefix.countryCode,
+        origin: origins.map(origin => origin.alpha2),
+        memberCountry: memberAlpha2
+      }
+    });
+    report.suggest({
+      field,
+      suggestion: `The barcode was issued under GS1 prefix ${prefixLabel}, but ${compared}. This is normal for imported or contract-manufactured products; otherwise check that the barcode belongs to this product and that the country of origin is correct.`,
+      importance: 'Low',
+      originalValue: product[field]
+    });
+  }
+};
@@ -0,0 +1,88 @@
+const { getHsCodeIndex, validateHsCodes } = require('../services/hsCodes');
+const { loadGpcHierarchy, parseGpcValue, resolveGpcChain } = require('../services/gpcHierarchy');
+
+/**
+ * HS Code
+ * The HS code in HSCODES must exist in GS1DB `hs_codes` / gtrackDB `Hs_Code`, HsDescription
+ * must match its official description, and the HS chapter must suit the GPC segment of the
+ * product (an engine oil doesn't belong in chapter 09, coffee and tea).
+ * Description and chapter mismatches (medium severity) are flagged without failing the product.
+ */
+module.exports = {
+  id: 'hs-code',
+  name: 'HS Code',
+  version: '1.1.0',
+  severity: 'high',
+  weight: 10,
+  fields: ['HSCODES', 'HsDescription', 'gpc'],
+
+  // The HS code list is shared between batches; the GPC segments are loaded per batch
+  async prepare(products) {
+    const withHsCodes = products.filter(product => product.HSCODES);
+    if (withHsCodes.length === 0) return null;
+
+    return {
+      index: await getHsCodeIndex(),
+      hierarchy: await loadGpcHierarchy(withHsCodes)
+    };
+  },
+
+  evaluate(product, context, report) {
+    // HS codes are optional; without them there is nothing to check
+    if (!product.HSCODES || !String(product.HSCODES).trim()) return;
+
+    const { index, hierarchy } = context.prepared || {};
+    const gpc = parseGpcValue(product.gpc);
+    const chain = hierarchy && gpc.validFormat ? resolveGpcChain(gpc.code, hierarchy) : null;
+
+    const validation = validateHsCodes(product, {
+      index,
+      segment: chain ? chain.segment : null
+    });
+
+    report.attach('hsCodeValidation', {
+      codes: validation.codes.map(entry => ({
+        code: entry.code,
+        chapter: entry.chapter,
+        official: entry.official
+      })),
+      descriptionSimilarity: validation.descriptionSimilarity,
+      segment: chain ? chain.segment : null,
+      problems: validation.problems.map(problem => problem.code)
+    });
+
+    validation.problems.forEach(problem => {
+      const field = problem.code === 'description_mismatch' ? 'HsDescription' : 'HSCODES';
+
+      // A description or chapter that doesn't quite fit is worth a look, but doesn't make the
+      // product unverified; only a code that doesn't exist or can't be read does
+      if (problem.severity !== 'medium') {
+        report.fail({
+          severity: problem.severity,
+          message: problem.message,
+          code: problem.code,
+          field
+        });
+      }
+
+      report.flagField(field, {
+        severity: problem.severity,
+        reason: problem.message
+      });
+
+      report.suggest({
+        field,
+        suggestion: problem.suggestion,
+        importance: problem.severity === 'medium' ? 'Medium' : 'High',
+        originalValue: product[field]
+      });
+    });
+
+    const known = validation.codes.filter(entry => entry.official);
+    if (validation.problems.length === 0 && known.length > 0) {
+      report.pass({
+        message: `HS code ${known.map(entry => entry.code).join(', ')} exists${known[0].official.description ? ` ("${known[0].official.description}")` : ''}`
+      });
+    }
+  }
+};
@@ -0,0 +1,160 @@
+const { analyzeProductImage, compareProductImages } = require('../services/imageAnalysis');
+const { PRODUCT_IMAGE_FIELDS, loadProductImages, getProductImageSlots } = require('../services/productImages');
+
+// Issues that are not held against the product here: images we couldn't download,
+// and missing files, which are reported by the Broken Image Link rule
+const SKIPPED_ISSUE_TYPES = ['image_not_analyzed', 'image_not_found'];
+
+// Only critical and high findings block verification - the rest are tips
+const BLOCKING_SEVERITIES = ['critical', 'high'];
+
+const importanceFor = severity => severity === 'critical' ? 'Critical' :
+                                  severity === 'high' ? 'High' :
+                                  severity === 'medium' ? 'Medium' : 'Low';
+
+/**
+ * Strip the colour palette from image properties before they go into the response
+ * @param {Object|null} properties - Result of inspectImage
+ * @returns {Object|null}
+ */
+function publicProperties(properties) {
+  if (!properties) return null;
+  const { palette, ...rest } = properties;
+  return rest;
+}
+
+/**
+ * Image Analysis
+ * Inspects the pixels of every product image (front_image, back_image, image_1-3 and the
+ * extra images in GS1DB product_images): file type, resolution, aspect ratio, blank frames
+ * and blur. The images are then compared with each other to catch a back image that repeats
+ * the front image, duplicated images and images that show a different product.
+ * The outcome per image is attached as `imageResults` so members can see which image failed.
+ */
+module.exports = {
+  id: 'image-analysis',
+  name: 'Image Analysis',
+  version: '3.1.0',
+  severity: 'high',
+  weight: 15,
+  fields: [...PRODUCT_IMAGE_FIELDS, 'product_images'],
+
+  // Load the GS1DB product_images rows for the whole batch at once
+  prepare(products) {
+    return loadProductImages(products);
+  },
+
+  async evaluate(product, context, report) {
+    const extraImages = context.prepared ? (context.prepared[String(product.id)] || []) : [];
+    const slots = getProductImageSlots(product, extraImages);
+    if (slots.length === 0) return;
+
+    // One image at a time - decoding several large images at once is memory hungry
+    const images = [];
+    for (const slot of slots) {
+      const analysis = await analyzeProductImage(slot.imagePath);
+      images.push({ ...slot, analysis, properties: analysis.properties });
+    }
+
+    // Per-image findings followed by the cross-image findings (which already name their image)
+    const findings = images.flatMap(image => image.analysis.issues
+      .filter(issue => !SKIPPED_ISSUE_TYPES.includes(issue.type))
+      .map(issue => ({ ...issue, slot: image.slot, message: `${image.label}: ${issue.message}` })));
+    findings.push(...compareProductImages(images));
+
+    const imagesBySlot = {};
+    images.forEach(image => { imagesBySlot[image.slot] = image; });
+
+    findings.forEach(issue => {
+      const image = imagesBySlot[issue.slot];
+
+      if (BLOCKING_SEVERITIES.includes(issue.severity)) {
+        report.fail({
+          severity: issue.severity,
+          message: issue.message,
+          type: issue.type,
+          field: image.field,
+          image: image.slot,
+          confidence: issue.confidence || image.analysis.confidence
+        });
+
+        report.flagField(image.field, {
+          severity: issue.severity,
+          reason: issue.message,
+          details: {
+            image: image.slot,
+            imagePath: image.imagePath,
+            issueType: issue.type,
+            properties: publicProperties(image.properties)
+          }
+        });
+      }
+
+      if (issue.suggestion) {
+        report.suggest({
+          field: image.field,
+          image: image.slot,
+          suggestion: issue.suggestion,
+          importance: importanceFor(issue.severity),
+          confidence: (issue.confidence || image.analysis.confidence) + '%',
+          analysisDetails: issue.analysis || null
+        });
+      }
+    });
+
+    // Per-image outcome
+    const imageResults = images.map(image => {
+      const imageIssues = findings.filter(issue => issue.slot === image.slot);
+      const analyzed = Boolean(image.properties);
+      let status = 'passed';
+      if (imageIssues.some(issue => BLOCKING_SEVERITIES.includes(issue.severity))) {
+        status = 'failed';
+      } else if (!analyzed) {
+        status = image.analysis.issues.some(issue => issue.type === 'image_not_found') ? 'not_found' : 'not_analyzed';
+      } else if (imageIssues.some(issue => issue.severity === 'medium')) {
+        status = 'warning';
+      }
+
+      return {
+        slot: image.slot,
+        field: image.field,
+        label: image.label,
+        imagePath: image.imagePath,
+        imageUrl: image.analysis.analysisMetadata.imageUrl || null,
+        status,
+        confidence: image.analysis.confidence,
+        properties: publicProperties(image.properties),
+        issues: imageIssues.map(issue => ({
+          type: issue.type,
+          severity: issue.severity,
+          message: issue.message,
+          relatedImage: issue.relatedSlot || null
+        }))
+      };
+    });
+
+    if (imageResults.every(result => result.status === 'passed')) {
+      report.pass({
+        message: imageResults.length === 1
+          ? `${imageResults[0].label} is a clear ${imageResults[0].properties.width}x${imageResults[0].properties.height} ${(imageResults[0].properties.format || '').toUpperCase()} image`
+          : `All ${imageResults.length} product images passed the image checks`
+      });
+    }
+
+    report.attach('imageResults', imageResults);
+
+    // Front image summary, kept for clients that read the earlier response shape
+    const front = images.find(image => image.slot === 'front_image');
+    if (front) {
+      const frontResult = imageResults.find(result => result.slot === 'front_image');
+      report.attach('imageAnalysis', {
+        confidence: front.analysis.confidence,
+        properties: frontResult.properties,
+        issues: frontResult.issues,
+        imageUrl: frontResult.imageUrl,
+        analysisMethod: front.analysis.analysisMetadata.analysisMethod,
+        analysisVersion: front.analysis.analysisMetadata.analysisVersion
+      });
+    }
+  }
+};
@@ -0,0 +1,63 @@
+const { verifyImageContent } = require('../services/imageVerification');
+
+/**
+ * Image Content Verification
+ * Uses the configured image recognition provider (Clarifai, local classifier, ...) to check
+ * that the front image shows what the product metadata describes.
+ */
+module.exports = {
+  id: 'image-content-verification',
+  name: 'Image Content Verification',
+  version: '1.1.0',
+  severity: 'high',
+  weight: 15,
+  fields: ['front_image', 'productnameenglish', 'gpc', 'unit'],
+
+  async evaluate(product, context, report) {
+    if (!product.front_image) return;
+
+    const contentVerification = await verifyImageContent(
+      product.front_image,
+      product.productnameenglish,
+      product.gpc,
+      product.unit
+    );
+
+    // Reported as clarifaiVerification for API compatibility, whichever provider ran
+    report.attach('clarifaiVerification', contentVerification);
+
+    // No provider configured, or the provider failed - don't fail verification, just skip
+    if (contentVerification.skipped || contentVerification.error) return;
+
+    if (contentVerification.valid) {
+      report.pass({
+        message: 'Product image correctly matches the product description',
+        score: Math.round(contentVerification.score * 100)
+      });
+      return;
+    }
+
+    const expectedConcepts = contentVerification.expectedConcepts || [];
+    const detectedConcepts = contentVerification.detectedConcepts || [];
+
+    report.fail({
+      message: contentVerification.message || 'Image content does not match product description',
+      processedImageUrl: contentVerification.imageUrl // Include the processed URL for reference
+    });
+
+    report.flagField('front_image', {
+      reason: 'Image content does not match product description',
+      details: {
+        expectedConcepts: expectedConcepts.slice(0, 5),
+        detectedConcepts: detectedConcepts.slice(0, 3).map(c => c.name),
+        score: contentVerification.score
+      }
+    });
+
+    report.suggest({
+      field: 'front_image',
+      suggestion: `The product image doesn't clearly show a ${product.productnameenglish}. Please upload an image that clearly shows the product matching its description. We expected to see ${expectedConcepts.slice(0, 5).join(', ')} but detected ${detectedConcepts.slice(0, 3).map(c => c.name).join(', ')}.`,
+      importance: 'High'
+    });
+  }
+};
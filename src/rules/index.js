@@ -0,0 +1,265 @@
+const { getRuleConfig } = require('../config/verificationRules');
+
+/**
+ * Verification rule registry
+ * Each rule module declares:
+ * - id: stable identifier used in configuration
+ * - name: label reported in `issues[].rule`
+ * - version: bumped whenever the rule logic changes
+ * - severity: default severity of the issues it raises
+ * - weight: points deducted from the verification score when it fails
+ * - fields: product fields the rule inspects
+ * - evaluate(product, context, report): performs the check
+ * - prepare(products): optional, loads lookup data once for a batch of products;
+ *   whatever it returns is handed back to evaluate as `context.prepared`
+ * - cacheable: optional, false when the outcome depends on records other than the product
+ *   (other products with the same GTIN, the member's brands or prefixes). A stored result
+ *   is only reused while such rules still report the same issues.
+ *
+ * Rules run in the order they are registered below.
+ */
+const registry = [
+  require('./requiredImage'),
+  require('./brokenImageLink'),
+  require('./requiredBrand'),
+  require('./brandRegistry'),
+  require('./requiredGpc'),
+  require('./gpcValidation'),
+  require('./requiredUnit'),
+  require('./unknownUnit'),
+  require('./netContent'),
+  require('./nameSizeMismatch'),
+  require('./barcodeIntegrity'),
+  require('./gcpOwnership'),
+  require('./duplicateProduct'),
+  require('./countryValidation'),
+  require('./gs1PrefixCountry'),
+  require('./gpcUnitCompatibility'),
+  require('./categoryMatch'),
+  require('./hsCode'),
+  require('./unitCompatibility'),
+  require('./enhancementTips'),
+  require('./imageAnalysis'),
+  require('./imageContentVerification'),
+  require('./brandNameFormat'),
+  require('./arabicText')
+];
+
+let ruleConfig = getRuleConfig();
+
+/**
+ * Register an additional rule at runtime
+ * @param {Object} rule - Rule module following the shape documented above
+ * @param {Object} options - Optional placement ({ before: ruleId } or { after: ruleId })
+ */
+function registerRule(rule, options = {}) {
+  if (!rule || !rule.id || typeof rule.evaluate !== 'function') {
+    throw new Error('A verification rule needs an id and an evaluate function');
+  }
+
+  if (registry.some(existing => existing.id === rule.id)) {
+    throw new Error(`Verification rule "${rule.id}" is already registered`);
+  }
+
+  const anchorId = options.before || options.after;
+  const anchorIndex = anchorId ? registry.findIndex(existing => existing.id === anchorId) : -1;
+
+  if (anchorIndex === -1) {
+    registry.push(rule);
+  } else {
+    registry.splice(options.before ? anchorIndex : anchorIndex + 1, 0, rule);
+  }
+}
+
+/**
+ * Re-read rule configuration (e.g. after VERIFICATION_RULES_CONFIG has changed)
+ */
+function reloadRuleConfig() {
+  ruleConfig = getRuleConfig();
+}
+
+/**
+ * Get all registered rules with configuration applied
+ * @returns {Array} - Rules with effective enabled, severity and weight values
+ */
+function getRules() {
+  return registry.map(rule => {
+    const settings = ruleConfig[rule.id] || {};
+    return {
+      ...rule,
+      enabled: settings.enabled !== undefined ? settings.enabled !== false : rule.enabled !== false,
+      severity: settings.severity || rule.severity,
+      weight: settings.weight !== undefined ? Number(settings.weight) : (rule.weight || 0)
+    };
+  });
+}
+
+/**
+ * Get the versions of all enabled rules
+ * Stored with every verification result so outdated results can be detected
+ * @returns {Object} - Rule versions keyed by rule id
+ */
+function getRuleVersions() {
+  const versions = {};
+  getRules()
+    .filter(rule => rule.enabled)
+    .forEach(rule => {
+      versions[rule.id] = rule.version;
+    });
+  return versions;
+}
+
+/**
+ * Get the enabled rules whose outcome depends on records other than the product
+ * @returns {Array} - Rule ids
+ */
+function getUncacheableRuleIds() {
+  return getRules()
+    .filter(rule => rule.enabled && rule.cacheable === false)
+    .map(rule => rule.id);
+}
+
+/**
+ * Create the reporting helper handed to a rule's evaluate function
+ * All findings are written into the shared verification object
+ */
+function createReporter(rule, verification, failedRules) {
+  return {
+    // Record a blocking issue - the product becomes unverified
+    fail(issue) {
+      verification.isValid = false;
+      verification.verificationStatus = 'unverified';
+      verification.issues.push({
+        rule: rule.name,
+        ...issue,
+        severity: issue.severity || rule.severity
+      });
+      failedRules.add(rule.id);
+    },
+
+    // Record a required field that is missing
+    missing(field) {
+      if (!verification.missingFields.includes(field)) {
+        verification.missingFields.push(field);
+      }
+    },
+
+    // Mark a field as having an issue (the first rule to flag a field wins)
+    flagField(field, info) {
+      verification.issueFields[field] = verification.issueFields[field] || {
+        hasIssue: true,
+        ...info,
+        severity: info.severity || rule.severity
+      };
+    },
+
+    // Add an improvement suggestion for the member
+    suggest(suggestion) {
+      verification.aiSuggestions.push(suggestion);
+    },
+
+    // Record something the product does well
+    pass(point) {
+      verification.positivePoints = verification.positivePoints || [];
+      verification.positivePoints.push({
+        rule: rule.name,
+        ...point
+      });
+    },
+
+    // Attach extra analysis output to the verification object
+    attach(key, value) {
+      verification[key] = value;
+    }
+  };
+}
+
+/**
+ * Run the prepare hook of every enabled rule for a batch of products
+ * @param {Array} products - Product records about to be verified
+ * @param {Object} options - { ruleIds: prepare only these rules }
+ * @returns {Promise<Object>} - Prepared data keyed by rule id
+ */
+async function prepareRules(products, options = {}) {
+  const prepared = {};
+  const activeRules = getRules().filter(rule => rule.enabled && typeof rule.prepare === 'function' &&
+    (!options.ruleIds || options.ruleIds.includes(rule.id)));
+
+  for (const rule of activeRules) {
+    try {
+      prepared[rule.id] = await rule.prepare(products);
+    } catch (error) {
+      console.error(`Verification rule "${rule.id}" could not prepare its data:`, error.message);
+      prepared[rule.id] = null;
+    }
+  }
+
+  return prepared;
+}
+
+/**
+ * Run every enabled rule against a product
+ * @param {Object} product - Product record from GTRACKDB
+ * @param {Object} context - Lookup data prepared by the caller (unitData, parsedBrick, etc.)
+ *                           plus `prepared`, the result of prepareRules for the batch
+ * @param {Object} options - { ruleIds: run only these rules }
+ * @returns {Promise<Object>} - Verification result
+ */
+async function runRules(product, context = {}, options = {}) {
+  const verification = {
+    isValid: true,         // Default to valid until proven otherwise
+    verificationScore: 100,  // Score-based verification (0-100)
+    confidenceLevel: 95,    // AI confidence in its assessment (0-100)
+    verificationStatus: 'verified',  // 'verified' or 'unverified'
+    issues: [],           // List of identified issues
+    missingFields: [],    // List of missing fields
+    aiSuggestions: [],     // AI suggestions for improvement
+    issueFields: {}       // Object to track which fields have issues
+  };
+
+  const failedRules = new Set();
+  const activeRules = getRules()
+    .filter(rule => rule.enabled && (!options.ruleIds || options.ruleIds.includes(rule.id)));
+
+  for (const rule of activeRules) {
+    const report = createReporter(rule, verification, failedRules);
+
+    try {
+      await rule.evaluate(product, {
+        ...context,
+        verification,
+        prepared: context.prepared ? context.prepared[rule.id] : undefined
+      }, report);
+    } catch (error) {
+      // A broken rule should never take the whole verification down
+      console.error(`Verification rule "${rule.id}" failed:`, error.message);
+    }
+  }
+
+  // Add general suggestions when product is unverified
+  if (verification.verificationStatus === 'unverified' && verification.aiSuggestions.length === 0) {
+    verification.aiSuggestions.push({
+      field: 'general',
+      suggestion: 'Please review all product information for accuracy and completeness. Ensure all required fields are filled and product details are consistent across all fields.',
+      importance: 'Medium'
+    });
+  }
+
+  // Deduct the weight of every failed rule from the score
+  const deductions = activeRules
+    .filter(rule => failedRules.has(rule.id))
+    .reduce((total, rule) => total + rule.weight, 0);
+  verification.verificationScore = Math.max(0, 100 - deductions);
+
+  return verification;
+}
+
+module.exports = {
+  registerRule,
+  reloadRuleConfig,
+  getRules,
+  getRuleVersions,
+  getUncacheableRuleIds,
+  prepareRules,
+  runRules
+};
@@ -0,0 +1,90 @@
+const { getUnitRegistry } = require('../services/unitResolver');
+const { parseNetContent, compareNameQuantities } = require('../services/netContent');
+
+// Product name fields that often repeat the pack size
+const NAME_FIELDS = [
+  { field: 'productnameenglish', label: 'English name' },
+  { field: 'productnamearabic', label: 'Arabic name' }
+];
+
+/**
+ * Name/Size Mismatch
+ * Product names often carry the pack size ("PROMAX SP 0W16 1L", "Rice 5kg", "أرز ٥ كجم").
+ * The quantities in the English and Arabic names are converted to base units and compared
+ * with the declared size and unit.
+ */
+module.exports = {
+  id: 'name-size-mismatch',
+  name: 'Name/Size Mismatch',
+  version: '1.0.0',
+  severity: 'high',
+  weight: 10,
+  fields: ['productnameenglish', 'productnamearabic', 'size', 'unit'],
+
+  prepare() {
+    return getUnitRegistry();
+  },
+
+  evaluate(product, context, report) {
+    if (!product.size) return;
+
+    const netContent = parseNetContent(product.size, {
+      unitResolution: context.unitResolution,
+      registry: context.prepared
+    });
+    // Sizes that can't be read are reported by Net Content
+    if (!netContent.perItem) return;
+
+    const comparisons = NAME_FIELDS
+      .filter(({ field }) => product[field])
+      .map(({ field, label }) => ({
+        field,
+        label,
+        ...compareNameQuantities(product[field], netContent, context.prepared)
+      }));
+
+    report.attach('nameSizeCheck', comparisons.map(comparison => ({
+      field: comparison.field,
+      status: comparison.status,
+      quantities: comparison.quantities.map(quantity => quantity.text),
+      suggestion: comparison.suggestion
+    })));
+
+    const declared = `${netContent.size}${netContent.unit.source === 'unit' ? ` ${netContent.unit.name}` : ''}`;
+    const mismatches = comparisons.filter(comparison => comparison.status === 'mismatch');
+
+    mismatches.forEach(comparison => {
+      const { quantity, suggestion } = comparison;
+
+      report.fail({
+        message: `${comparison.label} says "${quantity.text}" but the size is ${declared}`,
+        code: 'name_size_mismatch',
+        field: 'size'
+      });
+
+      report.flagField('size', {
+        reason: 'Size does not match the product name',
+        details: {
+          nameField: comparison.field,
+          nameQuantity: quantity.text,
+          declared: netContent.perItem,
+          name: quantity.perItem
+        }
+      });
+
+      report.suggest({
+        field: 'size',
+        suggestion: `The ${comparison.label} "${product[comparison.field]}" indicates ${quantity.text}. Set the size to ${suggestion.size} with unit ${suggestion.unit.code} (${suggestion.unit.name}), or correct the product name if the size is right.`,
+        importance: 'High',
+        originalValue: product.size,
+        suggestedValue: { size: suggestion.size, unit: suggestion.unit.code }
+      });
+    });
+
+    if (mismatches.length === 0 && comparisons.some(comparison => comparison.status === 'match')) {
+      report.pass({
+        message: `Product name and size agree (${declared})`
+      });
+    }
+  }
+};
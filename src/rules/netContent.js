@@ -0,0 +1,89 @@
+const { getUnitRegistry } = require('../services/unitResolver');
+const { parseNetContent } = require('../services/netContent');
+
+// Classification confidence needed before the category's plausible range is used
+const MIN_CATEGORY_CONFIDENCE = 50;
+
+/**
+ * Net Content
+ * Parses `size` together with `unit` ("500" + MLT, "1,5 L", "6x330ml"), normalizes it to
+ * base units and checks that a unit written in the size agrees with the unit column and
+ * that the content of one item is plausible for the product's category.
+ */
+module.exports = {
+  id: 'net-content',
+  name: 'Net Content',
+  version: '1.1.0',
+  severity: 'high',
+  weight: 15,
+  fields: ['size', 'unit'],
+
+  // Master data spellings of units may also appear in sizes
+  prepare() {
+    return getUnitRegistry();
+  },
+
+  evaluate(product, context, report) {
+    if (!product.size || !String(product.size).trim()) return;
+
+    const { classification } = context;
+    const category = classification && classification.confidence >= MIN_CATEGORY_CONFIDENCE
+      ? classification.category
+      : null;
+
+    const netContent = parseNetContent(product.size, {
+      unitResolution: context.unitResolution,
+      registry: context.prepared,
+      category
+    });
+
+    report.attach('netContent', {
+      size: netContent.size,
+      count: netContent.count,
+      value: netContent.value,
+      unit: netContent.unit,
+      embeddedUnit: netContent.embeddedUnit,
+      normalized: netContent.normalized,
+      perItem: netContent.perItem,
+      range: netContent.range,
+      problems: netContent.problems.map(problem => problem.code)
+    });
+
+    netContent.problems.forEach(problem => {
+      report.fail({
+        severity: problem.severity,
+        message: problem.message,
+        code: problem.code,
+        field: 'size'
+      });
+
+      // A contradicting unit concerns the unit column as much as the size
+      const fields = problem.code === 'unit_contradiction' ? ['size', 'unit'] : ['size'];
+      fields.forEach(field => report.flagField(field, {
+        severity: problem.severity,
+        reason: problem.message,
+        details: {
+          size: netContent.size,
+          unit: product.unit,
+          normalized: netContent.normalized
+        }
+      }));
+
+      report.suggest({
+        field: 'size',
+        suggestion: problem.suggestion,
+        importance: problem.severity === 'medium' ? 'Medium' : 'High',
+        originalValue: product.size
+      });
+    });
+
+    if (netContent.problems.length === 0 && netContent.normalized) {
+      const { normalized, count, perItem } = netContent;
+      report.pass({
+        message: count > 1
+          ? `Net content ${count} x ${perItem.value} ${perItem.unit} (${normalized.value} ${normalized.unit})`
+          : `Net content ${normalized.value} ${normalized.unit}`
+      });
+    }
+  }
+};
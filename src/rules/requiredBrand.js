@@ -0,0 +1,31 @@
+/**
+ * Required Brand
+ * A product without a brand name is unverified.
+ */
+module.exports = {
+  id: 'required-brand',
+  name: 'Required Brand',
+  version: '1.0.0',
+  severity: 'critical',
+  weight: 25,
+  fields: ['BrandName'],
+
+  evaluate(product, context, report) {
+    if (product.BrandName) return;
+
+    report.missing('BrandName');
+    report.fail({
+      message: 'Product must have a brand name'
+    });
+
+    report.flagField('BrandName', {
+      reason: 'Missing required field'
+    });
+
+    report.suggest({
+      field: 'BrandName',
+      suggestion: 'Add the product\'s official brand name. If this is a private label product, enter your company name as the brand. Ensure the brand name matches what appears on the product packaging.',
+      importance: 'Critical'
+    });
+  }
+};
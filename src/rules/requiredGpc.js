@@ -0,0 +1,31 @@
+/**
+ * Required GPC
+ * A product without a GPC brick is unverified.
+ */
+module.exports = {
+  id: 'required-gpc',
+  name: 'Required GPC',
+  version: '1.0.0',
+  severity: 'critical',
+  weight: 25,
+  fields: ['gpc'],
+
+  evaluate(product, context, report) {
+    if (product.gpc) return;
+
+    report.missing('gpc');
+    report.fail({
+      message: 'Product must have a Global Product Classification (GPC)'
+    });
+
+    report.flagField('gpc', {
+      reason: 'Missing required field'
+    });
+
+    report.suggest({
+      field: 'gpc',
+      suggestion: 'Select an appropriate Global Product Classification (GPC) that accurately describes your product category. This classification helps in proper categorization and searchability of your product.',
+      importance: 'Critical'
+    });
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Required Image
+ * A product without a front image is unverified.
+ */
+module.exports = {
+  id: 'required-image',
+  name: 'Required Image',
+  version: '1.0.0',
+  severity: 'critical',
+  weight: 25,
+  fields: ['front_image'],
+
+  evaluate(product, context, report) {
+    if (product.front_image) return;
+
+    report.missing('front_image');
+    report.fail({
+      message: 'Product must have a front image'
+    });
+
+    report.flagField('front_image', {
+      reason: 'Missing required field'
+    });
+
+    report.suggest({
+      field: 'front_image',
+      suggestion: 'Upload a high-quality front image of the product showing the packaging and product details clearly. This is essential for product verification and customer recognition.',
+      importance: 'Critical'
+    });
+  }
+};
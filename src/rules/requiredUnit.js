@@ -0,0 +1,31 @@
+/**
+ * Required Unit
+ * A product without a unit of measurement is unverified.
+ */
+module.exports = {
+  id: 'required-unit',
+  name: 'Required Unit',
+  version: '1.0.0',
+  severity: 'critical',
+  weight: 25,
+  fields: ['unit'],
+
+  evaluate(product, context, report) {
+    if (product.unit) return;
+
+    report.missing('unit');
+    report.fail({
+      message: 'Product must have a unit of measurement'
+    });
+
+    report.flagField('unit', {
+      reason: 'Missing required field'
+    });
+
+    report.suggest({
+      field: 'unit',
+      suggestion: 'Specify the appropriate unit of measurement for your product (e.g., kg, liter, piece). The unit should match the physical characteristics of your product.',
+      importance: 'Critical'
+    });
+  }
+};
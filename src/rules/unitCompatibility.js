@@ -0,0 +1,80 @@
+const { inferUnitType } = require('../services/productAnalysis');
+
+// Recommended units and wording for each expected unit type
+const UNIT_RECOMMENDATIONS = {
+  volume: { units: ['L', 'ML', 'FL OZ'], explanation: 'volume units such as liters or milliliters' },
+  weight: { units: ['KG', 'G'], explanation: 'weight units such as kilograms or grams' },
+  quantity: { units: ['PC', 'EA', 'UNIT'], explanation: 'quantity units such as piece or each' },
+  length: { units: ['M', 'CM', 'MM'], explanation: 'length units such as meters or centimeters' },
+  area: { units: ['M2', 'SQM', 'SQFT'], explanation: 'area units such as square meters or square feet' }
+};
+
+/**
+ * Unit Compatibility
+ * Checks that the unit type suits the category of the product's GPC brick, or of the
+ * brick the classifier finds for its name when it has none.
+ */
+module.exports = {
+  id: 'unit-compatibility',
+  name: 'Unit Compatibility',
+  version: '1.2.0',
+  severity: 'high',
+  weight: 15,
+  fields: ['unit', 'productnameenglish'],
+
+  evaluate(product, context, report) {
+    const { classification, unitData, unitResolution } = context;
+    if (!product.BrandName || !product.gpc) return;
+    if (!classification || !classification.category || classification.confidence < 50) return;
+
+    const detectedCategory = classification.category;
+    const expectedUnit = classification.expectedUnit;
+    if (!expectedUnit) return;
+
+    // Prefer the type of the resolved Rec 20 unit; unit names alone are easily misread
+    const unitType = unitResolution && unitResolution.type
+      ? unitResolution.type
+      : unitData && inferUnitType(unitData);
+    if (!unitType || unitType === expectedUnit) return;
+
+    const classificationConfidence = classification.confidence;
+
+    report.fail({
+      message: `Product category "${detectedCategory.replace('_', ' ')}" should use ${expectedUnit} units, but uses ${unitType} units`
+    });
+
+    report.flagField('unit', {
+      reason: 'Incorrect unit type for product category',
+      details: {
+        productCategory: detectedCategory,
+        expectedUnitType: expectedUnit,
+        currentUnitType: unitType
+      }
+    });
+
+    const recommendation = UNIT_RECOMMENDATIONS[expectedUnit] || { units: [], explanation: '' };
+
+    report.suggest({
+      field: 'unit',
+      suggestion: `Based on our advanced analysis, your product "${product.productnameenglish}" (${detectedCategory.replace('_', ' ')}) should use ${recommendation.explanation} instead of ${unitType} units. Using the proper unit type ensures accurate representation and compliance with industry standards.`,
+      importance: 'High',
+      recommended_units: recommendation.units,
+      confidence: classificationConfidence.toFixed(0) + '%',
+      unit_mapping: {
+        // Add unit mapping to help client with unit selection
+        volume: ['L', 'ML', 'CL', 'FL OZ', 'GAL'],
+        weight: ['KG', 'G', 'MG', 'LB', 'OZ'],
+        quantity: ['PC', 'EA', 'UNIT', 'SET', 'PAIR'],
+        length: ['M', 'CM', 'MM', 'FT', 'IN'],
+        area: ['M2', 'SQM', 'SQFT', 'ACRE', 'HA']
+      },
+      nlp_analysis: {
+        detection_method: classification.detectionMethod,
+        product_category: detectedCategory,
+        recommended_unit_type: expectedUnit,
+        current_unit_type: unitType,
+        contextual_analysis: classification.explanation || `${detectedCategory} products typically use ${expectedUnit} units`
+      }
+    });
+  }
+};
@@ -0,0 +1,106 @@
+/**
+ * Unknown Unit
+ * The unit must resolve to a UN/ECE Rec 20 unit, either directly ("KGM", "Litre", "لتر")
+ * or through the unit master data in gtrackDB `Units` / GS1DB `units`.
+ * Units only found in master data, or only in inactive master data records, are
+ * flagged with medium severity without failing the product.
+ */
+module.exports = {
+  id: 'unknown-unit',
+  name: 'Unknown Unit',
+  version: '1.1.0',
+  severity: 'high',
+  weight: 15,
+  fields: ['unit'],
+
+  evaluate(product, context, report) {
+    // Missing unit is reported by Required Unit
+    const resolution = context.unitResolution;
+    if (!product.unit || !resolution) return;
+
+    const { gtrackDB, GS1DB } = resolution.masterData;
+    const masterRecords = [gtrackDB, GS1DB].filter(Boolean);
+
+    report.attach('unitResolution', {
+      input: resolution.input,
+      status: resolution.status,
+      code: resolution.code,
+      name: resolution.name,
+      type: resolution.type,
+      canonical: resolution.canonical,
+      masterData: {
+        gtrackDB: gtrackDB ? { id: gtrackDB.id, unit_code: gtrackDB.unit_code, unit_name: gtrackDB.unit_name } : null,
+        GS1DB: GS1DB ? { id: GS1DB.id, unit_code: GS1DB.unit_code, unit_name: GS1DB.unit_name } : null
+      },
+      suggestions: resolution.suggestions
+    });
+
+    if (resolution.status === 'unknown') {
+      const closest = resolution.suggestions.map(unit => `${unit.code} (${unit.name})`).join(', ');
+
+      report.fail({
+        message: `Unit "${product.unit}" is not a recognised unit of measurement`,
+        code: 'unknown_unit'
+      });
+      report.flagField('unit', {
+        reason: 'Unknown unit',
+        details: { suggestions: resolution.suggestions }
+      });
+      report.suggest({
+        field: 'unit',
+        suggestion: closest
+          ? `Unit "${product.unit}" is not recognised. Did you mean ${closest}?`
+          : `Unit "${product.unit}" is not recognised. Select a unit from the unit list (UN/ECE Rec 20 codes such as KGM, GRM, LTR, MLT or H87).`,
+        importance: 'High',
+        originalValue: product.unit,
+        recommended_units: resolution.suggestions.map(unit => unit.code)
+      });
+      return;
+    }
+
+    if (resolution.status === 'unmapped') {
+      // The unit is known to us, so the product stays verified; the field is only flagged
+      report.flagField('unit', {
+        severity: 'medium',
+        reason: `Unit "${product.unit}" exists in the unit master data but has no UN/ECE Rec 20 equivalent`
+      });
+      report.suggest({
+        field: 'unit',
+        suggestion: `Use a standard unit instead of "${product.unit}" so the net content can be understood by trading partners.`,
+        importance: 'Medium',
+        originalValue: product.unit
+      });
+      return;
+    }
+
+    // Master data records marked inactive (status 0) shouldn't be used for new products
+    if (masterRecords.length > 0 && masterRecords.every(record => record.status === 0)) {
+      report.flagField('unit', {
+        severity: 'medium',
+        reason: `Unit "${product.unit}" is inactive in the unit master data`
+      });
+      report.suggest({
+        field: 'unit',
+        suggestion: `${resolution.name} (${resolution.code}) is marked inactive in the unit master data. Select an active unit or have ${resolution.name} reactivated.`,
+        importance: 'Medium',
+        originalValue: product.unit
+      });
+      return;
+    }
+
+    // Recognised spellings like "ltrs" or "لتر" pass, with a hint to store the standard code
+    if (!resolution.canonical) {
+      report.suggest({
+        field: 'unit',
+        suggestion: `Unit "${product.unit}" was recognised as ${resolution.name}. Store it as ${resolution.code} to keep units consistent.`,
+        importance: 'Low',
+        originalValue: product.unit,
+        recommended_units: [resolution.code]
+      });
+    }
+
+    report.pass({
+      message: `Unit "${product.unit}" is ${resolution.name} (UN/ECE Rec 20 ${resolution.code})`
+    });
+  }
+};
@@ -0,0 +1,303 @@
+/**
+ * Arabic text helpers
+ * Script detection, normalization, placeholder detection and a rough Arabic-to-Latin
+ * transliteration used to compare Arabic and English brand names.
+ */
+
+// Arabic, Arabic Supplement, Arabic Extended-A and the presentation form blocks
+const ARABIC_LETTER = /[\u0620-\u063F\u0641-\u064A\u066E-\u06D3\u06D5\u06EE\u06EF\u06FA-\u06FC\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFC]/g;
+const LATIN_LETTER = /[A-Za-z\u00C0-\u024F]/g;
+
+// Harakat (short vowel marks), superscript alef and tatweel carry no meaning for comparisons
+const ARABIC_DIACRITICS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g;
+
+// Whole values that are clearly not a real name
+// Both lists are in normalized form (see normalizeArabic) - teh marbuta is written as heh
+const PLACEHOLDER_VALUES = [
+  'منتج', 'اسم', 'اسم المنتج', 'العلامه التجاريه', 'ماركه', 'لا يوجد', 'لايوجد', 'غير معروف',
+  'غير محدد', 'بدون', 'بدون اسم', 'نص', 'عربي', 'الاسم بالعربي', 'الاسم العربي', 'ابجد هوز'
+];
+
+// Words that mark test or dummy data wherever they appear
+const PLACEHOLDER_WORDS = [
+  'تجربه', 'تجريبي', 'تجريبيه', 'اختبار', 'تست', 'عينه', 'مثال', 'وهمي', 'لوريم', 'ايبسوم'
+];
+
+/**
+ * Arabic letters in rough Latin transliteration classes
+ * Letters that are usually written as vowels in Latin (alef, waw, yeh, ain, hamza) are dropped,
+ * so names are compared on their consonants.
+ */
+const ARABIC_TO_LATIN = {
+  'ب': 'b', 'پ': 'b',
+  'ت': 't', 'ط': 't', 'ث': 't', 'ة': 't',
+  'ج': 'g', 'غ': 'g', 'گ': 'g',
+  'ح': 'h', 'ه': 'h',
+  'خ': 'k', 'ك': 'k', 'ق': 'k', 'ک': 'k',
+  'د': 'd', 'ض': 'd',
+  'ذ': 'z', 'ز': 'z', 'ظ': 'z', 'ژ': 'z',
+  'ر': 'r',
+  'س': 's', 'ص': 's', 'ش': 's', 'چ': 's',
+  'ف': 'f', 'ڤ': 'f',
+  'ل': 'l',
+  'م': 'm',
+  'ن': 'n'
+};
+
+// Latin spellings mapped onto the same classes; digraphs are replaced before single letters
+const LATIN_DIGRAPHS = [
+  [/ph/g, 'f'], [/th/g, 't'], [/dh/g, 'z'], [/kh/g, 'k'], [/gh/g, 'g'],
+  [/sh/g, 's'], [/ch/g, 's'], [/ck/g, 'k'], [/c(?=[eiy])/g, 's'], [/x/g, 'ks']
+];
+const LATIN_CLASSES = {
+  b: 'b', p: 'b', t: 't', j: 'g', g: 'g', h: 'h', k: 'k', q: 'k', c: 'k',
+  d: 'd', z: 'z', r: 'r', s: 's', f: 'f', v: 'f', l: 'l', m: 'm', n: 'n'
+};
+
+/**
+ * Count the letters of each script in a text
+ * @param {string} text
+ * @returns {Object} - { arabicLetters, latinLetters, arabicShare, latinShare }
+ */
+function analyzeScript(text) {
+  const value = text || '';
+  const arabicLetters = (value.match(ARABIC_LETTER) || []).length;
+  const latinLetters = (value.match(LATIN_LETTER) || []).length;
+  const letters = arabicLetters + latinLetters;
+
+  return {
+    arabicLetters,
+    latinLetters,
+    arabicShare: letters > 0 ? Math.round((arabicLetters / letters) * 100) / 100 : 0,
+    latinShare: letters > 0 ? Math.round((latinLetters / letters) * 100) / 100 : 0
+  };
+}
+
+/**
+ * Check whether a text contains any Arabic letters
+ * @param {string} text
+ * @returns {boolean}
+ */
+function containsArabic(text) {
+  return analyzeScript(text).arabicLetters > 0;
+}
+
+/**
+ * Normalize Arabic text for comparisons
+ * Removes diacritics and tatweel and folds letter variants (alef forms, alef maqsura,
+ * teh marbuta, hamza carriers) that are often typed interchangeably.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeArabic(text) {
+  return (text || '')
+    .replace(ARABIC_DIACRITICS, '')
+    .replace(/[أإآٱ]/g, 'ا')
+    .replace(/ى/g, 'ي')
+    .replace(/ة/g, 'ه')
+    .replace(/ؤ/g, 'و')
+    .replace(/ئ/g, 'ي')
+    .replace(/[^\u0600-\u06FFa-z0-9\s]/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Replace Arabic-Indic and Eastern Arabic-Indic digits with Latin digits
+ * The Arabic decimal and thousands separators become "." and ","
+ * @param {string} text - e.g. "١٫٥ لتر"
+ * @returns {string} - e.g. "1.5 لتر"
+ */
+function toLatinDigits(text) {
+  return (text || '')
+    .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+    .replace(/\u066B/g, '.')
+    .replace(/\u066C/g, ',');
+}
+
+/**
+ * Detect placeholder or test text in an Arabic field
+ * @param {string} text
+ * @returns {Object} - { isPlaceholder, match, reason }
+ */
+function detectArabicPlaceholder(text) {
+  const normalized = normalizeArabic(text);
+  const words = normalized.split(' ');
+
+  if (!normalized) {
+    return { isPlaceholder: true, match: null, reason: 'Value has no letters' };
+  }
+
+  if (PLACEHOLDER_VALUES.includes(normalized)) {
+    return { isPlaceholder: true, match: normalized, reason: `"${text.trim()}" is a placeholder, not a name` };
+  }
+
+  const placeholderWord = PLACEHOLDER_WORDS.find(word => words.includes(word) || words.includes(`ال${word}`));
+  if (placeholderWord) {
+    return { isPlaceholder: true, match: placeholderWord, reason: `Contains the test word "${placeholderWord}"` };
+  }
+
+  // Latin test words typed into the Arabic field
+  const latinTestWord = ['test', 'testing', 'sample', 'dummy', 'lorem', 'ipsum', 'xxx', 'n/a'].find(word => words.includes(word));
+  if (latinTestWord) {
+    return { isPlaceholder: true, match: latinTestWord, reason: `Contains the test word "${latinTestWord}"` };
+  }
+
+  // The same letter over and over (e.g. "ااااا" or "سسس")
+  const letters = normalized.replace(/[\s0-9]/g, '');
+  if (letters.length >= 3 && new Set(letters).size === 1) {
+    return { isPlaceholder: true, match: normalized, reason: 'Value repeats a single letter' };
+  }
+
+  return { isPlaceholder: false, match: null, reason: null };
+}
+
+/**
+ * Reduce an Arabic text to its Latin consonant skeleton
+ * @param {string} text
+ * @returns {string} - e.g. "المراعي" -> "lmr"
+ */
+function transliterateArabic(text) {
+  const normalized = normalizeArabic(text)
+    // A final heh is mostly a silent teh marbuta ("نستله" -> Nestle)
+    .replace(/ه(?=\s|$)/g, '');
+
+  return Array.from(normalized)
+    .map(char => ARABIC_TO_LATIN[char] || (LATIN_CLASSES[char] || ''))
+    .join('');
+}
+
+/**
+ * Reduce a Latin text to the same consonant skeleton as transliterateArabic
+ * @param {string} text
+ * @returns {string} - e.g. "Almarai" -> "lmr"
+ */
+function latinSkeleton(text) {
+  let value = (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036F]/g, '')
+    .toLowerCase()
+    // A final "h" after a vowel is usually a silent teh marbuta ("Sunbulah")
+    .replace(/([aeiou])h\b/g, '$1')
+    .replace(/[^a-z]/g, '');
+
+  LATIN_DIGRAPHS.forEach(([pattern, replacement]) => {
+    value = value.replace(pattern, replacement);
+  });
+
+  return Array.from(value).map(char => LATIN_CLASSES[char] || '').join('');
+}
+
+/**
+ * Levenshtein distance between two short strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+/**
+ * Compare a Latin name with its Arabic counterpart by transliteration
+ * Translated names (e.g. "Golden Farm" / "المزرعة الذهبية") score low too, so a low
+ * similarity is a hint for review rather than proof of an error.
+ * @param {string} latinText - e.g. BrandName
+ * @param {string} arabicText - e.g. BrandNameAr
+ * @returns {Object} - { similarity (0-1), latinSkeleton, arabicSkeleton } or null when either side has no consonants
+ */
+function compareTransliteration(latinText, arabicText) {
+  const latin = latinSkeleton(latinText);
+  const arabic = transliterateArabic(arabicText);
+  if (!latin || !arabic) return null;
+
+  // Latin names often carry the Arabic article ("Al Safi") only on one side
+  const candidates = [[latin, arabic]];
+  if (arabic.startsWith('l') && !latin.startsWith('l')) candidates.push([latin, arabic.substring(1)]);
+  if (latin.startsWith('l') && !arabic.startsWith('l')) candidates.push([latin.substring(1), arabic]);
+
+  const similarity = Math.max(...candidates.map(([a, b]) =>
+    1 - editDistance(a, b) / Math.max(a.length, b.length, 1)));
+
+  return {
+    similarity: Math.round(similarity * 100) / 100,
+    latinSkeleton: latin,
+    arabicSkeleton: arabic
+  };
+}
+
+/**
+ * Validate a field that should hold Arabic text (e.g. productnamearabic, BrandNameAr)
+ * @param {string} value - Field value
+ * @param {Object} options - { englishValue: the English counterpart, used to spot copies }
+ * @returns {Object} - { valid, script, problems: [{ code, blocking, message, suggestion }] }
+ */
+function validateArabicField(value, options = {}) {
+  const script = analyzeScript(value);
+  const problems = [];
+  const englishValue = (options.englishValue || '').trim().toLowerCase();
+
+  if (script.arabicLetters === 0) {
+    const copied = englishValue && (value || '').trim().toLowerCase() === englishValue;
+    problems.push({
+      code: copied ? 'copied_from_english' : 'no_arabic_script',
+      blocking: true,
+      message: copied
+        ? 'is copied from the English field'
+        : script.latinLetters > 0 ? 'contains English text instead of Arabic' : 'contains no Arabic text',
+      suggestion: 'Enter the name in Arabic script as it appears on the Arabic label'
+    });
+  } else if (script.arabicShare < 0.5) {
+    problems.push({
+      code: 'mostly_english',
+      blocking: false,
+      message: 'is mostly English text',
+      suggestion: 'Write the name in Arabic; keep Latin letters only for parts printed in Latin on the pack'
+    });
+  }
+
+  const placeholder = detectArabicPlaceholder(value);
+  if (placeholder.isPlaceholder && !problems.some(problem => problem.blocking)) {
+    problems.push({
+      code: 'placeholder_text',
+      blocking: true,
+      message: `looks like placeholder or test text (${placeholder.reason})`,
+      suggestion: 'Replace the placeholder with the real Arabic name of the product'
+    });
+  }
+
+  return {
+    valid: !problems.some(problem => problem.blocking),
+    script,
+    problems
+  };
+}
+
+module.exports = {
+  analyzeScript,
+  containsArabic,
+  normalizeArabic,
+  toLatinDigits,
+  detectArabicPlaceholder,
+  transliterateArabic,
+  latinSkeleton,
+  editDistance,
+  compareTransliteration,
+  validateArabicField
+};
@@ -0,0 +1,202 @@
+const { gtrackDB, gs1DB } = require('../models');
+const { safeDbQuery, chunk } = require('../utils/db');
+const { normalizeArabic, editDistance } = require('./arabicText');
+const { loadMemberAccounts, getMemberAccount } = require('./memberAccounts');
+
+/**
+ * Brand registry
+ * Members register their brands in gtrackDB `brands` (by member_id) and GS1DB `brands`
+ * (by user_id / companyID of the member's GS1 account). A product's BrandName must be one
+ * of the member's own, active brands.
+ */
+
+const GTRACK_BRAND_SELECT = {
+  id: true, name: true, name_ar: true, status: true, member_id: true, companyID: true, brand_certificate: true
+};
+
+const GS1_BRAND_SELECT = {
+  id: true, name: true, name_ar: true, status: true, user_id: true, companyID: true, brand_certificate: true
+};
+
+/**
+ * Normalize a brand name for lookups
+ * @param {string} value - e.g. "Sama Oil", "SAMA-OIL", "سما"
+ * @returns {string} - e.g. "sama oil", "سما"
+ */
+function normalizeBrandKey(value) {
+  if (value === null || value === undefined) return '';
+  return normalizeArabic(String(value).replace(/[-_.&']/g, ' '));
+}
+
+/**
+ * Turn a brands row from either database into one shape
+ * @param {Object} record - gtrackDB or GS1DB brands row
+ * @param {string} source - 'gtrackDB' | 'GS1DB'
+ * @returns {Object} - { source, id, name, nameAr, status, active, certificate, memberId, userId, companyID, keys }
+ */
+function toBrandEntry(record, source) {
+  const status = record.status ? String(record.status).trim().toLowerCase() : null;
+  return {
+    source,
+    id: record.id !== null && record.id !== undefined ? String(record.id) : null,
+    name: record.name ? record.name.trim() : null,
+    nameAr: record.name_ar ? record.name_ar.trim() : null,
+    status,
+    active: status === 'active',
+    certificate: record.brand_certificate || null,
+    memberId: record.member_id || null,
+    userId: record.user_id || null,
+    companyID: record.companyID || null,
+    keys: [...new Set([normalizeBrandKey(record.name), normalizeBrandKey(record.name_ar)].filter(Boolean))]
+  };
+}
+
+/**
+ * Load the brands of a batch of products
+ * - the registered brands of every member in the batch (gtrackDB by member_id, GS1DB by
+ *   the member's GS1 account user_id or companyID)
+ * - brands with the same names registered by anyone, to spot brands of other companies
+ * @param {Array} products - Product records with BrandName and member_id
+ * @returns {Promise<Object>} - { available, accounts, memberBrands: member id -> [entry], brandsByKey: key -> [entry] }
+ */
+async function loadBrandRegistry(products) {
+  const registry = {
+    available: Boolean((gtrackDB && gtrackDB.brands) || (gs1DB && gs1DB.brands)),
+    accounts: null,
+    memberBrands: new Map(),
+    brandsByKey: new Map()
+  };
+  if (!registry.available || products.length === 0) return registry;
+
+  registry.accounts = await loadMemberAccounts(products);
+
+  const memberIds = [...new Set(products.map(p => p.member_id).filter(Boolean))];
+  const brandNames = [...new Set(products.map(p => p.BrandName ? p.BrandName.trim() : null).filter(Boolean))];
+
+  // GS1 accounts of the batch's members, and which member each belongs to
+  const accountsByMember = {};
+  memberIds.forEach(memberId => {
+    const account = getMemberAccount({ member_id: memberId }, registry.accounts);
+    if (account) accountsByMember[memberId] = account;
+  });
+  const userIds = [...new Set(Object.values(accountsByMember).map(account => account.userId).filter(Boolean))];
+  const companyIds = [...new Set(Object.values(accountsByMember).map(account => account.companyID).filter(Boolean))];
+
+  const entries = new Map();
+  const add = (records, source) => records.forEach(record => {
+    const entry = toBrandEntry(record, source);
+    entries.set(`${source}:${entry.id}`, entry);
+  });
+
+  if (gtrackDB && gtrackDB.brands) {
+    for (const ids of chunk(memberIds)) {
+      add(await safeDbQuery(() => gtrackDB.brands.findMany({ where: { member_id: { in: ids } }, select: GTRACK_BRAND_SELECT })), 'gtrackDB');
+    }
+    for (const names of chunk(brandNames)) {
+      add(await safeDbQuery(() => gtrackDB.brands.findMany({ where: { name: { in: names } }, select: GTRACK_BRAND_SELECT })), 'gtrackDB');
+    }
+  }
+
+  if (gs1DB && gs1DB.brands) {
+    const owners = [
+      ...(userIds.length > 0 ? [{ user_id: { in: userIds } }] : []),
+      ...(companyIds.length > 0 ? [{ companyID: { in: companyIds } }] : [])
+    ];
+    if (owners.length > 0) {
+      add(await safeDbQuery(() => gs1DB.brands.findMany({ where: { OR: owners }, select: GS1_BRAND_SELECT })), 'GS1DB');
+    }
+    for (const names of chunk(brandNames)) {
+      add(await safeDbQuery(() => gs1DB.brands.findMany({
+        where: { OR: [{ name: { in: names } }, { name_ar: { in: names } }] },
+        select: GS1_BRAND_SELECT
+      })), 'GS1DB');
+    }
+  }
+
+  // A brand belongs to a member through gtrackDB member_id or the member's GS1 account
+  const isOwnBrand = (entry, memberId) => {
+    if (entry.source === 'gtrackDB') return entry.memberId === memberId;
+    const account = accountsByMember[memberId];
+    return Boolean(account && (
+      (entry.userId && entry.userId === account.userId) ||
+      (entry.companyID && account.companyID && entry.companyID === account.companyID)
+    ));
+  };
+
+  entries.forEach(entry => {
+    entry.keys.forEach(key => {
+      if (!registry.brandsByKey.has(key)) registry.brandsByKey.set(key, []);
+      registry.brandsByKey.get(key).push(entry);
+    });
+  });
+  memberIds.forEach(memberId => {
+    registry.memberBrands.set(memberId, [...entries.values()].filter(entry => isOwnBrand(entry, memberId)));
+  });
+
+  return registry;
+}
+
+/**
+ * Find the member's registered brands closest to a brand name that isn't registered
+ * @param {string} key - Normalized brand name
+ * @param {Array} brands - The member's brand entries
+ * @param {number} limit
+ * @returns {Array} - [{ brand, distance }], closest first
+ */
+function findClosestBrands(key, brands, limit = 3) {
+  if (!key) return [];
+  const maxDistance = key.length <= 4 ? 1 : (key.length <= 10 ? 2 : 3);
+
+  return brands
+    .map(brand => ({
+      brand,
+      distance: Math.min(...brand.keys.map(brandKey => editDistance(key, brandKey)))
+    }))
+    .filter(match => match.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || (b.brand.active - a.brand.active))
+    .slice(0, limit);
+}
+
+/**
+ * Check a product's brand against the registry
+ * @param {Object} product - Product record
+ * @param {Object} registry - Result of loadBrandRegistry
+ * @returns {Object|null} - null when there is nothing to check, otherwise {
+ *   status: 'registered' | 'inactive' | 'other_company' | 'unregistered',
+ *   brand: the member's matching brand (the active one when there are several),
+ *   otherCompanies: matching brands of other members,
+ *   suggestions: closest registered brands of the member for an unregistered brand
+ * }
+ */
+function matchBrand(product, registry) {
+  if (!registry || !registry.available || !product.BrandName) return null;
+
+  const key = normalizeBrandKey(product.BrandName);
+  const ownBrands = registry.memberBrands.get(product.member_id) || [];
+  const sameName = registry.brandsByKey.get(key) || [];
+
+  const own = sameName.filter(entry => ownBrands.includes(entry));
+  if (own.length > 0) {
+    const brand = own.find(entry => entry.active) || own[0];
+    return {
+      status: brand.active ? 'registered' : 'inactive',
+      brand,
+      otherCompanies: [],
+      suggestions: []
+    };
+  }
+
+  const otherCompanies = sameName.filter(entry => !ownBrands.includes(entry));
+  return {
+    status: otherCompanies.length > 0 ? 'other_company' : 'unregistered',
+    brand: null,
+    otherCompanies,
+    suggestions: findClosestBrands(key, ownBrands).map(match => match.brand)
+  };
+}
+
+module.exports = {
+  normalizeBrandKey,
+  loadBrandRegistry,
+  matchBrand
+};
@@ -0,0 +1,292 @@
+const { gs1DB } = require('../models');
+const { safeDbQuery } = require('../utils/db');
+
+/**
+ * GPC brick classifier
+ * Scores a product description against the official GS1 brick definitions with BM25.
+ * Each brick is indexed from its title and `bricks_definition_includes`; the words of
+ * `bricks_definition_excludes` are indexed separately and count against a brick.
+ * The index is built in memory from GS1DB `bricks` and needs no external service.
+ */
+
+// BM25 parameters (standard values)
+const K1 = 1.2;
+const B = 0.75;
+
+// Title words say more about a brick than its definition text
+const TITLE_BOOST = 3;
+
+// Share of an exclusion match that is subtracted from the inclusion score
+const EXCLUDE_PENALTY = 0.8;
+
+// How long a loaded index is used before the bricks are read again
+const INDEX_TTL_MS = parseInt(process.env.BRICK_INDEX_TTL_MS) || 24 * 60 * 60 * 1000;
+
+// Boilerplate of the GPC definitions plus common English stop words
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'by', 'can', 'for', 'from', 'has', 'have',
+  'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'other', 'such', 'that', 'the', 'their',
+  'these', 'this', 'those', 'to', 'used', 'which', 'with', 'without',
+  'include', 'includes', 'including', 'exclude', 'excludes', 'excluding', 'specifically',
+  'product', 'products', 'described', 'observed', 'item', 'items', 'type', 'types', 'etc'
+]);
+
+let indexPromise = null;
+let indexLoadedAt = 0;
+
+/**
+ * Reduce a word to a simple stem so plurals match their singular form
+ * @param {string} word - Lower-case word
+ * @returns {string}
+ */
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 4 && /(ches|shes|sses|xes|zes)$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Split text into index terms
+ * @param {string} text
+ * @returns {Array} - Stemmed terms without stop words
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word) && !/^\d+$/.test(word))
+    .map(stem);
+}
+
+/**
+ * Count how often each term occurs
+ * @param {Array} terms
+ * @returns {Map}
+ */
+function termFrequencies(terms) {
+  const frequencies = new Map();
+  terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+  return frequencies;
+}
+
+/**
+ * Build a BM25 field index over a list of term lists
+ * @param {Array} documents - One array of terms per brick
+ * @returns {Object} - { frequencies, lengths, averageLength, documentFrequency, count }
+ */
+function buildFieldIndex(documents) {
+  const documentFrequency = new Map();
+  const frequencies = documents.map(terms => {
+    const counts = termFrequencies(terms);
+    counts.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    return counts;
+  });
+  const lengths = documents.map(terms => terms.length);
+  const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+
+  return {
+    frequencies,
+    lengths,
+    averageLength: documents.length > 0 ? totalLength / documents.length : 0,
+    documentFrequency,
+    count: documents.length
+  };
+}
+
+/**
+ * BM25 score of one document for a query
+ * @param {Object} index - Result of buildFieldIndex
+ * @param {number} docIndex - Document position
+ * @param {Map} queryTerms - Query term frequencies (used as weights)
+ * @returns {Object} - { score, matchedTerms }
+ */
+function scoreDocument(index, docIndex, queryTerms) {
+  const frequencies = index.frequencies[docIndex];
+  const length = index.lengths[docIndex];
+  let score = 0;
+  const matchedTerms = [];
+
+  queryTerms.forEach((weight, term) => {
+    const frequency = frequencies.get(term);
+    if (!frequency) return;
+
+    const documentFrequency = index.documentFrequency.get(term) || 0;
+    const idf = Math.log(1 + (index.count - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    const normalizedLength = index.averageLength > 0 ? length / index.averageLength : 1;
+    score += weight * idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * normalizedLength));
+    matchedTerms.push(term);
+  });
+
+  return { score, matchedTerms };
+}
+
+/**
+ * Build the classifier index from brick records
+ * @param {Array} bricks - Records with bricks_code, bricks_title, bricks_definition_includes, bricks_definition_excludes
+ * @returns {Object} - Index used by classifyProduct
+ */
+function buildBrickIndex(bricks) {
+  const usable = bricks.filter(brick => brick && brick.bricks_code && brick.bricks_title);
+  const entries = usable.map(brick => ({
+    code: String(brick.bricks_code).trim(),
+    title: brick.bricks_title.trim()
+  }));
+
+  // Title terms are repeated so they weigh TITLE_BOOST times a definition term
+  const includeDocuments = usable.map(brick => {
+    const titleTerms = tokenize(brick.bricks_title);
+    const boostedTitle = Array.from({ length: TITLE_BOOST }, () => titleTerms).flat();
+    return [...boostedTitle, ...tokenize(brick.bricks_definition_includes)];
+  });
+  const excludeDocuments = usable.map(brick => tokenize(brick.bricks_definition_excludes));
+
+  return {
+    entries,
+    byCode: new Map(entries.map((entry, i) => [entry.code, i])),
+    includes: buildFieldIndex(includeDocuments),
+    excludes: buildFieldIndex(excludeDocuments),
+    builtAt: new Date()
+  };
+}
+
+/**
+ * Read every brick from GS1DB and build the index
+ * @returns {Promise<Object|null>} - Index, or null when GS1DB has no bricks
+ */
+async function loadBrickIndex() {
+  if (!gs1DB || !gs1DB.bricks) return null;
+
+  const bricks = await safeDbQuery(() => gs1DB.bricks.findMany({
+    select: {
+      bricks_code: true,
+      bricks_title: true,
+      bricks_definition_includes: true,
+      bricks_definition_excludes: true
+    }
+  }));
+  if (bricks.length === 0) return null;
+
+  const index = buildBrickIndex(bricks);
+  console.log(`Brick classifier indexed ${index.entries.length} GPC bricks`);
+  return index;
+}
+
+/**
+ * Get the shared index, loading it on first use and after INDEX_TTL_MS
+ * @returns {Promise<Object|null>}
+ */
+function getBrickIndex() {
+  if (!indexPromise || Date.now() - indexLoadedAt > INDEX_TTL_MS) {
+    indexLoadedAt = Date.now();
+    indexPromise = loadBrickIndex().then(index => {
+      // Try again on the next call when nothing could be loaded
+      if (!index) indexPromise = null;
+      return index;
+    }).catch(error => {
+      indexPromise = null;
+      console.error('Failed to build the brick classifier index:', error.message);
+      return null;
+    });
+  }
+  return indexPromise;
+}
+
+/**
+ * Drop the cached index so the next classification reads the bricks again
+ */
+function reloadBrickIndex() {
+  indexPromise = null;
+}
+
+/**
+ * Build the weighted query terms for a product
+ * @param {Object} product - { name, brand, description }
+ * @returns {Map} - Term -> weight
+ */
+function buildQuery(product) {
+  const query = new Map();
+  const add = (text, weight) => tokenize(text).forEach(term => query.set(term, Math.max(query.get(term) || 0, weight)));
+
+  // Brand names rarely appear in GPC definitions, so they only nudge the ranking
+  add(product.brand, 0.5);
+  add(product.description, 0.75);
+  add(product.name, 1);
+  return query;
+}
+
+/**
+ * Score one brick for a query
+ * @param {Object} index - Brick index
+ * @param {number} docIndex - Brick position in the index
+ * @param {Map} query - Result of buildQuery
+ * @returns {Object} - { code, title, score, includeScore, excludeScore, matchedTerms, excludedTerms }
+ */
+function scoreBrick(index, docIndex, query) {
+  const included = scoreDocument(index.includes, docIndex, query);
+  const excluded = scoreDocument(index.excludes, docIndex, query);
+  const entry = index.entries[docIndex];
+
+  return {
+    code: entry.code,
+    title: entry.title,
+    score: Math.round((included.score - EXCLUDE_PENALTY * excluded.score) * 1000) / 1000,
+    includeScore: Math.round(included.score * 1000) / 1000,
+    excludeScore: Math.round(excluded.score * 1000) / 1000,
+    matchedTerms: included.matchedTerms,
+    excludedTerms: excluded.matchedTerms
+  };
+}
+
+/**
+ * Rank the GPC bricks for a product
+ * @param {Object} product - { name, brand, description } (description e.g. a unit or marketing text)
+ * @param {Object} options - { topN (default 5), brickCode: also score this brick, index: use this index }
+ * @returns {Promise<Object>} - { available, terms, candidates: [{ code, title, score, confidence, ... }], brick }
+ *   confidence: the candidate's share of the best score (0-1); brick: the score of options.brickCode
+ */
+async function classifyProduct(product, options = {}) {
+  const topN = options.topN || 5;
+  const index = options.index || await getBrickIndex();
+  const query = buildQuery(product || {});
+  const result = { available: Boolean(index), terms: [...query.keys()], candidates: [], brick: null };
+
+  if (!index || query.size === 0) return result;
+
+  const scored = [];
+  for (let i = 0; i < index.entries.length; i++) {
+    const brickScore = scoreBrick(index, i, query);
+    if (brickScore.includeScore > 0) scored.push(brickScore);
+  }
+  scored.sort((a, b) => b.score - a.score);
+
+  const bestScore = scored.length > 0 ? scored[0].score : 0;
+  const withConfidence = candidate => ({
+    ...candidate,
+    confidence: bestScore > 0 ? Math.max(0, Math.round((candidate.score / bestScore) * 100) / 100) : 0
+  });
+
+  result.candidates = scored.filter(candidate => candidate.score > 0).slice(0, topN).map(withConfidence);
+
+  if (options.brickCode) {
+    const docIndex = index.byCode.get(String(options.brickCode).trim());
+    if (docIndex !== undefined) {
+      const rank = scored.findIndex(candidate => candidate.code === index.entries[docIndex].code);
+      result.brick = {
+        ...withConfidence(scoreBrick(index, docIndex, query)),
+        rank: rank === -1 ? null : rank + 1
+      };
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  tokenize,
+  buildBrickIndex,
+  getBrickIndex,
+  reloadBrickIndex,
+  classifyProduct
+};
@@ -0,0 +1,666 @@
+const { gs1DB } = require('../models');
+const { safeDbQuery } = require('../utils/db');
+const { normalizeArabic, editDistance } = require('./arabicText');
+
+/**
+ * Country resolution
+ * Maps the free-text countries members type in `Origin` and `countrySale` ("China", "KSA",
+ * "المملكة العربية السعودية", "Saudi Arabai") to ISO 3166-1 alpha-2 / alpha-3 codes and
+ * reconciles them with GS1DB `countries` and `country_of_sales`.
+ */
+
+// How long loaded master data is used before both country tables are read again
+const REGISTRY_TTL_MS = parseInt(process.env.COUNTRY_REGISTRY_TTL_MS) || 60 * 60 * 1000;
+
+/**
+ * ISO 3166-1 countries: [alpha-2, alpha-3, English short name, Arabic name, other spellings]
+ * Spellings are normalized when the lookup tables are built, so case, accents, dots and
+ * Arabic letter variants don't matter.
+ */
+const ISO_COUNTRIES = [
+  ['AF', 'AFG', 'Afghanistan', 'أفغانستان'],
+  ['AX', 'ALA', 'Åland Islands', 'جزر أولاند'],
+  ['AL', 'ALB', 'Albania', 'ألبانيا'],
+  ['DZ', 'DZA', 'Algeria', 'الجزائر'],
+  ['AS', 'ASM', 'American Samoa', 'ساموا الأمريكية'],
+  ['AD', 'AND', 'Andorra', 'أندورا'],
+  ['AO', 'AGO', 'Angola', 'أنغولا'],
+  ['AI', 'AIA', 'Anguilla', 'أنغويلا'],
+  ['AQ', 'ATA', 'Antarctica', 'القارة القطبية الجنوبية'],
+  ['AG', 'ATG', 'Antigua and Barbuda', 'أنتيغوا وباربودا'],
+  ['AR', 'ARG', 'Argentina', 'الأرجنتين'],
+  ['AM', 'ARM', 'Armenia', 'أرمينيا'],
+  ['AW', 'ABW', 'Aruba', 'أروبا'],
+  ['AU', 'AUS', 'Australia', 'أستراليا'],
+  ['AT', 'AUT', 'Austria', 'النمسا'],
+  ['AZ', 'AZE', 'Azerbaijan', 'أذربيجان'],
+  ['BS', 'BHS', 'Bahamas', 'جزر البهاما'],
+  ['BH', 'BHR', 'Bahrain', 'البحرين', ['Kingdom of Bahrain', 'مملكة البحرين']],
+  ['BD', 'BGD', 'Bangladesh', 'بنغلاديش'],
+  ['BB', 'BRB', 'Barbados', 'باربادوس'],
+  ['BY', 'BLR', 'Belarus', 'بيلاروسيا'],
+  ['BE', 'BEL', 'Belgium', 'بلجيكا'],
+  ['BZ', 'BLZ', 'Belize', 'بليز'],
+  ['BJ', 'BEN', 'Benin', 'بنين'],
+  ['BM', 'BMU', 'Bermuda', 'برمودا'],
+  ['BT', 'BTN', 'Bhutan', 'بوتان'],
+  ['BO', 'BOL', 'Bolivia', 'بوليفيا', ['Bolivia, Plurinational State of']],
+  ['BQ', 'BES', 'Bonaire, Sint Eustatius and Saba', 'الجزر الكاريبية الهولندية'],
+  ['BA', 'BIH', 'Bosnia and Herzegovina', 'البوسنة والهرسك', ['Bosnia']],
+  ['BW', 'BWA', 'Botswana', 'بوتسوانا'],
+  ['BV', 'BVT', 'Bouvet Island', 'جزيرة بوفيه'],
+  ['BR', 'BRA', 'Brazil', 'البرازيل', ['Brasil']],
+  ['IO', 'IOT', 'British Indian Ocean Territory', 'إقليم المحيط الهندي البريطاني'],
+  ['BN', 'BRN', 'Brunei Darussalam', 'بروناي', ['Brunei']],
+  ['BG', 'BGR', 'Bulgaria', 'بلغاريا'],
+  ['BF', 'BFA', 'Burkina Faso', 'بوركينا فاسو'],
+  ['BI', 'BDI', 'Burundi', 'بوروندي'],
+  ['CV', 'CPV', 'Cabo Verde', 'الرأس الأخضر', ['Cape Verde']],
+  ['KH', 'KHM', 'Cambodia', 'كمبوديا'],
+  ['CM', 'CMR', 'Cameroon', 'الكاميرون'],
+  ['CA', 'CAN', 'Canada', 'كندا'],
+  ['KY', 'CYM', 'Cayman Islands', 'جزر كايمان'],
+  ['CF', 'CAF', 'Central African Republic', 'جمهورية أفريقيا الوسطى'],
+  ['TD', 'TCD', 'Chad', 'تشاد'],
+  ['CL', 'CHL', 'Chile', 'تشيلي'],
+  ['CN', 'CHN', 'China', 'الصين', ['PRC', "People's Republic of China", 'Mainland China']],
+  ['CX', 'CXR', 'Christmas Island', 'جزيرة عيد الميلاد'],
+  ['CC', 'CCK', 'Cocos (Keeling) Islands', 'جزر كوكوس'],
+  ['CO', 'COL', 'Colombia', 'كولومبيا'],
+  ['KM', 'COM', 'Comoros', 'جزر القمر'],
+  ['CG', 'COG', 'Congo', 'الكونغو', ['Republic of the Congo']],
+  ['CD', 'COD', 'Congo, Democratic Republic of the', 'جمهورية الكونغو الديمقراطية', ['Democratic Republic of the Congo', 'DR Congo', 'DRC']],
+  ['CK', 'COK', 'Cook Islands', 'جزر كوك'],
+  ['CR', 'CRI', 'Costa Rica', 'كوستاريكا'],
+  ['CI', 'CIV', "Côte d'Ivoire", 'ساحل العاج', ['Ivory Coast']],
+  ['HR', 'HRV', 'Croatia', 'كرواتيا'],
+  ['CU', 'CUB', 'Cuba', 'كوبا'],
+  ['CW', 'CUW', 'Curaçao', 'كوراساو'],
+  ['CY', 'CYP', 'Cyprus', 'قبرص'],
+  ['CZ', 'CZE', 'Czechia', 'التشيك', ['Czech Republic']],
+  ['DK', 'DNK', 'Denmark', 'الدنمارك'],
+  ['DJ', 'DJI', 'Djibouti', 'جيبوتي'],
+  ['DM', 'DMA', 'Dominica', 'دومينيكا'],
+  ['DO', 'DOM', 'Dominican Republic', 'جمهورية الدومينيكان'],
+  ['EC', 'ECU', 'Ecuador', 'الإكوادور'],
+  ['EG', 'EGY', 'Egypt', 'مصر', ['Arab Republic of Egypt', 'جمهورية مصر العربية']],
+  ['SV', 'SLV', 'El Salvador', 'السلفادور'],
+  ['GQ', 'GNQ', 'Equatorial Guinea', 'غينيا الاستوائية'],
+  ['ER', 'ERI', 'Eritrea', 'إريتريا'],
+  ['EE', 'EST', 'Estonia', 'إستونيا'],
+  ['SZ', 'SWZ', 'Eswatini', 'إسواتيني', ['Swaziland']],
+  ['ET', 'ETH', 'Ethiopia', 'إثيوبيا'],
+  ['FK', 'FLK', 'Falkland Islands', 'جزر فوكلاند'],
+  ['FO', 'FRO', 'Faroe Islands', 'جزر فارو'],
+  ['FJ', 'FJI', 'Fiji', 'فيجي'],
+  ['FI', 'FIN', 'Finland', 'فنلندا'],
+  ['FR', 'FRA', 'France', 'فرنسا'],
+  ['GF', 'GUF', 'French Guiana', 'غويانا الفرنسية'],
+  ['PF', 'PYF', 'French Polynesia', 'بولينيزيا الفرنسية'],
+  ['TF', 'ATF', 'French Southern Territories', 'الأقاليم الجنوبية الفرنسية'],
+  ['GA', 'GAB', 'Gabon', 'الغابون'],
+  ['GM', 'GMB', 'Gambia', 'غامبيا'],
+  ['GE', 'GEO', 'Georgia', 'جورجيا'],
+  ['DE', 'DEU', 'Germany', 'ألمانيا', ['Deutschland']],
+  ['GH', 'GHA', 'Ghana', 'غانا'],
+  ['GI', 'GIB', 'Gibraltar', 'جبل طارق'],
+  ['GR', 'GRC', 'Greece', 'اليونان'],
+  ['GL', 'GRL', 'Greenland', 'غرينلاند'],
+  ['GD', 'GRD', 'Grenada', 'غرينادا'],
+  ['GP', 'GLP', 'Guadeloupe', 'غوادلوب'],
+  ['GU', 'GUM', 'Guam', 'غوام'],
+  ['GT', 'GTM', 'Guatemala', 'غواتيمالا'],
+  ['GG', 'GGY', 'Guernsey', 'غيرنزي'],
+  ['GN', 'GIN', 'Guinea', 'غينيا'],
+  ['GW', 'GNB', 'Guinea-Bissau', 'غينيا بيساو'],
+  ['GY', 'GUY', 'Guyana', 'غيانا'],
+  ['HT', 'HTI', 'Haiti', 'هايتي'],
+  ['HM', 'HMD', 'Heard Island and McDonald Islands', 'جزيرة هيرد وجزر ماكدونالد'],
+  ['VA', 'VAT', 'Holy See', 'الفاتيكان', ['Vatican', 'Vatican City']],
+  ['HN', 'HND', 'Honduras', 'هندوراس'],
+  ['HK', 'HKG', 'Hong Kong', 'هونغ كونغ', ['Hong Kong SAR', 'هونج كونج']],
+  ['HU', 'HUN', 'Hungary', 'المجر'],
+  ['IS', 'ISL', 'Iceland', 'آيسلندا'],
+  ['IN', 'IND', 'India', 'الهند'],
+  ['ID', 'IDN', 'Indonesia', 'إندونيسيا'],
+  ['IR', 'IRN', 'Iran', 'إيران', ['Iran, Islamic Republic of']],
+  ['IQ', 'IRQ', 'Iraq', 'العراق'],
+  ['IE', 'IRL', 'Ireland', 'أيرلندا'],
+  ['IM', 'IMN', 'Isle of Man', 'جزيرة مان'],
+  ['IL', 'ISR', 'Israel', 'إسرائيل'],
+  ['IT', 'ITA', 'Italy', 'إيطاليا', ['Italia']],
+  ['JM', 'JAM', 'Jamaica', 'جامايكا'],
+  ['JP', 'JPN', 'Japan', 'اليابان'],
+  ['JE', 'JEY', 'Jersey', 'جيرسي'],
+  ['JO', 'JOR', 'Jordan', 'الأردن', ['Hashemite Kingdom of Jordan', 'المملكة الأردنية الهاشمية']],
+  ['KZ', 'KAZ', 'Kazakhstan', 'كازاخستان'],
+  ['KE', 'KEN', 'Kenya', 'كينيا'],
+  ['KI', 'KIR', 'Kiribati', 'كيريباتي'],
+  ['KP', 'PRK', "Korea, Democratic People's Republic of", 'كوريا الشمالية', ['North Korea']],
+  ['KR', 'KOR', 'Korea, Republic of', 'كوريا الجنوبية', ['South Korea', 'Korea', 'كوريا']],
+  ['KW', 'KWT', 'Kuwait', 'الكويت', ['State of Kuwait', 'دولة الكويت']],
+  ['KG', 'KGZ', 'Kyrgyzstan', 'قيرغيزستان'],
+  ['LA', 'LAO', "Lao People's Democratic Republic", 'لاوس', ['Laos']],
+  ['LV', 'LVA', 'Latvia', 'لاتفيا'],
+  ['LB', 'LBN', 'Lebanon', 'لبنان'],
+  ['LS', 'LSO', 'Lesotho', 'ليسوتو'],
+  ['LR', 'LBR', 'Liberia', 'ليبيريا'],
+  ['LY', 'LBY', 'Libya', 'ليبيا'],
+  ['LI', 'LIE', 'Liechtenstein', 'ليختنشتاين'],
+  ['LT', 'LTU', 'Lithuania', 'ليتوانيا'],
+  ['LU', 'LUX', 'Luxembourg', 'لوكسمبورغ'],
+  ['MO', 'MAC', 'Macao', 'ماكاو', ['Macau']],
+  ['MG', 'MDG', 'Madagascar', 'مدغشقر'],
+  ['MW', 'MWI', 'Malawi', 'مالاوي'],
+  ['MY', 'MYS', 'Malaysia', 'ماليزيا'],
+  ['MV', 'MDV', 'Maldives', 'جزر المالديف'],
+  ['ML', 'MLI', 'Mali', 'مالي'],
+  ['MT', 'MLT', 'Malta', 'مالطا'],
+  ['MH', 'MHL', 'Marshall Islands', 'جزر مارشال'],
+  ['MQ', 'MTQ', 'Martinique', 'مارتينيك'],
+  ['MR', 'MRT', 'Mauritania', 'موريتانيا'],
+  ['MU', 'MUS', 'Mauritius', 'موريشيوس'],
+  ['YT', 'MYT', 'Mayotte', 'مايوت'],
+  ['MX', 'MEX', 'Mexico', 'المكسيك'],
+  ['FM', 'FSM', 'Micronesia', 'ميكرونيزيا', ['Micronesia, Federated States of']],
+  ['MD', 'MDA', 'Moldova', 'مولدوفا', ['Republic of Moldova']],
+  ['MC', 'MCO', 'Monaco', 'موناكو'],
+  ['MN', 'MNG', 'Mongolia', 'منغوليا'],
+  ['ME', 'MNE', 'Montenegro', 'الجبل الأسود'],
+  ['MS', 'MSR', 'Montserrat', 'مونتسرات'],
+  ['MA', 'MAR', 'Morocco', 'المغرب'],
+  ['MZ', 'MOZ', 'Mozambique', 'موزمبيق'],
+  ['MM', 'MMR', 'Myanmar', 'ميانمار', ['Burma']],
+  ['NA', 'NAM', 'Namibia', 'ناميبيا'],
+  ['NR', 'NRU', 'Nauru', 'ناورو'],
+  ['NP', 'NPL', 'Nepal', 'نيبال'],
+  ['NL', 'NLD', 'Netherlands', 'هولندا', ['Holland']],
+  ['NC', 'NCL', 'New Caledonia', 'كاليدونيا الجديدة'],
+  ['NZ', 'NZL', 'New Zealand', 'نيوزيلندا'],
+  ['NI', 'NIC', 'Nicaragua', 'نيكاراغوا'],
+  ['NE', 'NER', 'Niger', 'النيجر'],
+  ['NG', 'NGA', 'Nigeria', 'نيجيريا'],
+  ['NU', 'NIU', 'Niue', 'نيوي'],
+  ['NF', 'NFK', 'Norfolk Island', 'جزيرة نورفولك'],
+  ['MK', 'MKD', 'North Macedonia', 'مقدونيا الشمالية', ['Macedonia']],
+  ['MP', 'MNP', 'Northern Mariana Islands', 'جزر ماريانا الشمالية'],
+  ['NO', 'NOR', 'Norway', 'النرويج'],
+  ['OM', 'OMN', 'Oman', 'عمان', ['Sultanate of Oman', 'سلطنة عمان']],
+  ['PK', 'PAK', 'Pakistan', 'باكستان'],
+  ['PW', 'PLW', 'Palau', 'بالاو'],
+  ['PS', 'PSE', 'Palestine', 'فلسطين', ['State of Palestine', 'Palestine, State of']],
+  ['PA', 'PAN', 'Panama', 'بنما'],
+  ['PG', 'PNG', 'Papua New Guinea', 'بابوا غينيا الجديدة'],
+  ['PY', 'PRY', 'Paraguay', 'باراغواي'],
+  ['PE', 'PER', 'Peru', 'بيرو'],
+  ['PH', 'PHL', 'Philippines', 'الفلبين'],
+  ['PN', 'PCN', 'Pitcairn', 'جزر بيتكيرن'],
+  ['PL', 'POL', 'Poland', 'بولندا'],
+  ['PT', 'PRT', 'Portugal', 'البرتغال'],
+  ['PR', 'PRI', 'Puerto Rico', 'بورتوريكو'],
+  ['QA', 'QAT', 'Qatar', 'قطر', ['State of Qatar', 'دولة قطر']],
+  ['RE', 'REU', 'Réunion', 'ريونيون'],
+  ['RO', 'ROU', 'Romania', 'رومانيا'],
+  ['RU', 'RUS', 'Russian Federation', 'روسيا', ['Russia']],
+  ['RW', 'RWA', 'Rwanda', 'رواندا'],
+  ['BL', 'BLM', 'Saint Barthélemy', 'سان بارتيلمي'],
+  ['SH', 'SHN', 'Saint Helena, Ascension and Tristan da Cunha', 'سانت هيلينا', ['Saint Helena']],
+  ['KN', 'KNA', 'Saint Kitts and Nevis', 'سانت كيتس ونيفيس'],
+  ['LC', 'LCA', 'Saint Lucia', 'سانت لوسيا'],
+  ['MF', 'MAF', 'Saint Martin (French part)', 'سان مارتن'],
+  ['PM', 'SPM', 'Saint Pierre and Miquelon', 'سان بيير وميكلون'],
+  ['VC', 'VCT', 'Saint Vincent and the Grenadines', 'سانت فنسنت والغرينادين'],
+  ['WS', 'WSM', 'Samoa', 'ساموا'],
+  ['SM', 'SMR', 'San Marino', 'سان مارينو'],
+  ['ST', 'STP', 'Sao Tome and Principe', 'ساو تومي وبرينسيب'],
+  ['SA', 'SAU', 'Saudi Arabia', 'المملكة العربية السعودية', ['KSA', 'Saudi', 'Kingdom of Saudi Arabia', 'السعودية', 'العربية السعودية']],
+  ['SN', 'SEN', 'Senegal', 'السنغال'],
+  ['RS', 'SRB', 'Serbia', 'صربيا'],
+  ['SC', 'SYC', 'Seychelles', 'سيشل'],
+  ['SL', 'SLE', 'Sierra Leone', 'سيراليون'],
+  ['SG', 'SGP', 'Singapore', 'سنغافورة'],
+  ['SX', 'SXM', 'Sint Maarten (Dutch part)', 'سينت مارتن'],
+  ['SK', 'SVK', 'Slovakia', 'سلوفاكيا'],
+  ['SI', 'SVN', 'Slovenia', 'سلوفينيا'],
+  ['SB', 'SLB', 'Solomon Islands', 'جزر سليمان'],
+  ['SO', 'SOM', 'Somalia', 'الصومال'],
+  ['ZA', 'ZAF', 'South Africa', 'جنوب أفريقيا', ['جنوب افريقيا']],
+  ['GS', 'SGS', 'South Georgia and the South Sandwich Islands', 'جورجيا الجنوبية وجزر ساندويتش الجنوبية'],
+  ['SS', 'SSD', 'South Sudan', 'جنوب السودان'],
+  ['ES', 'ESP', 'Spain', 'إسبانيا', ['España']],
+  ['LK', 'LKA', 'Sri Lanka', 'سريلانكا'],
+  ['SD', 'SDN', 'Sudan', 'السودان'],
+  ['SR', 'SUR', 'Suriname', 'سورينام'],
+  ['SJ', 'SJM', 'Svalbard and Jan Mayen', 'سفالبارد ويان ماين'],
+  ['SE', 'SWE', 'Sweden', 'السويد'],
+  ['CH', 'CHE', 'Switzerland', 'سويسرا'],
+  ['SY', 'SYR', 'Syria', 'سوريا', ['Syrian Arab Republic']],
+  ['TW', 'TWN', 'Taiwan', 'تايوان'],
+  ['TJ', 'TJK', 'Tajikistan', 'طاجيكستان'],
+  ['TZ', 'TZA', 'Tanzania', 'تنزانيا', ['United Republic of Tanzania', 'Tanzania, United Republic of']],
+  ['TH', 'THA', 'Thailand', 'تايلاند'],
+  ['TL', 'TLS', 'Timor-Leste', 'تيمور الشرقية', ['East Timor']],
+  ['TG', 'TGO', 'Togo', 'توغو'],
+  ['TK', 'TKL', 'Tokelau', 'توكيلاو'],
+  ['TO', 'TON', 'Tonga', 'تونغا'],
+  ['TT', 'TTO', 'Trinidad and Tobago', 'ترينيداد وتوباغو'],
+  ['TN', 'TUN', 'Tunisia', 'تونس'],
+  ['TR', 'TUR', 'Türkiye', 'تركيا', ['Turkey']],
+  ['TM', 'TKM', 'Turkmenistan', 'تركمانستان'],
+  ['TC', 'TCA', 'Turks and Caicos Islands', 'جزر توركس وكايكوس'],
+  ['TV', 'TUV', 'Tuvalu', 'توفالو'],
+  ['UG', 'UGA', 'Uganda', 'أوغندا'],
+  ['UA', 'UKR', 'Ukraine', 'أوكرانيا'],
+  ['AE', 'ARE', 'United Arab Emirates', 'الإمارات العربية المتحدة', ['UAE', 'Emirates', 'الإمارات', 'دولة الإمارات']],
+  ['GB', 'GBR', 'United Kingdom', 'المملكة المتحدة', ['UK', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales', 'بريطانيا', 'إنجلترا']],
+  ['US', 'USA', 'United States', 'الولايات المتحدة', ['United States of America', 'America', 'الولايات المتحدة الأمريكية', 'أمريكا']],
+  ['UM', 'UMI', 'United States Minor Outlying Islands', 'جزر الولايات المتحدة الصغيرة النائية'],
+  ['UY', 'URY', 'Uruguay', 'الأوروغواي'],
+  ['UZ', 'UZB', 'Uzbekistan', 'أوزبكستان'],
+  ['VU', 'VUT', 'Vanuatu', 'فانواتو'],
+  ['VE', 'VEN', 'Venezuela', 'فنزويلا', ['Venezuela, Bolivarian Republic of']],
+  ['VN', 'VNM', 'Viet Nam', 'فيتنام', ['Vietnam']],
+  ['VG', 'VGB', 'Virgin Islands (British)', 'جزر العذراء البريطانية', ['British Virgin Islands']],
+  ['VI', 'VIR', 'Virgin Islands (U.S.)', 'جزر العذراء الأمريكية', ['US Virgin Islands']],
+  ['WF', 'WLF', 'Wallis and Futuna', 'واليس وفوتونا'],
+  ['EH', 'ESH', 'Western Sahara', 'الصحراء الغربية'],
+  ['YE', 'YEM', 'Yemen', 'اليمن'],
+  ['ZM', 'ZMB', 'Zambia', 'زامبيا'],
+  ['ZW', 'ZWE', 'Zimbabwe', 'زيمبابوي'],
+
+  // User-assigned code, used by GS1 Kosovo
+  ['XK', 'XKX', 'Kosovo', 'كوسوفو']
+].map(([alpha2, alpha3, name, nameAr, aliases = []]) => ({ alpha2, alpha3, name, nameAr, aliases }));
+
+// Words around a country that say nothing about which country it is ("Made in China", "صنع في الصين")
+const ORIGIN_PHRASES = /^(?:(?:country of )?origin|made in|product of|produced in|manufactured in|assembled in|بلد المنشا|المنشا|منشا|صنع في|صنع ب|صناعه|انتاج)\s+/;
+
+/**
+ * Normalize a country for lookups
+ * @param {string} value - e.g. "Made in Côte d'Ivoire", "U.S.A.", "صنع في الصين"
+ * @returns {string} - e.g. "cote d ivoire", "usa", "الصين"
+ */
+function normalizeCountryKey(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\./g, '');
+  return normalizeArabic(text)
+    .replace(ORIGIN_PHRASES, '')
+    .replace(/^the /, '');
+}
+
+/**
+ * Drop the Arabic article from every word, so "سعوديه" matches "السعوديه"
+ * @param {string} key - Result of normalizeCountryKey
+ * @returns {string}
+ */
+function withoutArabicArticle(key) {
+  return key
+    .split(' ')
+    .map(word => word.length > 4 && word.startsWith('ال') ? word.slice(2) : word)
+    .join(' ');
+}
+
+// alpha-2 -> country, alpha-2/alpha-3 code -> alpha-2 and normalized name -> alpha-2
+const countriesByAlpha2 = new Map(ISO_COUNTRIES.map(country => [country.alpha2, country]));
+const builtInCodes = new Map();
+const builtInNames = new Map();
+
+/**
+ * Add a spelling to a name index with and without the Arabic article
+ * The first country to claim a spelling keeps it.
+ */
+function addName(index, spelling, alpha2) {
+  const key = normalizeCountryKey(spelling);
+  if (!key) return;
+  [key, withoutArabicArticle(key)].forEach(variant => {
+    if (!index.has(variant)) index.set(variant, alpha2);
+  });
+}
+
+ISO_COUNTRIES.forEach(country => {
+  builtInCodes.set(country.alpha2.toLowerCase(), country.alpha2);
+  builtInCodes.set(country.alpha3.toLowerCase(), country.alpha2);
+});
+// Official names claim their spellings before any alias does
+ISO_COUNTRIES.forEach(country => {
+  addName(builtInNames, country.name, country.alpha2);
+  addName(builtInNames, country.nameAr, country.alpha2);
+});
+ISO_COUNTRIES.forEach(country => {
+  country.aliases.forEach(alias => addName(builtInNames, alias, country.alpha2));
+});
+
+let registryPromise = null;
+let registryLoadedAt = 0;
+
+/**
+ * Get a country by its alpha-2 or alpha-3 code
+ * @param {string} code - e.g. "SA" or "SAU"
+ * @param {Object} registry - Result of getCountryRegistry (optional)
+ * @returns {Object|null} - { alpha2, alpha3, name, nameAr, aliases }
+ */
+function getCountry(code, registry) {
+  if (!code) return null;
+  const alpha2 = builtInCodes.get(String(code).trim().toLowerCase())
+    || (registry ? registry.codes.get(String(code).trim().toLowerCase()) : null);
+  if (!alpha2) return null;
+  return countriesByAlpha2.get(alpha2) || (registry ? registry.countries.get(alpha2) : null) || null;
+}
+
+/**
+ * Find the alpha-2 code for a normalized key
+ * Codes are tried first for short keys, then English and Arabic names with and without
+ * the Arabic article, then the spellings learned from master data.
+ * @param {string} key - Result of normalizeCountryKey
+ * @param {Object} registry - Result of loadCountryRegistry (optional)
+ * @returns {Object|null} - { alpha2, match: 'code' | 'name' }
+ */
+function lookupCountry(key, registry) {
+  if (!key) return null;
+
+  if (/^[a-z]{2,3}$/.test(key) || /^\d{3}$/.test(key)) {
+    const alpha2 = builtInCodes.get(key) || (registry ? registry.codes.get(key) : null);
+    if (alpha2) return { alpha2, match: 'code' };
+  }
+
+  const bare = withoutArabicArticle(key);
+  for (const candidate of [key, bare]) {
+    const alpha2 = builtInNames.get(candidate) || (registry ? registry.names.get(candidate) : null);
+    if (alpha2) return { alpha2, match: 'name' };
+  }
+  return null;
+}
+
+/**
+ * Read GS1DB `countries` and `country_of_sales` and map each record to an ISO country
+ * @returns {Promise<Object>} - { codes, names, countries, masterData, unmapped, unmappedNames, ids, counts, loadedAt }
+ *   codes: extra codes from master data (numeric-3, codes missing from ISO_COUNTRIES) -> alpha-2
+ *   names: extra spellings from master data -> alpha-2
+ *   countries: countries only known from master data, by alpha-2
+ *   masterData: alpha-2 -> [{ source, id, name, nameAr, code, status, alpha2 }]
+ *   unmapped: master data records without an ISO code; unmappedNames indexes them by spelling
+ *   ids: `countries` record id -> alpha-2, for tables that reference a country by id
+ */
+async function loadCountryRegistry() {
+  const registry = {
+    codes: new Map(),
+    names: new Map(),
+    countries: new Map(),
+    masterData: new Map(),
+    unmapped: [],
+    unmappedNames: new Map(),
+    ids: new Map(),
+    counts: { countries: 0, country_of_sales: 0 },
+    loadedAt: new Date()
+  };
+
+  const addMasterData = (alpha2, entry) => {
+    if (!registry.masterData.has(alpha2)) registry.masterData.set(alpha2, []);
+    registry.masterData.get(alpha2).push(entry);
+  };
+
+  // country_of_sales is an ISO table: trust its codes, even for countries the built-in table lacks
+  let countryOfSales = [];
+  if (gs1DB && gs1DB.country_of_sales) {
+    countryOfSales = await safeDbQuery(() => gs1DB.country_of_sales.findMany({
+      select: { id: true, Alpha2: true, Alpha3: true, country_code_numeric3: true, country_name: true }
+    }));
+  }
+  registry.counts.country_of_sales = countryOfSales.length;
+
+  countryOfSales.forEach(record => {
+    const alpha2 = record.Alpha2 ? record.Alpha2.trim().toUpperCase() : null;
+    const alpha3 = record.Alpha3 ? record.Alpha3.trim().toUpperCase() : null;
+    if (!alpha2 || !/^[A-Z]{2}$/.test(alpha2)) return;
+
+    if (!countriesByAlpha2.has(alpha2) && !registry.countries.has(alpha2)) {
+      registry.countries.set(alpha2, { alpha2, alpha3, name: record.country_name ? record.country_name.trim() : alpha2, nameAr: null, aliases: [] });
+      registry.codes.set(alpha2.toLowerCase(), alpha2);
+      if (alpha3) registry.codes.set(alpha3.toLowerCase(), alpha2);
+    }
+    if (record.country_code_numeric3 && /^\d{1,3}$/.test(record.country_code_numeric3.trim())) {
+      registry.codes.set(record.country_code_numeric3.trim().padStart(3, '0'), alpha2);
+    }
+    if (record.country_name && !lookupCountry(normalizeCountryKey(record.country_name), registry)) {
+      addName(registry.names, record.country_name, alpha2);
+    }
+
+    addMasterData(alpha2, {
+      source: 'country_of_sales',
+      id: record.id !== null && record.id !== undefined ? String(record.id) : null,
+      name: record.country_name ? record.country_name.trim() : null,
+      nameAr: null,
+      code: alpha2,
+      status: null,
+      alpha2
+    });
+  });
+
+  // countries carries the Arabic names; map each record through its short name, code or names
+  let countries = [];
+  if (gs1DB && gs1DB.countries) {
+    countries = await safeDbQuery(() => gs1DB.countries.findMany({
+      select: { id: true, name_en: true, name_ar: true, country_code: true, country_shortName: true, status: true }
+    }));
+  }
+  registry.counts.countries = countries.length;
+
+  countries.forEach(record => {
+    // country_code may be a dialling code (966), so only letter codes are trusted
+    const match = [record.country_shortName, record.country_code]
+      .map(code => normalizeCountryKey(code))
+      .filter(code => /^[a-z]{2,3}$/.test(code))
+      .concat([normalizeCountryKey(record.name_en), normalizeCountryKey(record.name_ar)])
+      .map(key => lookupCountry(key, registry))
+      .find(Boolean);
+    const alpha2 = match ? match.alpha2 : null;
+
+    const entry = {
+      source: 'countries',
+      id: record.id !== null && record.id !== undefined ? String(record.id) : null,
+      name: record.name_en ? record.name_en.trim() : null,
+      nameAr: record.name_ar ? record.name_ar.trim() : null,
+      code: record.country_shortName ? record.country_shortName.trim() : (record.country_code ? record.country_code.trim() : null),
+      status: record.status !== null && record.status !== undefined ? Number(record.status) : null,
+      alpha2
+    };
+
+    if (alpha2) {
+      // Master data spellings (e.g. "K.S.A" or a different Arabic spelling) resolve like the country
+      [record.name_en, record.name_ar, record.country_shortName].forEach(spelling => {
+        if (spelling && !lookupCountry(normalizeCountryKey(spelling), registry)) addName(registry.names, spelling, alpha2);
+      });
+      if (entry.id) registry.ids.set(entry.id, alpha2);
+      addMasterData(alpha2, entry);
+    } else {
+      registry.unmapped.push(entry);
+      [record.name_en, record.name_ar].forEach(spelling => addName(registry.unmappedNames, spelling, entry));
+    }
+  });
+
+  console.log(`Country registry loaded ${registry.counts.countries} countries and ${registry.counts.country_of_sales} country_of_sales records (${registry.unmapped.length} without an ISO code)`);
+  return registry;
+}
+
+/**
+ * Get the shared country registry, loading it on first use and after REGISTRY_TTL_MS
+ * @returns {Promise<Object>}
+ */
+function getCountryRegistry() {
+  if (!registryPromise || Date.now() - registryLoadedAt > REGISTRY_TTL_MS) {
+    registryLoadedAt = Date.now();
+    registryPromise = loadCountryRegistry().catch(error => {
+      registryPromise = null;
+      console.error('Failed to load the country registry:', error.message);
+      // The built-in ISO table still resolves countries without master data
+      return { codes: new Map(), names: new Map(), countries: new Map(), masterData: new Map(), unmapped: [], unmappedNames: new Map(), ids: new Map(), counts: { countries: 0, country_of_sales: 0 }, loadedAt: new Date() };
+    });
+  }
+  return registryPromise;
+}
+
+/**
+ * Drop the cached registry so the next resolution reads both country tables again
+ */
+function reloadCountryRegistry() {
+  registryPromise = null;
+}
+
+/**
+ * Find the countries whose names are closest to a misspelled one
+ * @param {string} key - Normalized country
+ * @param {Object} registry - Result of getCountryRegistry (optional)
+ * @returns {Array} - [{ alpha2, distance }], closest first
+ */
+function findClosestCountries(key, registry) {
+  if (!key || key.length < 4) return [];
+  const maxDistance = key.length <= 5 ? 1 : (key.length <= 10 ? 2 : 3);
+
+  const closest = new Map();
+  const compare = (spelling, alpha2) => {
+    // Very short spellings ("uk", "usa") are too close to everything
+    if (spelling.length < 4) return;
+    const distance = editDistance(key, spelling);
+    if (distance <= maxDistance && (!closest.has(alpha2) || distance < closest.get(alpha2))) {
+      closest.set(alpha2, distance);
+    }
+  };
+  builtInNames.forEach((alpha2, spelling) => compare(spelling, alpha2));
+  if (registry) registry.names.forEach((alpha2, spelling) => compare(spelling, alpha2));
+
+  return [...closest.entries()]
+    .map(([alpha2, distance]) => ({ alpha2, distance }))
+    .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Resolve a free-text country
+ * @param {string} value - Country as entered, e.g. "Made in China", "KSA", "السعودية"
+ * @param {Object} registry - Result of getCountryRegistry (optional - without it only the built-in table is used)
+ * @returns {Object} - {
+ *   input, key,
+ *   status: 'resolved' | 'unmapped' (only in master data, without an ISO code) | 'unknown',
+ *   match: how it was resolved - 'code', 'name' or 'fuzzy' (a misspelling with one close country),
+ *   alpha2, alpha3, name, nameAr: the ISO country,
+ *   masterData: { countries, country_of_sales } matching records (or null),
+ *   suggestions: closest countries for an unknown country
+ * }
+ */
+function resolveCountry(value, registry) {
+  const key = normalizeCountryKey(value);
+  let found = lookupCountry(key, registry);
+  let suggestions = [];
+
+  const unmappedEntry = !found && registry && key
+    ? registry.unmappedNames.get(key) || registry.unmappedNames.get(withoutArabicArticle(key)) || null
+    : null;
+
+  if (!found && !unmappedEntry) {
+    const closest = findClosestCountries(key, registry);
+    // Only an unambiguous misspelling is accepted ("Saudi Arabai", not "Guinea"/"Guyana")
+    if (closest.length === 1 || (closest.length > 1 && closest[0].distance < closest[1].distance)) {
+      found = { alpha2: closest[0].alpha2, match: 'fuzzy' };
+    } else {
+      suggestions = closest.slice(0, 3).map(({ alpha2 }) => {
+        const country = getCountry(alpha2, registry);
+        return { alpha2: country.alpha2, alpha3: country.alpha3, name: country.name, nameAr: country.nameAr };
+      });
+    }
+  }
+
+  const country = found ? getCountry(found.alpha2, registry) : null;
+  const records = country && registry ? registry.masterData.get(country.alpha2) || [] : [];
+  const masterRecord = source => {
+    const sourceEntries = records.filter(entry => entry.source === source);
+    // Prefer an active record when the table has duplicates
+    return sourceEntries.find(entry => entry.status !== 0) || sourceEntries[0] || null;
+  };
+
+  return {
+    input: value === null || value === undefined ? null : String(value),
+    key,
+    status: country ? 'resolved' : (unmappedEntry ? 'unmapped' : 'unknown'),
+    match: country ? found.match : null,
+    alpha2: country ? country.alpha2 : null,
+    alpha3: country ? country.alpha3 : null,
+    name: country ? country.name : (unmappedEntry ? unmappedEntry.name : null),
+    nameAr: country ? (country.nameAr || (masterRecord('countries') || {}).nameAr || null) : (unmappedEntry ? unmappedEntry.nameAr : null),
+    masterData: {
+      countries: unmappedEntry || masterRecord('countries'),
+      country_of_sales: masterRecord('country_of_sales')
+    },
+    suggestions
+  };
+}
+
+/**
+ * Resolve a field that may list several countries ("Saudi Arabia, UAE, Kuwait")
+ * The whole value is tried first so names with commas ("Korea, Republic of") stay together.
+ * @param {string} value - Field value
+ * @param {Object} registry - Result of getCountryRegistry (optional)
+ * @returns {Array} - One resolveCountry result per country, duplicates removed
+ */
+function resolveCountryList(value, registry) {
+  if (value === null || value === undefined || !String(value).trim()) return [];
+
+  const whole = resolveCountry(value, registry);
+  const parts = String(value).split(/[,;/|\n]+/).map(part => part.trim()).filter(Boolean);
+  if (parts.length <= 1 || (whole.status === 'resolved' && whole.match !== 'fuzzy')) return [whole];
+
+  const seen = new Set();
+  return parts
+    .map(part => resolveCountry(part, registry))
+    .filter(resolution => {
+      const id = resolution.alpha2 || resolution.key;
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+}
+
+/**
+ * Resolve a country reference from another table: a `countries` record id, a code or a name
+ * @param {string|number} value - e.g. GS1DB users.country
+ * @param {Object} registry - Result of getCountryRegistry
+ * @returns {Object} - resolveCountry result
+ */
+function resolveCountryReference(value, registry) {
+  const id = value === null || value === undefined ? '' : String(value).trim();
+  if (registry && registry.ids.has(id)) {
+    return resolveCountry(registry.ids.get(id), registry);
+  }
+  return resolveCountry(value, registry);
+}
+
+/**
+ * Short form of a resolution for API responses
+ * @param {Object} resolution - Result of resolveCountry
+ * @returns {Object} - { input, status, match, alpha2, alpha3, name, nameAr }
+ */
+function summarizeCountry(resolution) {
+  return {
+    input: resolution.input,
+    status: resolution.status,
+    match: resolution.match,
+    alpha2: resolution.alpha2,
+    alpha3: resolution.alpha3,
+    name: resolution.name,
+    nameAr: resolution.nameAr
+  };
+}
+
+module.exports = {
+  ISO_COUNTRIES,
+  normalizeCountryKey,
+  getCountry,
+  loadCountryRegistry,
+  getCountryRegistry,
+  reloadCountryRegistry,
+  resolveCountry,
+  resolveCountryList,
+  resolveCountryReference,
+  summarizeCountry
+};
@@ -0,0 +1,120 @@
+const { gs1DB } = require('../models');
+
+/**
+ * Distributed locks backed by the GS1DB DistributedLock table
+ * A lock is a row keyed by lock_name. It belongs to whoever created it until
+ * expires_at, after which any instance may take it over. Long running work
+ * should call renewLock periodically so the lock doesn't expire underneath it.
+ *
+ * acquireLock returns a token (the row's locked_at) that renewLock and releaseLock
+ * require, so a holder that ran past its expiry can't extend or delete the lock of
+ * the instance that took it over. When renewLock returns false the lock is lost and
+ * the caller must stop.
+ */
+
+/**
+ * Check whether the DistributedLock table is available
+ * @returns {boolean}
+ */
+function isLockAvailable() {
+  return Boolean(gs1DB && gs1DB.DistributedLock);
+}
+
+/**
+ * Try to take a lock
+ * @param {string} lockName - Name of the lock
+ * @param {number} ttlMs - How long the lock is held before it expires
+ * @returns {Promise<Date|null>} - Lock token when the lock was acquired, otherwise null
+ */
+async function acquireLock(lockName, ttlMs) {
+  if (!isLockAvailable()) {
+    console.error(`Cannot acquire lock "${lockName}": DistributedLock table is not available`);
+    return null;
+  }
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ttlMs);
+
+  try {
+    await gs1DB.DistributedLock.create({
+      data: { lock_name: lockName, locked_at: now, expires_at: expiresAt }
+    });
+    return now;
+  } catch (error) {
+    // The lock row already exists - fall through and try to take over an expired lock
+  }
+
+  try {
+    // Only one instance can win this update because it is conditional on the old expiry
+    const result = await gs1DB.DistributedLock.updateMany({
+      where: { lock_name: lockName, expires_at: { lt: now } },
+      data: { locked_at: now, expires_at: expiresAt }
+    });
+    return result.count === 1 ? now : null;
+  } catch (error) {
+    console.error(`Error acquiring lock "${lockName}":`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Extend a lock that is currently held
+ * @param {string} lockName - Name of the lock
+ * @param {Date} token - Token returned by acquireLock
+ * @param {number} ttlMs - New time to live from now
+ * @returns {Promise<boolean>} - True when the lock was extended, false when it is no longer ours
+ */
+async function renewLock(lockName, token, ttlMs) {
+  if (!isLockAvailable() || !token) return false;
+
+  try {
+    const result = await gs1DB.DistributedLock.updateMany({
+      where: { lock_name: lockName, locked_at: token },
+      data: { expires_at: new Date(Date.now() + ttlMs) }
+    });
+    return result.count === 1;
+  } catch (error) {
+    console.error(`Error renewing lock "${lockName}":`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Release a lock so other instances can take it immediately
+ * Does nothing when another instance has taken the lock over in the meantime.
+ * @param {string} lockName - Name of the lock
+ * @param {Date} token - Token returned by acquireLock
+ */
+async function releaseLock(lockName, token) {
+  if (!isLockAvailable() || !token) return;
+
+  try {
+    await gs1DB.DistributedLock.deleteMany({ where: { lock_name: lockName, locked_at: token } });
+  } catch (error) {
+    console.error(`Error releasing lock "${lockName}":`, error.message);
+  }
+}
+
+/**
+ * Check whether a lock is currently held by any instance
+ * @param {string} lockName - Name of the lock
+ * @returns {Promise<boolean>}
+ */
+async function isLocked(lockName) {
+  if (!isLockAvailable()) return false;
+
+  try {
+    const lock = await gs1DB.DistributedLock.findUnique({ where: { lock_name: lockName } });
+    return Boolean(lock && new Date(lock.expires_at) > new Date());
+  } catch (error) {
+    console.error(`Error reading lock "${lockName}":`, error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  acquireLock,
+  renewLock,
+  releaseLock,
+  isLocked
+};
@@ -0,0 +1,463 @@
+const { gtrackDB, gs1DB } = require('../models');
+const { safeDbQuery, chunk } = require('../utils/db');
+const { toGtin14 } = require('./gtin');
+const { normalizeArabic, toLatinDigits, editDistance } = require('./arabicText');
+const { getUnitRegistry, resolveUnit } = require('./unitResolver');
+const { parseNetContent, extractNameQuantities } = require('./netContent');
+
+/**
+ * Duplicate detection
+ * - barcode collisions: `products` rows with the same GTIN (compared in GTIN-14 form, so
+ *   "6281000000113" and "06281000000113" collide), across members or within one
+ * - foreign GTIN collisions: GS1DB `foreign_gtins` entries with the GTIN of a local product
+ * - near duplicates: products of the same member with different GTINs but the same brand,
+ *   the same net content and nearly the same name
+ */
+
+// Name similarity (0-1) from which two products of a member count as the same item
+const NAME_SIMILARITY_THRESHOLD = parseFloat(process.env.DUPLICATE_NAME_SIMILARITY) || 0.85;
+
+// Rows read per query when the report scans whole tables
+const SCAN_CHUNK_SIZE = 1000;
+
+// Product columns needed to compare products
+const PRODUCT_SELECT = {
+  id: true,
+  member_id: true,
+  barcode: true,
+  productnameenglish: true,
+  productnamearabic: true,
+  BrandName: true,
+  size: true,
+  unit: true
+};
+
+const FOREIGN_GTIN_SELECT = {
+  id: true,
+  barcode: true,
+  BrandName: true,
+  productnameenglish: true,
+  moName: true,
+  countrySale: true,
+  user_id: true
+};
+
+/**
+ * Key a barcode is compared on
+ * @param {string} barcode - GTIN-8/12/13/14 with or without leading zeros
+ * @returns {string|null} - GTIN-14 form, or null for barcodes that aren't numeric GTINs
+ */
+function getGtinKey(barcode) {
+  const digits = barcode === null || barcode === undefined ? '' : String(barcode).trim();
+  if (!/^\d{8,14}$/.test(digits)) return null;
+  return toGtin14(digits);
+}
+
+/**
+ * All spellings a GTIN may be stored under (GTIN-14 and its shorter forms without leading zeros)
+ * @param {string} barcode
+ * @returns {Array}
+ */
+function getGtinVariants(barcode) {
+  const key = getGtinKey(barcode);
+  if (!key) return [];
+
+  const variants = new Set([String(barcode).trim(), key]);
+  [8, 12, 13].forEach(length => {
+    if (/^0*$/.test(key.slice(0, 14 - length))) variants.add(key.slice(14 - length));
+  });
+  return [...variants];
+}
+
+/**
+ * Normalize a product name for comparison
+ * Quantities ("5kg", "١ لتر") are left out - the size is compared separately.
+ * @param {string} name
+ * @param {Object} registry - Unit registry
+ * @returns {Object|null} - { text: tokens in alphabetical order, tokens, variants: tokens containing digits, e.g. "0w16" }
+ */
+function normalizeName(name, registry) {
+  if (!name || !String(name).trim()) return null;
+
+  let text = toLatinDigits(String(name));
+  extractNameQuantities(text, registry).forEach(quantity => {
+    text = text.replace(quantity.text, ' ');
+  });
+
+  const tokens = normalizeArabic(text).split(' ').filter(Boolean);
+  if (tokens.length === 0) return null;
+
+  return {
+    text: [...tokens].sort().join(' '),
+    tokens,
+    variants: tokens.filter(token => /\d/.test(token)).sort().join(' ')
+  };
+}
+
+/**
+ * Similarity of two normalized names (0-1)
+ * Names that differ in a token with digits (0W16 vs 5W30, "Size 3" vs "Size 4") are
+ * different products. Otherwise the better of word overlap and character similarity
+ * (typos) counts; neither depends on the word order.
+ * @param {Object} a - Result of normalizeName
+ * @param {Object} b - Result of normalizeName
+ * @returns {number}
+ */
+function compareNames(a, b) {
+  if (!a || !b) return 0;
+  if (a.variants !== b.variants) return 0;
+
+  const wordsA = new Set(a.tokens);
+  const wordsB = new Set(b.tokens);
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  const wordOverlap = (2 * shared) / (wordsA.size + wordsB.size);
+
+  const longest = Math.max(a.text.length, b.text.length);
+  const characterSimilarity = longest > 0 ? 1 - editDistance(a.text, b.text) / longest : 0;
+
+  return Math.round(Math.max(wordOverlap, characterSimilarity) * 100) / 100;
+}
+
+/**
+ * Key the net content of a product is compared on
+ * "500" + MLT and "0.5 L" give the same key; sizes that can't be parsed are compared as written.
+ * @param {Object} product - Product with size and unit
+ * @param {Object} registry - Unit registry
+ * @returns {string}
+ */
+function getSizeKey(product, registry) {
+  if (!product.size || !String(product.size).trim()) return '';
+
+  const unitResolution = product.unit ? resolveUnit(product.unit, registry) : null;
+  const netContent = parseNetContent(product.size, { unitResolution, registry });
+  if (netContent.normalized) {
+    return `${netContent.normalized.value} ${netContent.normalized.unit}`;
+  }
+  return `${String(product.size).trim()} ${product.unit || ''}`.trim().toLowerCase();
+}
+
+/**
+ * Short form of a product for reports and issue details
+ * @param {Object} product
+ * @returns {Object}
+ */
+function summarizeProduct(product) {
+  return {
+    id: product.id,
+    member_id: product.member_id,
+    barcode: product.barcode,
+    productnameenglish: product.productnameenglish || null,
+    productnamearabic: product.productnamearabic || null,
+    BrandName: product.BrandName || null,
+    size: product.size || null,
+    unit: product.unit || null
+  };
+}
+
+/**
+ * Create an empty lookup of products and foreign GTINs
+ * @param {Object} registry - Unit registry used for sizes and names
+ * @returns {Object}
+ */
+function createDuplicateIndex(registry) {
+  return {
+    registry,
+    products: new Map(),
+    byGtin: new Map(),
+    byMember: new Map(),
+    foreignByGtin: new Map()
+  };
+}
+
+/**
+ * Add products to the index (products already in it are skipped)
+ * Each entry keeps the product and the keys it is compared on.
+ * @param {Object} index - Result of createDuplicateIndex
+ * @param {Array} products - Product records (at least the PRODUCT_SELECT columns)
+ */
+function addProducts(index, products) {
+  products.forEach(product => {
+    if (!product || index.products.has(product.id)) return;
+
+    const entry = {
+      product,
+      gtinKey: getGtinKey(product.barcode),
+      brandKey: normalizeArabic(product.BrandName || ''),
+      sizeKey: getSizeKey(product, index.registry),
+      names: {
+        english: normalizeName(product.productnameenglish, index.registry),
+        arabic: normalizeName(product.productnamearabic, index.registry)
+      }
+    };
+    index.products.set(product.id, entry);
+
+    if (entry.gtinKey) {
+      if (!index.byGtin.has(entry.gtinKey)) index.byGtin.set(entry.gtinKey, []);
+      index.byGtin.get(entry.gtinKey).push(entry);
+    }
+    if (product.member_id) {
+      if (!index.byMember.has(product.member_id)) index.byMember.set(product.member_id, []);
+      index.byMember.get(product.member_id).push(entry);
+    }
+  });
+}
+
+/**
+ * Add GS1DB foreign_gtins records to the index
+ * @param {Object} index - Result of createDuplicateIndex
+ * @param {Array} records - foreign_gtins rows
+ */
+function addForeignGtins(index, records) {
+  records.forEach(record => {
+    const key = getGtinKey(record.barcode);
+    if (!key) return;
+    if (!index.foreignByGtin.has(key)) index.foreignByGtin.set(key, []);
+    if (!index.foreignByGtin.get(key).some(existing => existing.id === record.id)) {
+      index.foreignByGtin.get(key).push(record);
+    }
+  });
+}
+
+/**
+ * Load everything needed to check a batch of products for duplicates
+ * - other products with the same GTIN (any member)
+ * - all products of the batch's members, for near duplicates
+ * - foreign_gtins entries with the same GTIN
+ * @param {Array} products - Product records about to be checked
+ * @returns {Promise<Object>} - Duplicate index
+ */
+async function loadDuplicateIndex(products) {
+  const index = createDuplicateIndex(await getUnitRegistry());
+  addProducts(index, products);
+
+  const variants = [...new Set(products.flatMap(product => getGtinVariants(product.barcode)))];
+  const memberIds = [...new Set(products.map(product => product.member_id).filter(Boolean))];
+
+  if (gtrackDB && gtrackDB.products) {
+    for (const barcodes of chunk(variants)) {
+      addProducts(index, await safeDbQuery(() => gtrackDB.products.findMany({
+        where: { barcode: { in: barcodes }, deleted_at: null },
+        select: PRODUCT_SELECT
+      })));
+    }
+    for (const members of chunk(memberIds)) {
+      addProducts(index, await safeDbQuery(() => gtrackDB.products.findMany({
+        where: { member_id: { in: members }, deleted_at: null },
+        select: PRODUCT_SELECT
+      })));
+    }
+  }
+
+  if (gs1DB && gs1DB.foreign_gtins) {
+    for (const barcodes of chunk(variants)) {
+      addForeignGtins(index, await safeDbQuery(() => gs1DB.foreign_gtins.findMany({
+        where: { barcode: { in: barcodes }, deleted_at: null },
+        select: FOREIGN_GTIN_SELECT
+      })));
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Read a whole table in chunks ordered by id
+ * @param {Object} model - Prisma model
+ * @param {Object} where - Filter
+ * @param {Object} select - Columns
+ * @param {Function} onChunk - Called with every chunk of rows
+ */
+async function scanTable(model, where, select, onChunk) {
+  let lastId = null;
+  for (;;) {
+    const rows = await safeDbQuery(() => model.findMany({
+      where: lastId === null ? where : { ...where, id: { gt: lastId } },
+      select,
+      orderBy: { id: 'asc' },
+      take: SCAN_CHUNK_SIZE
+    }));
+    if (rows.length === 0) return;
+
+    onChunk(rows);
+    if (rows.length < SCAN_CHUNK_SIZE) return;
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+/**
+ * Load the index for the duplicate report
+ * Without a member every product and foreign GTIN is read; with one, only that member's
+ * products and whatever shares their GTINs.
+ * @param {Object} options - { memberId }
+ * @returns {Promise<Object>} - Duplicate index
+ */
+async function loadReportIndex(options = {}) {
+  if (!gtrackDB || !gtrackDB.products) {
+    return createDuplicateIndex(await getUnitRegistry());
+  }
+
+  if (options.memberId) {
+    const memberProducts = await safeDbQuery(() => gtrackDB.products.findMany({
+      where: { member_id: options.memberId, deleted_at: null },
+      select: PRODUCT_SELECT
+    }));
+    return loadDuplicateIndex(memberProducts);
+  }
+
+  const index = createDuplicateIndex(await getUnitRegistry());
+  await scanTable(gtrackDB.products, { deleted_at: null }, PRODUCT_SELECT, rows => addProducts(index, rows));
+
+  if (gs1DB && gs1DB.foreign_gtins) {
+    await scanTable(gs1DB.foreign_gtins, { deleted_at: null }, FOREIGN_GTIN_SELECT, rows => {
+      // Only foreign GTINs that collide with a local product are kept
+      addForeignGtins(index, rows.filter(record => index.byGtin.has(getGtinKey(record.barcode))));
+    });
+  }
+
+  return index;
+}
+
+/**
+ * Compare two index entries of the same member
+ * @returns {number|null} - Name similarity when they look like the same item, otherwise null
+ */
+function compareEntries(a, b) {
+  if (a.gtinKey && a.gtinKey === b.gtinKey) return null;
+  if (a.brandKey !== b.brandKey || a.sizeKey !== b.sizeKey) return null;
+
+  const similarity = Math.max(
+    compareNames(a.names.english, b.names.english),
+    compareNames(a.names.arabic, b.names.arabic)
+  );
+  return similarity >= NAME_SIMILARITY_THRESHOLD ? similarity : null;
+}
+
+/**
+ * Find the duplicates of one product
+ * @param {Object} product - Product record
+ * @param {Object} index - Result of loadDuplicateIndex
+ * @returns {Object} - {
+ *   sameBarcode: [{ product, sameMember }] other products with the GTIN,
+ *   foreignGtins: foreign_gtins entries with the GTIN,
+ *   nearDuplicates: [{ product, similarity }] same member, other GTIN, same item
+ * }
+ */
+function findProductDuplicates(product, index) {
+  const result = { sameBarcode: [], foreignGtins: [], nearDuplicates: [] };
+  if (!index) return result;
+
+  const entry = index.products.get(product.id);
+  if (!entry) return result;
+
+  if (entry.gtinKey) {
+    result.sameBarcode = (index.byGtin.get(entry.gtinKey) || [])
+      .filter(other => other.product.id !== product.id)
+      .map(other => ({
+        product: summarizeProduct(other.product),
+        sameMember: other.product.member_id === product.member_id
+      }));
+    result.foreignGtins = index.foreignByGtin.get(entry.gtinKey) || [];
+  }
+
+  result.nearDuplicates = (index.byMember.get(product.member_id) || [])
+    .filter(other => other.product.id !== product.id)
+    .map(other => ({ other, similarity: compareEntries(entry, other) }))
+    .filter(match => match.similarity !== null)
+    .sort((a, b) => b.similarity - a.similarity)
+    .map(match => ({ product: summarizeProduct(match.other.product), similarity: match.similarity }));
+
+  return result;
+}
+
+/**
+ * Build the duplicate report from an index
+ * @param {Object} index - Result of loadReportIndex
+ * @param {Object} options - { memberId: only groups involving this member, limit: max entries per section }
+ * @returns {Object} - { summary, barcodeCollisions, nearDuplicates, foreignCollisions }
+ */
+function buildDuplicateReport(index, options = {}) {
+  const limit = options.limit || 100;
+  const involvesMember = entries => !options.memberId || entries.some(entry => entry.product.member_id === options.memberId);
+
+  const barcodeCollisions = [];
+  const foreignCollisions = [];
+  index.byGtin.forEach((entries, gtin) => {
+    if (!involvesMember(entries)) return;
+
+    if (entries.length > 1) {
+      const members = new Set(entries.map(entry => entry.product.member_id));
+      barcodeCollisions.push({
+        gtin,
+        crossMember: members.size > 1,
+        members: [...members],
+        products: entries.map(entry => summarizeProduct(entry.product))
+      });
+    }
+
+    const foreign = index.foreignByGtin.get(gtin);
+    if (foreign && foreign.length > 0) {
+      foreignCollisions.push({
+        gtin,
+        products: entries.map(entry => summarizeProduct(entry.product)),
+        foreignGtins: foreign
+      });
+    }
+  });
+
+  // Within each member, only products with the same brand and size can be near duplicates
+  const nearDuplicates = [];
+  index.byMember.forEach((entries, memberId) => {
+    if (options.memberId && memberId !== options.memberId) return;
+
+    const buckets = new Map();
+    entries.forEach(entry => {
+      const key = `${entry.brandKey}|${entry.sizeKey}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(entry);
+    });
+
+    buckets.forEach(bucket => {
+      for (let i = 0; i < bucket.length; i++) {
+        for (let j = i + 1; j < bucket.length; j++) {
+          const similarity = compareEntries(bucket[i], bucket[j]);
+          if (similarity !== null) {
+            nearDuplicates.push({
+              member_id: memberId,
+              similarity,
+              products: [summarizeProduct(bucket[i].product), summarizeProduct(bucket[j].product)]
+            });
+          }
+        }
+      }
+    });
+  });
+
+  // Collisions between members first - they mean a GTIN is used by someone who doesn't own it
+  barcodeCollisions.sort((a, b) => (b.crossMember - a.crossMember) || (b.products.length - a.products.length));
+  nearDuplicates.sort((a, b) => b.similarity - a.similarity);
+
+  return {
+    summary: {
+      productsScanned: index.products.size,
+      barcodeCollisions: barcodeCollisions.length,
+      crossMemberCollisions: barcodeCollisions.filter(collision => collision.crossMember).length,
+      nearDuplicates: nearDuplicates.length,
+      foreignCollisions: foreignCollisions.length
+    },
+    barcodeCollisions: barcodeCollisions.slice(0, limit),
+    nearDuplicates: nearDuplicates.slice(0, limit),
+    foreignCollisions: foreignCollisions.slice(0, limit)
+  };
+}
+
+module.exports = {
+  NAME_SIMILARITY_THRESHOLD,
+  getGtinKey,
+  getGtinVariants,
+  normalizeName,
+  compareNames,
+  loadDuplicateIndex,
+  loadReportIndex,
+  findProductDuplicates,
+  buildDuplicateReport
+};
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * File mail transport
+ * Writes every message as an .eml file to EMAIL_FILE_DIR (default: gtrack-emails in the
+ * system temp directory) instead of sending it. The files open in any mail client.
+ */
+
+/**
+ * Turn an address into something safe for a file name
+ */
+function toFileName(value) {
+  return String(value || 'message').replace(/[^a-z0-9@._-]+/gi, '_').slice(0, 80);
+}
+
+/**
+ * Create the file transport
+ * @param {Object} options - { dir } (defaults to EMAIL_FILE_DIR)
+ * @returns {Object} - Transport with name, isAvailable() and send()
+ */
+function createFileTransport(options = {}) {
+  const dir = options.dir || process.env.EMAIL_FILE_DIR || path.join(os.tmpdir(), 'gtrack-emails');
+
+  // Builds the raw message without sending it
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'file',
+    dir,
+
+    isAvailable() {
+      return true;
+    },
+
+    /**
+     * Write one message to disk
+     * @param {Object} message - { from, to, cc, subject, html, text }
+     * @returns {Promise<Object>} - { messageId, accepted, rejected, path }
+     */
+    async send(message) {
+      const info = await builder.sendMail(message);
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      const to = Array.isArray(message.to) ? message.to[0] : message.to;
+      const filePath = path.join(dir, `${Date.now()}-${toFileName(to)}.eml`);
+      await fs.promises.writeFile(filePath, info.message);
+
+      return {
+        messageId: info.messageId,
+        accepted: [].concat(message.to || [], message.cc || []),
+        rejected: [],
+        path: filePath
+      };
+    }
+  };
+}
+
+module.exports = {
+  createFileTransport
+};
@@ -0,0 +1,85 @@
+const { createSmtpTransport, createMailcatcherTransport } = require('./smtpTransport');
+const { createFileTransport } = require('./fileTransport');
+
+/**
+ * Mail transports
+ * A transport delivers rendered messages and has this shape:
+ * - name: identifier recorded with every send
+ * - isAvailable(): whether it is configured well enough to be used
+ * - send({ from, to, cc, subject, html, text }): resolves to { messageId, accepted, rejected }
+ *
+ * The transport in use is picked with EMAIL_TRANSPORT (smtp, mailcatcher, file or none).
+ * Without it, SMTP is used when SMTP_HOST is set; otherwise email delivery is off.
+ */
+const factories = {
+  smtp: createSmtpTransport,
+  mailcatcher: createMailcatcherTransport,
+  file: createFileTransport
+};
+
+let activeTransport;
+
+/**
+ * Add a transport factory so it can be selected through configuration
+ * @param {string} name - Value of EMAIL_TRANSPORT that selects it
+ * @param {Function} factory - Returns a transport object
+ */
+function registerMailTransport(name, factory) {
+  factories[name] = factory;
+}
+
+/**
+ * Pick the transport name from configuration
+ * @returns {string}
+ */
+function getConfiguredTransportName() {
+  if (process.env.EMAIL_TRANSPORT) {
+    return process.env.EMAIL_TRANSPORT.trim().toLowerCase();
+  }
+  if (process.env.SMTP_HOST) return 'smtp';
+  return 'none';
+}
+
+/**
+ * Get the configured transport
+ * @returns {Object|null} - Transport, or null when email delivery is off or not configured
+ */
+function getMailTransport() {
+  if (activeTransport !== undefined) return activeTransport;
+
+  const name = getConfiguredTransportName();
+  activeTransport = null;
+
+  if (name === 'none') return activeTransport;
+
+  if (!factories[name]) {
+    console.error(`Unknown email transport "${name}" - email delivery is disabled`);
+    return activeTransport;
+  }
+
+  const transport = factories[name]();
+  if (!transport.isAvailable()) {
+    console.warn(`Email transport "${name}" is not configured - email delivery is disabled`);
+    return activeTransport;
+  }
+
+  activeTransport = transport;
+  return activeTransport;
+}
+
+/**
+ * Replace the transport in use (e.g. the file transport in tests); pass undefined to re-read configuration
+ * @param {Object|undefined} transport
+ */
+function setMailTransport(transport) {
+  activeTransport = transport;
+}
+
+module.exports = {
+  registerMailTransport,
+  getMailTransport,
+  setMailTransport,
+  createSmtpTransport,
+  createMailcatcherTransport,
+  createFileTransport
+};
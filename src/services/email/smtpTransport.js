@@ -0,0 +1,75 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP mail transport
+ * Sends through any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS).
+ * The mailcatcher transport is the same thing pointed at a local MailCatcher / MailHog
+ * (MAILCATCHER_HOST, default localhost, MAILCATCHER_PORT, default 1025), which shows every
+ * message in its web UI instead of delivering it.
+ */
+
+/**
+ * Create the SMTP transport
+ * @param {Object} options - { host, port, secure, user, pass, name } (defaults to the SMTP_* variables)
+ * @returns {Object} - Transport with name, isAvailable() and send()
+ */
+function createSmtpTransport(options = {}) {
+  const host = options.host || process.env.SMTP_HOST;
+  const port = parseInt(options.port || process.env.SMTP_PORT) || 587;
+  const secure = options.secure !== undefined ? options.secure : process.env.SMTP_SECURE === 'true' || port === 465;
+  const user = options.user !== undefined ? options.user : process.env.SMTP_USER;
+  const pass = options.pass !== undefined ? options.pass : process.env.SMTP_PASS;
+
+  let transporter;
+
+  return {
+    name: options.name || 'smtp',
+
+    isAvailable() {
+      return Boolean(host);
+    },
+
+    /**
+     * Send one message
+     * @param {Object} message - { from, to, cc, subject, html, text }
+     * @returns {Promise<Object>} - { messageId, accepted, rejected }
+     */
+    async send(message) {
+      // Created on first use so a misconfigured server only fails when mail is sent
+      transporter = transporter || nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        ...(user && { auth: { user, pass } })
+      });
+
+      const info = await transporter.sendMail(message);
+      return {
+        messageId: info.messageId,
+        accepted: info.accepted || [],
+        rejected: info.rejected || []
+      };
+    }
+  };
+}
+
+/**
+ * Create the mailcatcher transport
+ * @param {Object} options - { host, port } (defaults to MAILCATCHER_HOST / MAILCATCHER_PORT)
+ * @returns {Object} - Transport with name, isAvailable() and send()
+ */
+function createMailcatcherTransport(options = {}) {
+  return createSmtpTransport({
+    name: 'mailcatcher',
+    host: options.host || process.env.MAILCATCHER_HOST || 'localhost',
+    port: options.port || process.env.MAILCATCHER_PORT || 1025,
+    secure: false,
+    user: null,
+    pass: null
+  });
+}
+
+module.exports = {
+  createSmtpTransport,
+  createMailcatcherTransport
+};
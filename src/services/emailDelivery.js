@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { gs1DB } = require('../models');
+const { safeDbQuery } = require('../utils/db');
+const { getMailTransport } = require('./email');
+const { renderDigest } = require('./verificationDigest');
+const { loadMemberAccounts, getMemberAccount } = require('./memberAccounts');
+
+/**
+ * Email delivery
+ * Sends one verification digest per member through the configured mail transport and
+ * records every sent email in GS1DB `email_history_logs`. In dry-run mode
+ * (EMAIL_DRY_RUN=true, or per call) the rendered emails are returned without sending.
+ */
+
+const DEFAULT_FROM = 'GTRACK <no-reply@gtrack.online>';
+
+/**
+ * Check whether dry-run mode is configured
+ * @returns {boolean}
+ */
+function isDryRunConfigured() {
+  return process.env.EMAIL_DRY_RUN === 'true';
+}
+
+/**
+ * Sender address of outgoing email
+ * @returns {string}
+ */
+function getSender() {
+  return process.env.EMAIL_FROM || DEFAULT_FROM;
+}
+
+// email_history_logs requires an admin; resolved once
+let logAdminPromise = null;
+
+/**
+ * Find the admin that system emails are logged under
+ * EMAIL_LOG_ADMIN_ID when set, otherwise the first active super admin.
+ * @returns {Promise<string|null>}
+ */
+function getLogAdminId() {
+  if (process.env.EMAIL_LOG_ADMIN_ID) return Promise.resolve(process.env.EMAIL_LOG_ADMIN_ID);
+  if (!(gs1DB && gs1DB.admins)) return Promise.resolve(null);
+
+  if (!logAdminPromise) {
+    logAdminPromise = safeDbQuery(() => gs1DB.admins.findFirst({
+      where: { is_super_admin: 1, status: 1 },
+      orderBy: { created_at: 'asc' },
+      select: { id: true }
+    }), null).then(admin => {
+      // Try again next time instead of caching a missing admin
+      if (!admin) logAdminPromise = null;
+      return admin ? admin.id : null;
+    });
+  }
+  return logAdminPromise;
+}
+
+/**
+ * Record a sent email in GS1DB email_history_logs
+ * @param {Object} email - Rendered email { subject, html }
+ * @param {string} userId - GS1DB users.id of the recipient
+ * @returns {Promise<boolean>} - True when the log was written
+ */
+async function logEmail(email, userId) {
+  if (!(gs1DB && gs1DB.email_history_logs) || !userId) return false;
+
+  const adminId = await getLogAdminId();
+  if (!adminId) {
+    console.warn('Email not logged: set EMAIL_LOG_ADMIN_ID or add an active super admin');
+    return false;
+  }
+
+  try {
+    await gs1DB.email_history_logs.create({
+      data: {
+        id: crypto.randomUUID(),
+        user_id: userId,
+        admin_id: adminId,
+        subject: email.subject.slice(0, 255),
+        body: email.html,
+        attachments: null,
+        updated_at: new Date()
+      }
+    });
+    return true;
+  } catch (error) {
+    console.error(`Error logging email to ${email.to}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Send the verification digest to every member
+ * @param {Array} groups - Unverified products grouped by member:
+ *   [{ memberId, memberEmail, companyName, companyNameArabic, gcpGLNID, cc, products: [...] }]
+ * @param {Object} options - { dryRun } (defaults to EMAIL_DRY_RUN), { language } to send every digest in 'en' or 'ar',
+ *   { onSent(group, email, result) } called after each digest was sent,
+ *   { beforeSend(group) } awaited before each digest; returning false stops sending (summary.stopped)
+ * @returns {Promise<Object>} - { dryRun, transport, sent, failed, results: [{ memberEmail, gcpGLNID, productCount, status, ... }] }
+ */
+async function sendDigests(groups, options = {}) {
+  const dryRun = options.dryRun !== undefined ? options.dryRun : isDryRunConfigured();
+  const transport = dryRun ? null : getMailTransport();
+
+  if (!dryRun && !transport) {
+    throw new Error('Email delivery is not configured. Set EMAIL_TRANSPORT (smtp, mailcatcher or file) or SMTP_HOST.');
+  }
+
+  // GS1DB accounts of the members: their country picks the digest language, and
+  // email_history_logs needs the user id
+  const accounts = await loadMemberAccounts(groups.map(group => ({ member_id: group.memberId })));
+
+  const summary = {
+    dryRun,
+    transport: transport ? transport.name : null,
+    sent: 0,
+    failed: 0,
+    results: []
+  };
+
+  // One at a time - SMTP servers throttle bursts
+  for (const group of groups) {
+    if (options.beforeSend && await options.beforeSend(group) === false) {
+      summary.stopped = true;
+      break;
+    }
+
+    const account = getMemberAccount({ member_id: group.memberId }, accounts);
+    const { language, template, unsubscribeLink, ...rendered } = await renderDigest(
+      { ...group, country: account ? account.country : null },
+      { language: options.language }
+    );
+    const email = {
+      from: getSender(),
+      ...rendered,
+      ...(group.cc && group.cc.length > 0 && { cc: group.cc }),
+      // List-Unsubscribe with one-click POST (RFC 8058), so mail clients can offer the link too
+      ...(unsubscribeLink && {
+        list: { unsubscribe: unsubscribeLink },
+        headers: { 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+      })
+    };
+    const result = {
+      memberId: group.memberId,
+      memberEmail: group.memberEmail,
+      gcpGLNID: group.gcpGLNID,
+      productCount: group.products.length,
+      language,
+      template
+    };
+
+    if (dryRun) {
+      summary.results.push({ ...result, status: 'rendered', email });
+      continue;
+    }
+
+    try {
+      const info = await transport.send(email);
+      const logged = await logEmail(email, account ? account.userId : null);
+
+      const sent = {
+        ...result,
+        status: 'sent',
+        messageId: info.messageId,
+        ...(info.path && { path: info.path }),
+        logged
+      };
+      summary.sent++;
+      summary.results.push(sent);
+      if (options.onSent) await options.onSent(group, email, sent);
+    } catch (error) {
+      console.error(`Error sending digest to ${group.memberEmail}:`, error.message);
+      summary.failed++;
+      summary.results.push({ ...result, status: 'failed', error: error.message });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  isDryRunConfigured,
+  sendDigests
+};
@@ -0,0 +1,215 @@
+const { gtrackDB, gs1DB } = require('../models');
+const { safeDbQuery } = require('../utils/db');
+const { toGtin14 } = require('./gtin');
+
+// GS1 Company Prefixes are between 4 and 12 digits long
+const MIN_GCP_LENGTH = 4;
+const MAX_GCP_LENGTH = 12;
+
+/**
+ * Get the GTIN-13 form of a GTIN-12/13/14 (GTIN-14 loses its indicator digit)
+ * GTIN-8 numbers are not built from a GS1 Company Prefix, so they return null
+ * @param {string} barcode - Numeric GTIN
+ * @returns {string|null} - 13-digit key the company prefix is compared against
+ */
+function getGcpKey(barcode) {
+  if (!barcode || !/^\d+$/.test(barcode)) return null;
+  if (![12, 13, 14].includes(barcode.length)) return null;
+  return toGtin14(barcode).substring(1);
+}
+
+/**
+ * List every possible company prefix a GTIN could have been issued from
+ * @param {string} barcode - Numeric GTIN
+ * @returns {Array} - Candidate prefixes, shortest first
+ */
+function getCandidatePrefixes(barcode) {
+  const key = getGcpKey(barcode);
+  if (!key) return [];
+
+  const candidates = [];
+  for (let length = MIN_GCP_LENGTH; length <= MAX_GCP_LENGTH; length++) {
+    candidates.push(key.substring(0, length));
+  }
+  return candidates;
+}
+
+/**
+ * Check whether GS1 still lists a prefix as active (rows without a status are active by default)
+ * @param {Object} record - g_c_p_information row
+ * @returns {boolean}
+ */
+function isActivePrefix(record) {
+  return !record.status || record.status.trim().toLowerCase() === 'active';
+}
+
+/**
+ * Load company prefix ownership data for a batch of products in a few queries
+ * Sources:
+ * - GTRACKDB Member.gs1CompanyPrefix (owner of each product and prefix owners)
+ * - GS1DB g_c_p_information (all GCPs issued by GS1, including members' extra prefixes)
+ * @param {Array} products - Product records with barcode, gcpGLNID and member_id
+ * @returns {Promise<Object>} - Lookup tables used by findPrefixOwner / getMemberPrefixes
+ */
+async function loadPrefixOwnership(products) {
+  const memberIds = [...new Set(products.map(p => p.member_id).filter(Boolean))];
+  const candidatePrefixes = [...new Set(products.flatMap(p => getCandidatePrefixes(p.barcode)))];
+
+  // Members that own the products
+  let owners = [];
+  if (gtrackDB && gtrackDB.Member && memberIds.length > 0) {
+    owners = await safeDbQuery(() => gtrackDB.Member.findMany({
+      where: { id: { in: memberIds } },
+      select: { id: true, gs1CompanyPrefix: true, companyNameEnglish: true }
+    }));
+  }
+
+  // Members whose prefix any of the GTINs could fall under
+  let prefixMembers = [];
+  if (gtrackDB && gtrackDB.Member && candidatePrefixes.length > 0) {
+    prefixMembers = await safeDbQuery(() => gtrackDB.Member.findMany({
+      where: { gs1CompanyPrefix: { in: candidatePrefixes } },
+      select: { id: true, gs1CompanyPrefix: true, companyNameEnglish: true }
+    }));
+  }
+
+  // GS1 issued prefixes - both the candidates and the owners' own prefixes.
+  // A product's gcpGLNID is typed in with the product, so it says nothing about ownership.
+  const declaredPrefixes = owners
+    .map(m => m.gs1CompanyPrefix ? m.gs1CompanyPrefix.trim() : null)
+    .filter(Boolean);
+
+  let gcpRecords = [];
+  if (gs1DB && gs1DB.g_c_p_information) {
+    gcpRecords = await safeDbQuery(() => gs1DB.g_c_p_information.findMany({
+      where: {
+        company_gcp: { in: [...new Set([...candidatePrefixes, ...declaredPrefixes])] },
+        deleted_at: null
+      },
+      select: { company_gcp: true, company_name: true, user_id: true, status: true }
+    }));
+
+    // Members can hold several prefixes - load the siblings of every declared prefix
+    const userIds = [...new Set(gcpRecords
+      .filter(record => declaredPrefixes.includes(record.company_gcp))
+      .map(record => record.user_id)
+      .filter(Boolean))];
+
+    if (userIds.length > 0) {
+      const siblings = await safeDbQuery(() => gs1DB.g_c_p_information.findMany({
+        where: { user_id: { in: userIds }, deleted_at: null },
+        select: { company_gcp: true, company_name: true, user_id: true, status: true }
+      }));
+      gcpRecords.push(...siblings);
+    }
+  }
+
+  const membersById = {};
+  owners.forEach(member => {
+    membersById[member.id] = member;
+  });
+
+  const ownersByPrefix = {};
+  [...owners, ...prefixMembers].forEach(member => {
+    if (member.gs1CompanyPrefix) {
+      ownersByPrefix[member.gs1CompanyPrefix.trim()] = {
+        prefix: member.gs1CompanyPrefix.trim(),
+        companyName: member.companyNameEnglish || null,
+        memberId: member.id,
+        source: 'gtrackDB.Member'
+      };
+    }
+  });
+
+  const gcpByPrefix = {};
+  const prefixesByUser = {};
+  gcpRecords.forEach(record => {
+    if (!record.company_gcp) return;
+    const prefix = record.company_gcp.trim();
+    gcpByPrefix[prefix] = record;
+    if (record.user_id && isActivePrefix(record)) {
+      prefixesByUser[record.user_id] = prefixesByUser[record.user_id] || new Set();
+      prefixesByUser[record.user_id].add(prefix);
+    }
+
+    // Prefer the member record, but fall back to the GS1 registry for unknown owners
+    ownersByPrefix[prefix] = ownersByPrefix[prefix] || {
+      prefix,
+      companyName: record.company_name || null,
+      memberId: null,
+      gs1UserId: record.user_id || null,
+      status: record.status || null,
+      source: 'gs1DB.g_c_p_information'
+    };
+  });
+
+  return { membersById, ownersByPrefix, gcpByPrefix, prefixesByUser };
+}
+
+/**
+ * Get every company prefix the product's owner is entitled to use
+ * Starts from the member's own gs1CompanyPrefix (never the product's gcpGLNID) and adds
+ * the other active prefixes GS1 issued to the same account.
+ * @param {Object} product - Product record
+ * @param {Object} ownership - Result of loadPrefixOwnership
+ * @returns {Array} - Active prefixes registered to the product's member
+ */
+function getMemberPrefixes(product, ownership) {
+  const member = ownership.membersById[product.member_id];
+  if (!member || !member.gs1CompanyPrefix) return [];
+
+  const memberPrefix = member.gs1CompanyPrefix.trim();
+  const record = ownership.gcpByPrefix[memberPrefix];
+  const prefixes = new Set();
+
+  // A prefix GS1 has deactivated can no longer be used for new GTINs
+  if (!record || isActivePrefix(record)) prefixes.add(memberPrefix);
+
+  // Add the other active prefixes GS1 issued to the same company
+  if (record && record.user_id && ownership.prefixesByUser[record.user_id]) {
+    ownership.prefixesByUser[record.user_id].forEach(sibling => prefixes.add(sibling));
+  }
+
+  return [...prefixes].filter(Boolean);
+}
+
+/**
+ * Get the prefixes GS1 issued to the product's member but has since deactivated
+ * @param {Object} product - Product record
+ * @param {Object} ownership - Result of loadPrefixOwnership
+ * @returns {Array} - Inactive prefixes of the product's member
+ */
+function getInactiveMemberPrefixes(product, ownership) {
+  const member = ownership.membersById[product.member_id];
+  if (!member || !member.gs1CompanyPrefix) return [];
+
+  const record = ownership.gcpByPrefix[member.gs1CompanyPrefix.trim()];
+  if (!record) return [];
+
+  // The member's own prefix and the other prefixes of the same GS1 account
+  return Object.values(ownership.gcpByPrefix)
+    .filter(gcp => gcp === record || (record.user_id && gcp.user_id === record.user_id))
+    .filter(gcp => !isActivePrefix(gcp))
+    .map(gcp => gcp.company_gcp.trim());
+}
+
+/**
+ * Find the company whose prefix a GTIN falls under (longest matching prefix wins)
+ * @param {string} barcode - Numeric GTIN
+ * @param {Object} ownership - Result of loadPrefixOwnership
+ * @returns {Object|null} - Owner info or null when the prefix is not known
+ */
+function findPrefixOwner(barcode, ownership) {
+  const candidates = getCandidatePrefixes(barcode).reverse();
+  const match = candidates.find(prefix => ownership.ownersByPrefix[prefix]);
+  return match ? ownership.ownersByPrefix[match] : null;
+}
+
+module.exports = {
+  getGcpKey,
+  getCandidatePrefixes,
+  loadPrefixOwnership,
+  getMemberPrefixes,
+  getInactiveMemberPrefixes,
+  findPrefixOwner
+};
@@ -0,0 +1,282 @@
+const { gs1DB } = require('../models');
+const { safeDbQuery } = require('../utils/db');
+const { parseBrick } = require('./productAnalysis');
+
+/**
+ * GPC (GS1 Global Product Classification) hierarchy lookups
+ * Every GPC code is 8 digits; only bricks may be assigned to a product. The chain
+ * segment -> family -> class -> brick comes from GS1DB `schema` (the full GPC publication,
+ * one row per brick attribute value); titles are taken from `segments`, `families`,
+ * `classes` and `bricks` where those tables have the code.
+ */
+
+// Share of title words that must match bricks_title for the title to count as the same brick
+const MIN_TITLE_SIMILARITY = 0.6;
+
+/**
+ * Split a gpc / gpc_code value into code and title
+ * @param {string} value - e.g. "10000025-Milk (Perishable)" or "10000025"
+ * @returns {Object} - { code, title, validFormat }
+ */
+function parseGpcValue(value) {
+  const parsed = parseBrick(value ? String(value).trim() : value);
+  const code = parsed.code ? parsed.code.replace(/\s+/g, '') : null;
+
+  return {
+    code,
+    title: parsed.code ? (parsed.description || null) : null,
+    validFormat: Boolean(code && /^\d{8}$/.test(code))
+  };
+}
+
+/**
+ * Normalize a GPC title for comparison
+ * @param {string} title
+ * @returns {Array} - Lower-case words
+ */
+function titleWords(title) {
+  return (title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+}
+
+/**
+ * Compare a title typed on a product with the official brick title
+ * @param {string} title - Title portion of the product's gpc value
+ * @param {string} brickTitle - bricks_title
+ * @returns {number} - Share of words in common (0-1)
+ */
+function compareTitles(title, brickTitle) {
+  const a = new Set(titleWords(title));
+  const b = new Set(titleWords(brickTitle));
+  if (a.size === 0 || b.size === 0) return 0;
+
+  const shared = [...a].filter(word => b.has(word)).length;
+  return shared / Math.max(a.size, b.size);
+}
+
+/**
+ * Load the GPC data needed to validate a batch of products in a few queries
+ * @param {Array} products - Product records with gpc and gpc_code
+ * @returns {Promise<Object|null>} - Lookup tables, or null when GS1DB has no GPC tables
+ */
+async function loadGpcHierarchy(products) {
+  const codes = products
+    .flatMap(p => [parseGpcValue(p.gpc), parseGpcValue(p.gpc_code)])
+    .filter(parsed => parsed.validFormat)
+    .map(parsed => parsed.code);
+
+  return loadGpcCodes(codes);
+}
+
+/**
+ * Load bricks, their segment/family/class chain and any non-brick codes for a list of GPC codes
+ * @param {Array} gpcCodes - 8-digit GPC codes
+ * @returns {Promise<Object|null>} - Lookup tables, or null when GS1DB has no GPC tables
+ */
+async function loadGpcCodes(gpcCodes) {
+  if (!gs1DB || !gs1DB.bricks) return null;
+
+  const codes = [...new Set(gpcCodes.filter(Boolean).map(code => String(code).trim()))];
+
+  const hierarchy = {
+    bricksByCode: {},
+    chainByBrick: {},
+    attributesByCode: {},
+    levelsByCode: {}
+  };
+  if (codes.length === 0) return hierarchy;
+
+  const bricks = await safeDbQuery(() => gs1DB.bricks.findMany({
+    where: { bricks_code: { in: codes } },
+    select: { bricks_code: true, bricks_title: true }
+  }));
+  bricks.forEach(brick => {
+    hierarchy.bricksByCode[brick.bricks_code.trim()] = brick;
+  });
+
+  if (gs1DB.schema) {
+    // One row per brick is enough for the chain
+    const chains = await safeDbQuery(() => gs1DB.schema.findMany({
+      where: { BrickCode: { in: codes } },
+      select: {
+        SegmentCode: true, SegmentTitle: true,
+        FamilyCode: true, FamilyTitle: true,
+        ClassCode: true, ClassTitle: true,
+        BrickCode: true, BrickTitle: true
+      },
+      distinct: ['BrickCode']
+    }));
+    chains.forEach(row => {
+      hierarchy.chainByBrick[row.BrickCode.trim()] = row;
+    });
+
+    // Codes that aren't bricks may be attribute types or attribute values
+    const unknownCodes = codes.filter(code => !hierarchy.bricksByCode[code] && !hierarchy.chainByBrick[code]);
+    if (unknownCodes.length > 0) {
+      const attributes = await safeDbQuery(() => gs1DB.schema.findMany({
+        where: {
+          OR: [
+            { AttributeCode: { in: unknownCodes } },
+            { AttributeValueCode: { in: unknownCodes } }
+          ]
+        },
+        select: { AttributeCode: true, AttributeTitle: true, AttributeValueCode: true, AttributeValueTitle: true },
+        take: unknownCodes.length * 10
+      }));
+      attributes.forEach(row => {
+        if (row.AttributeCode && unknownCodes.includes(row.AttributeCode.trim())) {
+          hierarchy.attributesByCode[row.AttributeCode.trim()] = { type: 'attribute', title: row.AttributeTitle };
+        }
+        if (row.AttributeValueCode && unknownCodes.includes(row.AttributeValueCode.trim())) {
+          hierarchy.attributesByCode[row.AttributeValueCode.trim()] = { type: 'attribute value', title: row.AttributeValueTitle };
+        }
+      });
+    }
+  }
+
+  // Segment, family and class records - for the chain and for codes that name a higher level
+  const chainRows = Object.values(hierarchy.chainByBrick);
+  const levelQueries = [
+    { level: 'segment', model: 'segments', codeField: 'segment_code', titleField: 'segment_title', chainField: 'SegmentCode' },
+    { level: 'family', model: 'families', codeField: 'family_code', titleField: 'family_title', chainField: 'FamilyCode' },
+    { level: 'class', model: 'classes', codeField: 'class_code', titleField: 'class_title', chainField: 'ClassCode' }
+  ];
+
+  for (const query of levelQueries) {
+    if (!gs1DB[query.model]) continue;
+
+    const levelCodes = [...new Set([
+      ...codes.filter(code => !hierarchy.bricksByCode[code]),
+      ...chainRows.map(row => row[query.chainField]).filter(Boolean).map(code => code.trim())
+    ])];
+    if (levelCodes.length === 0) continue;
+
+    const records = await safeDbQuery(() => gs1DB[query.model].findMany({
+      where: { [query.codeField]: { in: levelCodes } },
+      select: { [query.codeField]: true, [query.titleField]: true }
+    }));
+    records.forEach(record => {
+      hierarchy.levelsByCode[record[query.codeField].trim()] = {
+        level: query.level,
+        title: record[query.titleField]
+      };
+    });
+  }
+
+  return hierarchy;
+}
+
+/**
+ * Resolve the segment -> family -> class -> brick chain of a brick
+ * @param {string} brickCode - 8-digit brick code
+ * @param {Object} hierarchy - Result of loadGpcHierarchy
+ * @returns {Object|null} - { segment, family, class, brick } each { code, title }, or null when unknown
+ */
+function resolveGpcChain(brickCode, hierarchy) {
+  const row = hierarchy.chainByBrick[brickCode];
+  if (!row) return null;
+
+  const level = (code, fallbackTitle) => {
+    const trimmed = code ? code.trim() : null;
+    const record = trimmed ? hierarchy.levelsByCode[trimmed] : null;
+    return { code: trimmed, title: record ? record.title : fallbackTitle };
+  };
+
+  const brick = hierarchy.bricksByCode[brickCode];
+  return {
+    segment: level(row.SegmentCode, row.SegmentTitle),
+    family: level(row.FamilyCode, row.FamilyTitle),
+    class: level(row.ClassCode, row.ClassTitle),
+    brick: { code: brickCode, title: brick ? brick.bricks_title : row.BrickTitle }
+  };
+}
+
+/**
+ * Validate a product's gpc (and gpc_code) against the GPC hierarchy
+ * @param {Object} product - Product record with gpc and gpc_code
+ * @param {Object} hierarchy - Result of loadGpcHierarchy
+ * @returns {Object} - { code, title, brickTitle, chain, titleSimilarity, problems: [{ code, severity, message, suggestion }] }
+ */
+function validateGpc(product, hierarchy) {
+  const parsed = parseGpcValue(product.gpc);
+  const result = {
+    code: parsed.code,
+    title: parsed.title,
+    brickTitle: null,
+    chain: null,
+    titleSimilarity: null,
+    problems: []
+  };
+
+  const addProblem = (code, severity, message, suggestion) => {
+    result.problems.push({ code, severity, message, suggestion });
+  };
+
+  if (!parsed.validFormat) {
+    addProblem('invalid_format', 'high',
+      `GPC "${product.gpc}" does not start with an 8-digit brick code`,
+      'Select the GPC brick from the list so it is stored as "<8-digit code>-<brick title>"');
+    return result;
+  }
+
+  // gpc_code duplicates the code part of gpc - both must name the same brick
+  if (product.gpc_code && String(product.gpc_code).trim()) {
+    const gpcCode = parseGpcValue(product.gpc_code);
+    if (gpcCode.code !== parsed.code) {
+      addProblem('gpc_code_mismatch', 'high',
+        `GPC "${product.gpc}" and GPC code "${product.gpc_code}" name different bricks`,
+        'Select the GPC brick again so both GPC fields are updated together');
+    }
+  }
+
+  const brick = hierarchy.bricksByCode[parsed.code];
+  const chain = resolveGpcChain(parsed.code, hierarchy);
+
+  if (!brick && !chain) {
+    const attribute = hierarchy.attributesByCode[parsed.code];
+    const level = hierarchy.levelsByCode[parsed.code];
+
+    if (attribute) {
+      addProblem('not_a_brick', 'high',
+        `${parsed.code} is a GPC ${attribute.type} code ("${attribute.title}"), not a brick`,
+        'Choose the brick that describes the product; attribute codes only describe a brick further');
+    } else if (level) {
+      addProblem('not_a_brick', 'high',
+        `${parsed.code} is a GPC ${level.level} code ("${level.title}"), not a brick`,
+        `Choose one of the bricks under the ${level.level} "${level.title}"`);
+    } else {
+      addProblem('unknown_brick', 'high',
+        `GPC brick ${parsed.code} does not exist`,
+        'Select an existing GPC brick; the code may have a typo or come from an outdated GPC publication');
+    }
+    return result;
+  }
+
+  result.brickTitle = brick ? brick.bricks_title : chain.brick.title;
+  result.chain = chain;
+
+  // The title typed after the code should be the brick's own title
+  if (parsed.title && result.brickTitle) {
+    result.titleSimilarity = Math.round(compareTitles(parsed.title, result.brickTitle) * 100) / 100;
+    if (result.titleSimilarity < MIN_TITLE_SIMILARITY) {
+      addProblem('title_mismatch', 'medium',
+        `GPC title "${parsed.title}" does not match brick ${parsed.code} "${result.brickTitle}"`,
+        `Use "${parsed.code}-${result.brickTitle}" or select the brick that matches "${parsed.title}"`);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  parseGpcValue,
+  compareTitles,
+  loadGpcHierarchy,
+  loadGpcCodes,
+  resolveGpcChain,
+  validateGpc
+};
@@ -0,0 +1,68 @@
+const { classifyProduct } = require('./brickClassifier');
+const { loadGpcCodes, resolveGpcChain } = require('./gpcHierarchy');
+const { inferUnitType, checkBrickUnitCompatibility } = require('./productAnalysis');
+
+// Confidence of a brick that doesn't suit the product's unit is multiplied by this
+const UNIT_MISMATCH_FACTOR = 0.5;
+
+/**
+ * Suggest GPC bricks for a product from the official brick definitions
+ * Uses the BM25 brick classifier (see brickClassifier.js) instead of category keyword lists.
+ * When a unit is given, bricks that don't suit it (e.g. a liquid brick for a product sold
+ * by the piece) are ranked lower. Each suggestion carries its segment > family > class path.
+ * @param {Object} product - { name, brand, description, unit }
+ * @param {Object} options - { limit (default 5), brickCode: also score the product's current brick }
+ * @returns {Promise<Object>} - { available, suggestions: [{ code, title, score, confidence, path, ... }], brick }
+ */
+async function suggestGpcBricks(product, options = {}) {
+  const limit = options.limit || 5;
+  const classification = await classifyProduct(product, {
+    // Extra candidates so re-ranking by unit has something to promote
+    topN: product.unit ? limit * 2 : limit,
+    brickCode: options.brickCode
+  });
+
+  const unitType = product.unit
+    ? inferUnitType({ unit_code: product.unit, unit_name: product.unit })
+    : null;
+
+  const ranked = classification.candidates.map(candidate => {
+    const unitCheck = unitType && unitType !== 'unknown'
+      ? checkBrickUnitCompatibility(candidate.title, product.unit, unitType)
+      : { compatible: true };
+
+    return {
+      code: candidate.code,
+      title: candidate.title,
+      score: candidate.score,
+      confidence: Math.round(candidate.confidence * (unitCheck.compatible ? 1 : UNIT_MISMATCH_FACTOR) * 100) / 100,
+      unitCompatible: unitType ? unitCheck.compatible : null,
+      matchedTerms: candidate.matchedTerms,
+      excludedTerms: candidate.excludedTerms
+    };
+  })
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+
+  // Segment > family > class path of every suggestion
+  const hierarchy = ranked.length > 0 ? await loadGpcCodes(ranked.map(suggestion => suggestion.code)) : null;
+  ranked.forEach(suggestion => {
+    const chain = hierarchy ? resolveGpcChain(suggestion.code, hierarchy) : null;
+    suggestion.path = chain ? {
+      segment: chain.segment,
+      family: chain.family,
+      class: chain.class
+    } : null;
+  });
+
+  return {
+    available: classification.available,
+    unitType,
+    suggestions: ranked,
+    brick: classification.brick
+  };
+}
+
+module.exports = {
+  suggestGpcBricks
+};
@@ -0,0 +1,285 @@
+/**
+ * GTIN helpers following the GS1 General Specifications
+ * Covers the GTIN-8, GTIN-12, GTIN-13 and GTIN-14 data structures.
+ */
+
+// Supported GTIN lengths and their common names
+const GTIN_FORMATS = {
+  8: 'GTIN-8 (EAN-8)',
+  12: 'GTIN-12 (UPC-A)',
+  13: 'GTIN-13 (EAN-13)',
+  14: 'GTIN-14'
+};
+
+/**
+ * GS1 prefix ranges (first three digits of the GTIN-13 form)
+ * type: 'member' for GS1 Member Organisations, otherwise the special purpose of the range
+ * countryCode: ISO 3166 alpha-2 code of the Member Organisation's country
+ */
+const GS1_PREFIX_RANGES = [
+  { start: 0, end: 19, name: 'GS1 US', countryCode: 'US', type: 'member' },
+  { start: 20, end: 29, name: 'Restricted circulation (in-store / variable measure)', type: 'restricted' },
+  { start: 30, end: 39, name: 'GS1 US (drugs)', countryCode: 'US', type: 'member' },
+  { start: 40, end: 49, name: 'Restricted circulation (company internal)', type: 'restricted' },
+  { start: 50, end: 59, name: 'GS1 US (coupons)', countryCode: 'US', type: 'coupon' },
+  { start: 60, end: 139, name: 'GS1 US', countryCode: 'US', type: 'member' },
+  { start: 200, end: 299, name: 'Restricted circulation (in-store / variable measure)', type: 'restricted' },
+  { start: 300, end: 379, name: 'GS1 France', countryCode: 'FR', type: 'member' },
+  { start: 380, end: 380, name: 'GS1 Bulgaria', countryCode: 'BG', type: 'member' },
+  { start: 383, end: 383, name: 'GS1 Slovenia', countryCode: 'SI', type: 'member' },
+  { start: 385, end: 385, name: 'GS1 Croatia', countryCode: 'HR', type: 'member' },
+  { start: 387, end: 387, name: 'GS1 Bosnia-Herzegovina', countryCode: 'BA', type: 'member' },
+  { start: 389, end: 389, name: 'GS1 Montenegro', countryCode: 'ME', type: 'member' },
+  { start: 390, end: 390, name: 'GS1 Kosovo', countryCode: 'XK', type: 'member' },
+  { start: 400, end: 440, name: 'GS1 Germany', countryCode: 'DE', type: 'member' },
+  { start: 450, end: 459, name: 'GS1 Japan', countryCode: 'JP', type: 'member' },
+  { start: 460, end: 469, name: 'GS1 Russia', countryCode: 'RU', type: 'member' },
+  { start: 470, end: 470, name: 'GS1 Kyrgyzstan', countryCode: 'KG', type: 'member' },
+  { start: 471, end: 471, name: 'GS1 Taiwan', countryCode: 'TW', type: 'member' },
+  { start: 474, end: 474, name: 'GS1 Estonia', countryCode: 'EE', type: 'member' },
+  { start: 475, end: 475, name: 'GS1 Latvia', countryCode: 'LV', type: 'member' },
+  { start: 476, end: 476, name: 'GS1 Azerbaijan', countryCode: 'AZ', type: 'member' },
+  { start: 477, end: 477, name: 'GS1 Lithuania', countryCode: 'LT', type: 'member' },
+  { start: 478, end: 478, name: 'GS1 Uzbekistan', countryCode: 'UZ', type: 'member' },
+  { start: 479, end: 479, name: 'GS1 Sri Lanka', countryCode: 'LK', type: 'member' },
+  { start: 480, end: 480, name: 'GS1 Philippines', countryCode: 'PH', type: 'member' },
+  { start: 481, end: 481, name: 'GS1 Belarus', countryCode: 'BY', type: 'member' },
+  { start: 482, end: 482, name: 'GS1 Ukraine', countryCode: 'UA', type: 'member' },
+  { start: 483, end: 483, name: 'GS1 Turkmenistan', countryCode: 'TM', type: 'member' },
+  { start: 484, end: 484, name: 'GS1 Moldova', countryCode: 'MD', type: 'member' },
+  { start: 485, end: 485, name: 'GS1 Armenia', countryCode: 'AM', type: 'member' },
+  { start: 486, end: 486, name: 'GS1 Georgia', countryCode: 'GE', type: 'member' },
+  { start: 487, end: 487, name: 'GS1 Kazakhstan', countryCode: 'KZ', type: 'member' },
+  { start: 488, end: 488, name: 'GS1 Tajikistan', countryCode: 'TJ', type: 'member' },
+  { start: 489, end: 489, name: 'GS1 Hong Kong', countryCode: 'HK', type: 'member' },
+  { start: 490, end: 499, name: 'GS1 Japan', countryCode: 'JP', type: 'member' },
+  { start: 500, end: 509, name: 'GS1 UK', countryCode: 'GB', type: 'member' },
+  { start: 520, end: 521, name: 'GS1 Greece', countryCode: 'GR', type: 'member' },
+  { start: 528, end: 528, name: 'GS1 Lebanon', countryCode: 'LB', type: 'member' },
+  { start: 529, end: 529, name: 'GS1 Cyprus', countryCode: 'CY', type: 'member' },
+  { start: 530, end: 530, name: 'GS1 Albania', countryCode: 'AL', type: 'member' },
+  { start: 531, end: 531, name: 'GS1 North Macedonia', countryCode: 'MK', type: 'member' },
+  { start: 535, end: 535, name: 'GS1 Malta', countryCode: 'MT', type: 'member' },
+  { start: 539, end: 539, name: 'GS1 Ireland', countryCode: 'IE', type: 'member' },
+  { start: 540, end: 549, name: 'GS1 Belgium & Luxembourg', countryCode: 'BE', type: 'member' },
+  { start: 560, end: 560, name: 'GS1 Portugal', countryCode: 'PT', type: 'member' },
+  { start: 569, end: 569, name: 'GS1 Iceland', countryCode: 'IS', type: 'member' },
+  { start: 570, end: 579, name: 'GS1 Denmark', countryCode: 'DK', type: 'member' },
+  { start: 590, end: 590, name: 'GS1 Poland', countryCode: 'PL', type: 'member' },
+  { start: 594, end: 594, name: 'GS1 Romania', countryCode: 'RO', type: 'member' },
+  { start: 599, end: 599, name: 'GS1 Hungary', countryCode: 'HU', type: 'member' },
+  { start: 600, end: 601, name: 'GS1 South Africa', countryCode: 'ZA', type: 'member' },
+  { start: 603, end: 603, name: 'GS1 Ghana', countryCode: 'GH', type: 'member' },
+  { start: 604, end: 604, name: 'GS1 Senegal', countryCode: 'SN', type: 'member' },
+  { start: 605, end: 605, name: 'GS1 Uganda', countryCode: 'UG', type: 'member' },
+  { start: 606, end: 606, name: 'GS1 Angola', countryCode: 'AO', type: 'member' },
+  { start: 607, end: 607, name: 'GS1 Oman', countryCode: 'OM', type: 'member' },
+  { start: 608, end: 608, name: 'GS1 Bahrain', countryCode: 'BH', type: 'member' },
+  { start: 609, end: 609, name: 'GS1 Mauritius', countryCode: 'MU', type: 'member' },
+  { start: 611, end: 611, name: 'GS1 Morocco', countryCode: 'MA', type: 'member' },
+  { start: 612, end: 612, name: 'GS1 Somalia', countryCode: 'SO', type: 'member' },
+  { start: 613, end: 613, name: 'GS1 Algeria', countryCode: 'DZ', type: 'member' },
+  { start: 615, end: 615, name: 'GS1 Nigeria', countryCode: 'NG', type: 'member' },
+  { start: 616, end: 616, name: 'GS1 Kenya', countryCode: 'KE', type: 'member' },
+  { start: 617, end: 617, name: 'GS1 Cameroon', countryCode: 'CM', type: 'member' },
+  { start: 618, end: 618, name: 'GS1 Côte d\'Ivoire', countryCode: 'CI', type: 'member' },
+  { start: 619, end: 619, name: 'GS1 Tunisia', countryCode: 'TN', type: 'member' },
+  { start: 620, end: 620, name: 'GS1 Tanzania', countryCode: 'TZ', type: 'member' },
+  { start: 621, end: 621, name: 'GS1 Syria', countryCode: 'SY', type: 'member' },
+  { start: 622, end: 622, name: 'GS1 Egypt', countryCode: 'EG', type: 'member' },
+  { start: 623, end: 623, name: 'GS1 Brunei', countryCode: 'BN', type: 'member' },
+  { start: 624, end: 624, name: 'GS1 Libya', countryCode: 'LY', type: 'member' },
+  { start: 625, end: 625, name: 'GS1 Jordan', countryCode: 'JO', type: 'member' },
+  { start: 626, end: 626, name: 'GS1 Iran', countryCode: 'IR', type: 'member' },
+  { start: 627, end: 627, name: 'GS1 Kuwait', countryCode: 'KW', type: 'member' },
+  { start: 628, end: 628, name: 'GS1 Saudi Arabia', countryCode: 'SA', type: 'member' },
+  { start: 629, end: 629, name: 'GS1 Emirates', countryCode: 'AE', type: 'member' },
+  { start: 630, end: 630, name: 'GS1 Qatar', countryCode: 'QA', type: 'member' },
+  { start: 631, end: 631, name: 'GS1 Namibia', countryCode: 'NA', type: 'member' },
+  { start: 640, end: 649, name: 'GS1 Finland', countryCode: 'FI', type: 'member' },
+  { start: 690, end: 699, name: 'GS1 China', countryCode: 'CN', type: 'member' },
+  { start: 700, end: 709, name: 'GS1 Norway', countryCode: 'NO', type: 'member' },
+  { start: 729, end: 729, name: 'GS1 Israel', countryCode: 'IL', type: 'member' },
+  { start: 730, end: 739, name: 'GS1 Sweden', countryCode: 'SE', type: 'member' },
+  { start: 740, end: 740, name: 'GS1 Guatemala', countryCode: 'GT', type: 'member' },
+  { start: 741, end: 741, name: 'GS1 El Salvador', countryCode: 'SV', type: 'member' },
+  { start: 742, end: 742, name: 'GS1 Honduras', countryCode: 'HN', type: 'member' },
+  { start: 743, end: 743, name: 'GS1 Nicaragua', countryCode: 'NI', type: 'member' },
+  { start: 744, end: 744, name: 'GS1 Costa Rica', countryCode: 'CR', type: 'member' },
+  { start: 745, end: 745, name: 'GS1 Panama', countryCode: 'PA', type: 'member' },
+  { start: 746, end: 746, name: 'GS1 Dominican Republic', countryCode: 'DO', type: 'member' },
+  { start: 750, end: 750, name: 'GS1 Mexico', countryCode: 'MX', type: 'member' },
+  { start: 754, end: 755, name: 'GS1 Canada', countryCode: 'CA', type: 'member' },
+  { start: 759, end: 759, name: 'GS1 Venezuela', countryCode: 'VE', type: 'member' },
+  { start: 760, end: 769, name: 'GS1 Switzerland', countryCode: 'CH', type: 'member' },
+  { start: 770, end: 771, name: 'GS1 Colombia', countryCode: 'CO', type: 'member' },
+  { start: 773, end: 773, name: 'GS1 Uruguay', countryCode: 'UY', type: 'member' },
+  { start: 775, end: 775, name: 'GS1 Peru', countryCode: 'PE', type: 'member' },
+  { start: 777, end: 777, name: 'GS1 Bolivia', countryCode: 'BO', type: 'member' },
+  { start: 778, end: 779, name: 'GS1 Argentina', countryCode: 'AR', type: 'member' },
+  { start: 780, end: 780, name: 'GS1 Chile', countryCode: 'CL', type: 'member' },
+  { start: 784, end: 784, name: 'GS1 Paraguay', countryCode: 'PY', type: 'member' },
+  { start: 786, end: 786, name: 'GS1 Ecuador', countryCode: 'EC', type: 'member' },
+  { start: 789, end: 790, name: 'GS1 Brazil', countryCode: 'BR', type: 'member' },
+  { start: 800, end: 839, name: 'GS1 Italy', countryCode: 'IT', type: 'member' },
+  { start: 840, end: 849, name: 'GS1 Spain', countryCode: 'ES', type: 'member' },
+  { start: 850, end: 850, name: 'GS1 Cuba', countryCode: 'CU', type: 'member' },
+  { start: 858, end: 858, name: 'GS1 Slovakia', countryCode: 'SK', type: 'member' },
+  { start: 859, end: 859, name: 'GS1 Czech Republic', countryCode: 'CZ', type: 'member' },
+  { start: 860, end: 860, name: 'GS1 Serbia', countryCode: 'RS', type: 'member' },
+  { start: 865, end: 865, name: 'GS1 Mongolia', countryCode: 'MN', type: 'member' },
+  { start: 867, end: 867, name: 'GS1 North Korea', countryCode: 'KP', type: 'member' },
+  { start: 868, end: 869, name: 'GS1 Turkey', countryCode: 'TR', type: 'member' },
+  { start: 870, end: 879, name: 'GS1 Netherlands', countryCode: 'NL', type: 'member' },
+  { start: 880, end: 880, name: 'GS1 Korea', countryCode: 'KR', type: 'member' },
+  { start: 883, end: 883, name: 'GS1 Myanmar', countryCode: 'MM', type: 'member' },
+  { start: 884, end: 884, name: 'GS1 Cambodia', countryCode: 'KH', type: 'member' },
+  { start: 885, end: 885, name: 'GS1 Thailand', countryCode: 'TH', type: 'member' },
+  { start: 888, end: 888, name: 'GS1 Singapore', countryCode: 'SG', type: 'member' },
+  { start: 890, end: 890, name: 'GS1 India', countryCode: 'IN', type: 'member' },
+  { start: 893, end: 893, name: 'GS1 Vietnam', countryCode: 'VN', type: 'member' },
+  { start: 896, end: 896, name: 'GS1 Pakistan', countryCode: 'PK', type: 'member' },
+  { start: 899, end: 899, name: 'GS1 Indonesia', countryCode: 'ID', type: 'member' },
+  { start: 900, end: 919, name: 'GS1 Austria', countryCode: 'AT', type: 'member' },
+  { start: 930, end: 939, name: 'GS1 Australia', countryCode: 'AU', type: 'member' },
+  { start: 940, end: 949, name: 'GS1 New Zealand', countryCode: 'NZ', type: 'member' },
+  { start: 950, end: 951, name: 'GS1 Global Office', type: 'global' },
+  { start: 955, end: 955, name: 'GS1 Malaysia', countryCode: 'MY', type: 'member' },
+  { start: 958, end: 958, name: 'GS1 Macau', countryCode: 'MO', type: 'member' },
+  { start: 960, end: 969, name: 'GS1 Global Office (GTIN-8)', type: 'global' },
+  { start: 977, end: 977, name: 'Serial publications (ISSN)', type: 'publication' },
+  { start: 978, end: 979, name: 'Books and sheet music (ISBN / ISMN)', type: 'publication' },
+  { start: 980, end: 980, name: 'Refund receipts', type: 'coupon' },
+  { start: 981, end: 984, name: 'Common currency coupons', type: 'coupon' },
+  { start: 990, end: 999, name: 'Coupons', type: 'coupon' }
+];
+
+/**
+ * Calculate the GS1 mod-10 check digit for a string of digits (without its check digit)
+ * @param {string} digits - GTIN body without the trailing check digit
+ * @returns {number} - Check digit (0-9)
+ */
+function calculateCheckDigit(digits) {
+  let sum = 0;
+
+  // Weights alternate 3,1,3,1... starting from the rightmost digit of the body
+  for (let i = digits.length - 1, position = 0; i >= 0; i--, position++) {
+    sum += Number(digits[i]) * (position % 2 === 0 ? 3 : 1);
+  }
+
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Pad a GTIN to its 14-digit form
+ * @param {string} gtin - GTIN-8/12/13/14
+ * @returns {string} - 14-digit GTIN
+ */
+function toGtin14(gtin) {
+  return gtin.padStart(14, '0');
+}
+
+/**
+ * Look up the GS1 prefix a GTIN was issued under
+ * @param {string} gtin - Numeric GTIN-8/12/13/14
+ * @returns {Object|null} - Prefix range info with the matched prefix, or null when unassigned
+ */
+function lookupGs1Prefix(gtin) {
+  if (!gtin || !/^\d+$/.test(gtin)) return null;
+
+  // GTIN-8 carries its own prefix in the first three digits
+  // GTIN-12/13/14 use the first three digits of their GTIN-13 form
+  const prefix = gtin.length === 8
+    ? gtin.substring(0, 3)
+    : toGtin14(gtin).substring(1, 4);
+  const prefixNumber = Number(prefix);
+
+  // GTIN-8 numbers starting with 0 or 2 are restricted circulation numbers
+  if (gtin.length === 8 && (gtin[0] === '0' || gtin[0] === '2')) {
+    return {
+      prefix,
+      name: 'Restricted circulation (GTIN-8 RCN)',
+      type: 'restricted'
+    };
+  }
+
+  const range = GS1_PREFIX_RANGES.find(r => prefixNumber >= r.start && prefixNumber <= r.end);
+  if (!range) return null;
+
+  return {
+    prefix,
+    name: range.name,
+    countryCode: range.countryCode || null,
+    type: range.type
+  };
+}
+
+/**
+ * Full GTIN validation: format, length, check digit and GS1 prefix
+ * @param {string} barcode - The barcode to validate
+ * @returns {Object} - Validation result
+ */
+function validateGtin(barcode) {
+  const gtin = barcode === null || barcode === undefined ? '' : String(barcode).trim();
+
+  const result = {
+    valid: false,
+    gtin,
+    format: null,
+    checkDigit: null,
+    gs1Prefix: null,
+    restrictedCirculation: false,
+    errors: []
+  };
+
+  if (!gtin) {
+    result.errors.push('missing');
+    return result;
+  }
+
+  if (!/^\d+$/.test(gtin)) {
+    result.errors.push('non_numeric');
+    return result;
+  }
+
+  if (!GTIN_FORMATS[gtin.length]) {
+    result.errors.push('invalid_length');
+    return result;
+  }
+
+  result.format = GTIN_FORMATS[gtin.length];
+
+  // Verify the mod-10 check digit
+  const body = gtin.slice(0, -1);
+  const actual = Number(gtin.slice(-1));
+  const expected = calculateCheckDigit(body);
+  result.checkDigit = { actual, expected, valid: actual === expected };
+
+  if (!result.checkDigit.valid) {
+    result.errors.push('invalid_check_digit');
+    result.correctedGtin = body + expected;
+  }
+
+  // Identify the GS1 prefix and special ranges
+  result.gs1Prefix = lookupGs1Prefix(gtin);
+  if (!result.gs1Prefix) {
+    result.errors.push('unassigned_prefix');
+  } else if (result.gs1Prefix.type === 'restricted') {
+    result.restrictedCirculation = true;
+    result.errors.push('restricted_circulation');
+  } else if (result.gs1Prefix.type === 'coupon') {
+    result.errors.push('coupon_prefix');
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+module.exports = {
+  GTIN_FORMATS,
+  GS1_PREFIX_RANGES,
+  calculateCheckDigit,
+  toGtin14,
+  lookupGs1Prefix,
+  validateGtin
+};
@@ -0,0 +1,314 @@
+const { gtrackDB, gs1DB } = require('../models');
+const { safeDbQuery } = require('../utils/db');
+const { tokenize } = require('./brickClassifier');
+
+/**
+ * HS (Harmonized System) code lookups
+ * Validates the customs tariff code of a product against GS1DB `hs_codes` and gtrackDB
+ * `Hs_Code`, compares the product's HS description with the official one and checks that
+ * the HS chapter suits the product's GPC segment.
+ */
+
+// How long the loaded HS tables are used before they are read again
+const INDEX_TTL_MS = parseInt(process.env.HS_CODE_INDEX_TTL_MS) || 24 * 60 * 60 * 1000;
+
+// Share of the product's description words that must appear in the official description
+const MIN_DESCRIPTION_SIMILARITY = 0.5;
+
+// HS chapters (first two digits) with short titles
+const HS_CHAPTERS = {
+  '01': 'Live animals', '02': 'Meat and edible meat offal', '03': 'Fish and crustaceans',
+  '04': 'Dairy produce, eggs and honey', '05': 'Other products of animal origin', '06': 'Live trees and plants',
+  '07': 'Edible vegetables', '08': 'Edible fruit and nuts', '09': 'Coffee, tea, mate and spices',
+  '10': 'Cereals', '11': 'Milling products, malt and starches', '12': 'Oil seeds and oleaginous fruits',
+  '13': 'Lac, gums and resins', '14': 'Vegetable plaiting materials', '15': 'Animal or vegetable fats and oils',
+  '16': 'Preparations of meat or fish', '17': 'Sugars and sugar confectionery', '18': 'Cocoa and cocoa preparations',
+  '19': 'Preparations of cereals, flour, starch or milk', '20': 'Preparations of vegetables, fruit or nuts',
+  '21': 'Miscellaneous edible preparations', '22': 'Beverages, spirits and vinegar',
+  '23': 'Food industry residues and animal fodder', '24': 'Tobacco',
+  '25': 'Salt, sulphur, earths, stone and cement', '26': 'Ores, slag and ash', '27': 'Mineral fuels and mineral oils',
+  '28': 'Inorganic chemicals', '29': 'Organic chemicals', '30': 'Pharmaceutical products', '31': 'Fertilisers',
+  '32': 'Tanning or dyeing extracts, paints and inks', '33': 'Essential oils, perfumery and cosmetics',
+  '34': 'Soap, washing and lubricating preparations, waxes', '35': 'Albuminoidal substances, glues and enzymes',
+  '36': 'Explosives and matches', '37': 'Photographic goods', '38': 'Miscellaneous chemical products',
+  '39': 'Plastics', '40': 'Rubber', '41': 'Raw hides, skins and leather', '42': 'Articles of leather, handbags and travel goods',
+  '43': 'Furskins', '44': 'Wood', '45': 'Cork', '46': 'Basketware', '47': 'Pulp of wood', '48': 'Paper and paperboard',
+  '49': 'Printed books and newspapers', '50': 'Silk', '51': 'Wool', '52': 'Cotton', '53': 'Other vegetable textile fibres',
+  '54': 'Man-made filaments', '55': 'Man-made staple fibres', '56': 'Wadding, felt, nonwovens and twine', '57': 'Carpets',
+  '58': 'Special woven fabrics', '59': 'Coated textile fabrics', '60': 'Knitted or crocheted fabrics',
+  '61': 'Apparel, knitted or crocheted', '62': 'Apparel, not knitted or crocheted', '63': 'Other made up textile articles',
+  '64': 'Footwear', '65': 'Headgear', '66': 'Umbrellas and walking sticks', '67': 'Prepared feathers and artificial flowers',
+  '68': 'Articles of stone, plaster and cement', '69': 'Ceramic products', '70': 'Glass and glassware',
+  '71': 'Pearls, precious stones and metals, jewellery', '72': 'Iron and steel', '73': 'Articles of iron or steel',
+  '74': 'Copper', '75': 'Nickel', '76': 'Aluminium', '78': 'Lead', '79': 'Zinc', '80': 'Tin', '81': 'Other base metals',
+  '82': 'Tools and cutlery of base metal', '83': 'Miscellaneous articles of base metal',
+  '84': 'Machinery and mechanical appliances', '85': 'Electrical machinery and equipment', '86': 'Railway locomotives',
+  '87': 'Vehicles and parts', '88': 'Aircraft', '89': 'Ships and boats', '90': 'Optical, medical and measuring instruments',
+  '91': 'Clocks and watches', '92': 'Musical instruments', '93': 'Arms and ammunition', '94': 'Furniture, bedding and lamps',
+  '95': 'Toys, games and sports equipment', '96': 'Miscellaneous manufactured articles', '97': 'Works of art and antiques'
+};
+
+// Two-digit chapters from..to
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => String(from + i).padStart(2, '0'));
+
+/**
+ * HS chapters plausible for a GPC segment, matched on words of the segment title
+ * The first entry whose keyword occurs in the title wins; segments that match nothing
+ * are not checked.
+ */
+const SEGMENT_CHAPTERS = [
+  { keywords: ['pet care'], chapters: ['23', '30', '33', '34', '39', '42', '44', '63', '73', '94', '95', '96'] },
+  { keywords: ['food', 'beverage', 'tobacco'], chapters: [...range(1, 24), '25'] },
+  { keywords: ['lubricant'], chapters: ['27', '34', '38'] },
+  { keywords: ['fuel'], chapters: ['27', '28', '29', '36', '38', '44'] },
+  { keywords: ['beauty', 'personal care'], chapters: ['30', '33', '34', '39', '40', '42', '48', '56', '63', '67', '82', '85', '96'] },
+  { keywords: ['cleaning'], chapters: ['28', '29', '34', '38', '39', '40', '48', '56', '63', '73', '76', '96'] },
+  { keywords: ['healthcare'], chapters: ['21', '22', '29', '30', '33', '34', '38', '39', '40', '48', '56', '61', '62', '63', '84', '85', '90', '94'] },
+  { keywords: ['footwear'], chapters: ['64'] },
+  { keywords: ['clothing'], chapters: ['42', '43', '61', '62', '63', '65', '71', '96'] },
+  { keywords: ['toys', 'games'], chapters: ['39', '49', '85', '95'] },
+  { keywords: ['sports'], chapters: ['39', '61', '62', '64', '65', '87', '89', '95'] },
+  { keywords: ['automotive'], chapters: ['27', '34', '38', '40', '70', '73', '83', '84', '85', '87', '90', '94'] },
+  { keywords: ['audio', 'computing', 'communications', 'electrical'], chapters: ['39', '73', '84', '85', '90', '91', '94'] },
+  { keywords: ['household', 'kitchen', 'furniture'], chapters: ['39', '44', '46', '48', '57', '63', '69', '70', '73', '76', '82', '83', '84', '85', '94', '96'] },
+  { keywords: ['stationery'], chapters: ['39', '48', '49', '82', '84', '90', '96'] },
+  { keywords: ['lawn', 'garden'], chapters: ['06', '25', '31', '38', '39', '68', '69', '73', '82', '84', '87', '94'] },
+  { keywords: ['building', 'plumbing', 'tools'], chapters: ['25', '32', '35', '39', '40', '44', '68', '69', '70', '72', '73', '74', '76', '82', '83', '84', '85', '94'] },
+  { keywords: ['arts', 'crafts'], chapters: ['32', '48', '49', '52', '54', '55', '56', '58', '60', '95', '96', '97'] },
+  { keywords: ['music'], chapters: ['85', '92'] }
+];
+
+let indexPromise = null;
+let indexLoadedAt = 0;
+
+/**
+ * Reduce an HS code to its digits
+ * @param {string} code - e.g. "2710.19.81" or "27101981"
+ * @returns {string}
+ */
+function normalizeHsCode(code) {
+  return String(code || '').replace(/\D/g, '');
+}
+
+/**
+ * Split the HSCODES column into its codes (members sometimes enter several)
+ * @param {string} value
+ * @returns {Array} - Codes as entered
+ */
+function splitHsCodes(value) {
+  return String(value || '')
+    .split(/[,;|\n]+/)
+    .map(code => code.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read both HS code tables into a lookup keyed by digits
+ * GS1DB is read first; gtrackDB only adds codes GS1DB doesn't have.
+ * @returns {Promise<Object|null>} - { byDigits: Map, counts }, or null when neither table is available
+ */
+async function loadHsCodeIndex() {
+  const sources = [];
+  const select = { HSCODES: true, CNKEY: true, DescriptionEN: true };
+  if (gs1DB && gs1DB.hs_codes) {
+    sources.push({ source: 'GS1DB', records: await safeDbQuery(() => gs1DB.hs_codes.findMany({ select })) });
+  }
+  if (gtrackDB && gtrackDB.Hs_Code) {
+    sources.push({ source: 'gtrackDB', records: await safeDbQuery(() => gtrackDB.Hs_Code.findMany({ select })) });
+  }
+
+  const index = { byDigits: new Map(), counts: {} };
+  sources.forEach(({ source, records }) => {
+    index.counts[source] = records.length;
+    records.forEach(record => {
+      const entry = {
+        code: record.HSCODES ? record.HSCODES.trim() : null,
+        cnKey: record.CNKEY ? record.CNKEY.trim() : null,
+        description: record.DescriptionEN ? record.DescriptionEN.trim() : null,
+        source
+      };
+      [normalizeHsCode(record.HSCODES), normalizeHsCode(record.CNKEY)].forEach(digits => {
+        if (digits && !index.byDigits.has(digits)) index.byDigits.set(digits, entry);
+      });
+    });
+  });
+
+  if (index.byDigits.size === 0) return null;
+  console.log(`HS code index loaded ${index.byDigits.size} codes (${Object.entries(index.counts).map(([source, count]) => `${source}: ${count}`).join(', ')})`);
+  return index;
+}
+
+/**
+ * Get the shared HS code index, loading it on first use and after INDEX_TTL_MS
+ * @returns {Promise<Object|null>}
+ */
+function getHsCodeIndex() {
+  if (!indexPromise || Date.now() - indexLoadedAt > INDEX_TTL_MS) {
+    indexLoadedAt = Date.now();
+    indexPromise = loadHsCodeIndex().then(index => {
+      // Try again on the next call when nothing could be loaded
+      if (!index) indexPromise = null;
+      return index;
+    }).catch(error => {
+      indexPromise = null;
+      console.error('Failed to load the HS code index:', error.message);
+      return null;
+    });
+  }
+  return indexPromise;
+}
+
+/**
+ * Find the official record of an HS code
+ * National tariff lines are longer than the codes in the tables, so a code also matches
+ * the longest table code it starts with; a shorter code matches the first, most general
+ * table code that starts with it.
+ * @param {string} code - HS code as entered
+ * @param {Object} index - Result of getHsCodeIndex
+ * @returns {Object|null} - { ...record, digits, match: 'exact' | 'parent' (a shorter table code) | 'child' (a longer table code) }
+ */
+function lookupHsCode(code, index) {
+  const digits = normalizeHsCode(code);
+  if (!digits || !index) return null;
+
+  const exact = index.byDigits.get(digits);
+  if (exact) return { ...exact, digits, match: 'exact' };
+
+  // More specific than the table - e.g. a 12-digit national line under an 8-digit code
+  for (let length = digits.length - 1; length >= 6; length--) {
+    const parent = index.byDigits.get(digits.slice(0, length));
+    if (parent) return { ...parent, digits: digits.slice(0, length), match: 'parent' };
+  }
+
+  // Less specific than the table - the code is a heading of existing tariff lines
+  let shortest = null;
+  index.byDigits.forEach((entry, key) => {
+    if (key.startsWith(digits) && (!shortest || key.length < shortest.digits.length)) {
+      shortest = { ...entry, digits: key, match: 'child' };
+    }
+  });
+  return shortest;
+}
+
+/**
+ * Compare the product's HS description with the official description
+ * @param {string} description - products.HsDescription
+ * @param {string} officialDescription - DescriptionEN
+ * @returns {number|null} - Share of the product's words found in the official description (0-1),
+ *   or null when either has no words
+ */
+function compareHsDescription(description, officialDescription) {
+  const words = new Set(tokenize(description));
+  const official = new Set(tokenize(officialDescription));
+  if (words.size === 0 || official.size === 0) return null;
+
+  const shared = [...words].filter(word => official.has(word)).length;
+  return Math.round((shared / words.size) * 100) / 100;
+}
+
+/**
+ * Get the HS chapters plausible for a GPC segment
+ * @param {string} segmentTitle - e.g. "Food/Beverage/Tobacco"
+ * @returns {Array|null} - Two-digit chapters, or null when the segment isn't mapped
+ */
+function chaptersForSegment(segmentTitle) {
+  const title = (segmentTitle || '').toLowerCase();
+  if (!title) return null;
+
+  const mapping = SEGMENT_CHAPTERS.find(entry => entry.keywords.some(keyword => title.includes(keyword)));
+  return mapping ? mapping.chapters : null;
+}
+
+/**
+ * Describe an HS chapter for messages
+ * @param {string} chapter - Two digits
+ * @returns {string} - e.g. 'chapter 09 (Coffee, tea, mate and spices)'
+ */
+function describeChapter(chapter) {
+  return HS_CHAPTERS[chapter] ? `chapter ${chapter} (${HS_CHAPTERS[chapter]})` : `chapter ${chapter}`;
+}
+
+/**
+ * Validate a product's HS code(s) and description
+ * @param {Object} product - Product record with HSCODES and HsDescription
+ * @param {Object} options - { index: result of getHsCodeIndex, segment: { code, title } of the product's GPC brick }
+ * @returns {Object} - { codes: [{ code, digits, chapter, official }], descriptionSimilarity, plausibleChapters,
+ *   problems: [{ code, severity, message, suggestion }] }
+ */
+function validateHsCodes(product, options = {}) {
+  const { index, segment } = options;
+  const result = { codes: [], descriptionSimilarity: null, plausibleChapters: null, problems: [] };
+
+  const addProblem = (code, severity, message, suggestion) => {
+    result.problems.push({ code, severity, message, suggestion });
+  };
+
+  splitHsCodes(product.HSCODES).forEach(code => {
+    const digits = normalizeHsCode(code);
+    const entry = { code, digits, chapter: digits.length >= 2 ? digits.slice(0, 2) : null, validFormat: false, official: null };
+    result.codes.push(entry);
+
+    // HS codes are internationally 6 digits; national tariff lines extend them up to 12
+    if (digits.length < 6 || digits.length > 12 || /[^\d.\s-]/.test(code)) {
+      addProblem('invalid_format', 'high',
+        `HS code "${code}" is not a 6 to 12 digit tariff code`,
+        'Enter the HS code as digits, e.g. "2710.19" or "27101981", as listed in the customs tariff');
+      return;
+    }
+
+    entry.validFormat = true;
+    if (!index) return;
+
+    const official = lookupHsCode(code, index);
+    if (!official) {
+      addProblem('unknown_hs_code', 'high',
+        `HS code "${code}" does not exist in the HS code list`,
+        'Select the HS code from the HS code list; the code may have a typo or come from an outdated tariff');
+      return;
+    }
+    entry.official = {
+      code: official.code,
+      cnKey: official.cnKey,
+      description: official.description,
+      match: official.match,
+      source: official.source
+    };
+  });
+
+  // The description should be the official text of the (first) code
+  const firstOfficial = result.codes.find(entry => entry.official);
+  if (firstOfficial && product.HsDescription && firstOfficial.official.description) {
+    result.descriptionSimilarity = compareHsDescription(product.HsDescription, firstOfficial.official.description);
+    if (result.descriptionSimilarity !== null && result.descriptionSimilarity < MIN_DESCRIPTION_SIMILARITY) {
+      addProblem('description_mismatch', 'medium',
+        `HS description "${product.HsDescription}" does not match the official description of ${firstOfficial.code}: "${firstOfficial.official.description}"`,
+        `Use the official description "${firstOfficial.official.description}", or check that ${firstOfficial.code} is the right HS code`);
+    }
+  }
+
+  // The chapter must suit what the GPC segment says the product is
+  result.plausibleChapters = segment ? chaptersForSegment(segment.title) : null;
+  if (result.plausibleChapters) {
+    result.codes
+      // Unknown codes are already reported; their chapter says nothing
+      .filter(entry => entry.validFormat && (entry.official || !index))
+      .filter(entry => !result.plausibleChapters.includes(entry.chapter))
+      .forEach(entry => {
+        addProblem('chapter_mismatch', 'medium',
+          `HS code "${entry.code}" is in ${describeChapter(entry.chapter)}, which does not fit GPC segment "${segment.title}"`,
+          `Products in "${segment.title}" are usually classified in HS ${result.plausibleChapters.slice(0, 6).map(describeChapter).join(', ')}${result.plausibleChapters.length > 6 ? ' or related chapters' : ''}. Check the HS code and the GPC brick.`);
+      });
+  }
+
+  return result;
+}
+
+module.exports = {
+  HS_CHAPTERS,
+  normalizeHsCode,
+  getHsCodeIndex,
+  lookupHsCode,
+  compareHsDescription,
+  chaptersForSegment,
+  validateHsCodes
+};
@@ -0,0 +1,534 @@
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const { loadImage } = require('./imageLoader');
+
+/**
+ * Thresholds used when inspecting product images
+ * Dimensions are in pixels; blur scores run from 0 (sharp) to 1 (completely blurred).
+ */
+const IMAGE_REQUIREMENTS = {
+  minDimension: 300,           // Shortest side below this is too small to show the product
+  recommendedDimension: 900,   // Longest side GS1 recommends for product images
+  maxAspectRatio: 3,           // Wider/taller than 3:1 is unlikely to be a product shot
+  blankStdDev: 3,              // Brightness spread below this means a single-colour frame
+  nearUniformShare: 0.97,      // Share of pixels close to the average colour for a near-empty frame
+  blurThreshold: 0.7,          // Blur score above this is too blurry to read the pack
+  blurWarningThreshold: 0.6,   // Blur score above this is soft but still usable
+  duplicateHashDistance: 6,    // Max differing hash bits (out of 64) for two images to count as the same
+  differentProductPalette: 0.1, // Colour palette overlap (0-1) below which two images likely show different products
+  recommendedFormats: ['jpeg', 'png', 'webp']
+};
+
+// Size the image is reduced to before measuring brightness and blur
+const ANALYSIS_SIZE = 512;
+
+// Severities that make the image invalid
+const BLOCKING_SEVERITIES = ['critical', 'high'];
+
+/**
+ * Detect the real file type of an image from its first bytes
+ * @param {Buffer} buffer - Image bytes
+ * @returns {string|null} - jpeg, png, gif, webp, bmp, tiff, heif, avif, svg or null
+ */
+function detectImageFormat(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpeg';
+  if (buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'png';
+  if (buffer.slice(0, 4).toString('ascii') === 'GIF8') return 'gif';
+  if (buffer.slice(0, 4).toString('ascii') === 'RIFF' && buffer.slice(8, 12).toString('ascii') === 'WEBP') return 'webp';
+  if (buffer[0] === 0x42 && buffer[1] === 0x4D) return 'bmp';
+  if (['II*\u0000', 'MM\u0000*'].includes(buffer.slice(0, 4).toString('latin1'))) return 'tiff';
+
+  // ISO base media files (HEIC/AVIF) keep their brand after "ftyp"
+  if (buffer.slice(4, 8).toString('ascii') === 'ftyp') {
+    const brand = buffer.slice(8, 12).toString('ascii');
+    return brand.startsWith('avi') ? 'avif' : 'heif';
+  }
+
+  const head = buffer.slice(0, 256).toString('utf8').trim().toLowerCase();
+  if (head.startsWith('<svg') || (head.startsWith('<?xml') && head.includes('<svg'))) return 'svg';
+
+  return null;
+}
+
+/**
+ * Get the format implied by a file extension
+ * @param {string} imagePath - Stored image path or URL
+ * @returns {string|null}
+ */
+function getExtensionFormat(imagePath) {
+  const extension = path.extname((imagePath || '').split('?')[0]).replace('.', '').toLowerCase();
+  const aliases = { jpg: 'jpeg', jpe: 'jpeg', jfif: 'jpeg', tif: 'tiff', heic: 'heif' };
+  return extension ? (aliases[extension] || extension) : null;
+}
+
+/**
+ * Measure blur with the re-blur method (Crete et al.)
+ * A sharp image loses much of its edge contrast when blurred again, a blurry one barely changes.
+ * @param {Buffer} pixels - Greyscale pixels, one byte per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {number} - Blur score from 0 (sharp) to 1 (blurred)
+ */
+function measureBlur(pixels, width, height) {
+  const radius = 4;
+  const taps = radius * 2 + 1;
+  const pixelAt = (x, y) => pixels[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+
+  // Horizontally and vertically blurred copies of the image
+  const blurredH = new Float32Array(width * height);
+  const blurredV = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sumH = 0;
+      let sumV = 0;
+      for (let t = -radius; t <= radius; t++) {
+        sumH += pixelAt(x + t, y);
+        sumV += pixelAt(x, y + t);
+      }
+      blurredH[y * width + x] = sumH / taps;
+      blurredV[y * width + x] = sumV / taps;
+    }
+  }
+
+  let edgeH = 0, keptH = 0, edgeV = 0, keptV = 0;
+  for (let y = 1; y < height; y++) {
+    for (let x = 1; x < width; x++) {
+      const i = y * width + x;
+      const diffH = Math.abs(pixels[i] - pixels[i - 1]);
+      const diffV = Math.abs(pixels[i] - pixels[i - width]);
+      edgeH += diffH;
+      edgeV += diffV;
+      keptH += Math.max(0, diffH - Math.abs(blurredH[i] - blurredH[i - 1]));
+      keptV += Math.max(0, diffV - Math.abs(blurredV[i] - blurredV[i - width]));
+    }
+  }
+
+  const blurH = edgeH > 0 ? (edgeH - keptH) / edgeH : 1;
+  const blurV = edgeV > 0 ? (edgeV - keptV) / edgeV : 1;
+  return Math.max(blurH, blurV);
+}
+
+/**
+ * Compute a 64-bit difference hash (dHash) used to find near-identical images
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Promise<string>} - Hash as a 64 character bit string
+ */
+async function computeDifferenceHash(buffer) {
+  const pixels = await sharp(buffer).greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+  let hash = '';
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash += pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? '1' : '0';
+    }
+  }
+  return hash;
+}
+
+/**
+ * Count the differing bits of two difference hashes
+ * @param {string} hashA - First hash
+ * @param {string} hashB - Second hash
+ * @returns {number}
+ */
+function hashDistance(hashA, hashB) {
+  let distance = 0;
+  for (let i = 0; i < hashA.length; i++) {
+    if (hashA[i] !== hashB[i]) distance++;
+  }
+  return distance;
+}
+
+/**
+ * Compute the colour palette of an image - a 64-bin colour histogram (4 bins per channel)
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Promise<Array>} - Share of pixels per bin, summing to 1
+ */
+async function computePalette(buffer) {
+  const pixels = await sharp(buffer).removeAlpha().toColourspace('srgb').resize(64, 64, { fit: 'fill' }).raw().toBuffer();
+  const histogram = new Array(64).fill(0);
+  for (let i = 0; i < pixels.length; i += 3) {
+    histogram[(pixels[i] >> 6) * 16 + (pixels[i + 1] >> 6) * 4 + (pixels[i + 2] >> 6)]++;
+  }
+  const pixelCount = pixels.length / 3;
+  return histogram.map(count => Math.round((count / pixelCount) * 10000) / 10000);
+}
+
+/**
+ * Read the measurable properties of an image
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Promise<Object>} - Format, dimensions, brightness spread, blur score, hashes and colour palette
+ * @throws When the bytes cannot be decoded as an image
+ */
+async function inspectImage(buffer) {
+  const metadata = await sharp(buffer).metadata();
+
+  const { data: pixels, info } = await sharp(buffer)
+    .greyscale()
+    .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  // Brightness spread and share of pixels close to the average
+  let sum = 0;
+  for (let i = 0; i < pixels.length; i++) sum += pixels[i];
+  const mean = sum / pixels.length;
+
+  let squaredDiff = 0;
+  let closeToMean = 0;
+  for (let i = 0; i < pixels.length; i++) {
+    const diff = pixels[i] - mean;
+    squaredDiff += diff * diff;
+    if (Math.abs(diff) <= 10) closeToMean++;
+  }
+
+  const width = metadata.width || info.width;
+  const height = metadata.height || info.height;
+
+  return {
+    format: detectImageFormat(buffer) || metadata.format || null,
+    width,
+    height,
+    aspectRatio: Math.round((Math.max(width, height) / Math.max(1, Math.min(width, height))) * 100) / 100,
+    sizeBytes: buffer.length,
+    meanBrightness: Math.round(mean),
+    brightnessStdDev: Math.round(Math.sqrt(squaredDiff / pixels.length) * 100) / 100,
+    uniformShare: Math.round((closeToMean / pixels.length) * 1000) / 1000,
+    blurScore: Math.round(measureBlur(pixels, info.width, info.height) * 1000) / 1000,
+    hash: await computeDifferenceHash(buffer),
+    checksum: crypto.createHash('sha1').update(buffer).digest('hex'),
+    palette: await computePalette(buffer)
+  };
+}
+
+/**
+ * Compare two inspected images
+ * @param {Object} propertiesA - Result of inspectImage
+ * @param {Object} propertiesB - Result of inspectImage
+ * @returns {Object} - { identical, similar, distance, paletteOverlap }
+ *   paletteOverlap: share of colours the images have in common (0-1), null when unknown
+ */
+function compareImages(propertiesA, propertiesB) {
+  const identical = propertiesA.checksum === propertiesB.checksum;
+  const distance = hashDistance(propertiesA.hash, propertiesB.hash);
+  const paletteOverlap = propertiesA.palette && propertiesB.palette
+    ? Math.round(propertiesA.palette.reduce((sum, share, i) => sum + Math.min(share, propertiesB.palette[i]), 0) * 1000) / 1000
+    : null;
+
+  return {
+    identical,
+    similar: identical || distance <= IMAGE_REQUIREMENTS.duplicateHashDistance,
+    distance,
+    paletteOverlap
+  };
+}
+
+/**
+ * Compare all images of one product with each other
+ * - the back image must not be a copy of the front image
+ * - no image should repeat another one
+ * - every image should show the same product as the front image; images that share
+ *   hardly any colours with it most likely show something else
+ * @param {Array} images - [{ slot, label, imagePath, properties }] - properties from inspectImage,
+ *                         null for images that couldn't be read (they are skipped)
+ * @returns {Array} - Issues in the usual shape plus `slot` (the image at fault) and `relatedSlot`
+ */
+function compareProductImages(images) {
+  const issues = [];
+  const readable = images.filter(image => image.properties);
+  const reported = new Set();
+
+  // Same path in two slots counts as identical even when the file couldn't be read
+  const sameFile = (a, b) => a.imagePath === b.imagePath;
+
+  for (let i = 0; i < images.length; i++) {
+    for (let j = i + 1; j < images.length; j++) {
+      const first = images[i];
+      const second = images[j];
+      if (reported.has(second.slot)) continue;
+
+      const comparison = sameFile(first, second)
+        ? { identical: true, similar: true, distance: 0, paletteOverlap: 1 }
+        : (first.properties && second.properties ? compareImages(first.properties, second.properties) : null);
+      if (!comparison || !comparison.similar) continue;
+
+      reported.add(second.slot);
+      const isBackOfFront = first.slot === 'front_image' && second.slot === 'back_image';
+      const how = sameFile(first, second) ? 'points to the same file as'
+        : comparison.identical ? 'is the same file as' : 'looks the same as';
+
+      issues.push({
+        slot: second.slot,
+        relatedSlot: first.slot,
+        type: isBackOfFront ? 'back_image_same_as_front' : 'duplicate_image',
+        severity: isBackOfFront ? 'high' : 'medium',
+        confidence: comparison.identical ? 100 : 85,
+        message: `${second.label} ${how} the ${first.label.toLowerCase()}`,
+        suggestion: isBackOfFront
+          ? 'Upload a photo of the back of the pack (ingredients, nutrition facts) as the back image'
+          : `Replace ${second.label.toLowerCase()} with a different view of the product`,
+        analysis: { ...comparison, relatedImage: first.imagePath }
+      });
+    }
+  }
+
+  // Images that share almost no colours with the front image (or the first readable one)
+  const reference = readable.find(image => image.slot === 'front_image') || readable[0];
+  if (reference) {
+    readable
+      .filter(image => image !== reference && !reported.has(image.slot))
+      .forEach(image => {
+        const comparison = compareImages(reference.properties, image.properties);
+        if (comparison.paletteOverlap === null || comparison.paletteOverlap >= IMAGE_REQUIREMENTS.differentProductPalette) return;
+
+        issues.push({
+          slot: image.slot,
+          relatedSlot: reference.slot,
+          type: 'different_product_image',
+          severity: 'medium',
+          confidence: 60,
+          message: `${image.label} may show a different product than the ${reference.label.toLowerCase()}`,
+          suggestion: `Check that ${image.label.toLowerCase()} shows the same product; remove it if it belongs to another product`,
+          analysis: { ...comparison, relatedImage: reference.imagePath, threshold: IMAGE_REQUIREMENTS.differentProductPalette }
+        });
+      });
+  }
+
+  return issues;
+}
+
+/**
+ * Turn measured image properties into issues
+ * @param {Object} properties - Result of inspectImage
+ * @param {string} imagePath - Stored image path (for the extension check)
+ * @returns {Array} - Issues in the { type, severity, confidence, message, suggestion, analysis } shape
+ */
+function evaluateImageProperties(properties, imagePath) {
+  const issues = [];
+  const req = IMAGE_REQUIREMENTS;
+  const shortestSide = Math.min(properties.width, properties.height);
+  const longestSide = Math.max(properties.width, properties.height);
+
+  // File type
+  if (!req.recommendedFormats.includes(properties.format)) {
+    issues.push({
+      type: 'image_format_warning',
+      severity: 'low',
+      confidence: 95,
+      message: `Image is a ${(properties.format || 'unknown').toUpperCase()} file, which may not display everywhere`,
+      suggestion: 'Use JPG, PNG or WebP images for better compatibility and performance',
+      analysis: { format: properties.format, recommendedFormats: req.recommendedFormats }
+    });
+  }
+
+  const extensionFormat = getExtensionFormat(imagePath);
+  if (extensionFormat && properties.format && extensionFormat !== properties.format) {
+    issues.push({
+      type: 'file_extension_mismatch',
+      severity: 'low',
+      confidence: 95,
+      message: `Image file is named .${extensionFormat} but is actually ${properties.format.toUpperCase()}`,
+      suggestion: `Save the image with a .${properties.format === 'jpeg' ? 'jpg' : properties.format} extension`,
+      analysis: { extension: extensionFormat, format: properties.format }
+    });
+  }
+
+  // Resolution
+  if (shortestSide < req.minDimension) {
+    issues.push({
+      type: 'low_resolution',
+      severity: 'high',
+      confidence: 95,
+      message: `Image is only ${properties.width}x${properties.height} pixels`,
+      suggestion: `Upload an image of at least ${req.minDimension}x${req.minDimension} pixels (${req.recommendedDimension} pixels or more is recommended)`,
+      analysis: { width: properties.width, height: properties.height, minDimension: req.minDimension }
+    });
+  } else if (longestSide < req.recommendedDimension) {
+    issues.push({
+      type: 'below_recommended_resolution',
+      severity: 'low',
+      confidence: 90,
+      message: `Image resolution ${properties.width}x${properties.height} is below the recommended ${req.recommendedDimension} pixels`,
+      suggestion: `Use an image of ${req.recommendedDimension} pixels or more on its longest side so the product can be zoomed`,
+      analysis: { width: properties.width, height: properties.height, recommendedDimension: req.recommendedDimension }
+    });
+  }
+
+  // Aspect ratio
+  if (properties.aspectRatio > req.maxAspectRatio) {
+    issues.push({
+      type: 'extreme_aspect_ratio',
+      severity: 'medium',
+      confidence: 85,
+      message: `Image aspect ratio ${properties.aspectRatio}:1 is unusual for a product photo`,
+      suggestion: 'Crop the image close to the product, ideally square, so it displays correctly in listings',
+      analysis: { aspectRatio: properties.aspectRatio, maxAspectRatio: req.maxAspectRatio }
+    });
+  }
+
+  // Blank or near-uniform frames - blur can't be judged on these
+  if (properties.brightnessStdDev <= req.blankStdDev) {
+    issues.push({
+      type: 'blank_image',
+      severity: 'critical',
+      confidence: 95,
+      message: 'Image is blank (a single solid colour)',
+      suggestion: 'Upload a photo that shows the product',
+      analysis: { brightnessStdDev: properties.brightnessStdDev, meanBrightness: properties.meanBrightness }
+    });
+    return issues;
+  }
+
+  if (properties.uniformShare >= req.nearUniformShare) {
+    issues.push({
+      type: 'near_uniform_image',
+      severity: 'high',
+      confidence: 80,
+      message: `Image is almost empty (${Math.round(properties.uniformShare * 100)}% of it is a single colour)`,
+      suggestion: 'Upload a photo where the product fills most of the frame',
+      analysis: { uniformShare: properties.uniformShare, brightnessStdDev: properties.brightnessStdDev }
+    });
+    return issues;
+  }
+
+  // Blur
+  if (properties.blurScore > req.blurThreshold) {
+    issues.push({
+      type: 'blurry_image',
+      severity: 'high',
+      confidence: 75,
+      message: 'Image is too blurry to read the product packaging',
+      suggestion: 'Upload a sharp, in-focus photo of the product',
+      analysis: { blurScore: properties.blurScore, threshold: req.blurThreshold }
+    });
+  } else if (properties.blurScore > req.blurWarningThreshold) {
+    issues.push({
+      type: 'soft_image',
+      severity: 'low',
+      confidence: 60,
+      message: 'Image looks slightly out of focus',
+      suggestion: 'A sharper photo will make the packaging text easier to read',
+      analysis: { blurScore: properties.blurScore, threshold: req.blurWarningThreshold }
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Build an empty analysis result
+ * @returns {Object}
+ */
+function createResult() {
+  return {
+    isValid: true,
+    confidence: 0,
+    properties: null,
+    issues: [],
+    suggestions: [],
+    analysisMetadata: {
+      analysisVersion: '3.0',
+      analysisMethod: 'pixel_analysis',
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Fill in validity, confidence and suggestions from the collected issues
+ * @param {Object} result - Analysis result
+ * @returns {Object} - The same result
+ */
+function finalizeResult(result) {
+  const severityWeights = {
+    'critical': 40,
+    'high': 25,
+    'medium': 15,
+    'low': 5,
+    'info': 0
+  };
+
+  result.isValid = !result.issues.some(issue => BLOCKING_SEVERITIES.includes(issue.severity));
+  result.confidence = Math.max(0, 100 - result.issues.reduce(
+    (total, issue) => total + (issue.severity in severityWeights ? severityWeights[issue.severity] : 10), 0));
+  result.suggestions = result.issues.map(issue => issue.suggestion).filter(Boolean);
+  return result;
+}
+
+/**
+ * Analyze a product image from its actual bytes
+ * Checks file type, resolution, aspect ratio, blank or near-uniform frames and blur.
+ * Comparing the images of a product with each other is done by compareProductImages.
+ * Everything runs locally - the only network access is downloading remote images.
+ * @param {string} imageUrl - Stored image path or URL
+ * @returns {Promise<Object>} - { isValid, confidence, properties, issues, suggestions, analysisMetadata }
+ */
+async function analyzeProductImage(imageUrl) {
+  const result = createResult();
+
+  if (!imageUrl) {
+    result.issues.push({
+      type: 'invalid_url',
+      message: 'Invalid image URL format',
+      severity: 'critical',
+      confidence: 100
+    });
+    return finalizeResult(result);
+  }
+
+  const loaded = await loadImage(imageUrl);
+  result.analysisMetadata.imageUrl = loaded.url;
+
+  if (!loaded.buffer) {
+    if (loaded.notFound) {
+      result.issues.push({
+        type: 'image_not_found',
+        severity: 'critical',
+        confidence: 95,
+        message: `Image file could not be found (${loaded.error})`,
+        suggestion: 'Upload the product image again',
+        analysis: { imageUrl: loaded.url }
+      });
+    } else {
+      // Network or storage problems say nothing about the image itself
+      result.issues.push({
+        type: 'image_not_analyzed',
+        severity: 'info',
+        confidence: 0,
+        message: `Image could not be downloaded for analysis (${loaded.error})`,
+        analysis: { imageUrl: loaded.url }
+      });
+    }
+    return finalizeResult(result);
+  }
+
+  try {
+    result.properties = await inspectImage(loaded.buffer);
+  } catch (error) {
+    result.issues.push({
+      type: 'invalid_image_file',
+      severity: 'critical',
+      confidence: 95,
+      message: 'Image file is corrupt or not a supported image format',
+      suggestion: 'Upload the product image again as a JPG, PNG or WebP file',
+      analysis: { detectedFormat: detectImageFormat(loaded.buffer), error: error.message }
+    });
+    return finalizeResult(result);
+  }
+
+  result.issues.push(...evaluateImageProperties(result.properties, imageUrl));
+
+  return finalizeResult(result);
+}
+
+module.exports = {
+  IMAGE_REQUIREMENTS,
+  detectImageFormat,
+  inspectImage,
+  compareImages,
+  compareProductImages,
+  evaluateImageProperties,
+  analyzeProductImage
+};
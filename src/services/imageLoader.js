@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { getImageSources } = require('../config/imageSources');
+
+/**
+ * Product image resolver
+ * Turns an image path stored on a product (e.g. `\memberProductsImages\front_image-173.jpg`)
+ * into a location that can be read: a file under one of the configured local roots or a
+ * URL under one of the configured base URLs (see src/config/imageSources.js).
+ */
+
+const FETCH_TIMEOUT_MS = parseInt(process.env.IMAGE_FETCH_TIMEOUT_MS) || 10000;
+const MAX_IMAGE_BYTES = parseInt(process.env.IMAGE_MAX_BYTES) || 15 * 1024 * 1024;
+
+let imageSources = getImageSources();
+
+/**
+ * Re-read the image sources (e.g. after the environment variables changed)
+ */
+function reloadImageSources() {
+  imageSources = getImageSources();
+}
+
+/**
+ * Normalize a stored image path (backslashes, leading slash)
+ * @param {string} imagePath - Path as stored on the product
+ * @returns {string}
+ */
+function normalizeImagePath(imagePath) {
+  const normalizedPath = (imagePath || '').trim().replace(/\\/g, '/');
+  return normalizedPath.replace(/^\/+/, '');
+}
+
+/**
+ * Check whether a stored image path is already an absolute URL
+ * @param {string} imagePath
+ * @returns {boolean}
+ */
+function isAbsoluteUrl(imagePath) {
+  return /^https?:\/\//i.test((imagePath || '').trim());
+}
+
+/**
+ * List every place an image may be found, in the order they should be tried
+ * Local roots come first; absolute URLs under a configured base URL are also looked
+ * up in the local roots. Absolute URLs on any other host are never requested - product
+ * data must not make the server call arbitrary (e.g. internal) hosts - and come back as
+ * a single 'invalid' location, like paths that can't be decoded.
+ * @param {string} imagePath - Absolute URL or path relative to the image host
+ * @returns {Array} - [{ type: 'local', path } | { type: 'remote', url } | { type: 'invalid', url, error }]
+ */
+function getImageLocations(imagePath) {
+  if (!imagePath || !imagePath.trim()) return [];
+
+  const trimmedPath = imagePath.trim();
+  let relativePath = null;
+
+  if (isAbsoluteUrl(trimmedPath)) {
+    const baseUrl = imageSources.baseUrls.find(url => trimmedPath.toLowerCase().startsWith(url.toLowerCase()));
+    if (!baseUrl) {
+      return [{ type: 'invalid', url: trimmedPath, error: 'Image URL is not under a configured image source' }];
+    }
+    try {
+      relativePath = decodeURI(trimmedPath.substring(baseUrl.length)).split('?')[0];
+    } catch (error) {
+      return [{ type: 'invalid', url: trimmedPath, error: 'Image URL is not a valid URL' }];
+    }
+  } else {
+    relativePath = normalizeImagePath(trimmedPath);
+  }
+
+  const locations = [];
+
+  if (relativePath) {
+    imageSources.localRoots.forEach(root => {
+      const localPath = path.resolve(root, relativePath);
+      // Never read outside the configured directory
+      if (localPath.startsWith(root + path.sep)) {
+        locations.push({ type: 'local', path: localPath });
+      }
+    });
+  }
+
+  if (isAbsoluteUrl(trimmedPath)) {
+    locations.push({ type: 'remote', url: trimmedPath });
+  } else {
+    imageSources.baseUrls.forEach(baseUrl => {
+      locations.push({ type: 'remote', url: `${baseUrl}${encodeURI(relativePath)}` });
+    });
+  }
+
+  return locations;
+}
+
+/**
+ * Build the public URL of a product image (first configured base URL)
+ * @param {string} imagePath - Absolute URL or path relative to the image host
+ * @returns {string}
+ */
+function resolveImageUrl(imagePath) {
+  if (!imagePath) return '';
+  const remote = getImageLocations(imagePath).find(location => location.type === 'remote');
+  return remote ? remote.url : normalizeImagePath(imagePath);
+}
+
+/**
+ * Describe a location for logs and API responses
+ * @param {Object} location
+ * @returns {string}
+ */
+function describeLocation(location) {
+  return location.type === 'local' ? location.path : location.url;
+}
+
+/**
+ * Check whether a single location holds the image
+ * @param {Object} location - Result entry of getImageLocations
+ * @returns {Promise<Object>} - { found, missing, error } (missing = definitely not there)
+ */
+async function probeLocation(location) {
+  if (location.type === 'invalid') {
+    return { found: false, missing: true, error: location.error };
+  }
+
+  if (location.type === 'local') {
+    try {
+      const stats = await fs.promises.stat(location.path);
+      return stats.isFile() ? { found: true } : { found: false, missing: true, error: 'Not a file' };
+    } catch (error) {
+      return { found: false, missing: error.code === 'ENOENT' || error.code === 'ENOTDIR', error: error.message };
+    }
+  }
+
+  try {
+    // A redirect could lead off the configured image hosts
+    await axios.head(location.url, { timeout: FETCH_TIMEOUT_MS, maxRedirects: 0 });
+    return { found: true };
+  } catch (error) {
+    const status = error.response ? error.response.status : null;
+
+    // Some image hosts don't allow HEAD - ask for the first byte instead
+    if (status === 405 || status === 403) {
+      try {
+        await axios.get(location.url, {
+          timeout: FETCH_TIMEOUT_MS,
+          maxRedirects: 0,
+          headers: { Range: 'bytes=0-0' },
+          responseType: 'arraybuffer'
+        });
+        return { found: true };
+      } catch (retryError) {
+        const retryStatus = retryError.response ? retryError.response.status : null;
+        return { found: false, missing: retryStatus === 404 || retryStatus === 410, error: retryError.message };
+      }
+    }
+
+    return {
+      found: false,
+      missing: status === 404 || status === 410,
+      error: status ? `HTTP ${status}` : error.message
+    };
+  }
+}
+
+/**
+ * Check whether an image exists in any configured location
+ * @param {string} imagePath - Absolute URL or path relative to the image host
+ * @returns {Promise<Object>} - { exists, broken, location, checked }
+ *   exists: found somewhere; broken: every location answered that it isn't there.
+ *   When a location couldn't be reached neither is set, because nothing is known for sure.
+ */
+async function checkImageExists(imagePath) {
+  const locations = getImageLocations(imagePath);
+  const checked = [];
+
+  for (const location of locations) {
+    const probe = await probeLocation(location);
+    checked.push({ location: describeLocation(location), found: probe.found, error: probe.error || null });
+
+    if (probe.found) {
+      return { exists: true, broken: false, location: describeLocation(location), checked };
+    }
+    if (!probe.missing) {
+      // Unreachable - keep looking, but the result can no longer be "broken"
+      checked[checked.length - 1].unreachable = true;
+    }
+  }
+
+  const unreachable = checked.some(entry => entry.unreachable);
+  return {
+    exists: false,
+    broken: locations.length > 0 && !unreachable,
+    location: null,
+    checked
+  };
+}
+
+/**
+ * Read the bytes of a product image from the first location that has it
+ * @param {string} imagePath - Absolute URL or path relative to the image host
+ * @returns {Promise<Object>} - { buffer, url, source } on success,
+ *                              { error, notFound, url } when the image couldn't be read
+ *                              (notFound only when every location said it isn't there)
+ */
+async function loadImage(imagePath) {
+  const locations = getImageLocations(imagePath);
+  if (locations.length === 0) {
+    return { error: 'Image path is empty', notFound: true, url: '' };
+  }
+
+  let lastError = null;
+  let allMissing = true;
+
+  for (const location of locations) {
+    if (location.type === 'invalid') {
+      lastError = location.error;
+      continue;
+    }
+
+    if (location.type === 'local') {
+      try {
+        const buffer = await fs.promises.readFile(location.path);
+        return { buffer, url: location.path, source: 'local' };
+      } catch (error) {
+        lastError = error.message;
+        if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') allMissing = false;
+      }
+      continue;
+    }
+
+    try {
+      const response = await axios.get(location.url, {
+        responseType: 'arraybuffer',
+        timeout: FETCH_TIMEOUT_MS,
+        maxRedirects: 0,
+        maxContentLength: MAX_IMAGE_BYTES
+      });
+      return { buffer: Buffer.from(response.data), url: location.url, source: 'remote' };
+    } catch (error) {
+      const status = error.response ? error.response.status : null;
+      lastError = status ? `Image request returned HTTP ${status}` : error.message;
+      if (status !== 404 && status !== 410) allMissing = false;
+    }
+  }
+
+  return {
+    error: lastError,
+    notFound: allMissing,
+    url: describeLocation(locations[0])
+  };
+}
+
+module.exports = {
+  reloadImageSources,
+  getImageLocations,
+  resolveImageUrl,
+  checkImageExists,
+  loadImage
+};
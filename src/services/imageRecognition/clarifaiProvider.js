@@ -0,0 +1,52 @@
+/**
+ * Clarifai image recognition provider
+ * Uses Clarifai's general model. Requires CLARIFAI_API_KEY.
+ */
+
+/**
+ * Create the Clarifai provider
+ * @param {Object} options - { apiKey, model } (defaults to CLARIFAI_API_KEY and the general model)
+ * @returns {Object} - Provider with name, isAvailable() and predict()
+ */
+function createClarifaiProvider(options = {}) {
+  const apiKey = options.apiKey || process.env.CLARIFAI_API_KEY;
+  let clarifaiApp = null;
+  let Clarifai = null;
+
+  // Create the client on first use so servers without a key never load it
+  const getClient = () => {
+    if (!clarifaiApp) {
+      Clarifai = require('clarifai');
+      clarifaiApp = new Clarifai.App({ apiKey });
+    }
+    return clarifaiApp;
+  };
+
+  return {
+    name: 'clarifai',
+
+    isAvailable() {
+      return Boolean(apiKey);
+    },
+
+    /**
+     * Predict the concepts shown in an image
+     * @param {Object} image - { imagePath, imageUrl }
+     * @returns {Promise<Array>} - [{ name, confidence }]
+     */
+    async predict(image) {
+      const client = getClient();
+      const model = options.model || process.env.CLARIFAI_MODEL_ID || Clarifai.GENERAL_MODEL;
+      const response = await client.models.predict(model, image.imageUrl);
+
+      return response.outputs[0].data.concepts.map(concept => ({
+        name: concept.name,
+        confidence: concept.value
+      }));
+    }
+  };
+}
+
+module.exports = {
+  createClarifaiProvider
+};
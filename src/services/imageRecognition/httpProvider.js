@@ -0,0 +1,62 @@
+const axios = require('axios');
+
+/**
+ * HTTP image recognition provider
+ * Sends the image URL to a self-hosted or third-party model server:
+ *   POST IMAGE_RECOGNITION_HTTP_URL  { "imageUrl": "...", "imagePath": "..." }
+ * and expects concepts back in either of these shapes:
+ *   { "concepts": [{ "name": "bottle", "confidence": 0.93 }] }
+ *   [{ "label": "bottle", "score": 0.93 }]
+ */
+
+/**
+ * Read concepts from the different response shapes model servers use
+ * @param {Object|Array} body - Response body
+ * @returns {Array} - [{ name, confidence }]
+ */
+function parseConcepts(body) {
+  const list = Array.isArray(body) ? body : (body && (body.concepts || body.predictions || body.labels)) || [];
+
+  return list
+    .map(item => ({
+      name: item.name || item.label || item.concept,
+      confidence: Number(item.confidence !== undefined ? item.confidence : (item.score !== undefined ? item.score : item.value))
+    }))
+    .filter(concept => concept.name && !Number.isNaN(concept.confidence));
+}
+
+/**
+ * Create the HTTP provider
+ * @param {Object} options - { url, token, timeoutMs } (defaults to the IMAGE_RECOGNITION_HTTP_* variables)
+ * @returns {Object} - Provider with name, isAvailable() and predict()
+ */
+function createHttpProvider(options = {}) {
+  const url = options.url || process.env.IMAGE_RECOGNITION_HTTP_URL;
+  const token = options.token || process.env.IMAGE_RECOGNITION_HTTP_TOKEN;
+  const timeout = options.timeoutMs || parseInt(process.env.IMAGE_RECOGNITION_HTTP_TIMEOUT_MS) || 15000;
+
+  return {
+    name: 'http',
+
+    isAvailable() {
+      return Boolean(url);
+    },
+
+    async predict(image) {
+      const response = await axios.post(url, {
+        imageUrl: image.imageUrl,
+        imagePath: image.imagePath
+      }, {
+        timeout,
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+      });
+
+      return parseConcepts(response.data);
+    }
+  };
+}
+
+module.exports = {
+  createHttpProvider,
+  parseConcepts
+};
@@ -0,0 +1,91 @@
+const { createClarifaiProvider } = require('./clarifaiProvider');
+const { createLocalProvider } = require('./localProvider');
+const { createHttpProvider } = require('./httpProvider');
+const { createStubProvider } = require('./stubProvider');
+
+/**
+ * Image recognition providers
+ * A provider turns an image into concepts and has this shape:
+ * - name: identifier reported with every verification result
+ * - isAvailable(): whether it is configured well enough to be used
+ * - predict({ imagePath, imageUrl }): resolves to [{ name, confidence (0-1) }]
+ *
+ * The provider in use is picked with IMAGE_RECOGNITION_PROVIDER (clarifai, local, http,
+ * stub or none). Without it, Clarifai is used when CLARIFAI_API_KEY is set, then the local
+ * classifier when IMAGE_RECOGNITION_LOCAL_DIR is set; otherwise image recognition is off.
+ */
+const factories = {
+  clarifai: createClarifaiProvider,
+  local: createLocalProvider,
+  http: createHttpProvider,
+  stub: createStubProvider
+};
+
+let activeProvider;
+
+/**
+ * Add a provider factory so it can be selected through configuration
+ * @param {string} name - Value of IMAGE_RECOGNITION_PROVIDER that selects it
+ * @param {Function} factory - Returns a provider object
+ */
+function registerRecognitionProvider(name, factory) {
+  factories[name] = factory;
+}
+
+/**
+ * Pick the provider name from configuration
+ * @returns {string}
+ */
+function getConfiguredProviderName() {
+  if (process.env.IMAGE_RECOGNITION_PROVIDER) {
+    return process.env.IMAGE_RECOGNITION_PROVIDER.trim().toLowerCase();
+  }
+  if (process.env.CLARIFAI_API_KEY) return 'clarifai';
+  if (process.env.IMAGE_RECOGNITION_LOCAL_DIR) return 'local';
+  return 'none';
+}
+
+/**
+ * Get the configured provider
+ * @returns {Object|null} - Provider, or null when image recognition is off or not configured
+ */
+function getRecognitionProvider() {
+  if (activeProvider !== undefined) return activeProvider;
+
+  const name = getConfiguredProviderName();
+  activeProvider = null;
+
+  if (name === 'none') return activeProvider;
+
+  if (!factories[name]) {
+    console.error(`Unknown image recognition provider "${name}" - image recognition is disabled`);
+    return activeProvider;
+  }
+
+  const provider = factories[name]();
+  if (!provider.isAvailable()) {
+    console.warn(`Image recognition provider "${name}" is not configured - image recognition is disabled`);
+    return activeProvider;
+  }
+
+  activeProvider = provider;
+  return activeProvider;
+}
+
+/**
+ * Replace the provider in use (e.g. a stub in tests); pass undefined to re-read configuration
+ * @param {Object|undefined} provider
+ */
+function setRecognitionProvider(provider) {
+  activeProvider = provider;
+}
+
+module.exports = {
+  registerRecognitionProvider,
+  getRecognitionProvider,
+  setRecognitionProvider,
+  createClarifaiProvider,
+  createLocalProvider,
+  createHttpProvider,
+  createStubProvider
+};
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { loadImage } = require('../imageLoader');
+
+/**
+ * Local image recognition provider
+ * A nearest-neighbour classifier that runs on the CPU without any external service.
+ * It learns concepts from a directory of labelled reference images:
+ *
+ *   IMAGE_RECOGNITION_LOCAL_DIR/
+ *     bottle/   bottle-1.jpg, bottle-2.png ...
+ *     box/      ...
+ *
+ * Each image is reduced to a feature vector (colour histogram and a small brightness
+ * layout); a product image is labelled with the concepts of its most similar references.
+ */
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.tif', '.tiff'];
+
+// Concepts are only reported when at least this similar to one of their references
+const MIN_SIMILARITY = 0.5;
+
+/**
+ * Turn an image into a normalized feature vector
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Promise<Float32Array>}
+ */
+async function extractFeatures(buffer) {
+  // Colour histogram - 4 bins per channel
+  const { data: colourPixels } = await sharp(buffer)
+    .removeAlpha()
+    .resize(64, 64, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const histogram = new Float32Array(64);
+  for (let i = 0; i < colourPixels.length; i += 3) {
+    const bin = (colourPixels[i] >> 6) * 16 + (colourPixels[i + 1] >> 6) * 4 + (colourPixels[i + 2] >> 6);
+    histogram[bin]++;
+  }
+
+  // Brightness layout - 8x8 thumbnail with the average removed
+  const layout = await sharp(buffer).greyscale().resize(8, 8, { fit: 'fill' }).raw().toBuffer();
+  const layoutMean = layout.reduce((sum, value) => sum + value, 0) / layout.length;
+
+  const features = new Float32Array(128);
+  normalize(histogram).forEach((value, i) => { features[i] = value; });
+  normalize(Float32Array.from(layout, value => value - layoutMean)).forEach((value, i) => { features[64 + i] = value; });
+  return normalize(features);
+}
+
+/**
+ * Scale a vector to unit length
+ * @param {Float32Array} vector
+ * @returns {Float32Array}
+ */
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map(value => value / length) : vector;
+}
+
+/**
+ * Cosine similarity of two unit vectors
+ * @param {Float32Array} a
+ * @param {Float32Array} b
+ * @returns {number}
+ */
+function similarity(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+/**
+ * Read every labelled reference image in the reference directory
+ * @param {string} referenceDir - Directory with one sub-directory per concept
+ * @returns {Promise<Array>} - [{ concept, file, features }]
+ */
+async function buildReferenceIndex(referenceDir) {
+  const index = [];
+  const concepts = await fs.promises.readdir(referenceDir, { withFileTypes: true });
+
+  for (const entry of concepts.filter(item => item.isDirectory())) {
+    const conceptDir = path.join(referenceDir, entry.name);
+    const files = (await fs.promises.readdir(conceptDir))
+      .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+
+    for (const file of files) {
+      try {
+        const buffer = await fs.promises.readFile(path.join(conceptDir, file));
+        index.push({
+          // Directory names use dashes or underscores for spaces ("soft_drink" -> "soft drink")
+          concept: entry.name.replace(/[-_]+/g, ' ').toLowerCase(),
+          file,
+          features: await extractFeatures(buffer)
+        });
+      } catch (error) {
+        console.error(`Skipping reference image ${entry.name}/${file}:`, error.message);
+      }
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Create the local provider
+ * @param {Object} options - { referenceDir, topConcepts }
+ * @returns {Object} - Provider with name, isAvailable() and predict()
+ */
+function createLocalProvider(options = {}) {
+  const referenceDir = options.referenceDir || process.env.IMAGE_RECOGNITION_LOCAL_DIR;
+  const topConcepts = options.topConcepts || 10;
+  let indexPromise = null;
+
+  // Build the index once and share it between requests
+  const getIndex = () => {
+    if (!indexPromise) {
+      indexPromise = buildReferenceIndex(referenceDir).then(index => {
+        console.log(`Local image classifier loaded ${index.length} reference images`);
+        return index;
+      }).catch(error => {
+        indexPromise = null;
+        throw error;
+      });
+    }
+    return indexPromise;
+  };
+
+  return {
+    name: 'local',
+
+    isAvailable() {
+      return Boolean(referenceDir) && fs.existsSync(referenceDir);
+    },
+
+    async predict(image) {
+      const loaded = await loadImage(image.imagePath || image.imageUrl);
+      if (!loaded.buffer) {
+        throw new Error(loaded.error);
+      }
+
+      const [index, features] = await Promise.all([getIndex(), extractFeatures(loaded.buffer)]);
+
+      // Best similarity per concept
+      const bestByConcept = {};
+      index.forEach(reference => {
+        const score = similarity(features, reference.features);
+        if (!bestByConcept[reference.concept] || score > bestByConcept[reference.concept]) {
+          bestByConcept[reference.concept] = score;
+        }
+      });
+
+      // Map similarities above the floor onto a 0-1 confidence
+      return Object.entries(bestByConcept)
+        .filter(([, score]) => score >= MIN_SIMILARITY)
+        .map(([name, score]) => ({
+          name,
+          confidence: Math.round(((score - MIN_SIMILARITY) / (1 - MIN_SIMILARITY)) * 1000) / 1000
+        }))
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, topConcepts);
+    },
+
+    // Forget the reference index so new reference images are picked up
+    reload() {
+      indexPromise = null;
+    }
+  };
+}
+
+module.exports = {
+  createLocalProvider,
+  extractFeatures
+};
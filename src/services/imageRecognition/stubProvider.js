@@ -0,0 +1,44 @@
+/**
+ * Deterministic stub image recognition provider
+ * Returns fixed concepts per image so verification can be tested without a model.
+ * Fixtures map an image path (or URL) to its concepts; images without a fixture get
+ * the default concepts.
+ */
+
+/**
+ * Create the stub provider
+ * @param {Object} options - { fixtures: { [imagePath]: [{ name, confidence }] }, defaultConcepts: [...] }
+ *                           Without options, IMAGE_RECOGNITION_STUB_FILE (JSON with the same keys) is used.
+ * @returns {Object} - Provider with name, isAvailable() and predict()
+ */
+function createStubProvider(options = {}) {
+  let settings = options;
+
+  if (!options.fixtures && !options.defaultConcepts && process.env.IMAGE_RECOGNITION_STUB_FILE) {
+    try {
+      settings = require(require('path').resolve(process.env.IMAGE_RECOGNITION_STUB_FILE));
+    } catch (error) {
+      console.error('Could not load image recognition stub file:', error.message);
+    }
+  }
+
+  const fixtures = settings.fixtures || {};
+  const defaultConcepts = settings.defaultConcepts || [];
+
+  return {
+    name: 'stub',
+
+    isAvailable() {
+      return true;
+    },
+
+    async predict(image) {
+      const concepts = fixtures[image.imagePath] || fixtures[image.imageUrl] || defaultConcepts;
+      return concepts.map(concept => ({ name: concept.name, confidence: concept.confidence }));
+    }
+  };
+}
+
+module.exports = {
+  createStubProvider
+};
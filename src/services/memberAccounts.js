@@ -0,0 +1,79 @@
+const { gtrackDB, gs1DB } = require('../models');
+const { safeDbQuery } = require('../utils/db');
+
+/**
+ * Member accounts
+ * Links a product's gtrackDB Member to the member's GS1DB `users` account. There is no
+ * shared id: both are matched through the member's gs1CompanyPrefix, stored in
+ * users.gcpGLNID. A product's own gcpGLNID is not used - it is whatever the member typed in
+ * and may name another company's account.
+ */
+
+/**
+ * Load the gtrackDB members and GS1DB accounts of a batch of products
+ * @param {Array} products - Product records with member_id
+ * @returns {Promise<Object>} - {
+ *   members: member id -> { id, gs1CompanyPrefix, companyNameEnglish },
+ *   accountsByPrefix: prefix -> { userId, gcpGLNID, companyID, companyName, country }
+ * }
+ */
+async function loadMemberAccounts(products) {
+  const memberIds = [...new Set(products.map(p => p.member_id).filter(Boolean))];
+
+  let members = [];
+  if (gtrackDB && gtrackDB.Member && memberIds.length > 0) {
+    members = await safeDbQuery(() => gtrackDB.Member.findMany({
+      where: { id: { in: memberIds } },
+      select: { id: true, gs1CompanyPrefix: true, companyNameEnglish: true }
+    }));
+  }
+
+  const membersById = {};
+  members.forEach(member => {
+    membersById[member.id] = member;
+  });
+
+  const prefixes = [...new Set(members
+    .map(member => member.gs1CompanyPrefix ? member.gs1CompanyPrefix.trim() : null)
+    .filter(Boolean))];
+
+  let users = [];
+  if (gs1DB && gs1DB.users && prefixes.length > 0) {
+    users = await safeDbQuery(() => gs1DB.users.findMany({
+      where: { gcpGLNID: { in: prefixes } },
+      select: { id: true, gcpGLNID: true, companyID: true, company_name_eng: true, country: true }
+    }));
+  }
+
+  const accountsByPrefix = {};
+  users.forEach(user => {
+    if (!user.gcpGLNID) return;
+    accountsByPrefix[user.gcpGLNID.trim()] = {
+      userId: user.id,
+      gcpGLNID: user.gcpGLNID.trim(),
+      companyID: user.companyID || null,
+      companyName: user.company_name_eng || null,
+      country: user.country || null
+    };
+  });
+
+  return { members: membersById, accountsByPrefix };
+}
+
+/**
+ * Get the GS1DB account of a product's member
+ * @param {Object} product - Product record
+ * @param {Object} accounts - Result of loadMemberAccounts
+ * @returns {Object|null} - { userId, gcpGLNID, companyID, companyName, country }
+ */
+function getMemberAccount(product, accounts) {
+  if (!accounts) return null;
+  const member = accounts.members[product.member_id];
+  const prefix = member && member.gs1CompanyPrefix ? member.gs1CompanyPrefix.trim() : null;
+  return prefix ? accounts.accountsByPrefix[prefix] || null : null;
+}
+
+module.exports = {
+  loadMemberAccounts,
+  getMemberAccount
+};
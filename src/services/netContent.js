@@ -0,0 +1,329 @@
+const { resolveUnit, getRec20Unit } = require('./unitResolver');
+const { toLatinDigits } = require('./arabicText');
+
+/**
+ * Net content parsing
+ * Reads the free-text `size` of a product ("500", "0.5", "1,5", "6x330", "500ml") together
+ * with its `unit` column, normalizes the content to the base unit of its type and checks it
+ * for contradictions and implausible values.
+ */
+
+// Base unit of each unit type; weight, length and area are SI base units, volume is
+// normalized to litres (1 l = 0.001 m3) as that is how retail packs are compared
+const BASE_UNITS = {
+  weight: 'KGM',
+  volume: 'LTR',
+  length: 'MTR',
+  area: 'MTK',
+  quantity: 'H87'
+};
+
+/**
+ * Plausible net content of one retail item, in base units, by product category
+ * (the categories of productClassification's CATEGORY_RULES). Categories fall back to `default` for unit
+ * types they don't list.
+ */
+const PLAUSIBLE_RANGES = {
+  default: { weight: [0.0001, 1000], volume: [0.0001, 1000], length: [0.001, 10000], area: [0.0001, 100000], quantity: [1, 10000] },
+  beverage_product: { weight: [0.005, 25], volume: [0.05, 25] },
+  oil_product: { weight: [0.05, 200], volume: [0.05, 210] },
+  food_product: { weight: [0.001, 50], volume: [0.005, 25] },
+  cleaning_product: { weight: [0.01, 30], volume: [0.01, 30] },
+  personal_care: { weight: [0.001, 5], volume: [0.001, 5] }
+};
+
+// A number with "." or "," as decimal separator
+const NUMBER = '(\\d+(?:[.,]\\d+)*)';
+const MULTIPLY = '\\s*[x×*]\\s*';
+
+// "6x330ml", "6 x 330 ml"
+const COUNT_FIRST = new RegExp(`^(\\d+)${MULTIPLY}${NUMBER}\\s*(.*)$`, 'i');
+// "330ml x 6", "330 ml x 6 pcs"
+const COUNT_LAST = new RegExp(`^${NUMBER}\\s*([^\\d]*?)${MULTIPLY}(\\d+)\\s*[^\\d]*$`, 'i');
+// "500", "1,5 L", "Net wt. 500 g"
+const SINGLE = new RegExp(`${NUMBER}\\s*(.*)$`, 'i');
+
+// A quantity inside a product name: "1L", "5 kg", "6x330ml", "٥ كجم" (after digit conversion).
+// The number must stand on its own, so "0W16" or "S23" don't count.
+const NAME_QUANTITY = /(?<![\p{L}\p{N}.,])(?:(\d+)\s*[x×*]\s*)?(\d+(?:[.,]\d+)?)\s*(fl\.?\s?oz|\p{L}+\.?)(?![\p{L}\p{N}])/gu;
+
+// Unit types that describe net content in a name; counts ("3 in 1", "2 pcs") are too ambiguous
+const NAME_QUANTITY_TYPES = ['weight', 'volume', 'length'];
+
+// Relative difference tolerated between a name quantity and the declared size (rounding, e.g. 16.9 fl oz)
+const NAME_SIZE_TOLERANCE = 0.02;
+
+/**
+ * Parse a number written with a decimal comma or point
+ * A comma followed by exactly three digits is a thousands separator ("1,000"),
+ * any other comma is a decimal comma ("1,5").
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseNumber(text) {
+  if (!text) return null;
+  let value = String(text);
+
+  if (value.includes('.') && value.includes(',')) {
+    // "1,000.5" - commas group thousands
+    value = value.replace(/,/g, '');
+  } else if (/^\d{1,3}(,\d{3})+$/.test(value)) {
+    value = value.replace(/,/g, '');
+  } else {
+    value = value.replace(',', '.');
+  }
+
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Round a normalized amount for display
+ * @param {number} value
+ * @returns {number}
+ */
+function roundAmount(value) {
+  return Number.isFinite(value) ? parseFloat(value.toPrecision(6)) : value;
+}
+
+/**
+ * Resolve the unit written after the number in a size, e.g. "ml", "fl oz" or "g net"
+ * @param {string} text - Text following the number
+ * @param {Object} registry - Unit registry (optional)
+ * @returns {Object|null} - { text, resolution } for a recognised unit, or { text } when unrecognised
+ */
+function resolveEmbeddedUnit(text, registry) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return null;
+
+  // Try the whole text, then the first two words ("fl oz"), then the first word
+  const words = trimmed.split(/\s+/);
+  const candidates = [...new Set([trimmed, words.slice(0, 2).join(' '), words[0]])];
+  for (const candidate of candidates) {
+    const resolution = resolveUnit(candidate, registry);
+    if (resolution.status === 'resolved') return { text: candidate, resolution };
+  }
+  return { text: trimmed, resolution: null };
+}
+
+/**
+ * Split a size string into item count, value per item and embedded unit text
+ * @param {string} size
+ * @returns {Object|null} - { count, value, unitText }, or null when the size has no number
+ */
+function splitSize(size) {
+  const text = toLatinDigits(String(size)).trim();
+
+  let match = text.match(COUNT_FIRST);
+  if (match) return { count: parseInt(match[1]), value: parseNumber(match[2]), unitText: match[3] };
+
+  match = text.match(COUNT_LAST);
+  if (match) return { count: parseInt(match[3]), value: parseNumber(match[1]), unitText: match[2] };
+
+  match = text.match(SINGLE);
+  if (match) return { count: 1, value: parseNumber(match[1]), unitText: match[2] };
+
+  return null;
+}
+
+/**
+ * Parse and check the net content of a product
+ * @param {string} size - products.size
+ * @param {Object} options - {
+ *   unitResolution: resolution of products.unit (see resolveUnit),
+ *   registry: unit registry for units written in the size,
+ *   category: product category used for the plausibility range (e.g. 'oil_product')
+ * }
+ * @returns {Object} - {
+ *   size, parsed, count, value, unit: { code, name, type, source: 'size' | 'unit' },
+ *   embeddedUnit: { text, code, type }, normalized: { value, unit, type } (all items),
+ *   perItem: { value, unit, type }, range, problems: [{ code, severity, message, suggestion }]
+ * }
+ */
+function parseNetContent(size, options = {}) {
+  const unitResolution = options.unitResolution || null;
+  const result = {
+    size: size === null || size === undefined ? null : String(size),
+    parsed: false,
+    count: null,
+    value: null,
+    unit: null,
+    embeddedUnit: null,
+    normalized: null,
+    perItem: null,
+    range: null,
+    problems: []
+  };
+
+  const addProblem = (code, severity, message, suggestion) => {
+    result.problems.push({ code, severity, message, suggestion });
+  };
+
+  if (!result.size || !result.size.trim()) return result;
+
+  const parts = splitSize(result.size);
+  if (!parts || parts.value === null) {
+    addProblem('unparseable_size', 'high',
+      `Size "${result.size}" does not contain a net content value`,
+      'Enter the net content as a number, e.g. "500" with unit MLT, or "6x330" for a multipack');
+    return result;
+  }
+
+  result.parsed = true;
+  result.count = parts.count;
+  result.value = parts.value;
+
+  // A unit written in the size takes precedence over the unit column
+  const embedded = resolveEmbeddedUnit(parts.unitText, options.registry);
+  if (embedded && embedded.resolution) {
+    result.embeddedUnit = { text: embedded.text, code: embedded.resolution.code, type: embedded.resolution.type };
+  }
+
+  const columnUnit = unitResolution && unitResolution.status === 'resolved' ? unitResolution : null;
+  const sizeUnit = embedded && embedded.resolution ? embedded.resolution : null;
+  const unit = sizeUnit || columnUnit;
+  if (unit) {
+    result.unit = { code: unit.code, name: unit.name, type: unit.type, source: sizeUnit ? 'size' : 'unit' };
+  }
+
+  if (parts.value <= 0 || parts.count <= 0) {
+    addProblem('invalid_value', 'high',
+      `Size "${result.size}" has no positive net content`,
+      'Enter the net content of one item as a number greater than zero');
+    return result;
+  }
+
+  // The unit in the size must agree with the unit column; counting units (PCS, EA)
+  // describe how the item is sold, so a measure in the size doesn't contradict them
+  if (sizeUnit && columnUnit && sizeUnit.code !== columnUnit.code &&
+      sizeUnit.type !== 'quantity' && columnUnit.type !== 'quantity') {
+    const differentType = sizeUnit.type !== columnUnit.type;
+    addProblem('unit_contradiction', differentType ? 'high' : 'medium',
+      differentType
+        ? `Size "${result.size}" is a ${sizeUnit.type} (${sizeUnit.name}) but the unit is ${columnUnit.name}, a ${columnUnit.type} unit`
+        : `Size "${result.size}" is in ${sizeUnit.name} but the unit is ${columnUnit.name}`,
+      `Enter the size as a plain number in the product's unit, or change the unit to ${sizeUnit.code} (${sizeUnit.name})`);
+  }
+
+  if (!unit) return result;
+
+  const base = getRec20Unit(BASE_UNITS[unit.type]);
+  const perItem = roundAmount(parts.value * unit.factor);
+  result.perItem = { value: perItem, unit: base.symbol, type: unit.type };
+  result.normalized = { value: roundAmount(parts.value * parts.count * unit.factor), unit: base.symbol, type: unit.type };
+
+  // Plausibility of one retail item for the product's category
+  const categoryRanges = PLAUSIBLE_RANGES[options.category] || {};
+  const range = categoryRanges[unit.type] || PLAUSIBLE_RANGES.default[unit.type];
+  if (range) {
+    const category = categoryRanges[unit.type] ? options.category : null;
+    result.range = { min: range[0], max: range[1], unit: base.symbol, category };
+
+    if (perItem < range[0] || perItem > range[1]) {
+      const categoryLabel = category ? category.replace('_', ' ') : null;
+      const label = categoryLabel ? `${/^[aeiou]/.test(categoryLabel) ? 'an' : 'a'} ${categoryLabel}` : 'a retail item';
+      addProblem('implausible_value', 'medium',
+        `Net content ${perItem} ${base.symbol} (size "${result.size}", ${unit.name}) is implausible for ${label}; expected ${range[0]}-${range[1]} ${base.symbol}`,
+        `Check the size and unit - the size may have been entered in a ${perItem > range[1] ? 'smaller' : 'larger'} unit than ${unit.name}`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Extract the net content quantities written in a product name
+ * @param {string} name - e.g. "PROMAX SP 0W16 1L" or "أرز بسمتي ٥ كجم"
+ * @param {Object} registry - Unit registry (optional)
+ * @returns {Array} - [{ text, count, value, unit: { code, name, type }, perItem: { value, unit } }]
+ */
+function extractNameQuantities(name, registry) {
+  // Digit conversion keeps every character in place, so matches map back onto the name
+  const original = name || '';
+  const text = toLatinDigits(original);
+  const quantities = [];
+
+  for (const match of text.matchAll(NAME_QUANTITY)) {
+    const resolution = resolveUnit(match[3], registry);
+    if (resolution.status !== 'resolved' || !NAME_QUANTITY_TYPES.includes(resolution.type)) continue;
+
+    const value = parseNumber(match[2]);
+    if (!value || value <= 0) continue;
+
+    const base = getRec20Unit(BASE_UNITS[resolution.type]);
+    quantities.push({
+      text: original.slice(match.index, match.index + match[0].length).trim(),
+      count: match[1] ? parseInt(match[1]) : 1,
+      value,
+      unit: { code: resolution.code, name: resolution.name, type: resolution.type, factor: resolution.factor },
+      perItem: { value: roundAmount(value * resolution.factor), unit: base.symbol }
+    });
+  }
+
+  return quantities;
+}
+
+/**
+ * Compare the quantities in a product name with the declared net content
+ * @param {string} name - Product name
+ * @param {Object} netContent - Result of parseNetContent for the product's size and unit
+ * @param {Object} registry - Unit registry (optional)
+ * @returns {Object} - {
+ *   quantities: extracted name quantities,
+ *   status: 'match' | 'mismatch' | 'not_comparable' (no quantity in the name or no declared content),
+ *   quantity: the name quantity that was compared,
+ *   suggestion: { size, unit } the declared size that would agree with the name
+ * }
+ */
+function compareNameQuantities(name, netContent, registry) {
+  const quantities = extractNameQuantities(name, registry);
+  const result = { quantities, status: 'not_comparable', quantity: null, suggestion: null };
+
+  const declared = netContent && netContent.perItem && netContent.unit ? netContent : null;
+  if (!declared || quantities.length === 0) return result;
+
+  // Only a quantity of the same type, or weight against volume (the usual mix-up), can be compared
+  const measureTypes = ['weight', 'volume'];
+  const comparable = quantities.filter(quantity =>
+    quantity.unit.type === declared.unit.type ||
+    (measureTypes.includes(quantity.unit.type) && measureTypes.includes(declared.unit.type)));
+  if (comparable.length === 0) return result;
+
+  const agrees = quantity => {
+    if (quantity.unit.type !== declared.unit.type) return false;
+    const difference = Math.abs(quantity.perItem.value - declared.perItem.value);
+    const countAgrees = quantity.count === 1 || quantity.count === declared.count;
+    return countAgrees && difference <= NAME_SIZE_TOLERANCE * Math.max(quantity.perItem.value, declared.perItem.value);
+  };
+
+  const match = comparable.find(agrees);
+  if (match) {
+    result.status = 'match';
+    result.quantity = match;
+    return result;
+  }
+
+  // Suggest the name's quantity in the declared unit, or in its own unit when the types differ
+  const quantity = comparable[0];
+  const declaredUnit = getRec20Unit(declared.unit.code);
+  const sameType = quantity.unit.type === declared.unit.type;
+  const unit = sameType ? declaredUnit : getRec20Unit(quantity.unit.code);
+  const value = roundAmount(sameType ? quantity.perItem.value / declaredUnit.factor : quantity.value);
+
+  result.status = 'mismatch';
+  result.quantity = quantity;
+  result.suggestion = {
+    size: quantity.count > 1 ? `${quantity.count}x${value}` : String(value),
+    unit: { code: unit.code, name: unit.name }
+  };
+  return result;
+}
+
+module.exports = {
+  BASE_UNITS,
+  PLAUSIBLE_RANGES,
+  parseNumber,
+  parseNetContent,
+  extractNameQuantities,
+  compareNameQuantities
+};
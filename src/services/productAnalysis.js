@@ -0,0 +1,897 @@
+/**
+ * Product analysis helpers shared by the verification rules.
+ * Pure functions only - no database or network access happens here.
+ */
+
+const { validateGtin } = require('./gtin');
+const { containsArabic, detectArabicPlaceholder } = require('./arabicText');
+
+/**
+ * Helper function to validate a barcode as a GS1 GTIN
+ * Checks format, length, mod-10 check digit and the GS1 prefix it was issued under
+ * @param {string} barcode - The barcode to validate
+ * @returns {Object} - Validation result with valid flag, message, suggestion and the problems found
+ */
+function validateBarcode(barcode) {
+  const gtinResult = validateGtin(barcode);
+  const gtin = gtinResult.gtin;
+  const problems = [];
+
+  // Translate each GTIN error into a member-facing problem
+  gtinResult.errors.forEach(error => {
+    switch (error) {
+      case 'missing':
+        problems.push({
+          code: error,
+          severity: 'critical',
+          message: 'Barcode is missing',
+          suggestion: 'Add a valid barcode following GS1 standards.'
+        });
+        break;
+      case 'non_numeric':
+        problems.push({
+          code: error,
+          severity: 'critical',
+          message: 'Barcode contains non-numeric characters',
+          suggestion: 'Ensure barcode contains only digits.'
+        });
+        break;
+      case 'invalid_length':
+        problems.push({
+          code: error,
+          severity: 'critical',
+          message: `Invalid barcode length (${gtin.length})`,
+          suggestion: 'Use standard GTIN formats: GTIN-13 / EAN-13 (13 digits), GTIN-12 / UPC-A (12 digits), GTIN-14 (14 digits) or GTIN-8 / EAN-8 (8 digits).'
+        });
+        break;
+      case 'invalid_check_digit':
+        problems.push({
+          code: error,
+          severity: 'critical',
+          message: `Invalid GS1 check digit: barcode ends in ${gtinResult.checkDigit.actual} but the calculated check digit is ${gtinResult.checkDigit.expected}`,
+          suggestion: `Correct the barcode to ${gtinResult.correctedGtin}. If the printed barcode scans differently, re-check the digits entered for this product.`
+        });
+        break;
+      case 'restricted_circulation':
+        problems.push({
+          code: error,
+          severity: 'high',
+          message: `Barcode uses GS1 prefix ${gtinResult.gs1Prefix.prefix}, which is reserved for ${gtinResult.gs1Prefix.name.toLowerCase()} and is not valid for open trade`,
+          suggestion: 'Assign a GTIN from your GS1 Company Prefix. Restricted circulation numbers (prefixes 020-029, 040-049 and 200-299) can only be used inside a single store or company.'
+        });
+        break;
+      case 'coupon_prefix':
+        problems.push({
+          code: error,
+          severity: 'high',
+          message: `Barcode uses GS1 prefix ${gtinResult.gs1Prefix.prefix}, which is reserved for ${gtinResult.gs1Prefix.name.toLowerCase()}, not trade items`,
+          suggestion: 'Assign a GTIN from your GS1 Company Prefix for this product.'
+        });
+        break;
+      case 'unassigned_prefix':
+        problems.push({
+          code: error,
+          severity: 'high',
+          message: `Barcode starts with a GS1 prefix that is not assigned to any GS1 Member Organisation`,
+          suggestion: 'Check that the barcode was issued from a valid GS1 Company Prefix.'
+        });
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (problems.length === 0) {
+    return {
+      valid: true,
+      message: `Valid ${gtinResult.format} barcode`,
+      format: gtinResult.format,
+      gs1Prefix: gtinResult.gs1Prefix,
+      restrictedCirculation: false,
+      problems
+    };
+  }
+
+  return {
+    valid: false,
+    message: problems[0].message,
+    suggestion: problems[0].suggestion,
+    format: gtinResult.format,
+    checkDigit: gtinResult.checkDigit,
+    correctedBarcode: gtinResult.correctedGtin || null,
+    gs1Prefix: gtinResult.gs1Prefix,
+    restrictedCirculation: gtinResult.restrictedCirculation,
+    problems
+  };
+}
+
+/**
+ * Helper function to infer unit type from unit data
+ * This is necessary since the Unit model doesn't have a 'type' field
+ */
+function inferUnitType(unitData) {
+  if (!unitData) return null;
+  
+  // Extract unit name and code with safety checks
+  const unitName = unitData.unit_name ? unitData.unit_name.toLowerCase() : '';
+  const unitCode = unitData.unit_code ? unitData.unit_code.toLowerCase() : '';
+  
+  // If no data is available, return unknown
+  if (!unitName && !unitCode) return 'unknown';
+  
+  // Define unit type patterns
+  const unitTypePatterns = {
+    // Rate/Speed/Time-based units
+    rate: ['per', 'perhour', 'persecond', 'perminute', 'ph', 'ps', 'pm', 'hz', 'rpm', 'sps', 'mps', 'fps', 'm60'],
+    
+    // Volume units
+    volume: ['l', 'ml', 'liter', 'litre', 'gallon', 'oz', 'fluid', 'ltr', 'fl', 'cl', 'dl', 'pt', 'qt', 'gal'],
+    
+    // Weight units
+    weight: ['kg', 'g', 'mg', 'lb', 'pound', 'ton', 'gram', 'kilo', 'oz', 'ounce', 't'],
+    
+    // Quantity units
+    quantity: ['pc', 'piece', 'unit', 'each', 'item', 'count', 'ea', 'pcs', 'pair', 'set', 'pack', 'pkg'],
+    
+    // Length units
+    length: ['m', 'cm', 'mm', 'ft', 'inch', 'yard', 'metre', 'meter', 'in', 'yd', 'km', 'mi', 'mile'],
+    
+    // Area units
+    area: ['m2', 'sqm', 'sq m', 'square meter', 'ha', 'acre', 'sqft', 'sq ft', 'square foot']
+  };
+  
+  // Check unit name and code against patterns
+  for (const [type, patterns] of Object.entries(unitTypePatterns)) {
+    // Check for matches in both unit name and code
+    // Also handle special case to avoid false matches of length units in rate units
+    if (patterns.some(pattern => 
+        (unitName.includes(pattern) || unitCode.includes(pattern)) && 
+        !(type === 'length' && 
+          unitTypePatterns.rate.some(ratePattern => 
+            unitName.includes(ratePattern) || unitCode.includes(ratePattern)
+          ))
+      )) {
+      return type;
+    }
+  }
+  
+  // Handle specific cases based on unit code only
+  const unitCodeMap = {
+    'kg': 'weight',
+    'g': 'weight',
+    'mg': 'weight',
+    'lb': 'weight',
+    'oz': 'weight',
+    'l': 'volume',
+    'ml': 'volume',
+    'ltr': 'volume',
+    'pc': 'quantity',
+    'ea': 'quantity',
+    'm': 'length',
+    'cm': 'length',
+    'mm': 'length',
+    'ft': 'length',
+    'in': 'length',
+    'm2': 'area',
+    'ha': 'area'
+  };
+  
+  if (unitCodeMap[unitCode]) {
+    return unitCodeMap[unitCode];
+  }
+  
+  // Default to quantity if unknown
+  return 'unknown';
+}
+
+/**
+ * Parse brick string into separate code and description components
+ * @param {string} brickString - Raw brick string (e.g., "20002871-Type of Engine Oil Target")
+ * @returns {Object} - Object with code and description
+ */
+function parseBrick(brickString) {
+  if (!brickString) return { code: null, description: null };
+  
+  // Check if the brick contains a hyphen separator
+  if (brickString.includes('-')) {
+    const [code, ...descParts] = brickString.split('-');
+    const description = descParts.join('-').trim();
+    return { 
+      code: code.trim(), 
+      description 
+    };
+  } 
+  // If there's no hyphen but it starts with digits, assume those are the code
+  else if (/^\d+/.test(brickString)) {
+    const codeMatch = brickString.match(/^(\d+)/);
+    if (codeMatch) {
+      const code = codeMatch[1];
+      const description = brickString.substring(code.length).trim();
+      return { 
+        code, 
+        description: description || null 
+      };
+    }
+  }
+  
+  // If we can't extract a code, return the whole thing as description
+  return { 
+    code: null, 
+    description: brickString 
+  };
+}
+
+/**
+ * Parse unit string into better components
+ * @param {string} unitString - Raw unit string 
+ * @param {Object} unitData - Unit data from database
+ * @returns {Object} - Enhanced unit info
+ */
+function parseUnit(unitString, unitData) {
+  if (!unitString) return { code: null, name: null, type: null, id: null };
+  
+  const unitCode = unitString.trim().toUpperCase();
+  
+  // Define comprehensive unit name mapping
+  const unitNameMap = {
+    // Weight units
+    'KG': 'Kilogram',
+    'G': 'Gram',
+    'MG': 'Milligram',
+    'LB': 'Pound',
+    'OZ': 'Ounce',
+    'TON': 'Ton',
+    
+    // Volume units
+    'L': 'Liter',
+    'LTR': 'Liter',
+    'ML': 'Milliliter',
+    'CL': 'Centiliter',
+    'GAL': 'Gallon',
+    'FLOZ': 'Fluid Ounce',
+    'FL OZ': 'Fluid Ounce',
+    
+    // Quantity units
+    'PC': 'Piece',
+    'PCS': 'Pieces',
+    'EA': 'Each',
+    'UNIT': 'Unit',
+    'SET': 'Set',
+    'PAIR': 'Pair',
+    'EACH': 'Each',
+    
+    // Length units
+    'M': 'Meter',
+    'CM': 'Centimeter',
+    'MM': 'Millimeter',
+    'FT': 'Foot',
+    'IN': 'Inch',
+    'YD': 'Yard',
+    
+    // Area units
+    'M2': 'Square Meter',
+    'SQM': 'Square Meter',
+    'SQFT': 'Square Foot',
+    'ACRE': 'Acre',
+    'HA': 'Hectare',
+    
+    // Default
+    'DEFAULT': 'Unit'
+  };
+  
+  // Get unit name from database if available
+  let unitName = unitData && unitData.unit_name ? unitData.unit_name : null;
+  
+  // If unit_name is not available from database, use our mapping
+  if (!unitName) {
+    unitName = unitNameMap[unitCode] || unitNameMap['DEFAULT'];
+  }
+  
+  // Infer unit type
+  let unitType = null;
+  if (unitData) {
+    unitType = inferUnitType(unitData);
+  } else {
+    // Infer type based on unit code
+    if (['KG', 'G', 'MG', 'LB', 'OZ', 'TON'].includes(unitCode)) {
+      unitType = 'weight';
+    } else if (['L', 'LTR', 'ML', 'CL', 'GAL', 'FLOZ', 'FL OZ'].includes(unitCode)) {
+      unitType = 'volume';
+    } else if (['PC', 'PCS', 'EA', 'UNIT', 'SET', 'PAIR', 'EACH'].includes(unitCode)) {
+      unitType = 'quantity';
+    } else if (['M', 'CM', 'MM', 'FT', 'IN', 'YD'].includes(unitCode)) {
+      unitType = 'length';
+    } else if (['M2', 'SQM', 'SQFT', 'ACRE', 'HA'].includes(unitCode)) {
+      unitType = 'area';
+    } else {
+      unitType = 'unknown';
+    }
+  }
+  
+  // Return all unit fields from the database plus the inferred type
+  return {
+    id: unitData ? unitData.id : null,
+    code: unitCode,
+    name: unitName,
+    type: unitType,
+    status: unitData ? unitData.status : 'active'
+  };
+}
+
+/**
+ * Checks if the Brick and unit are compatible with each other
+ * @param {string} brickString - The Brick string or code
+ * @param {string} unitCode - The unit code
+ * @param {string} unitType - The type of unit (weight, volume, quantity)
+ * @returns {Object} - Compatibility result with status and reason
+ */
+function checkBrickUnitCompatibility(brickString, unitCode, unitType) {
+  if (!brickString || !unitCode) {
+    return { compatible: true, reason: null }; // Not enough info to determine incompatibility
+  }
+  
+  // Use default unitType if not provided
+  unitType = unitType || 'unknown';
+  
+  const brickLower = brickString.toLowerCase();
+  const unitLower = unitCode.toLowerCase();
+  
+  // Extract Brick code and description if available
+  let brickCode = null;
+  let brickDescription = '';
+  
+  if (brickLower.includes('-')) {
+    const parts = brickLower.split('-');
+    brickCode = parts[0].trim();
+    brickDescription = parts.slice(1).join('-').trim();
+  } else {
+    brickDescription = brickLower;
+  }
+  
+  // Enhanced semantic embedding vectors (word-level embeddings simulation)
+  // This simulates how word vectors capture semantic relationships
+  const semanticVectors = {
+    // Liquid domain vector components
+    'liquid': [0.8, 0.1, 0.0, 0.1, 0.0],
+    'oil': [0.7, 0.2, 0.0, 0.1, 0.0],
+    'beverage': [0.7, 0.0, 0.1, 0.2, 0.0],
+    'drink': [0.7, 0.0, 0.2, 0.1, 0.0],
+    'fluid': [0.9, 0.0, 0.0, 0.1, 0.0],
+    'juice': [0.6, 0.0, 0.3, 0.1, 0.0],
+    'water': [0.8, 0.0, 0.1, 0.1, 0.0],
+    'milk': [0.6, 0.0, 0.3, 0.1, 0.0],
+    'sauce': [0.6, 0.3, 0.1, 0.0, 0.0],
+    'syrup': [0.7, 0.2, 0.1, 0.0, 0.0],
+    'lubricant': [0.8, 0.1, 0.0, 0.1, 0.0],
+    'solvent': [0.7, 0.2, 0.0, 0.1, 0.0],
+    'cream': [0.5, 0.3, 0.1, 0.1, 0.0],
+    'fuel': [0.8, 0.1, 0.0, 0.1, 0.0],
+    
+    // Solid/powder domain vector components
+    'powder': [0.1, 0.8, 0.0, 0.1, 0.0],
+    'solid': [0.0, 0.9, 0.0, 0.1, 0.0],
+    'grain': [0.0, 0.7, 0.2, 0.1, 0.0],
+    'food': [0.1, 0.5, 0.3, 0.1, 0.0],
+    'flour': [0.0, 0.8, 0.2, 0.0, 0.0],
+    'rice': [0.0, 0.7, 0.3, 0.0, 0.0],
+    'sugar': [0.0, 0.8, 0.2, 0.0, 0.0],
+    'salt': [0.0, 0.9, 0.1, 0.0, 0.0],
+    'cereal': [0.0, 0.6, 0.4, 0.0, 0.0],
+    'coffee': [0.0, 0.7, 0.3, 0.0, 0.0],
+    'spice': [0.0, 0.8, 0.2, 0.0, 0.0],
+    'detergent': [0.0, 0.7, 0.0, 0.3, 0.0],
+    'soap': [0.0, 0.6, 0.0, 0.4, 0.0],
+    'chemical': [0.2, 0.6, 0.0, 0.2, 0.0],
+    
+    // Discrete items domain vector components
+    'device': [0.0, 0.0, 0.9, 0.1, 0.0],
+    'electronic': [0.0, 0.0, 0.8, 0.2, 0.0],
+    'appliance': [0.0, 0.0, 0.7, 0.3, 0.0],
+    'equipment': [0.0, 0.0, 0.8, 0.2, 0.0],
+    'apparatus': [0.0, 0.0, 0.7, 0.3, 0.0],
+    'phone': [0.0, 0.0, 0.9, 0.1, 0.0],
+    'computer': [0.0, 0.0, 0.9, 0.1, 0.0],
+    'machine': [0.0, 0.0, 0.8, 0.2, 0.0],
+    'tool': [0.0, 0.0, 0.7, 0.3, 0.0],
+    'furniture': [0.0, 0.0, 0.9, 0.1, 0.0],
+    'toy': [0.0, 0.0, 0.9, 0.1, 0.0],
+    'game': [0.0, 0.0, 0.8, 0.2, 0.0],
+    'clothing': [0.0, 0.0, 0.9, 0.1, 0.0],
+    'garment': [0.0, 0.0, 0.9, 0.1, 0.0],
+    'shoe': [0.0, 0.0, 0.9, 0.1, 0.0],
+    'accessory': [0.0, 0.0, 0.8, 0.2, 0.0],
+    
+    // Length measurement domain
+    'fabric': [0.0, 0.1, 0.1, 0.0, 0.8],
+    'textile': [0.0, 0.1, 0.1, 0.0, 0.8],
+    'cloth': [0.0, 0.1, 0.1, 0.0, 0.8],
+    'cable': [0.0, 0.0, 0.2, 0.0, 0.8],
+    'wire': [0.0, 0.0, 0.2, 0.0, 0.8],
+    'rope': [0.0, 0.1, 0.1, 0.0, 0.8],
+    'thread': [0.0, 0.1, 0.0, 0.0, 0.9],
+    'yarn': [0.0, 0.1, 0.0, 0.0, 0.9],
+    'ribbon': [0.0, 0.1, 0.0, 0.0, 0.9]
+  };
+  
+  // Unit domain vectors
+  const unitDomainVectors = {
+    'volume': [0.9, 0.0, 0.0, 0.1, 0.0],  // Volume-oriented vector
+    'weight': [0.0, 0.9, 0.0, 0.1, 0.0],  // Weight-oriented vector
+    'quantity': [0.0, 0.0, 0.9, 0.1, 0.0], // Quantity-oriented vector
+    'length': [0.0, 0.0, 0.0, 0.1, 0.9],  // Length-oriented vector
+    'area': [0.0, 0.0, 0.0, 0.9, 0.1]     // Area-oriented vector
+  };
+  
+  // Calculate semantic similarity between Brick description and unit domain
+  function calculateCosineSimilarity(vec1, vec2) {
+    // Simplified cosine similarity calculation
+    let dotProduct = 0;
+    let normA = 0;
+    let normB = 0;
+    
+    for (let i = 0; i < vec1.length; i++) {
+      dotProduct += vec1[i] * vec2[i];
+      normA += vec1[i] * vec1[i];
+      normB += vec2[i] * vec2[i];
+    }
+    
+    normA = Math.sqrt(normA);
+    normB = Math.sqrt(normB);
+    
+    return (normA && normB) ? dotProduct / (normA * normB) : 0;
+  }
+  
+  // Get avg vector for Brick description
+  function getAverageVector(text) {
+    const words = text.split(/\s+/);
+    const sumVector = [0, 0, 0, 0, 0];
+    let wordCount = 0;
+    
+    for (const word of words) {
+      if (semanticVectors[word]) {
+        wordCount++;
+        for (let i = 0; i < 5; i++) {
+          sumVector[i] += semanticVectors[word][i];
+        }
+      }
+    }
+    
+    // Return average vector or default vector if no matches
+    if (wordCount > 0) {
+      return sumVector.map(val => val / wordCount);
+    }
+    return [0.2, 0.2, 0.2, 0.2, 0.2]; // Default balanced vector
+  }
+  
+  // Get vector for Brick description
+  const brickVector = getAverageVector(brickDescription);
+  
+  // Determine most likely product category from vector
+  let highestSimilarity = -1;
+  let mostLikelyDomain = null;
+  
+  for (const [domain, vector] of Object.entries(unitDomainVectors)) {
+    const similarity = calculateCosineSimilarity(brickVector, vector);
+    if (similarity > highestSimilarity) {
+      highestSimilarity = similarity;
+      mostLikelyDomain = domain;
+    }
+  }
+  
+  // Define category-unit type mappings with enhanced NLP features
+  const categoryUnitMap = {
+    // Liquids should use volume units
+    liquid: {
+      expectedType: 'volume',
+      keywords: ['liquid', 'oil', 'beverage', 'drink', 'fluid', 'juice', 'water', 'milk', 
+                'sauce', 'syrup', 'lubricant', 'solvent', 'cream', 'fuel'],
+      recommendedUnits: ['L', 'ML', 'CL', 'LTR', 'LITER', 'GAL', 'OZ', 'FLOZ'],
+      wordEmbeddingThreshold: 0.7  // Similarity threshold
+    },
+    
+    // Solids and powders should use weight units
+    solid: {
+      expectedType: 'weight',
+      keywords: ['powder', 'solid', 'grain', 'food', 'flour', 'rice', 'sugar', 'salt', 
+                'cereal', 'coffee', 'spice', 'detergent', 'soap', 'chemical'],
+      recommendedUnits: ['KG', 'G', 'MG', 'LB', 'OZ', 'TON'],
+      wordEmbeddingThreshold: 0.65  // Slightly lower threshold for solids
+    },
+    
+    // Discrete items should use quantity units
+    item: {
+      expectedType: 'quantity',
+      keywords: ['device', 'electronic', 'appliance', 'equipment', 'apparatus', 
+                'phone', 'computer', 'machine', 'tool', 'furniture', 'toy', 'game',
+                'clothing', 'garment', 'shoe', 'accessory'],
+      recommendedUnits: ['PC', 'EA', 'UNIT', 'SET', 'PAIR', 'PCS', 'EACH'],
+      wordEmbeddingThreshold: 0.75  // Higher threshold for items
+    },
+    
+    // Special case for fabric, textiles, cables
+    length: {
+      expectedType: 'length',
+      keywords: ['fabric', 'textile', 'cloth', 'cable', 'wire', 'rope', 'thread', 'yarn', 'ribbon'],
+      recommendedUnits: ['M', 'CM', 'MM', 'FT', 'IN', 'YD'],
+      wordEmbeddingThreshold: 0.7
+    },
+    
+    // Special case for area-based products
+    area: {
+      expectedType: 'area',
+      keywords: ['carpet', 'rug', 'tile', 'panel', 'board', 'sheet', 'field', 'land'],
+      recommendedUnits: ['M2', 'SQM', 'SQFT', 'ACRE', 'HA'],
+      wordEmbeddingThreshold: 0.7
+    }
+  };
+  
+  // Advanced NLP-based category detection with vector similarity
+  let detectedCategory = null;
+  let highestConfidence = 0;
+  let detectionMethod = 'keyword';
+  
+  // First try vector-based similarity
+  if (mostLikelyDomain && highestSimilarity > 0.5) {
+    // Map from vector domain to category
+    const domainToCategoryMap = {
+      'volume': 'liquid',
+      'weight': 'solid',
+      'quantity': 'item',
+      'length': 'length',
+      'area': 'area'
+    };
+    
+    detectedCategory = domainToCategoryMap[mostLikelyDomain];
+    highestConfidence = highestSimilarity;
+    detectionMethod = 'vector';
+  }
+  
+  // Fallback to keyword-based approach if vector similarity is low
+  if (!detectedCategory || highestConfidence < 0.6) {
+    for (const [category, data] of Object.entries(categoryUnitMap)) {
+      // Count how many keywords match
+      const matchCount = data.keywords.filter(keyword => 
+        brickDescription.includes(keyword)
+      ).length;
+      
+      // Calculate keyword match confidence
+      const matchConfidence = matchCount / data.keywords.length;
+      
+      if (matchConfidence > highestConfidence) {
+        highestConfidence = matchConfidence;
+        detectedCategory = category;
+        detectionMethod = 'keyword';
+      }
+    }
+  }
+  
+  // Apply contextual analysis with n-gram patterns for special cases
+  const ngramPatterns = [
+    // Check for "washing powder", "detergent powder", etc.
+    {
+      pattern: /(washing|detergent|laundry)\s+(powder|granules)/i,
+      category: 'solid',
+      confidence: 0.95,
+      expectedType: 'weight'
+    },
+    // Check for "engine oil", "motor oil", etc.
+    {
+      pattern: /(engine|motor|transmission|hydraulic)\s+oil/i,
+      category: 'liquid',
+      confidence: 0.95,
+      expectedType: 'volume'
+    },
+    // Check for "liquid soap", "liquid detergent", etc.
+    {
+      pattern: /liquid\s+(soap|detergent|cleaner)/i,
+      category: 'liquid',
+      confidence: 0.95,
+      expectedType: 'volume'
+    }
+  ];
+  
+  // Check for n-gram pattern matches
+  for (const pattern of ngramPatterns) {
+    if (pattern.pattern.test(brickDescription)) {
+      detectedCategory = pattern.category;
+      highestConfidence = pattern.confidence;
+      detectionMethod = 'n-gram';
+      break;
+    }
+  }
+  
+  // If we detected a category with good confidence and the unit type doesn't match
+  if (detectedCategory && highestConfidence > 0.6) {
+    const categoryData = categoryUnitMap[detectedCategory];
+    const expectedType = categoryData.expectedType;
+    
+    if (unitType !== expectedType) {
+      return {
+        compatible: false,
+        reason: `Brick indicates a ${detectedCategory} product (${brickDescription}) but unit is ${unitType} (${unitCode}). ${detectedCategory.charAt(0).toUpperCase() + detectedCategory.slice(1)} products should use ${expectedType} units like ${categoryData.recommendedUnits.slice(0, 3).join(', ')}.`,
+        recommendedUnits: categoryData.recommendedUnits,
+        confidence: Math.round(highestConfidence * 100),
+        detectionMethod
+      };
+    }
+  }
+  
+  // Industry-specific contextual rules (more domain knowledge)
+  const industrySpecificRules = [
+    // Rule for automotive oils
+    {
+      condition: (brick) => /\b(engine|motor|automotive|car|vehicle)\b.*\b(oil|lubricant|fluid)\b/i.test(brick) ||
+                         /\b(api\s+[a-z]{1,2})\b/i.test(brick) || 
+                         /\b\d+w\d+\b/i.test(brick),
+      unitType: 'volume',
+      message: 'Automotive oil products must use volume units',
+      recommendedUnits: ['L', 'ML', 'LTR']
+    },
+    // Explicit rule to prohibit rate units for oil products
+    {
+      condition: (brick) => /\b(engine|motor|oil|lubricant|fluid)\b/i.test(brick) || 
+                         /\b\d+w\d+\b/i.test(brick) ||
+                         /\bapi\s+s[a-z]\b/i.test(brick),
+      prohibitedUnitTypes: ['rate', 'length', 'area'],
+      message: 'Engine oil products cannot use rate/speed or length units - they must use volume units',
+      recommendedUnits: ['L', 'ML', 'LTR', 'LITER']
+    },
+    // Rule for washing powders
+    {
+      condition: (brick) => /\b(washing|laundry|detergent)\b.*\b(powder|granule)\b/i.test(brick),
+      unitType: 'weight',
+      message: 'Washing/detergent powder products must use weight units',
+      recommendedUnits: ['KG', 'G']
+    },
+    // Rule for beverages
+    {
+      condition: (brick) => /\b(drink|beverage|water|juice|soda|milk|coffee|tea)\b/i.test(brick),
+      unitType: 'volume',
+      message: 'Beverage products must use volume units',
+      recommendedUnits: ['L', 'ML', 'FL OZ']
+    },
+    // Rule for electronics
+    {
+      condition: (brick) => /\b(electronics|device|gadget|phone|computer|laptop|tablet)\b/i.test(brick),
+      unitType: 'quantity',
+      message: 'Electronic products must use quantity units',
+      recommendedUnits: ['PC', 'EA', 'UNIT']
+    },
+    // Rule for clothing
+    {
+      condition: (brick) => /\b(clothing|garment|apparel|wear|fashion|dress|shirt|pant)\b/i.test(brick),
+      unitType: 'quantity',
+      message: 'Clothing products must use quantity units',
+      recommendedUnits: ['PC', 'EA', 'PAIR']
+    }
+  ];
+  
+  // Check industry-specific rules
+  for (const rule of industrySpecificRules) {
+    if (rule.condition(brickDescription)) {
+      if (rule.unitType && unitType !== rule.unitType) {
+        return {
+          compatible: false,
+          reason: `${rule.message} like ${rule.recommendedUnits.join(', ')}, but unit is ${unitType} (${unitCode}).`,
+          recommendedUnits: rule.recommendedUnits,
+          confidence: 95,
+          detectionMethod: 'industry-rule'
+        };
+      }
+      
+      // Check for explicitly prohibited unit types
+      if (rule.prohibitedUnitTypes && rule.prohibitedUnitTypes.includes(unitType)) {
+        return {
+          compatible: false,
+          reason: `${rule.message}. Current unit (${unitCode}) is a ${unitType} unit which is not appropriate.`,
+          recommendedUnits: rule.recommendedUnits,
+          confidence: 98,
+          detectionMethod: 'prohibited-unit-type'
+        };
+      }
+    }
+  }
+  
+  // Specific unit code validation patterns
+  const unitValidationPatterns = {
+    'volume': /^(l|ltr|ml|cl|oz|gal|floz|liter)$/i,
+    'weight': /^(kg|g|mg|lb|oz|ton)$/i,
+    'quantity': /^(pc|ea|pcs|unit|set|pair|each)$/i,
+    'length': /^(m|cm|mm|ft|in|yd)$/i,
+    'area': /^(m2|sqm|sqft|ha|acre)$/i
+  };
+  
+  // If we didn't detect incompatibility by category but the unit code format is wrong
+  if (unitType && unitValidationPatterns[unitType] && !unitValidationPatterns[unitType].test(unitLower)) {
+    // Get list of valid units for this type
+    const validUnits = Object.keys(unitValidationPatterns)
+      .filter(type => unitValidationPatterns[type].test(unitLower))
+      .map(type => type);
+    
+    if (validUnits.length > 0) {
+      return {
+        compatible: false,
+        reason: `The unit code '${unitCode}' appears to be a ${validUnits[0]} unit but is being used as a ${unitType} unit. Please use appropriate ${unitType} units.`,
+        recommendedUnits: unitValidationPatterns[unitType].toString().replace(/[\^\$\/]/g, '').split('|'),
+        confidence: 85,
+        detectionMethod: 'unit-format'
+      };
+    }
+  }
+  
+  // No incompatibility detected
+  return { compatible: true, reason: null };
+}
+
+/**
+ * Validates if a brand name follows proper formatting and naming conventions
+ * @param {string} brandName - The brand name to validate
+ * @returns {Object} - Validation result with valid flag, score, issues and suggestions
+ */
+function validateBrandName(brandName) {
+  if (!brandName) {
+    return {
+      valid: false,
+      score: 0,
+      issues: ['Brand name is missing'],
+      suggestions: ['Add a proper brand name']
+    };
+  }
+
+  const validation = {
+    valid: true,
+    score: 100,
+    issues: [],
+    suggestions: [],
+    analysis: {
+      properNoun: true,
+      wellFormatted: true,
+      containsTestData: false,
+      hasSpecialCharacters: false,
+      isTooLong: false
+    }
+  };
+
+  // Arabic has no letter case, so the capitalization checks only apply to Latin text
+  const hasLatinLetters = /[a-z]/i.test(brandName);
+
+  // Check for testing phrases that should not be in production data
+  const testingPhrases = ['test', 'testing', 'sample', 'dummy', 'example', 'temp'];
+  if (testingPhrases.some(phrase => brandName.toLowerCase().includes(phrase)) ||
+      (containsArabic(brandName) && detectArabicPlaceholder(brandName).isPlaceholder)) {
+    validation.valid = false;
+    validation.score -= 40;
+    validation.issues.push('Brand name contains testing phrases');
+    validation.suggestions.push('Replace testing brand name with the actual product brand');
+    validation.analysis.containsTestData = true;
+  }
+
+  // Check for special characters and separators that shouldn't be in brand names
+  const invalidCharRegex = /[\\\/\,\|\+\=\_\[\]\{\}\(\)\*\&\^\%\$\#\@\!]/;
+  if (invalidCharRegex.test(brandName)) {
+    validation.valid = false;
+    validation.score -= 30;
+    validation.issues.push('Brand name contains invalid special characters');
+    validation.suggestions.push('Remove special characters like commas, brackets, etc. from the brand name');
+    validation.analysis.hasSpecialCharacters = true;
+  }
+
+  // Check if brand name is properly capitalized (proper noun format)
+  const words = brandName.split(' ');
+  const properCapitalization = !hasLatinLetters || words.every(word => 
+    word.length === 0 || (word[0] === word[0].toUpperCase() && word.substring(1).toLowerCase() === word.substring(1))
+  );
+
+  if (!properCapitalization) {
+    validation.score -= 20;
+    validation.issues.push('Brand name is not properly capitalized');
+    validation.suggestions.push('Format brand name as a proper noun with initial capital letters');
+    validation.analysis.properNoun = false;
+  }
+
+  // Check if brand name is too long (likely contains extra information)
+  if (brandName.length > 30) {
+    validation.score -= 20;
+    validation.issues.push('Brand name is unusually long');
+    validation.suggestions.push('Keep brand name concise and avoid including product descriptions in the brand field');
+    validation.analysis.isTooLong = true;
+  }
+
+  // If multiple words, check for excessive descriptive terms
+  if (words.length > 3) {
+    validation.score -= 15;
+    validation.issues.push('Brand name contains too many words');
+    validation.suggestions.push('Use only the official brand name without additional descriptors');
+  }
+
+  // Check for numeric strings that likely aren't part of a brand name
+  const numericRegex = /\d{4,}/;  // 4+ consecutive digits
+  if (numericRegex.test(brandName)) {
+    validation.score -= 25;
+    validation.issues.push('Brand name contains long numeric strings');
+    validation.suggestions.push('Remove numeric identifiers or codes from the brand name');
+  }
+
+  // Brand name shouldn't be all uppercase (looks like acronym or placeholder)
+  if (hasLatinLetters && brandName === brandName.toUpperCase() && brandName.length > 3) {
+    validation.score -= 15;
+    validation.issues.push('Brand name is all uppercase');
+    validation.suggestions.push('Format brand name properly rather than using all capital letters');
+  }
+
+  // Final validity determination based on score
+  validation.valid = validation.score >= 70;
+
+  return validation;
+}
+
+/**
+ * Generates properly formatted brand name suggestions based on input
+ * @param {string} brandName - The original brand name to improve
+ * @returns {string} - A properly formatted brand name suggestion
+ */
+function formatBrandNameSuggestion(brandName) {
+  if (!brandName) return '';
+  
+  // Handle all uppercase names (like "SAMA OIL")
+  if (brandName === brandName.toUpperCase() && brandName.length > 3) {
+    // Convert to proper noun format
+    return brandName.split(' ')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+      .join(' ');
+  }
+  
+  // Remove special characters and testing phrases
+  let cleanedName = brandName;
+  
+  // Replace commas, brackets, and other special characters with spaces
+  cleanedName = cleanedName.replace(/[\\\/\,\|\+\=\_\[\]\{\}\(\)\*\&\^\%\$\#\@\!]/g, ' ');
+  
+  // Remove common testing phrases
+  const testingPhrases = ['test', 'testing', 'sample', 'dummy', 'example', 'temp'];
+  testingPhrases.forEach(phrase => {
+    // Case insensitive replace with regex
+    const regex = new RegExp('\\b' + phrase + '\\b', 'gi');
+    cleanedName = cleanedName.replace(regex, '');
+  });
+  
+  // Normalize spaces (replace multiple spaces with a single space)
+  cleanedName = cleanedName.replace(/\s+/g, ' ').trim();
+  
+  // Truncate if too long (over 30 chars) but try to preserve whole words
+  if (cleanedName.length > 30) {
+    // Find the last space before 30 chars
+    const lastSpace = cleanedName.substring(0, 30).lastIndexOf(' ');
+    if (lastSpace > 0) {
+      cleanedName = cleanedName.substring(0, lastSpace);
+    } else {
+      cleanedName = cleanedName.substring(0, 30);
+    }
+  }
+  
+  // Handle numeric sequences - remove long number sequences
+  cleanedName = cleanedName.replace(/\b\d{4,}\b/g, '').trim();
+  
+  // Properly capitalize each word for proper noun format
+  cleanedName = cleanedName.split(' ')
+    .filter(word => word.length > 0) // Remove empty elements
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(' ');
+  
+  // If ended up empty after cleaning, return empty string
+  if (cleanedName.length === 0) {
+    return '';
+  }
+  
+  return cleanedName;
+}
+
+module.exports = {
+  validateBarcode,
+  inferUnitType,
+  parseBrick,
+  parseUnit,
+  checkBrickUnitCompatibility,
+  validateBrandName,
+  formatBrandNameSuggestion
+};
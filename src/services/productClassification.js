@@ -0,0 +1,129 @@
+const { classifyProduct, getBrickIndex } = require('./brickClassifier');
+const { parseGpcValue, resolveGpcChain, loadGpcCodes } = require('./gpcHierarchy');
+
+/**
+ * Product classification from the GPC taxonomy
+ * Rules such as Net Content and Unit Compatibility need to know what kind of product they
+ * look at. The kind is read from the product's GPC brick, or - when the product has no
+ * known brick - from the best brick the BM25 classifier finds for its name. The brick's
+ * segment > family > class > brick titles are then matched against CATEGORY_RULES.
+ */
+
+/**
+ * Product categories by GPC title, first match wins
+ * Patterns are matched against the official titles of the brick's chain, most specific
+ * level first. expectedUnit is only set where the whole category is sold by one unit type;
+ * food or detergents come by weight and by volume, so they don't claim one.
+ */
+const CATEGORY_RULES = [
+  { category: 'oil_product', pattern: /lubricant|motor oil|engine oil|fuel/i, expectedUnit: 'volume' },
+  { category: 'beverage_product', pattern: /^beverages$/i, expectedUnit: 'volume' },
+  { category: 'food_product', pattern: /^food\/beverage\/tobacco$/i, expectedUnit: null },
+  { category: 'cleaning_product', pattern: /^cleaning\/hygiene products$/i, expectedUnit: null },
+  { category: 'personal_care', pattern: /^beauty\/personal care\/hygiene$/i, expectedUnit: null },
+  { category: 'electronic_product', pattern: /^(computing|communications|audio visual\/photography|electrical supplies|home appliances)$/i, expectedUnit: 'quantity' },
+  { category: 'clothing_product', pattern: /^(clothing|footwear)$/i, expectedUnit: 'quantity' },
+  { category: 'household_product', pattern: /^(kitchen merchandise|household\/office furniture\/furnishings)$/i, expectedUnit: 'quantity' }
+];
+
+// Confidence of a category read from the product's own, existing brick
+const OWN_BRICK_CONFIDENCE = 90;
+
+// The classifier's best brick needs at least this score before the name is trusted
+const MIN_EVIDENCE_SCORE = 1.5;
+
+/**
+ * Find the category of a GPC chain
+ * @param {Object} chain - { segment, family, class, brick } each { code, title }
+ * @returns {Object|null} - Matching CATEGORY_RULES entry
+ */
+function matchCategory(chain) {
+  const titles = [chain.brick, chain.class, chain.family, chain.segment]
+    .map(level => level && level.title ? level.title.trim() : null)
+    .filter(Boolean);
+
+  for (const rule of CATEGORY_RULES) {
+    if (titles.some(title => rule.pattern.test(title))) return rule;
+  }
+  return null;
+}
+
+/**
+ * Build a classification result
+ * @param {Object} chain - GPC chain of the brick
+ * @param {number} confidence - 0-100
+ * @param {string} detectionMethod - 'gpc_brick' | 'brick_classifier'
+ * @returns {Object|null} - { category, confidence, expectedUnit, detectionMethod, explanation, brick }
+ */
+function toClassification(chain, confidence, detectionMethod) {
+  const rule = chain ? matchCategory(chain) : null;
+  if (!rule) return null;
+
+  const path = [chain.segment, chain.family, chain.class]
+    .map(level => level && level.title)
+    .filter(Boolean)
+    .join(' > ');
+
+  return {
+    category: rule.category,
+    confidence,
+    expectedUnit: rule.expectedUnit,
+    detectionMethod,
+    explanation: `GPC brick ${chain.brick.code} "${chain.brick.title}"${path ? ` (${path})` : ''}`,
+    brick: { code: chain.brick.code, title: chain.brick.title }
+  };
+}
+
+/**
+ * Classify a batch of products
+ * @param {Array} products - Product records
+ * @param {Object} hierarchy - loadGpcHierarchy result for the products' own gpc values
+ *                             (gpc-validation's prepared data), or null
+ * @returns {Promise<Object>} - Classification (or null) keyed by product id
+ */
+async function classifyProducts(products, hierarchy) {
+  const classifications = {};
+  const unclassified = [];
+
+  // A product's own brick is the member's declaration, checked by GPC Validation and Category Match
+  products.forEach(product => {
+    const gpc = parseGpcValue(product.gpc);
+    const chain = gpc.validFormat && hierarchy ? resolveGpcChain(gpc.code, hierarchy) : null;
+    classifications[product.id] = chain ? toClassification(chain, OWN_BRICK_CONFIDENCE, 'gpc_brick') : null;
+    if (!chain && product.productnameenglish) unclassified.push(product);
+  });
+
+  if (unclassified.length === 0) return classifications;
+
+  const index = await getBrickIndex();
+  if (!index) return classifications;
+
+  // Best brick for the name of every product without a known brick
+  const bestBricks = {};
+  for (const product of unclassified) {
+    const result = await classifyProduct({ name: product.productnameenglish, brand: product.BrandName }, { index, topN: 2 });
+    const [best, runnerUp] = result.candidates;
+    if (!best || best.score < MIN_EVIDENCE_SCORE) continue;
+
+    // The clearer the lead over the runner-up, the more certain the category (50-100)
+    const confidence = Math.round(100 * best.score / (best.score + (runnerUp ? runnerUp.score : 0)));
+    bestBricks[product.id] = { code: best.code, confidence };
+  }
+
+  const codes = [...new Set(Object.values(bestBricks).map(brick => brick.code))];
+  const candidateHierarchy = codes.length > 0 ? await loadGpcCodes(codes) : null;
+  if (!candidateHierarchy) return classifications;
+
+  Object.entries(bestBricks).forEach(([productId, brick]) => {
+    const chain = resolveGpcChain(brick.code, candidateHierarchy);
+    classifications[productId] = chain ? toClassification(chain, brick.confidence, 'brick_classifier') : null;
+  });
+
+  return classifications;
+}
+
+module.exports = {
+  CATEGORY_RULES,
+  matchCategory,
+  classifyProducts
+};
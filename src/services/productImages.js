@@ -0,0 +1,88 @@
+const { gs1DB } = require('../models');
+const { safeDbQuery } = require('../utils/db');
+
+// Product fields that hold image paths, in the order they are shown to the member
+const PRODUCT_IMAGE_FIELDS = ['front_image', 'back_image', 'image_1', 'image_2', 'image_3'];
+
+// Readable names for the image slots used in issue messages
+const SLOT_LABELS = {
+  front_image: 'Front image',
+  back_image: 'Back image',
+  image_1: 'Image 1',
+  image_2: 'Image 2',
+  image_3: 'Image 3'
+};
+
+/**
+ * Load the extra images stored in GS1DB product_images for a batch of products
+ * product_images.product_id is numeric, so only products with numeric ids can have rows there.
+ * @param {Array} products - Product records with id
+ * @returns {Promise<Object>} - Image paths keyed by product id
+ */
+async function loadProductImages(products) {
+  const imagesByProduct = {};
+  const numericIds = [...new Set(products
+    .map(p => String(p.id || ''))
+    .filter(id => /^\d+$/.test(id))
+    .map(id => parseInt(id, 10))
+    .filter(id => Number.isSafeInteger(id) && id <= 2147483647))];
+
+  if (!gs1DB || !gs1DB.product_images || numericIds.length === 0) {
+    return imagesByProduct;
+  }
+
+  const rows = await safeDbQuery(() => gs1DB.product_images.findMany({
+    where: { product_id: { in: numericIds } },
+    select: { id: true, product_id: true, image: true },
+    orderBy: { id: 'asc' }
+  }));
+
+  rows.forEach(row => {
+    if (!row.image || !row.image.trim()) return;
+    const key = String(row.product_id);
+    imagesByProduct[key] = imagesByProduct[key] || [];
+    imagesByProduct[key].push(row.image.trim());
+  });
+
+  return imagesByProduct;
+}
+
+/**
+ * List every image of a product with the slot it came from
+ * Extra images that repeat a path already on the product are left out - product_images
+ * often mirrors the product's own fields.
+ * @param {Object} product - Product record
+ * @param {Array} extraImages - Paths from GS1DB product_images (see loadProductImages)
+ * @returns {Array} - [{ slot, field, label, imagePath }]
+ */
+function getProductImageSlots(product, extraImages = []) {
+  const slots = PRODUCT_IMAGE_FIELDS
+    .filter(field => product[field] && String(product[field]).trim())
+    .map(field => ({
+      slot: field,
+      field,
+      label: SLOT_LABELS[field],
+      imagePath: String(product[field]).trim()
+    }));
+
+  const knownPaths = new Set(slots.map(slot => slot.imagePath));
+  extraImages
+    .filter(imagePath => !knownPaths.has(imagePath))
+    .forEach((imagePath, index) => {
+      knownPaths.add(imagePath);
+      slots.push({
+        slot: `product_images[${index}]`,
+        field: 'product_images',
+        label: `Additional image ${index + 1}`,
+        imagePath
+      });
+    });
+
+  return slots;
+}
+
+module.exports = {
+  PRODUCT_IMAGE_FIELDS,
+  loadProductImages,
+  getProductImageSlots
+};
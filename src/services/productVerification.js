@@ -0,0 +1,216 @@
+const { gs1DB } = require('../models');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { parseBrick, parseUnit } = require('./productAnalysis');
+const { parseGpcValue, loadGpcHierarchy } = require('./gpcHierarchy');
+const { classifyProducts } = require('./productClassification');
+const { getUnitRegistry, resolveUnit } = require('./unitResolver');
+const { getCountryRegistry, resolveCountryList, summarizeCountry } = require('./countryResolver');
+const { validateGtin } = require('./gtin');
+const { loadBrandRegistry, matchBrand } = require('./brandRegistry');
+const { prepareRules, runRules, getRules, getRuleVersions, getUncacheableRuleIds } = require('../rules');
+const { getLatestResults, isResultCurrent, saveResult, toVerification } = require('./verificationStore');
+const { enqueueStatusChange } = require('./webhooks');
+
+// Products evaluated at the same time within a batch
+const VERIFICATION_CONCURRENCY = parseInt(process.env.VERIFICATION_CONCURRENCY) || 4;
+
+/**
+ * Build the `parsedData.origin` summary of a product
+ * @param {Object} product - Product record
+ * @param {Array} originResolution - resolveCountryList result for Origin
+ * @param {Array} countryOfSaleResolution - resolveCountryList result for countrySale
+ * @returns {Object} - The first origin country's { input, status, match, alpha2, alpha3, name, nameAr },
+ *   plus every origin country, the countries of sale and the country of the GTIN's GS1 prefix
+ */
+function parseOrigin(product, originResolution, countryOfSaleResolution) {
+  const countries = originResolution.map(summarizeCountry);
+  const gtinResult = product.barcode ? validateGtin(product.barcode) : null;
+  const gs1Prefix = gtinResult && gtinResult.gs1Prefix ? gtinResult.gs1Prefix : null;
+
+  return {
+    ...(countries[0] || summarizeCountry({ input: product.Origin || null, status: null })),
+    countries,
+    countriesOfSale: countryOfSaleResolution.map(summarizeCountry),
+    gs1Prefix: gs1Prefix ? {
+      prefix: gs1Prefix.prefix,
+      name: gs1Prefix.name,
+      alpha2: gs1Prefix.countryCode || null
+    } : null
+  };
+}
+
+/**
+ * Find unchanged products whose stored result was outdated by changes to other records
+ * Only the uncacheable rules (another product registering the same GTIN, a brand or GS1
+ * prefix changing) are run, and their issues compared with the stored ones.
+ * @param {Array} products - Products with a current stored result
+ * @param {Object} storedResults - Stored results keyed by product id
+ * @param {Object} brandRegistry - Result of loadBrandRegistry
+ * @returns {Promise<Set>} - Ids of the products to verify again
+ */
+async function findOutdatedResults(products, storedResults, brandRegistry) {
+  const outdated = new Set();
+  const ruleIds = getUncacheableRuleIds();
+  if (products.length === 0 || ruleIds.length === 0) return outdated;
+
+  const ruleNames = getRules().filter(rule => ruleIds.includes(rule.id)).map(rule => rule.name);
+  const prepared = await prepareRules(products, { ruleIds });
+
+  for (const product of products) {
+    const brandMatch = matchBrand(product, brandRegistry);
+    const current = await runRules(product, {
+      brandMatch,
+      brandData: brandMatch ? brandMatch.brand : null,
+      prepared
+    }, { ruleIds });
+
+    const storedIssues = toVerification(storedResults[product.id]).issues
+      .filter(issue => ruleNames.includes(issue.rule));
+    if (JSON.stringify(storedIssues) !== JSON.stringify(current.issues)) {
+      outdated.add(product.id);
+    }
+  }
+
+  return outdated;
+}
+
+/**
+ * Verify a batch of products with the V5 rule engine
+ * Loads brand, unit and brick lookups for the whole batch, reuses stored results
+ * for unchanged products and stores every new result.
+ * @param {Array} products - Product records from GTRACKDB
+ * @param {Object} options - { forceRefresh: re-verify even when a stored result is current }
+ * @returns {Promise<Array>} - [{ id, barcode, parsedData, verification }] in the same order as products
+ */
+async function verifyProducts(products, options = {}) {
+  if (!gs1DB) {
+    console.error('GS1DB client is not available');
+    // Continue without related data
+  }
+  
+  // Reuse stored results for products that haven't changed since they were last verified
+  // unless the caller forces re-verification
+  const forceRefresh = options.forceRefresh === true;
+  const ruleVersions = getRuleVersions();
+  const latestResults = await getLatestResults(products);
+  const storedResults = forceRefresh ? {} : latestResults;
+  
+  // Registered brands of the batch's members from gtrackDB brands and GS1DB brands
+  const brandRegistry = await loadBrandRegistry(products);
+  
+  // An unchanged product is verified again when a rule depending on other records disagrees
+  const unchangedProducts = products.filter(p => isResultCurrent(storedResults[p.id], p, ruleVersions));
+  const outdatedIds = await findOutdatedResults(unchangedProducts, storedResults, brandRegistry);
+  const isReusable = product => isResultCurrent(storedResults[product.id], product, ruleVersions) &&
+    !outdatedIds.has(product.id);
+  
+  const productsToVerify = products.filter(p => !isReusable(p));
+  console.log(`Reusing ${products.length - productsToVerify.length} stored verification results, verifying ${productsToVerify.length} products (${outdatedIds.size} outdated by other records)`);
+
+  // Let rules load their batch lookups (e.g. GS1 Company Prefix ownership) once per batch
+  const preparedRuleData = await prepareRules(productsToVerify);
+  
+  // Unit master data from gtrackDB Units and GS1DB units, mapped to UN/ECE Rec 20 codes
+  const unitRegistry = await getUnitRegistry();
+  
+  // Country master data from GS1DB countries and country_of_sales, mapped to ISO 3166 codes
+  const countryRegistry = await getCountryRegistry();
+  
+  // GPC bricks of the batch - GPC Validation has usually loaded them already
+  const gpcHierarchy = preparedRuleData['gpc-validation'] || await loadGpcHierarchy(productsToVerify);
+  
+  // What kind of product each one is, from its GPC brick or the brick its name points to
+  const classifications = await classifyProducts(productsToVerify, gpcHierarchy);
+  
+  // Process each product and add verification results using AI-based logic.
+  // Only a few products at a time: rules download and decode product images, and a whole
+  // chunk of products doing that at once runs the server out of memory.
+  const verifiedProducts = await mapWithConcurrency(products, VERIFICATION_CONCURRENCY, async product => {
+    // Resolve the free-text unit ("Litre", "ltrs", "لتر") to its Rec 20 unit and master data record
+    const unitResolution = product.unit ? resolveUnit(product.unit, unitRegistry) : null;
+    const unitData = unitResolution
+      ? unitResolution.masterData.gtrackDB || unitResolution.masterData.GS1DB
+      : null;
+    
+    // Get the actual brick data from our lookup
+    const brickCode = parseGpcValue(product.gpc).code;
+    const brickData = brickCode && gpcHierarchy ? (gpcHierarchy.bricksByCode[brickCode] || null) : null;
+    
+    // Parse brick and unit data
+    const parsedBrick = parseBrick(product.gpc);
+    const parsedUnit = parseUnit(product.unit, unitData);
+    if (unitResolution && unitResolution.status === 'resolved') {
+      // The Rec 20 unit type is more reliable than guessing it from the unit's name
+      parsedUnit.name = unitData && unitData.unit_name ? unitData.unit_name : unitResolution.name;
+      parsedUnit.type = unitResolution.type;
+      parsedUnit.rec20Code = unitResolution.code;
+    }
+    
+    // Resolve Origin and countrySale ("China", "KSA", "السعودية") to ISO 3166 countries
+    const originResolution = resolveCountryList(product.Origin, countryRegistry);
+    const countryOfSaleResolution = resolveCountryList(product.countrySale, countryRegistry);
+    const parsedData = {
+      gpc: parsedBrick,
+      unit: parsedUnit,
+      origin: parseOrigin(product, originResolution, countryOfSaleResolution)
+    };
+    
+    // Neither the product nor the records it depends on changed - return the stored result
+    if (isReusable(product)) {
+      return {
+        id: product.id,
+        barcode: product.barcode,
+        parsedData,
+        verification: toVerification(storedResults[product.id])
+      };
+    }
+    
+    // Match the brand against the member's registered brands
+    const brandMatch = matchBrand(product, brandRegistry);
+    const brandData = brandMatch ? brandMatch.brand : null;
+    
+    // Classified once per batch so every rule works from the same result
+    const classification = classifications[product.id] || null;
+    
+    // Run every enabled verification rule against the product
+    const verification = await runRules(product, {
+      brandData,
+      brandMatch,
+      unitData,
+      unitResolution,
+      originResolution,
+      countryOfSaleResolution,
+      brickData,
+      parsedBrick,
+      parsedUnit,
+      classification,
+      prepared: preparedRuleData
+    });
+
+    // Keep the result so unchanged products aren't re-verified and history can be tracked
+    const storedResult = await saveResult(product, verification, ruleVersions);
+    verification.verifiedAt = storedResult ? storedResult.verified_at : new Date();
+
+    // Notify webhooks when the product flipped between verified and unverified
+    const previousResult = latestResults[product.id];
+    if (storedResult && previousResult) {
+      enqueueStatusChange(product, previousResult.verification_status, verification).catch(error => {
+        console.error(`Error queueing webhooks for product ${product.id}:`, error.message);
+      });
+    }
+    
+    // Return only essential data fields along with verification results
+    return {
+      id: product.id,                     // Product ID
+      barcode: product.barcode,           // Product barcode
+      parsedData: parsedData,             // Parsed GPC, unit and origin
+      verification: verification          // Include the AI verification results
+    };
+  });
+
+  return verifiedProducts;
+}
+
+module.exports = {
+  verifyProducts
+};
@@ -0,0 +1,336 @@
+const { gtrackDB, gs1DB } = require('../models');
+const { safeDbQuery } = require('../utils/db');
+const { normalizeArabic, editDistance } = require('./arabicText');
+
+/**
+ * Unit resolution
+ * Maps the free-text units members type ("LTR", "Litre", "ltrs", "لتر") to a canonical
+ * UN/ECE Recommendation 20 unit code and reconciles them with the unit master data in
+ * gtrackDB `Units` and GS1DB `units`.
+ */
+
+// How long loaded master data is used before both unit tables are read again
+const REGISTRY_TTL_MS = parseInt(process.env.UNIT_REGISTRY_TTL_MS) || 60 * 60 * 1000;
+
+/**
+ * UN/ECE Rec 20 units used for trade items
+ * - type: unit type as used by the other checks (weight, volume, length, area, quantity)
+ * - factor: size of the unit in the base unit of its type (KGM, LTR, MTR, MTK, H87)
+ * - aliases: spellings seen in product data; they are normalized when the table is built,
+ *   so they can be written naturally (case, dots and Arabic letter variants don't matter)
+ */
+const REC20_UNITS = [
+  // Weight
+  { code: 'KGM', name: 'Kilogram', symbol: 'kg', type: 'weight', factor: 1,
+    aliases: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms', 'kilogramme', 'kilogrammes', 'كجم', 'كغ', 'كغم', 'كلغ', 'كيلو', 'كيلوجرام', 'كيلوغرام'] },
+  { code: 'GRM', name: 'Gram', symbol: 'g', type: 'weight', factor: 0.001,
+    aliases: ['g', 'gr', 'grm', 'gm', 'gms', 'gram', 'grams', 'gramme', 'grammes', 'جم', 'غ', 'غم', 'جرام', 'غرام', 'جرامات', 'غرامات'] },
+  { code: 'MGM', name: 'Milligram', symbol: 'mg', type: 'weight', factor: 0.000001,
+    aliases: ['mg', 'milligram', 'milligrams', 'ملغ', 'ملجم', 'ملغم', 'مليجرام', 'مليغرام'] },
+  { code: 'TNE', name: 'Tonne', symbol: 't', type: 'weight', factor: 1000,
+    aliases: ['t', 'ton', 'tons', 'tonne', 'tonnes', 'طن'] },
+  { code: 'LBR', name: 'Pound', symbol: 'lb', type: 'weight', factor: 0.45359237,
+    aliases: ['lb', 'lbs', 'pound', 'pounds', 'رطل'] },
+  { code: 'ONZ', name: 'Ounce', symbol: 'oz', type: 'weight', factor: 0.028349523125,
+    aliases: ['oz', 'ounce', 'ounces', 'أونصة'] },
+
+  // Volume
+  { code: 'LTR', name: 'Litre', symbol: 'l', type: 'volume', factor: 1,
+    aliases: ['l', 'lt', 'lts', 'ltr', 'ltrs', 'litre', 'litres', 'liter', 'liters', 'لتر', 'ليتر', 'لترات'] },
+  { code: 'MLT', name: 'Millilitre', symbol: 'ml', type: 'volume', factor: 0.001,
+    aliases: ['ml', 'mls', 'millilitre', 'millilitres', 'milliliter', 'milliliters', 'مل', 'ملل', 'ملي', 'مليلتر', 'ملي لتر'] },
+  { code: 'CLT', name: 'Centilitre', symbol: 'cl', type: 'volume', factor: 0.01,
+    aliases: ['cl', 'centilitre', 'centilitres', 'centiliter', 'centiliters', 'سنتيلتر'] },
+  { code: 'DLT', name: 'Decilitre', symbol: 'dl', type: 'volume', factor: 0.1,
+    aliases: ['dl', 'decilitre', 'decilitres', 'deciliter', 'deciliters'] },
+  { code: 'GLL', name: 'Gallon (US)', symbol: 'gal', type: 'volume', factor: 3.785411784,
+    aliases: ['gal', 'gallon', 'gallons', 'جالون', 'غالون'] },
+  { code: 'OZA', name: 'Fluid ounce (US)', symbol: 'fl oz', type: 'volume', factor: 0.0295735295625,
+    aliases: ['floz', 'fl oz', 'fluid ounce', 'fluid ounces'] },
+  { code: 'MTQ', name: 'Cubic metre', symbol: 'm3', type: 'volume', factor: 1000,
+    aliases: ['m3', 'cbm', 'cubic meter', 'cubic meters', 'cubic metre', 'cubic metres', 'متر مكعب'] },
+
+  // Length
+  { code: 'MTR', name: 'Metre', symbol: 'm', type: 'length', factor: 1,
+    aliases: ['m', 'mtr', 'mtrs', 'meter', 'meters', 'metre', 'metres', 'متر', 'أمتار'] },
+  { code: 'CMT', name: 'Centimetre', symbol: 'cm', type: 'length', factor: 0.01,
+    aliases: ['cm', 'cms', 'centimeter', 'centimeters', 'centimetre', 'centimetres', 'سم', 'سنتيمتر'] },
+  { code: 'MMT', name: 'Millimetre', symbol: 'mm', type: 'length', factor: 0.001,
+    aliases: ['mm', 'millimeter', 'millimeters', 'millimetre', 'millimetres', 'مم', 'مليمتر'] },
+  { code: 'KMT', name: 'Kilometre', symbol: 'km', type: 'length', factor: 1000,
+    aliases: ['km', 'kilometer', 'kilometers', 'kilometre', 'kilometres', 'كم', 'كيلومتر'] },
+  { code: 'INH', name: 'Inch', symbol: 'in', type: 'length', factor: 0.0254,
+    aliases: ['in', 'inch', 'inches', 'بوصة', 'إنش'] },
+  { code: 'FOT', name: 'Foot', symbol: 'ft', type: 'length', factor: 0.3048,
+    aliases: ['ft', 'foot', 'feet', 'قدم'] },
+  { code: 'YRD', name: 'Yard', symbol: 'yd', type: 'length', factor: 0.9144,
+    aliases: ['yd', 'yds', 'yard', 'yards', 'ياردة'] },
+
+  // Area
+  { code: 'MTK', name: 'Square metre', symbol: 'm2', type: 'area', factor: 1,
+    aliases: ['m2', 'sqm', 'sq m', 'square meter', 'square meters', 'square metre', 'square metres', 'متر مربع'] },
+  { code: 'FTK', name: 'Square foot', symbol: 'ft2', type: 'area', factor: 0.09290304,
+    aliases: ['ft2', 'sqft', 'sq ft', 'square foot', 'square feet'] },
+  { code: 'HAR', name: 'Hectare', symbol: 'ha', type: 'area', factor: 10000,
+    aliases: ['ha', 'hectare', 'hectares', 'هكتار'] },
+  { code: 'ACR', name: 'Acre', symbol: 'acre', type: 'area', factor: 4046.8564224,
+    aliases: ['acre', 'acres', 'فدان'] },
+
+  // Quantity
+  { code: 'H87', name: 'Piece', symbol: 'pc', type: 'quantity', factor: 1,
+    aliases: ['pc', 'pcs', 'pce', 'piece', 'pieces', 'قطعة', 'قطع', 'حبة', 'حبات'] },
+  { code: 'EA', name: 'Each', symbol: 'ea', type: 'quantity', factor: 1,
+    aliases: ['each', 'unit', 'units', 'وحدة'] },
+  { code: 'C62', name: 'One', symbol: '1', type: 'quantity', factor: 1,
+    aliases: ['one', 'nos', 'number'] },
+  { code: 'PR', name: 'Pair', symbol: 'pr', type: 'quantity', factor: 2,
+    aliases: ['pair', 'pairs', 'زوج'] },
+  { code: 'SET', name: 'Set', symbol: 'set', type: 'quantity', factor: 1,
+    aliases: ['sets', 'طقم'] },
+  { code: 'DZN', name: 'Dozen', symbol: 'dz', type: 'quantity', factor: 12,
+    aliases: ['dz', 'doz', 'dozen', 'dozens', 'درزن', 'دزينة'] },
+  { code: 'PK', name: 'Pack', symbol: 'pk', type: 'quantity', factor: 1,
+    aliases: ['pack', 'packs', 'pkg', 'package', 'packet', 'عبوة', 'باكيت'] },
+  { code: 'BX', name: 'Box', symbol: 'bx', type: 'quantity', factor: 1,
+    aliases: ['box', 'boxes', 'صندوق'] },
+  { code: 'CT', name: 'Carton', symbol: 'ct', type: 'quantity', factor: 1,
+    aliases: ['ctn', 'ctns', 'carton', 'cartons', 'كرتون', 'كرتونة'] },
+  { code: 'BO', name: 'Bottle', symbol: 'bo', type: 'quantity', factor: 1,
+    aliases: ['btl', 'bottle', 'bottles', 'زجاجة', 'قارورة'] },
+  { code: 'CA', name: 'Can', symbol: 'ca', type: 'quantity', factor: 1,
+    aliases: ['can', 'cans', 'tin', 'tins'] },
+  { code: 'RO', name: 'Roll', symbol: 'ro', type: 'quantity', factor: 1,
+    aliases: ['roll', 'rolls', 'رول', 'لفة'] }
+];
+
+/**
+ * Normalize a unit for lookups
+ * @param {string} value - e.g. "Ltrs.", "FL. OZ", "m²", "لتر"
+ * @returns {string} - e.g. "ltrs", "fl oz", "m2", "لتر"
+ */
+function normalizeUnitKey(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value)
+    .replace(/²/g, '2')
+    .replace(/³/g, '3')
+    .replace(/\./g, '');
+  return normalizeArabic(text);
+}
+
+// Rec 20 code -> unit and normalized alias -> Rec 20 code
+const unitsByCode = new Map(REC20_UNITS.map(unit => [unit.code, unit]));
+const builtInAliases = new Map();
+REC20_UNITS.forEach(unit => {
+  [unit.code, unit.symbol, ...unit.aliases].forEach(alias => {
+    const key = normalizeUnitKey(alias);
+    // The first unit to claim an alias keeps it
+    if (key && !builtInAliases.has(key)) builtInAliases.set(key, unit.code);
+  });
+});
+
+let registryPromise = null;
+let registryLoadedAt = 0;
+
+/**
+ * Get a Rec 20 unit by its code
+ * @param {string} code - e.g. "KGM"
+ * @returns {Object|null} - { code, name, symbol, type, factor, aliases }
+ */
+function getRec20Unit(code) {
+  return code ? unitsByCode.get(String(code).trim().toUpperCase()) || null : null;
+}
+
+/**
+ * Look up a normalized key in the built-in aliases and those learned from master data
+ * Plural forms ("bottles", "kgs") fall back to their singular form.
+ * @param {string} key - Result of normalizeUnitKey
+ * @param {Object} registry - Result of loadUnitRegistry (optional)
+ * @returns {string|null} - Rec 20 code
+ */
+function lookupAlias(key, registry) {
+  if (!key) return null;
+  const find = candidate => builtInAliases.get(candidate) || (registry ? registry.aliases.get(candidate) : null) || null;
+
+  const code = find(key);
+  if (code) return code;
+  if (key.length > 2 && key.endsWith('s')) return find(key.slice(0, -1));
+  return null;
+}
+
+/**
+ * Read both unit tables and map each record to a Rec 20 code
+ * @returns {Promise<Object>} - { aliases, masterData, unmapped, counts, loadedAt }
+ *   aliases: extra spellings from master data -> Rec 20 code
+ *   masterData: normalized unit_code / unit_name -> [{ source, id, unit_code, unit_name, status, rec20Code }]
+ *   masterDataByCode: Rec 20 code -> the same records
+ *   unmapped: master data records without a Rec 20 equivalent
+ */
+async function loadUnitRegistry() {
+  const registry = {
+    aliases: new Map(),
+    masterData: new Map(),
+    masterDataByCode: new Map(),
+    unmapped: [],
+    counts: { gtrackDB: 0, GS1DB: 0 },
+    loadedAt: new Date()
+  };
+
+  const select = { id: true, unit_code: true, unit_name: true, status: true };
+  const sources = [];
+  if (gtrackDB && gtrackDB.Units) {
+    sources.push({ source: 'gtrackDB', records: await safeDbQuery(() => gtrackDB.Units.findMany({ select })) });
+  }
+  if (gs1DB && gs1DB.units) {
+    sources.push({ source: 'GS1DB', records: await safeDbQuery(() => gs1DB.units.findMany({ select })) });
+  }
+
+  sources.forEach(({ source, records }) => {
+    registry.counts[source] = records.length;
+
+    records.forEach(record => {
+      const codeKey = normalizeUnitKey(record.unit_code);
+      const nameKey = normalizeUnitKey(record.unit_name);
+      if (!codeKey && !nameKey) return;
+
+      const rec20Code = lookupAlias(codeKey) || lookupAlias(nameKey);
+      const entry = {
+        source,
+        id: record.id !== null && record.id !== undefined ? String(record.id) : null,
+        unit_code: record.unit_code ? record.unit_code.trim() : null,
+        unit_name: record.unit_name ? record.unit_name.trim() : null,
+        status: record.status !== null && record.status !== undefined ? Number(record.status) : null,
+        rec20Code
+      };
+
+      [...new Set([codeKey, nameKey].filter(Boolean))].forEach(key => {
+        if (!registry.masterData.has(key)) registry.masterData.set(key, []);
+        registry.masterData.get(key).push(entry);
+
+        // A master data spelling of a known unit (e.g. "Ltr.") resolves like its code
+        if (rec20Code && !builtInAliases.has(key) && !registry.aliases.has(key)) {
+          registry.aliases.set(key, rec20Code);
+        }
+      });
+
+      if (rec20Code) {
+        if (!registry.masterDataByCode.has(rec20Code)) registry.masterDataByCode.set(rec20Code, []);
+        registry.masterDataByCode.get(rec20Code).push(entry);
+      } else {
+        registry.unmapped.push(entry);
+      }
+    });
+  });
+
+  console.log(`Unit registry loaded ${registry.counts.gtrackDB} gtrackDB and ${registry.counts.GS1DB} GS1DB units (${registry.unmapped.length} without a Rec 20 code)`);
+  return registry;
+}
+
+/**
+ * Get the shared unit registry, loading it on first use and after REGISTRY_TTL_MS
+ * @returns {Promise<Object>}
+ */
+function getUnitRegistry() {
+  if (!registryPromise || Date.now() - registryLoadedAt > REGISTRY_TTL_MS) {
+    registryLoadedAt = Date.now();
+    registryPromise = loadUnitRegistry().catch(error => {
+      registryPromise = null;
+      console.error('Failed to load the unit registry:', error.message);
+      // The built-in Rec 20 table still resolves units without master data
+      return { aliases: new Map(), masterData: new Map(), masterDataByCode: new Map(), unmapped: [], counts: { gtrackDB: 0, GS1DB: 0 }, loadedAt: new Date() };
+    });
+  }
+  return registryPromise;
+}
+
+/**
+ * Drop the cached registry so the next resolution reads both unit tables again
+ */
+function reloadUnitRegistry() {
+  registryPromise = null;
+}
+
+/**
+ * Find the Rec 20 units whose spellings are closest to an unknown unit
+ * @param {string} key - Normalized unit
+ * @param {number} limit
+ * @returns {Array} - [{ code, name, symbol }]
+ */
+function suggestUnits(key, limit = 3) {
+  if (!key) return [];
+  const maxDistance = key.length <= 3 ? 1 : 2;
+
+  const closest = new Map();
+  builtInAliases.forEach((code, alias) => {
+    // Single letters (g, l, m, t) match almost anything at distance 1
+    if (alias.length < 2) return;
+    const distance = editDistance(key, alias);
+    if (distance <= maxDistance && (!closest.has(code) || distance < closest.get(code))) {
+      closest.set(code, distance);
+    }
+  });
+
+  return [...closest.entries()]
+    .sort((a, b) => a[1] - b[1])
+    .slice(0, limit)
+    .map(([code]) => {
+      const unit = unitsByCode.get(code);
+      return { code: unit.code, name: unit.name, symbol: unit.symbol };
+    });
+}
+
+/**
+ * Resolve a free-text unit
+ * @param {string} value - Unit as entered, e.g. "Litre"
+ * @param {Object} registry - Result of getUnitRegistry (optional - without it only the built-in table is used)
+ * @returns {Object} - {
+ *   input, key,
+ *   status: 'resolved' (Rec 20 code found) | 'unmapped' (only in master data) | 'unknown',
+ *   code, name, symbol, type, factor: the Rec 20 unit,
+ *   canonical: whether the input already is the Rec 20 code,
+ *   masterData: { gtrackDB, GS1DB } matching records (or null),
+ *   suggestions: closest Rec 20 units for an unknown unit
+ * }
+ */
+function resolveUnit(value, registry) {
+  const key = normalizeUnitKey(value);
+  const entries = registry && key ? registry.masterData.get(key) || [] : [];
+  const mappedEntry = entries.find(entry => entry.rec20Code);
+  const code = lookupAlias(key, registry) || (mappedEntry ? mappedEntry.rec20Code : null);
+  const unit = code ? unitsByCode.get(code) : null;
+
+  // Any master data record of the same Rec 20 unit counts, e.g. "KG" for an input of "Kilos"
+  const records = unit && registry ? registry.masterDataByCode.get(unit.code) || [] : entries;
+
+  const masterRecord = source => {
+    const sourceEntries = records.filter(entry => entry.source === source);
+    // Prefer an active record when the table has duplicates
+    return sourceEntries.find(entry => entry.status !== 0) || sourceEntries[0] || null;
+  };
+
+  return {
+    input: value === null || value === undefined ? null : String(value),
+    key,
+    status: unit ? 'resolved' : (entries.length > 0 ? 'unmapped' : 'unknown'),
+    code: unit ? unit.code : null,
+    name: unit ? unit.name : null,
+    symbol: unit ? unit.symbol : null,
+    type: unit ? unit.type : null,
+    factor: unit ? unit.factor : null,
+    canonical: Boolean(unit && String(value).trim() === unit.code),
+    masterData: {
+      gtrackDB: masterRecord('gtrackDB'),
+      GS1DB: masterRecord('GS1DB')
+    },
+    suggestions: unit || entries.length > 0 ? [] : suggestUnits(key)
+  };
+}
+
+module.exports = {
+  REC20_UNITS,
+  normalizeUnitKey,
+  getRec20Unit,
+  loadUnitRegistry,
+  getUnitRegistry,
+  reloadUnitRegistry,
+  resolveUnit
+};
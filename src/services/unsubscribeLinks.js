@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+/**
+ * Reminder unsubscribe links
+ * Every digest carries a link that takes its member out of the reminder campaigns without
+ * logging in. The token is the member id plus an HMAC-SHA256 of it with
+ * REMINDER_UNSUBSCRIBE_SECRET, so nobody can make one up for another member. Without the
+ * secret digests go out without the link.
+ */
+
+// Keeps the HMAC from being usable as a signature for anything else
+const TOKEN_PURPOSE = 'reminder-unsubscribe';
+
+/**
+ * Sign a member id
+ * @param {string} memberId
+ * @param {string} secret
+ * @returns {string} - base64url HMAC
+ */
+function sign(memberId, secret) {
+  return crypto.createHmac('sha256', secret).update(`${TOKEN_PURPOSE}:${memberId}`).digest('base64url');
+}
+
+/**
+ * Create the unsubscribe token of a member
+ * @param {string} memberId - gtrackDB Member id
+ * @returns {string|null} - "<member id>.<signature>" (base64url), or null without a secret
+ */
+function createUnsubscribeToken(memberId) {
+  const secret = process.env.REMINDER_UNSUBSCRIBE_SECRET;
+  if (!secret || !memberId) return null;
+  return `${Buffer.from(String(memberId)).toString('base64url')}.${sign(String(memberId), secret)}`;
+}
+
+/**
+ * Check an unsubscribe token
+ * @param {string} token
+ * @returns {string|null} - Member id the token was made for, or null when it isn't valid
+ */
+function verifyUnsubscribeToken(token) {
+  const secret = process.env.REMINDER_UNSUBSCRIBE_SECRET;
+  if (!secret || typeof token !== 'string') return null;
+
+  const [encodedId, signature, ...rest] = token.split('.');
+  if (!encodedId || !signature || rest.length > 0) return null;
+
+  const memberId = Buffer.from(encodedId, 'base64url').toString();
+  const expected = Buffer.from(sign(memberId, secret));
+  const presented = Buffer.from(signature);
+  if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) return null;
+  return memberId;
+}
+
+/**
+ * Unsubscribe link of a member
+ * EMAIL_UNSUBSCRIBE_URL may contain {token} and {lang}.
+ * @param {string} memberId
+ * @param {string} language
+ * @returns {string|null} - null when links can't be signed
+ */
+function unsubscribeLink(memberId, language) {
+  const token = createUnsubscribeToken(memberId);
+  if (!token) return null;
+
+  const template = process.env.EMAIL_UNSUBSCRIBE_URL ||
+    'https://gtrack.online/api/emailsend/reminders/unsubscribe?token={token}&lang={lang}';
+  return template
+    .replace(/\{token\}/g, encodeURIComponent(token))
+    .replace(/\{lang\}/g, encodeURIComponent(language || ''));
+}
+
+module.exports = {
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  unsubscribeLink
+};
@@ -0,0 +1,379 @@
+const path = require('path');
+const ejs = require('ejs');
+const { gs1DB } = require('../models');
+const { safeDbQuery } = require('../utils/db');
+const { getCountryRegistry, resolveCountryReference } = require('./countryResolver');
+const { unsubscribeLink } = require('./unsubscribeLinks');
+
+/**
+ * Verification digest
+ * Renders the email a member receives about their unverified products: every product
+ * with the issues verification found, the suggested fixes and a link to fix it.
+ *
+ * The digest is an EJS template per language in src/views/emails
+ * (verificationDigest.en.ejs, verificationDigest.ar.ejs - right-to-left). Admins can
+ * change it without a deploy through GS1DB, looked up by email_tag (DIGEST_TEMPLATE_TAG):
+ * - EmailTemplate: contentEnglish / contentArabic replace the whole template, subject the subject
+ * - DynamicEmailTemplate: TemplateContent lines replace single texts (line_key = key of DIGEST_STRINGS)
+ * Database templates are plain HTML with {placeholders}, never EJS: EJS runs the JavaScript
+ * in a template, and the tables are edited outside this code base.
+ */
+
+const DIGEST_TEMPLATE_TAG = process.env.EMAIL_DIGEST_TEMPLATE_TAG || 'verification_digest';
+const TEMPLATE_DIR = path.join(__dirname, '..', 'views', 'emails');
+const OVERRIDES_TTL_MS = parseInt(process.env.EMAIL_TEMPLATE_TTL_MS) || 5 * 60 * 1000;
+
+const LANGUAGES = ['en', 'ar'];
+const DEFAULT_LANGUAGE = LANGUAGES.includes(process.env.EMAIL_DEFAULT_LANGUAGE) ? process.env.EMAIL_DEFAULT_LANGUAGE : 'en';
+
+// Members in Arab League countries get the Arabic digest unless a language is asked for
+const ARABIC_COUNTRIES = new Set([
+  'AE', 'BH', 'DJ', 'DZ', 'EG', 'IQ', 'JO', 'KM', 'KW', 'LB', 'LY',
+  'MA', 'MR', 'OM', 'PS', 'QA', 'SA', 'SD', 'SO', 'SY', 'TN', 'YE'
+]);
+
+// Issues are listed most severe first
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+const SEVERITY_COLORS = { high: '#d32f2f', medium: '#ef6c00', low: '#1976d2' };
+
+// Texts of the digest; {companyName}, {count} and {prefix} are filled in
+const DIGEST_STRINGS = {
+  en: {
+    subject: '{count} of your products need attention',
+    subjectOne: 'One of your products needs attention',
+    greeting: 'Dear {companyName},',
+    intro: '{count} of your products (GS1 Company Prefix {prefix}) could not be verified. Please review the issues below and update each product.',
+    introOne: 'One of your products (GS1 Company Prefix {prefix}) could not be verified. Please review the issues below and update the product.',
+    barcode: 'Barcode',
+    brand: 'Brand',
+    score: 'Score',
+    issuesHeading: 'Issues',
+    suggestionsHeading: 'How to fix',
+    suggestedValue: 'suggested:',
+    fixButton: 'Fix this product',
+    footer: 'GTRACK - GS1 product verification',
+    unsubscribe: 'Stop these reminders',
+    severityHigh: 'High',
+    severityMedium: 'Medium',
+    severityLow: 'Low'
+  },
+  ar: {
+    subject: '{count} من منتجاتكم بحاجة إلى مراجعة',
+    subjectOne: 'أحد منتجاتكم بحاجة إلى مراجعة',
+    greeting: 'السادة {companyName}،',
+    intro: 'تعذر التحقق من {count} من منتجاتكم (بادئة شركة GS1 رقم {prefix}). يرجى مراجعة الملاحظات أدناه وتحديث بيانات كل منتج.',
+    introOne: 'تعذر التحقق من أحد منتجاتكم (بادئة شركة GS1 رقم {prefix}). يرجى مراجعة الملاحظات أدناه وتحديث بيانات المنتج.',
+    barcode: 'الباركود',
+    brand: 'العلامة التجارية',
+    score: 'التقييم',
+    issuesHeading: 'الملاحظات',
+    suggestionsHeading: 'طريقة التصحيح',
+    suggestedValue: 'المقترح:',
+    fixButton: 'تصحيح المنتج',
+    footer: 'GTRACK - التحقق من منتجات GS1',
+    unsubscribe: 'إيقاف هذه التذكيرات',
+    severityHigh: 'عالية',
+    severityMedium: 'متوسطة',
+    severityLow: 'منخفضة'
+  }
+};
+
+/**
+ * Fill {name} placeholders in a text
+ * @param {string} text
+ * @param {Object} values
+ * @returns {string}
+ */
+function fill(text, values) {
+  return String(text || '').replace(/\{(\w+)\}/g, (placeholder, name) =>
+    values[name] !== undefined && values[name] !== null ? String(values[name]) : placeholder
+  );
+}
+
+/**
+ * Link to the page where the member fixes a product
+ * EMAIL_PRODUCT_URL may contain {id}, {barcode} and {lang}.
+ * @param {Object} details - productDetails of a digest entry
+ * @param {string} language
+ * @returns {string}
+ */
+function productLink(details, language) {
+  const template = process.env.EMAIL_PRODUCT_URL || 'https://gtrack.online/products/{barcode}';
+  return fill(template, {
+    id: encodeURIComponent(details.id ?? ''),
+    barcode: encodeURIComponent(details.barcode || ''),
+    lang: language
+  });
+}
+
+let overridesPromise = null;
+let overridesLoadedAt = 0;
+
+/**
+ * Load the admin overrides of the digest from GS1DB
+ * @returns {Promise<Object>} - { templates: { en, ar } ({ subject, content } or null), strings: { en, ar } }
+ */
+async function loadDigestOverrides() {
+  const overrides = {
+    templates: { en: null, ar: null },
+    strings: { en: {}, ar: {} }
+  };
+
+  if (gs1DB && gs1DB.EmailTemplate) {
+    const template = await safeDbQuery(() => gs1DB.EmailTemplate.findFirst({
+      where: { email_tag: DIGEST_TEMPLATE_TAG }
+    }), null);
+    if (template) {
+      if (template.contentEnglish && template.contentEnglish.trim()) {
+        overrides.templates.en = { subject: template.subject || null, content: template.contentEnglish };
+      }
+      if (template.contentArabic && template.contentArabic.trim()) {
+        overrides.templates.ar = { subject: template.subject || null, content: template.contentArabic };
+      }
+    }
+  }
+
+  if (gs1DB && gs1DB.DynamicEmailTemplate) {
+    const dynamic = await safeDbQuery(() => gs1DB.DynamicEmailTemplate.findFirst({
+      where: { email_tag: DIGEST_TEMPLATE_TAG },
+      include: { TemplateContent: true }
+    }), null);
+    ((dynamic && dynamic.TemplateContent) || []).forEach(line => {
+      if (!line.line_key) return;
+      if (line.english_text && line.english_text.trim()) overrides.strings.en[line.line_key] = line.english_text;
+      if (line.arabic_text && line.arabic_text.trim()) overrides.strings.ar[line.line_key] = line.arabic_text;
+    });
+  }
+
+  return overrides;
+}
+
+/**
+ * Get the digest overrides, reading them again after OVERRIDES_TTL_MS so admin changes apply without a restart
+ * @returns {Promise<Object>}
+ */
+function getDigestOverrides() {
+  if (!overridesPromise || Date.now() - overridesLoadedAt > OVERRIDES_TTL_MS) {
+    overridesLoadedAt = Date.now();
+    overridesPromise = loadDigestOverrides().catch(error => {
+      overridesPromise = null;
+      console.error('Failed to load email template overrides:', error.message);
+      return { templates: { en: null, ar: null }, strings: { en: {}, ar: {} } };
+    });
+  }
+  return overridesPromise;
+}
+
+/**
+ * Drop the cached overrides so the next digest reads the template tables again
+ */
+function reloadDigestTemplates() {
+  overridesPromise = null;
+}
+
+/**
+ * Pick the language of a member's digest
+ * An explicit language wins, then the country of the member's GS1 account; otherwise EMAIL_DEFAULT_LANGUAGE.
+ * @param {Object} group - Digest group (language and country are optional)
+ * @param {Object} options - { language }
+ * @returns {Promise<string>} - 'en' | 'ar'
+ */
+async function selectLanguage(group, options = {}) {
+  const requested = options.language || group.language;
+  if (LANGUAGES.includes(requested)) return requested;
+
+  if (group.country) {
+    const resolution = resolveCountryReference(group.country, await getCountryRegistry());
+    if (resolution.alpha2 && ARABIC_COUNTRIES.has(resolution.alpha2)) return 'ar';
+  }
+
+  return DEFAULT_LANGUAGE;
+}
+
+/**
+ * Sort a product's issues, most severe first
+ * @param {Array} issues
+ * @returns {Array}
+ */
+function sortIssues(issues) {
+  return [...(issues || [])].sort((a, b) =>
+    (SEVERITY_ORDER[a.severity] ?? 3) - (SEVERITY_ORDER[b.severity] ?? 3)
+  );
+}
+
+/**
+ * Build the data the digest templates render
+ * @param {Object} group - Digest group
+ * @param {string} language
+ * @param {Object} strings - Texts of the language, overrides applied
+ * @returns {Object}
+ */
+function buildViewData(group, language, strings) {
+  const count = group.products.length;
+  const companyName = language === 'ar'
+    ? group.companyNameArabic || group.companyName || group.memberEmail
+    : group.companyName || group.companyNameArabic || group.memberEmail;
+  const values = { companyName, count, prefix: group.gcpGLNID };
+
+  const t = {};
+  Object.keys(strings).forEach(key => {
+    t[key] = fill(strings[key], values);
+  });
+  if (count === 1) {
+    t.subject = t.subjectOne;
+    t.intro = t.introOne;
+  }
+
+  const severityLabels = { high: t.severityHigh, medium: t.severityMedium, low: t.severityLow };
+
+  const products = group.products.map(entry => {
+    const details = entry.productDetails;
+    const name = language === 'ar'
+      ? details.productnamearabic || details.productnameenglish
+      : details.productnameenglish || details.productnamearabic;
+
+    return {
+      id: details.id,
+      name: name || details.barcode || `#${details.id}`,
+      barcode: details.barcode,
+      brand: details.BrandName,
+      score: entry.verificationScore ?? '-',
+      link: productLink(details, language),
+      issues: sortIssues(entry.verificationIssues).map(issue => ({
+        severity: issue.severity,
+        severityLabel: severityLabels[issue.severity] || issue.severity || '',
+        color: SEVERITY_COLORS[issue.severity] || '#757575',
+        field: issue.field || null,
+        message: issue.message
+      })),
+      suggestions: (entry.aiSuggestions || []).map(suggestion => ({
+        field: suggestion.field || null,
+        importance: suggestion.importance || null,
+        suggestion: suggestion.suggestion,
+        suggestedValue: suggestion.suggestedValue || null
+      }))
+    };
+  });
+
+  return {
+    lang: language,
+    dir: language === 'ar' ? 'rtl' : 'ltr',
+    subject: t.subject,
+    t,
+    companyName,
+    memberEmail: group.memberEmail,
+    gcpGLNID: group.gcpGLNID,
+    productCount: count,
+    unsubscribeLink: unsubscribeLink(group.memberId, language),
+    products
+  };
+}
+
+/**
+ * Render a database template
+ * Placeholders: {lang}, {dir}, {subject}, {companyName}, {prefix}, {count}, {unsubscribeLink},
+ * every text of DIGEST_STRINGS ({greeting}, {intro}, {footer} ...) and, in the HTML,
+ * {products} - the product list of the bundled template.
+ * @param {Object} override - { subject, content } of the language
+ * @param {Object} data - Result of buildViewData
+ * @returns {Promise<Object>} - { html, subject }
+ */
+async function renderOverride(override, data) {
+  const values = {
+    ...data.t,
+    lang: data.lang,
+    dir: data.dir,
+    subject: data.subject,
+    companyName: data.companyName,
+    prefix: data.gcpGLNID,
+    count: data.productCount,
+    unsubscribeLink: data.unsubscribeLink || ''
+  };
+
+  const escaped = {};
+  Object.keys(values).forEach(key => {
+    escaped[key] = ejs.escapeXML(values[key] ?? '');
+  });
+  escaped.products = await ejs.renderFile(path.join(TEMPLATE_DIR, `verificationDigestProducts.${data.lang}.ejs`), data, { cache: true });
+
+  return {
+    html: fill(override.content, escaped),
+    // The subject is plain text, so values are not HTML-escaped
+    subject: override.subject ? fill(override.subject, values) : data.subject
+  };
+}
+
+/**
+ * Render the plain text part of the digest
+ * @param {Object} data - Result of buildViewData
+ * @returns {string}
+ */
+function renderText(data) {
+  const { t } = data;
+  const products = data.products.map(product => {
+    const lines = [`${product.name} - ${t.barcode} ${product.barcode || '-'}, ${t.score} ${product.score}`];
+    product.issues.forEach(issue => {
+      lines.push(`  [${issue.severityLabel}] ${issue.message}`);
+    });
+    product.suggestions.forEach(suggestion => {
+      lines.push(`  - ${suggestion.suggestion}${suggestion.suggestedValue ? ` (${t.suggestedValue} ${suggestion.suggestedValue})` : ''}`);
+    });
+    lines.push(`  ${t.fixButton}: ${product.link}`);
+    return lines.join('\n');
+  });
+
+  const footer = data.unsubscribeLink ? `${t.footer}\n${t.unsubscribe}: ${data.unsubscribeLink}` : t.footer;
+  return [t.greeting, t.intro, ...products, footer].join('\n\n');
+}
+
+/**
+ * Render the digest for one member
+ * @param {Object} group - { memberId, memberEmail, companyName, companyNameArabic, gcpGLNID, country, language,
+ *   products: [{ productDetails, verificationIssues, aiSuggestions, verificationScore }] }
+ * @param {Object} options - { language } to force 'en' or 'ar'
+ * @returns {Promise<Object>} - { to, subject, html, text, language, template: 'file' | 'database', unsubscribeLink }
+ */
+async function renderDigest(group, options = {}) {
+  const language = await selectLanguage(group, options);
+  const overrides = await getDigestOverrides();
+  const data = buildViewData(group, language, { ...DIGEST_STRINGS[language], ...overrides.strings[language] });
+
+  let html = null;
+  let subject = data.subject;
+  let template = 'file';
+
+  const override = overrides.templates[language];
+  if (override) {
+    try {
+      ({ html, subject } = await renderOverride(override, data));
+      template = 'database';
+    } catch (error) {
+      // A broken override must not stop the digests - fall back to the bundled template
+      console.error(`Email template override "${DIGEST_TEMPLATE_TAG}" (${language}) failed to render:`, error.message);
+      html = null;
+      subject = data.subject;
+    }
+  }
+
+  if (html === null) {
+    html = await ejs.renderFile(path.join(TEMPLATE_DIR, `verificationDigest.${language}.ejs`), data, { cache: true });
+  }
+
+  return {
+    to: group.memberEmail,
+    subject,
+    html,
+    text: renderText(data),
+    language,
+    template,
+    unsubscribeLink: data.unsubscribeLink
+  };
+}
+
+module.exports = {
+  DIGEST_TEMPLATE_TAG,
+  DIGEST_STRINGS,
+  selectLanguage,
+  renderDigest,
+  reloadDigestTemplates
+};
@@ -0,0 +1,134 @@
+const { gtrackDB } = require('../models');
+const { safeDbQuery } = require('../utils/db');
+const { verifyProducts } = require('./productVerification');
+
+/**
+ * Verification service
+ * In-process entry point to product verification for the product routes (V4/V5),
+ * the batch job and the email job, so none of them has to call the HTTP API.
+ */
+
+const DEFAULT_STREAM_CHUNK_SIZE = parseInt(process.env.VERIFICATION_STREAM_CHUNK_SIZE) || 100;
+
+/**
+ * Check whether the products table is available
+ * @returns {boolean}
+ */
+function isProductsAvailable() {
+  return Boolean(gtrackDB && gtrackDB.products);
+}
+
+/**
+ * Split a barcode query parameter into barcodes
+ * @param {string|Array} barcode - "6281000000113" or "6281000000113,6281000000120"
+ * @returns {Array}
+ */
+function parseBarcodes(barcode) {
+  if (!barcode) return [];
+  return barcode.toString().split(',').map(code => code.trim()).filter(Boolean);
+}
+
+/**
+ * Find the products a product route asks for
+ * With barcode(s) and/or a member id every matching product is returned (newest update
+ * first); otherwise one page of products, newest first.
+ * @param {Object} criteria - { barcode, memberId, page, pageSize }
+ * @returns {Promise<Object>} - { products, totalCount, page, pageSize }
+ */
+async function findProducts(criteria = {}) {
+  const barcodes = parseBarcodes(criteria.barcode);
+
+  if (barcodes.length > 0 || criteria.memberId) {
+    // Build where conditions with AND logic
+    const where = { deleted_at: null, AND: [] };
+    if (barcodes.length > 0) {
+      where.AND.push(barcodes.length > 1 ? { barcode: { in: barcodes } } : { barcode: barcodes[0] });
+    }
+    if (criteria.memberId) {
+      where.AND.push({ member_id: criteria.memberId });
+    }
+
+    const products = await safeDbQuery(() => gtrackDB.products.findMany({
+      where,
+      orderBy: { updated_at: 'desc' }
+    }));
+
+    return { products, totalCount: products.length, page: null, pageSize: null };
+  }
+
+  const page = parseInt(criteria.page) || 1;
+  const pageSize = parseInt(criteria.pageSize) || 10;
+
+  const totalCount = await safeDbQuery(() => gtrackDB.products.count({
+    where: { deleted_at: null }
+  }), 0);
+
+  const products = await safeDbQuery(() => gtrackDB.products.findMany({
+    where: { deleted_at: null },
+    skip: (page - 1) * pageSize,
+    take: pageSize,
+    orderBy: { created_at: 'desc' }
+  }));
+
+  return { products, totalCount, page, pageSize };
+}
+
+/**
+ * Read the next chunk of non-deleted products, ordered by id
+ * @param {string|number|null} afterId - Id of the last product of the previous chunk
+ * @param {number} size - Chunk size
+ * @param {Object} where - Extra conditions, e.g. { member_id }
+ * @returns {Promise<Array>}
+ */
+function findProductChunk(afterId, size, where = {}) {
+  return gtrackDB.products.findMany({
+    where: {
+      ...where,
+      deleted_at: null,
+      ...(afterId && { id: { gt: afterId } })
+    },
+    orderBy: { id: 'asc' },
+    take: size
+  });
+}
+
+/**
+ * Walk the whole catalogue and yield the unverified products, one chunk at a time
+ * Stored results of unchanged products are reused, so only new or updated products
+ * are verified again.
+ * @param {Object} options - { chunkSize, forceRefresh, memberId,
+ *   onChunk(products): awaited after every verified chunk; returning false stops the walk }
+ * @yields {Array} - [{ product, verification }] of the chunk's unverified products
+ */
+async function* streamUnverifiedProducts(options = {}) {
+  if (!isProductsAvailable()) return;
+
+  const chunkSize = Math.min(Math.max(parseInt(options.chunkSize) || DEFAULT_STREAM_CHUNK_SIZE, 1), 500);
+  const where = options.memberId ? { member_id: options.memberId } : {};
+  let lastId = null;
+
+  while (true) {
+    const products = await findProductChunk(lastId, chunkSize, where);
+    if (products.length === 0) return;
+    lastId = products[products.length - 1].id;
+
+    const results = await verifyProducts(products, { forceRefresh: options.forceRefresh === true });
+    if (options.onChunk && await options.onChunk(products) === false) return;
+
+    // verifyProducts keeps the order of the products it was given
+    const unverified = results
+      .map((result, index) => ({ product: products[index], verification: result.verification }))
+      .filter(entry => entry.verification.verificationStatus === 'unverified');
+
+    if (unverified.length > 0) yield unverified;
+    if (products.length < chunkSize) return;
+  }
+}
+
+module.exports = {
+  isProductsAvailable,
+  findProducts,
+  findProductChunk,
+  verifyProducts,
+  streamUnverifiedProducts
+};
@@ -0,0 +1,195 @@
+const { gtrackDB } = require('../models');
+const { safeDbQuery } = require('../utils/db');
+
+// Verification fields that have their own column - everything else goes into `details`
+const COLUMN_FIELDS = [
+  'isValid',
+  'verificationScore',
+  'verificationStatus',
+  'issues',
+  'aiSuggestions',
+  'missingFields',
+  'issueFields'
+];
+
+/**
+ * Check whether the verification results table is available
+ * @returns {boolean}
+ */
+function isStoreAvailable() {
+  return Boolean(gtrackDB && gtrackDB.product_verification_results);
+}
+
+/**
+ * Parse a JSON column, falling back when the stored value is empty or corrupt
+ * @param {string} value - Stored JSON string
+ * @param {*} fallback - Value returned when parsing fails
+ * @returns {*}
+ */
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('Could not parse stored verification data:', error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Compare two rule version maps
+ * @param {Object} stored - Versions stored with a result
+ * @param {Object} current - Versions of the currently enabled rules
+ * @returns {boolean} - True when both contain the same rules at the same versions
+ */
+function sameRuleVersions(stored, current) {
+  const storedIds = Object.keys(stored || {});
+  const currentIds = Object.keys(current || {});
+  if (storedIds.length !== currentIds.length) return false;
+  return currentIds.every(id => stored[id] === current[id]);
+}
+
+/**
+ * Get the most recent stored verification result for each product
+ * @param {Array} products - Product records
+ * @returns {Promise<Object>} - Latest result records keyed by product id
+ */
+async function getLatestResults(products) {
+  const latest = {};
+  const productIds = products.map(p => p.id).filter(Boolean);
+
+  if (!isStoreAvailable() || productIds.length === 0) return latest;
+
+  // Ids only grow, so the highest id per product is its latest result. Grouping in the
+  // database keeps older results from being loaded at all.
+  const latestIds = await safeDbQuery(() => gtrackDB.product_verification_results.groupBy({
+    by: ['product_id'],
+    where: { product_id: { in: productIds } },
+    _max: { id: true }
+  }));
+  const ids = latestIds.map(row => row._max.id).filter(Boolean);
+  if (ids.length === 0) return latest;
+
+  const results = await safeDbQuery(() => gtrackDB.product_verification_results.findMany({
+    where: { id: { in: ids } }
+  }));
+
+  results.forEach(result => {
+    latest[result.product_id] = result;
+  });
+
+  return latest;
+}
+
+/**
+ * Check whether a stored result still applies to the product
+ * A result is current when the product has not been updated since it was verified
+ * and the same rules (at the same versions) are still enabled.
+ * @param {Object} result - Stored result record
+ * @param {Object} product - Product record
+ * @param {Object} ruleVersions - Versions of the currently enabled rules
+ * @returns {boolean}
+ */
+function isResultCurrent(result, product, ruleVersions) {
+  if (!result || !result.product_updated_at || !product.updated_at) return false;
+
+  const verifiedUpdate = new Date(result.product_updated_at).getTime();
+  const productUpdate = new Date(product.updated_at).getTime();
+  if (verifiedUpdate !== productUpdate) return false;
+
+  return sameRuleVersions(parseJson(result.rule_versions, {}), ruleVersions);
+}
+
+/**
+ * Store the verification result of a product
+ * @param {Object} product - Product record that was verified
+ * @param {Object} verification - Result of runRules
+ * @param {Object} ruleVersions - Versions of the rules that produced the result
+ * @returns {Promise<Object|null>} - Created record or null when it could not be stored
+ */
+async function saveResult(product, verification, ruleVersions) {
+  if (!isStoreAvailable()) return null;
+
+  const details = {};
+  Object.keys(verification)
+    .filter(key => !COLUMN_FIELDS.includes(key))
+    .forEach(key => {
+      details[key] = verification[key];
+    });
+
+  return safeDbQuery(() => gtrackDB.product_verification_results.create({
+    data: {
+      product_id: product.id,
+      barcode: product.barcode || null,
+      member_id: product.member_id || null,
+      verification_score: verification.verificationScore,
+      verification_status: verification.verificationStatus,
+      is_valid: verification.isValid,
+      issues: JSON.stringify(verification.issues || []),
+      suggestions: JSON.stringify(verification.aiSuggestions || []),
+      missing_fields: JSON.stringify(verification.missingFields || []),
+      issue_fields: JSON.stringify(verification.issueFields || {}),
+      details: JSON.stringify(details),
+      rule_versions: JSON.stringify(ruleVersions || {}),
+      product_updated_at: product.updated_at || null
+    }
+  }), null);
+}
+
+/**
+ * Turn a stored result record back into the verification object returned by the API
+ * @param {Object} result - Stored result record
+ * @returns {Object} - Verification object
+ */
+function toVerification(result) {
+  return {
+    ...parseJson(result.details, {}),
+    isValid: result.is_valid,
+    verificationScore: result.verification_score,
+    verificationStatus: result.verification_status,
+    issues: parseJson(result.issues, []),
+    missingFields: parseJson(result.missing_fields, []),
+    aiSuggestions: parseJson(result.suggestions, []),
+    issueFields: parseJson(result.issue_fields, {}),
+    verifiedAt: result.verified_at
+  };
+}
+
+/**
+ * Get the verification history of a barcode, newest first
+ * @param {string} barcode - Product barcode
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} - History entries
+ */
+async function getHistory(barcode, options = {}) {
+  if (!isStoreAvailable() || !barcode) return [];
+
+  const results = await safeDbQuery(() => gtrackDB.product_verification_results.findMany({
+    where: { barcode },
+    orderBy: { verified_at: 'desc' },
+    take: options.limit || 50
+  }));
+
+  return results.map((result, index) => ({
+    verifiedAt: result.verified_at,
+    productId: result.product_id,
+    productUpdatedAt: result.product_updated_at,
+    verificationScore: result.verification_score,
+    verificationStatus: result.verification_status,
+    // Results are newest first, so the previous verification is the next entry
+    previousStatus: results[index + 1] ? results[index + 1].verification_status : null,
+    isValid: result.is_valid,
+    issues: parseJson(result.issues, []),
+    suggestions: parseJson(result.suggestions, []),
+    ruleVersions: parseJson(result.rule_versions, {})
+  }));
+}
+
+module.exports = {
+  isStoreAvailable,
+  getLatestResults,
+  isResultCurrent,
+  saveResult,
+  toVerification,
+  getHistory
+};
@@ -0,0 +1,575 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { gtrackDB } = require('../models');
+const { safeDbQuery } = require('../utils/db');
+const { resolvePublicAddress } = require('../utils/network');
+const { acquireLock, renewLock, releaseLock } = require('./distributedLock');
+
+/**
+ * Verification webhooks
+ * Members (or admins, for every member) register an endpoint and get a POST whenever a
+ * product's verification status flips between verified and unverified. Payloads are signed
+ * with the endpoint's secret. Every notification is a row in the GTRACKDB
+ * `webhook_deliveries` table: failed attempts are retried with exponential backoff and after
+ * WEBHOOK_MAX_ATTEMPTS the row is marked dead, which keeps it as the dead-letter store.
+ */
+
+const EVENTS = {
+  VERIFIED: 'product.verified',
+  UNVERIFIED: 'product.unverified',
+  PING: 'webhook.ping'
+};
+const STATUS_EVENTS = [EVENTS.VERIFIED, EVENTS.UNVERIFIED];
+
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 60 * 1000;
+const RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 6 * 60 * 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 30 * 1000;
+const DISPATCH_BATCH_SIZE = parseInt(process.env.WEBHOOK_DISPATCH_BATCH_SIZE) || 50;
+
+const LOCK_NAME = 'webhook-dispatcher';
+const LOCK_TTL_MS = 5 * 60 * 1000;
+
+// Endpoints on loopback, private or link-local addresses are refused, so the delivery log
+// can't be used to probe the internal network. The local test receiver needs this flag.
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// Longest error message kept on a delivery
+const MAX_ERROR_LENGTH = 1000;
+
+let pollTimer = null;
+let dispatching = false;
+let dispatchQueued = false;
+
+/**
+ * Check whether the webhook tables are available
+ * @returns {boolean}
+ */
+function isWebhookStoreAvailable() {
+  return Boolean(gtrackDB && gtrackDB.verification_webhooks && gtrackDB.webhook_deliveries);
+}
+
+/**
+ * Split the events column of a webhook
+ * @param {Object} webhook - verification_webhooks row
+ * @returns {Array}
+ */
+function getEvents(webhook) {
+  return (webhook.events || '').split(',').map(event => event.trim()).filter(Boolean);
+}
+
+/**
+ * Webhook row as returned by the API - the secret is only shown when the webhook is registered
+ * @param {Object} webhook - verification_webhooks row
+ * @returns {Object}
+ */
+function toPublicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return { ...rest, events: getEvents(webhook) };
+}
+
+/**
+ * Sign a payload
+ * The signature covers the timestamp too, so a captured request can't be replayed later
+ * with a new timestamp.
+ * @param {string} secret - Webhook secret
+ * @param {string|number} timestamp - Unix time in seconds, sent as X-GTrack-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} - "sha256=<hex>", sent as X-GTrack-Signature
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check the signature of a received webhook (for receivers written in Node)
+ * @param {string} secret - Webhook secret
+ * @param {Object} headers - Request headers (lower case names, as in Node)
+ * @param {string} body - Raw request body
+ * @param {number} toleranceSeconds - Maximum age of the timestamp
+ * @returns {boolean}
+ */
+function verifyWebhookSignature(secret, headers, body, toleranceSeconds = 300) {
+  const timestamp = headers['x-gtrack-timestamp'];
+  const signature = headers['x-gtrack-signature'];
+  if (!timestamp || !signature) return false;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Register a webhook endpoint
+ * @param {Object} data - { url, memberId, events, description, createdBy: 'member' | 'admin' }
+ * @returns {Promise<Object>} - Created webhook including its secret
+ */
+async function registerWebhook(data) {
+  let url;
+  try {
+    url = new URL(data.url);
+  } catch (error) {
+    throw new Error('url must be an absolute http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('url must be an absolute http(s) URL');
+  }
+  if (!ALLOW_PRIVATE_URLS) {
+    try {
+      await resolvePublicAddress(url.hostname);
+    } catch (error) {
+      throw new Error(`url must point to a public address: ${error.message}`);
+    }
+  }
+
+  const createdBy = data.createdBy === 'admin' ? 'admin' : 'member';
+  if (createdBy === 'member' && !data.memberId) {
+    throw new Error('member_id is required for member webhooks');
+  }
+
+  const events = Array.isArray(data.events)
+    ? data.events
+    : (data.events ? data.events.toString().split(',').map(event => event.trim()) : STATUS_EVENTS);
+  const unknown = events.filter(event => !STATUS_EVENTS.includes(event));
+  if (unknown.length > 0 || events.length === 0) {
+    throw new Error(`events must be one or more of: ${STATUS_EVENTS.join(', ')}`);
+  }
+
+  const now = new Date();
+  const webhook = await gtrackDB.verification_webhooks.create({
+    data: {
+      // Admin webhooks without a member receive the events of every member
+      member_id: data.memberId || null,
+      url: url.toString(),
+      secret: data.secret || crypto.randomBytes(32).toString('hex'),
+      events: [...new Set(events)].join(','),
+      description: data.description || null,
+      created_by: createdBy,
+      active: true,
+      created_at: now,
+      updated_at: now
+    }
+  });
+
+  return { ...toPublicWebhook(webhook), secret: webhook.secret };
+}
+
+/**
+ * List webhooks
+ * @param {Object} options - { memberId }
+ * @returns {Promise<Array>}
+ */
+async function listWebhooks(options = {}) {
+  const webhooks = await safeDbQuery(() => gtrackDB.verification_webhooks.findMany({
+    where: options.memberId ? { member_id: options.memberId } : {},
+    orderBy: { id: 'asc' }
+  }));
+  return webhooks.map(toPublicWebhook);
+}
+
+/**
+ * Get a webhook
+ * @param {number} id
+ * @returns {Promise<Object|null>} - verification_webhooks row, including the secret
+ */
+function getWebhook(id) {
+  return safeDbQuery(() => gtrackDB.verification_webhooks.findUnique({ where: { id } }), null);
+}
+
+/**
+ * Deactivate a webhook
+ * Deliveries are kept for the delivery log; pending ones are no longer attempted.
+ * @param {number} id
+ * @param {Object} options - { memberId: only a webhook of this member }
+ * @returns {Promise<boolean>} - False when there is no such webhook
+ */
+async function deleteWebhook(id, options = {}) {
+  const result = await safeDbQuery(() => gtrackDB.verification_webhooks.updateMany({
+    where: { id, active: true, ...(options.memberId && { member_id: options.memberId }) },
+    data: { active: false, updated_at: new Date() }
+  }), { count: 0 });
+  return result.count > 0;
+}
+
+/**
+ * Create a delivery per webhook for an event
+ * @param {Array} webhooks - verification_webhooks rows
+ * @param {string} event
+ * @param {Object} data - Event data
+ * @param {Object} product - Product the event is about, if any
+ * @returns {Promise<Array>} - Created deliveries
+ */
+async function createDeliveries(webhooks, event, data, product) {
+  const now = new Date();
+  const deliveries = [];
+
+  for (const webhook of webhooks) {
+    const eventId = crypto.randomUUID();
+    const payload = JSON.stringify({ id: eventId, event, createdAt: now.toISOString(), data });
+
+    const delivery = await safeDbQuery(() => gtrackDB.webhook_deliveries.create({
+      data: {
+        webhook_id: webhook.id,
+        event,
+        event_id: eventId,
+        product_id: product ? product.id : null,
+        barcode: product ? product.barcode || null : null,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: now,
+        created_at: now,
+        updated_at: now
+      }
+    }), null);
+    if (delivery) deliveries.push(delivery);
+  }
+
+  // Deliver right away instead of waiting for the next poll
+  if (deliveries.length > 0) scheduleDispatch();
+  return deliveries;
+}
+
+/**
+ * Queue notifications for a product whose verification status changed
+ * Called by productVerification after a new result is stored. Only the flip between
+ * verified and unverified fires; a first verification has nothing to compare with.
+ * @param {Object} product - Product record
+ * @param {string} previousStatus - Status of the previous stored result
+ * @param {Object} verification - New verification result
+ * @returns {Promise<Array>} - Created deliveries
+ */
+async function enqueueStatusChange(product, previousStatus, verification) {
+  const status = verification.verificationStatus;
+  if (!isWebhookStoreAvailable() || !previousStatus || previousStatus === status) return [];
+
+  const event = status === 'verified' ? EVENTS.VERIFIED : EVENTS.UNVERIFIED;
+
+  // The member's own webhooks plus the admin webhooks registered for every member
+  const webhooks = (await safeDbQuery(() => gtrackDB.verification_webhooks.findMany({
+    where: {
+      active: true,
+      OR: [
+        { member_id: null },
+        ...(product.member_id ? [{ member_id: product.member_id }] : [])
+      ]
+    }
+  }))).filter(webhook => getEvents(webhook).includes(event));
+
+  if (webhooks.length === 0) return [];
+
+  return createDeliveries(webhooks, event, {
+    productId: product.id,
+    barcode: product.barcode || null,
+    memberId: product.member_id || null,
+    gcpGLNID: product.gcpGLNID ? product.gcpGLNID.trim() : null,
+    productName: product.productnameenglish || null,
+    previousStatus,
+    status,
+    verificationScore: verification.verificationScore,
+    issues: verification.issues || [],
+    verifiedAt: verification.verifiedAt || new Date()
+  }, product);
+}
+
+/**
+ * Queue a ping to a webhook so its owner can check the endpoint and signature
+ * @param {Object} webhook - verification_webhooks row
+ * @returns {Promise<Object|null>} - Created delivery
+ */
+async function sendTestEvent(webhook) {
+  const [delivery] = await createDeliveries([webhook], EVENTS.PING, {
+    webhookId: webhook.id,
+    message: 'Test event from GTrack'
+  }, null);
+  return delivery || null;
+}
+
+/**
+ * Delay before the next attempt of a delivery
+ * @param {number} attempts - Attempts made so far (at least 1)
+ * @returns {number} - Milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * Math.pow(2, attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Make one attempt at a delivery and record the outcome
+ * @param {Object} delivery - webhook_deliveries row
+ * @param {Object} webhook - verification_webhooks row
+ * @returns {Promise<Object|null>} - Updated delivery
+ */
+async function attemptDelivery(delivery, webhook) {
+  const now = new Date();
+  const attempts = delivery.attempts + 1;
+  let statusCode = null;
+  let error = null;
+
+  if (!webhook || !webhook.active) {
+    error = 'Webhook was deleted';
+  } else {
+    const timestamp = Math.floor(now.getTime() / 1000);
+    try {
+      // Checked again on every attempt - the name may resolve elsewhere since registration.
+      // The request goes to the checked address, so a second lookup can't swap it.
+      const target = ALLOW_PRIVATE_URLS ? null : await resolvePublicAddress(new URL(webhook.url).hostname);
+
+      const response = await axios.post(webhook.url, delivery.payload, {
+        timeout: TIMEOUT_MS,
+        // A redirect could lead to an address that wasn't checked
+        maxRedirects: 0,
+        ...(target && { lookup: async () => [target.address, target.family] }),
+        // Any response is recorded - only 2xx counts as delivered
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'GTrack-Webhooks/1.0',
+          'X-GTrack-Event': delivery.event,
+          'X-GTrack-Delivery': delivery.event_id,
+          'X-GTrack-Timestamp': timestamp,
+          'X-GTrack-Signature': signPayload(webhook.secret, timestamp, delivery.payload)
+        }
+      });
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `Endpoint responded with HTTP ${statusCode}`;
+      }
+    } catch (requestError) {
+      error = requestError.code ? `${requestError.code}: ${requestError.message}` : requestError.message;
+    }
+  }
+
+  const data = { attempts, last_attempt_at: now, last_status_code: statusCode, updated_at: now };
+  if (!error) {
+    Object.assign(data, { status: 'delivered', delivered_at: now, next_attempt_at: null, last_error: null });
+  } else if (attempts >= MAX_ATTEMPTS || !webhook || !webhook.active) {
+    // Out of attempts - the row stays as a dead letter until it is retried by hand
+    Object.assign(data, { status: 'dead', next_attempt_at: null, last_error: error.slice(0, MAX_ERROR_LENGTH) });
+    console.error(`Webhook delivery ${delivery.id} (${delivery.event}) is dead after ${attempts} attempt(s): ${error}`);
+  } else {
+    Object.assign(data, {
+      status: 'retrying',
+      next_attempt_at: new Date(now.getTime() + getRetryDelay(attempts)),
+      last_error: error.slice(0, MAX_ERROR_LENGTH)
+    });
+  }
+
+  return safeDbQuery(() => gtrackDB.webhook_deliveries.update({ where: { id: delivery.id }, data }), null);
+}
+
+/**
+ * Claim a due delivery before attempting it
+ * Only a pending or retrying row can be claimed, so a delivery that was sent or claimed
+ * in the meantime isn't sent again.
+ * @param {number} id - Delivery id
+ * @returns {Promise<boolean>} - True when this call moved the row to `sending`
+ */
+async function claimDelivery(id) {
+  const result = await safeDbQuery(() => gtrackDB.webhook_deliveries.updateMany({
+    where: { id, status: { in: ['pending', 'retrying'] } },
+    data: { status: 'sending', updated_at: new Date() }
+  }), { count: 0 });
+  return result.count === 1;
+}
+
+/**
+ * Queue again the deliveries a dispatcher claimed but never finished
+ * A claim older than the lock TTL belongs to a dispatcher that went down or lost the lock:
+ * the lock is renewed right before every claim and an attempt ends after WEBHOOK_TIMEOUT_MS.
+ * @returns {Promise<number>} - Number of deliveries queued again
+ */
+async function requeueStaleClaims() {
+  const now = new Date();
+  const result = await safeDbQuery(() => gtrackDB.webhook_deliveries.updateMany({
+    where: { status: 'sending', updated_at: { lt: new Date(now.getTime() - LOCK_TTL_MS) } },
+    data: { status: 'retrying', next_attempt_at: now, updated_at: now }
+  }), { count: 0 });
+  if (result.count > 0) {
+    console.warn(`Webhooks: ${result.count} unfinished delivery attempt(s) queued again`);
+  }
+  return result.count;
+}
+
+/**
+ * Attempt every delivery that is due
+ * Runs under the `webhook-dispatcher` lock, renewed before every delivery, and claims each
+ * row before sending it, so two instances don't send the same delivery.
+ * @returns {Promise<Object>} - { status, attempted, delivered, retrying, dead }
+ *                              status is 'lock_lost' when another instance took the lock over
+ */
+async function processDueDeliveries() {
+  if (!isWebhookStoreAvailable()) return { status: 'unavailable' };
+  const lockToken = await acquireLock(LOCK_NAME, LOCK_TTL_MS);
+  if (!lockToken) return { status: 'locked' };
+
+  const summary = { status: 'completed', attempted: 0, delivered: 0, retrying: 0, dead: 0 };
+  const webhooks = new Map();
+
+  try {
+    await requeueStaleClaims();
+
+    while (summary.status === 'completed') {
+      const due = await safeDbQuery(() => gtrackDB.webhook_deliveries.findMany({
+        where: { status: { in: ['pending', 'retrying'] }, next_attempt_at: { lte: new Date() } },
+        orderBy: { id: 'asc' },
+        take: DISPATCH_BATCH_SIZE
+      }));
+      if (due.length === 0) break;
+
+      for (const delivery of due) {
+        // A batch can take longer than the lock TTL, so the lock is kept per delivery
+        if (!await renewLock(LOCK_NAME, lockToken, LOCK_TTL_MS)) {
+          console.warn('Webhook dispatcher lost its lock - stopping');
+          summary.status = 'lock_lost';
+          break;
+        }
+        if (!await claimDelivery(delivery.id)) continue;
+
+        if (!webhooks.has(delivery.webhook_id)) {
+          webhooks.set(delivery.webhook_id, await getWebhook(delivery.webhook_id));
+        }
+        const updated = await attemptDelivery(delivery, webhooks.get(delivery.webhook_id));
+        summary.attempted++;
+        if (updated) summary[updated.status]++;
+      }
+
+      if (due.length < DISPATCH_BATCH_SIZE) break;
+    }
+  } finally {
+    await releaseLock(LOCK_NAME, lockToken);
+  }
+
+  if (summary.attempted > 0) {
+    console.log(`Webhooks: ${summary.attempted} attempted, ${summary.delivered} delivered, ${summary.retrying} retrying, ${summary.dead} dead`);
+  }
+  return summary;
+}
+
+/**
+ * Run the dispatcher soon, once - calls made while it is running queue one more pass
+ */
+function scheduleDispatch() {
+  if (dispatching) {
+    dispatchQueued = true;
+    return;
+  }
+  dispatching = true;
+
+  setImmediate(async () => {
+    try {
+      await processDueDeliveries();
+    } catch (error) {
+      console.error('Webhook dispatcher failed:', error.message);
+    } finally {
+      dispatching = false;
+      if (dispatchQueued) {
+        dispatchQueued = false;
+        scheduleDispatch();
+      }
+    }
+  });
+}
+
+/**
+ * Poll for due deliveries every WEBHOOK_POLL_INTERVAL_MS, so retries go out and deliveries
+ * queued on an instance that went down are sent by another one
+ * @returns {boolean} - True when the dispatcher was started
+ */
+function startWebhookDispatcher() {
+  if (pollTimer || !isWebhookStoreAvailable()) return false;
+
+  pollTimer = setInterval(scheduleDispatch, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  scheduleDispatch();
+  return true;
+}
+
+/**
+ * Stop polling for due deliveries
+ */
+function stopWebhookDispatcher() {
+  if (!pollTimer) return;
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+/**
+ * Get the delivery log, newest first
+ * @param {Object} options - { webhookId, memberId, status, limit }
+ * @returns {Promise<Array>}
+ */
+async function getDeliveries(options = {}) {
+  const where = {};
+  if (options.status) where.status = options.status;
+
+  if (options.memberId) {
+    const webhooks = await safeDbQuery(() => gtrackDB.verification_webhooks.findMany({
+      where: { member_id: options.memberId },
+      select: { id: true }
+    }));
+    const ids = webhooks.map(webhook => webhook.id);
+    where.webhook_id = { in: options.webhookId ? ids.filter(id => id === options.webhookId) : ids };
+  } else if (options.webhookId) {
+    where.webhook_id = options.webhookId;
+  }
+
+  const deliveries = await safeDbQuery(() => gtrackDB.webhook_deliveries.findMany({
+    where,
+    orderBy: { id: 'desc' },
+    take: options.limit || 100
+  }));
+
+  return deliveries.map(delivery => ({
+    ...delivery,
+    payload: JSON.parse(delivery.payload)
+  }));
+}
+
+/**
+ * Queue a delivery again, e.g. a dead letter after the endpoint was fixed
+ * @param {number} id - Delivery id
+ * @param {Object} options - { memberId: only a delivery to a webhook of this member }
+ * @returns {Promise<Object|null>} - Updated delivery, or null when there is no such delivery
+ */
+async function retryDelivery(id, options = {}) {
+  const delivery = await safeDbQuery(() => gtrackDB.webhook_deliveries.findUnique({ where: { id } }), null);
+  if (!delivery) return null;
+  if (options.memberId) {
+    const webhook = await getWebhook(delivery.webhook_id);
+    if (!webhook || webhook.member_id !== options.memberId) return null;
+  }
+  // A delivery that is being sent right now is left to the dispatcher
+  if (['delivered', 'sending'].includes(delivery.status)) return delivery;
+
+  const now = new Date();
+  const updated = await safeDbQuery(() => gtrackDB.webhook_deliveries.update({
+    where: { id },
+    // A fresh set of attempts
+    data: { status: 'pending', attempts: 0, next_attempt_at: now, updated_at: now }
+  }), null);
+
+  if (updated) scheduleDispatch();
+  return updated;
+}
+
+module.exports = {
+  EVENTS,
+  isWebhookStoreAvailable,
+  signPayload,
+  verifyWebhookSignature,
+  registerWebhook,
+  listWebhooks,
+  getWebhook,
+  deleteWebhook,
+  enqueueStatusChange,
+  sendTestEvent,
+  processDueDeliveries,
+  startWebhookDispatcher,
+  stopWebhookDispatcher,
+  getDeliveries,
+  retryDelivery
+};
@@ -0,0 +1,31 @@
+/**
+ * Map over items with at most `limit` calls of fn in flight
+ * Results keep the order of items, like Promise.all. The first rejection rejects the
+ * whole map, but calls already in flight are left to finish.
+ * @param {Array} items
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(Math.max(limit, 1), items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,33 @@
+// SQL Server accepts at most 2100 parameters per query
+const IN_LIST_CHUNK_SIZE = 1000;
+
+/**
+ * Safe database query wrapper to handle potential errors
+ */
+async function safeDbQuery(queryFn, fallback = []) {
+  try {
+    return await queryFn();
+  } catch (error) {
+    console.error('Database query error:', error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Split a list into chunks small enough for an IN clause
+ * @param {Array} values
+ * @param {number} size
+ * @returns {Array}
+ */
+function chunk(values, size = IN_LIST_CHUNK_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) {
+    chunks.push(values.slice(i, i + size));
+  }
+  return chunks;
+}
+
+module.exports = {
+  safeDbQuery,
+  chunk
+};
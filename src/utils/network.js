@@ -0,0 +1,67 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+// Loopback, private, link-local and other addresses that must not be reached from outside
+const NON_PUBLIC = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => NON_PUBLIC.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise not public
+ * IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as the IPv4 address they carry.
+ * @param {string} address
+ * @returns {boolean} - True for anything that isn't a public IP address
+ */
+function isPrivateAddress(address) {
+  const version = net.isIP(address);
+  if (version === 0) return true;
+  return NON_PUBLIC.check(address, version === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve a host name and make sure every address it resolves to is public
+ * Connect to the returned address, not the name: resolving the name again could give a
+ * different answer.
+ * @param {string} hostname - Host name or IP address, as in URL.hostname
+ * @returns {Promise<Object>} - { address, family }
+ * @throws {Error} - When the host can't be resolved or resolves to a non-public address
+ */
+async function resolvePublicAddress(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  const version = net.isIP(host);
+  const addresses = version
+    ? [{ address: host, family: version }]
+    : await dns.lookup(host, { all: true });
+
+  if (addresses.length === 0) {
+    throw new Error(`${host} could not be resolved`);
+  }
+  if (addresses.some(entry => isPrivateAddress(entry.address))) {
+    throw new Error(`${host} resolves to a private, loopback or link-local address`);
+  }
+  return addresses[0];
+}
+
+module.exports = {
+  isPrivateAddress,
+  resolvePublicAddress
+};